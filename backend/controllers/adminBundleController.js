@@ -0,0 +1,146 @@
+const Bundle = require('../models/Bundle');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Fields an admin may set through create/update
+const EDITABLE_FIELDS = [
+  'name',
+  'slug',
+  'description',
+  'images',
+  'components',
+  'pricing',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+const findBundleOrFail = async (id) => {
+  const bundle = await Bundle.findById(id);
+  if (!bundle) {
+    throw new AppError('Bundle not found', 404, 'BUNDLE_NOT_FOUND');
+  }
+  return bundle;
+};
+
+// @desc    Get all bundles, including inactive ones
+// @route   GET /api/admin/bundles
+// @access  Private/Admin
+const getAdminBundles = asyncHandler(async (req, res) => {
+  const bundles = await Bundle.find()
+    .sort({ createdAt: -1 })
+    .populate('components.product', 'name images price sizes variants availability isActive seo.slug');
+
+  res.json({
+    success: true,
+    data: {
+      bundles
+    }
+  });
+});
+
+// @desc    Get a single bundle with its set price and component stock
+// @route   GET /api/admin/bundles/:id
+// @access  Private/Admin
+const getAdminBundle = asyncHandler(async (req, res) => {
+  const bundle = await findBundleOrFail(req.params.id);
+  const productsById = await bundle.loadProducts();
+
+  await bundle.populate('components.product', 'name images price sizes variants availability isActive seo.slug');
+
+  res.json({
+    success: true,
+    data: {
+      bundle,
+      pricing: bundle.getListPrice(productsById),
+      availability: bundle.getAvailability(productsById)
+    }
+  });
+});
+
+// @desc    Create bundle
+// @route   POST /api/admin/bundles
+// @access  Private/Admin
+const createBundle = asyncHandler(async (req, res) => {
+  const bundle = new Bundle({
+    ...pickEditableFields(req.body),
+    createdBy: req.user._id
+  });
+  await bundle.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Bundle created successfully',
+    data: {
+      bundle
+    }
+  });
+});
+
+// @desc    Update bundle. Sets already in carts keep their sizes and are
+// re-priced when the cart is read.
+// @route   PUT /api/admin/bundles/:id
+// @access  Private/Admin
+const updateBundle = asyncHandler(async (req, res) => {
+  const bundle = await findBundleOrFail(req.params.id);
+
+  bundle.set(pickEditableFields(req.body));
+  await bundle.save();
+
+  res.json({
+    success: true,
+    message: 'Bundle updated successfully',
+    data: {
+      bundle
+    }
+  });
+});
+
+// @desc    Delete bundle, dropping it from open carts and releasing their stock
+// @route   DELETE /api/admin/bundles/:id
+// @access  Private/Admin
+const deleteBundle = asyncHandler(async (req, res) => {
+  const bundle = await findBundleOrFail(req.params.id);
+
+  const carts = await Cart.find({ 'bundles.bundle': bundle._id });
+  for (const cart of carts) {
+    const lines = cart.bundles.filter(line => line.bundle.toString() === bundle._id.toString());
+    for (const line of lines) {
+      for (const component of line.components) {
+        const product = await Product.findById(component.product);
+        if (product) {
+          await product.releaseStock(component.size, component.quantity * line.quantity, component.color);
+        }
+      }
+    }
+    cart.bundles = cart.bundles.filter(line => line.bundle.toString() !== bundle._id.toString());
+    await cart.save();
+  }
+
+  await bundle.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Bundle deleted successfully',
+    data: {
+      bundleId: bundle._id,
+      cartsUpdated: carts.length
+    }
+  });
+});
+
+module.exports = {
+  getAdminBundles,
+  getAdminBundle,
+  createBundle,
+  updateBundle,
+  deleteBundle
+};
@@ -0,0 +1,194 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const SizeChart = require('../models/SizeChart');
+const PriceEvent = require('../models/PriceEvent');
+const Collection = require('../models/Collection');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { replaceRuleValue } = require('../utils/collectionRules');
+const { escapeRegex } = require('../utils/productFilters');
+
+// Fields an admin may set through create/update
+const EDITABLE_FIELDS = [
+  'name',
+  'slug',
+  'parent',
+  'description',
+  'image',
+  'position',
+  'isActive',
+  'seo'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+const findCategoryOrFail = async (id) => {
+  const category = await Category.findById(id);
+  if (!category) {
+    throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+  return category;
+};
+
+// Products, size charts, price events and collection rules refer to
+// categories by slug. Returns the collections whose rule was rewritten.
+const renameCategorySlug = async (from, to) => {
+  await Promise.all([
+    Product.updateMany({ category: from }, { $set: { category: to } }),
+    Product.updateMany({ subcategory: from }, { $set: { subcategory: to } }),
+    SizeChart.updateMany({ category: from }, { $set: { category: to } }),
+    PriceEvent.updateMany({ 'target.categories': from }, { $set: { 'target.categories.$': to } })
+  ]);
+
+  const collections = await Collection.find({
+    type: 'rule',
+    rule: new RegExp(escapeRegex(from), 'i')
+  });
+
+  const updated = [];
+  for (const collection of collections) {
+    const rule = replaceRuleValue(collection.rule, ['category', 'subcategory'], from, to);
+    if (rule === collection.rule) continue;
+
+    collection.rule = rule;
+    await collection.save();
+    updated.push({ _id: collection._id, title: collection.title, rule });
+  }
+  return updated;
+};
+
+// @desc    Get the full category tree, including inactive categories
+// @route   GET /api/admin/categories
+// @access  Private/Admin
+const getAdminCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.getAll({ fresh: true }),
+    Category.getProductCounts({})
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      categories: Category.buildTree(categories, counts, { includeInactive: true })
+    }
+  });
+});
+
+// @desc    Get a single category with its path and product count
+// @route   GET /api/admin/categories/:id
+// @access  Private/Admin
+const getAdminCategory = asyncHandler(async (req, res) => {
+  const category = await findCategoryOrFail(req.params.id);
+  const [node, productCount] = await Promise.all([
+    Category.findBySlug(category.slug),
+    Product.countDocuments({ $or: [{ category: category.slug }, { subcategory: category.slug }] })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      category,
+      path: node ? node.path.map(entry => ({ _id: entry._id, name: entry.name, slug: entry.slug })) : [],
+      productCount
+    }
+  });
+});
+
+// @desc    Create category
+// @route   POST /api/admin/categories
+// @access  Private/Admin
+const createCategory = asyncHandler(async (req, res) => {
+  const category = new Category(pickEditableFields(req.body));
+  await category.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: {
+      category
+    }
+  });
+});
+
+// @desc    Update category. A new slug is carried over to the products, size
+// charts, price events and collection rules using the old one, and products
+// below a moved category are re-filed under its new top-level category.
+// @route   PUT /api/admin/categories/:id
+// @access  Private/Admin
+const updateCategory = asyncHandler(async (req, res) => {
+  const category = await findCategoryOrFail(req.params.id);
+  const previousSlug = category.slug;
+  const previousParent = category.parent ? category.parent.toString() : null;
+
+  category.set(pickEditableFields(req.body));
+  await category.save();
+
+  const slugChanged = category.slug !== previousSlug;
+  const parentChanged = (category.parent ? category.parent.toString() : null) !== previousParent;
+
+  let collectionsUpdated = [];
+  if (slugChanged) {
+    collectionsUpdated = await renameCategorySlug(previousSlug, category.slug);
+  }
+
+  let productsMoved = 0;
+  if (parentChanged) {
+    const result = await Category.rehomeProducts(await Category.getDescendantSlugs(category.slug));
+    productsMoved = result.modified;
+  }
+
+  res.json({
+    success: true,
+    message: 'Category updated successfully',
+    data: {
+      category,
+      productsMoved,
+      collectionsUpdated
+    }
+  });
+});
+
+// @desc    Delete category. Categories with subcategories or products have to
+// be emptied first.
+// @route   DELETE /api/admin/categories/:id
+// @access  Private/Admin
+const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await findCategoryOrFail(req.params.id);
+
+  const [children, products] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Product.countDocuments({ $or: [{ category: category.slug }, { subcategory: category.slug }] })
+  ]);
+  if (children > 0 || products > 0) {
+    throw new AppError(
+      'Move or delete the subcategories and products in this category first',
+      409,
+      'CATEGORY_IN_USE',
+      { subcategories: children, products }
+    );
+  }
+
+  await category.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully',
+    data: {
+      categoryId: category._id
+    }
+  });
+});
+
+module.exports = {
+  getAdminCategories,
+  getAdminCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,158 @@
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+const { parseRule } = require('../utils/collectionRules');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Fields an admin may set through create/update
+const EDITABLE_FIELDS = [
+  'title',
+  'slug',
+  'description',
+  'heroImage',
+  'type',
+  'products',
+  'rule',
+  'sortBy',
+  'sortOrder',
+  'startsAt',
+  'endsAt',
+  'isActive',
+  'showInNavigation',
+  'position'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+const findCollectionOrFail = async (id) => {
+  const collection = await Collection.findById(id);
+  if (!collection) {
+    throw new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND');
+  }
+  return collection;
+};
+
+// @desc    Get all collections, including scheduled and inactive ones
+// @route   GET /api/admin/collections
+// @access  Private/Admin
+const getAdminCollections = asyncHandler(async (req, res) => {
+  const collections = await Collection.find()
+    .sort({ position: 1, createdAt: -1 })
+    .select('-products');
+
+  res.json({
+    success: true,
+    data: {
+      collections
+    }
+  });
+});
+
+// @desc    Get a single collection with its hand-picked products
+// @route   GET /api/admin/collections/:id
+// @access  Private/Admin
+const getAdminCollection = asyncHandler(async (req, res) => {
+  const collection = await Collection.findById(req.params.id)
+    .populate('products', 'name images price sizes variants availability isActive seo.slug');
+  if (!collection) {
+    throw new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      collection
+    }
+  });
+});
+
+// @desc    Create collection
+// @route   POST /api/admin/collections
+// @access  Private/Admin
+const createCollection = asyncHandler(async (req, res) => {
+  const collection = new Collection(pickEditableFields(req.body));
+  await collection.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Collection created successfully',
+    data: {
+      collection
+    }
+  });
+});
+
+// @desc    Update collection
+// @route   PUT /api/admin/collections/:id
+// @access  Private/Admin
+const updateCollection = asyncHandler(async (req, res) => {
+  const collection = await findCollectionOrFail(req.params.id);
+
+  collection.set(pickEditableFields(req.body));
+  await collection.save();
+
+  res.json({
+    success: true,
+    message: 'Collection updated successfully',
+    data: {
+      collection
+    }
+  });
+});
+
+// @desc    Delete collection
+// @route   DELETE /api/admin/collections/:id
+// @access  Private/Admin
+const deleteCollection = asyncHandler(async (req, res) => {
+  const collection = await findCollectionOrFail(req.params.id);
+  await collection.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Collection deleted successfully',
+    data: {
+      collectionId: collection._id
+    }
+  });
+});
+
+// @desc    Check a collection rule and show how many products it matches
+// @route   POST /api/admin/collections/preview-rule
+// @access  Private/Admin
+const previewCollectionRule = asyncHandler(async (req, res) => {
+  let ruleQuery;
+  try {
+    ruleQuery = parseRule(req.body.rule);
+  } catch (error) {
+    throw new AppError(`Invalid rule: ${error.message}`, 400, 'INVALID_RULE');
+  }
+
+  const query = { isActive: true, ...ruleQuery };
+  const [totalProducts, sample] = await Promise.all([
+    Product.countDocuments(query),
+    Product.find(query).sort({ createdAt: -1 }).limit(12).select('name images price sizes variants availability seo.slug')
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      totalProducts,
+      sample
+    }
+  });
+});
+
+module.exports = {
+  getAdminCollections,
+  getAdminCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  previewCollectionRule
+};
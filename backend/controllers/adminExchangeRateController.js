@@ -0,0 +1,72 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+// @desc    Get the exchange-rate table
+// @route   GET /api/admin/exchange-rates
+// @access  Private/Admin
+const getExchangeRates = asyncHandler(async (req, res) => {
+  const exchangeRates = await ExchangeRate.find()
+    .sort({ currency: 1 })
+    .populate('updatedBy', 'email profile.firstName profile.lastName');
+
+  res.json({
+    success: true,
+    data: {
+      baseCurrency: BASE_CURRENCY,
+      exchangeRates
+    }
+  });
+});
+
+// @desc    Set the rate for a currency (units per one unit of the base currency)
+// @route   PUT /api/admin/exchange-rates/:currency
+// @access  Private/Admin
+const setExchangeRate = asyncHandler(async (req, res) => {
+  const currency = req.params.currency.toUpperCase();
+
+  let exchangeRate = await ExchangeRate.findOne({ currency });
+  const isNew = !exchangeRate;
+  if (isNew) {
+    exchangeRate = new ExchangeRate({ currency });
+  }
+
+  exchangeRate.rate = req.body.rate;
+  exchangeRate.updatedBy = req.user._id;
+  await exchangeRate.save();
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    message: `Exchange rate for ${currency} saved`,
+    data: {
+      exchangeRate
+    }
+  });
+});
+
+// @desc    Remove a currency from the storefront
+// @route   DELETE /api/admin/exchange-rates/:currency
+// @access  Private/Admin
+const deleteExchangeRate = asyncHandler(async (req, res) => {
+  const currency = req.params.currency.toUpperCase();
+  const exchangeRate = await ExchangeRate.findOne({ currency });
+  if (!exchangeRate) {
+    throw new AppError('Exchange rate not found', 404, 'EXCHANGE_RATE_NOT_FOUND');
+  }
+
+  await exchangeRate.deleteOne();
+
+  res.json({
+    success: true,
+    message: `Exchange rate for ${currency} removed`,
+    data: {
+      currency
+    }
+  });
+});
+
+module.exports = {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate
+};
@@ -0,0 +1,151 @@
+const PriceEvent = require('../models/PriceEvent');
+const Product = require('../models/Product');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Fields an admin may set through create/update
+const EDITABLE_FIELDS = [
+  'name',
+  'type',
+  'discount',
+  'startsAt',
+  'endsAt',
+  'target',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+const findPriceEventOrFail = async (id) => {
+  const priceEvent = await PriceEvent.findById(id);
+  if (!priceEvent) {
+    throw new AppError('Price event not found', 404, 'PRICE_EVENT_NOT_FOUND');
+  }
+  return priceEvent;
+};
+
+const statusFilter = (status, now = new Date()) => {
+  switch (status) {
+    case 'live':
+      return { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } };
+    case 'scheduled':
+      return { isActive: true, startsAt: { $gt: now } };
+    case 'ended':
+      return { endsAt: { $lte: now } };
+    case 'inactive':
+      return { isActive: false };
+    default:
+      return {};
+  }
+};
+
+// @desc    Get price events, optionally by status (live, scheduled, ended, inactive)
+// @route   GET /api/admin/price-events
+// @access  Private/Admin
+const getPriceEvents = asyncHandler(async (req, res) => {
+  const priceEvents = await PriceEvent.find(statusFilter(req.query.status))
+    .sort({ startsAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      priceEvents
+    }
+  });
+});
+
+// @desc    Get a single price event with the number of products it covers
+// @route   GET /api/admin/price-events/:id
+// @access  Private/Admin
+const getPriceEvent = asyncHandler(async (req, res) => {
+  const priceEvent = await PriceEvent.findById(req.params.id)
+    .populate('target.products', 'name images price sizes variants availability isActive seo.slug');
+  if (!priceEvent) {
+    throw new AppError('Price event not found', 404, 'PRICE_EVENT_NOT_FOUND');
+  }
+
+  const totalProducts = await Product.countDocuments({ 'price.events.event': priceEvent._id });
+
+  res.json({
+    success: true,
+    data: {
+      priceEvent,
+      totalProducts
+    }
+  });
+});
+
+// @desc    Create price event
+// @route   POST /api/admin/price-events
+// @access  Private/Admin
+const createPriceEvent = asyncHandler(async (req, res) => {
+  const priceEvent = new PriceEvent({
+    ...pickEditableFields(req.body),
+    createdBy: req.user._id
+  });
+  await priceEvent.save();
+
+  const { products } = await priceEvent.applyToProducts();
+
+  res.status(201).json({
+    success: true,
+    message: `Price event created for ${products} products`,
+    data: {
+      priceEvent,
+      totalProducts: products
+    }
+  });
+});
+
+// @desc    Update price event; its products are re-targeted and re-priced
+// @route   PUT /api/admin/price-events/:id
+// @access  Private/Admin
+const updatePriceEvent = asyncHandler(async (req, res) => {
+  const priceEvent = await findPriceEventOrFail(req.params.id);
+
+  priceEvent.set(pickEditableFields(req.body));
+  await priceEvent.save();
+
+  const { products } = await priceEvent.applyToProducts();
+
+  res.json({
+    success: true,
+    message: 'Price event updated successfully',
+    data: {
+      priceEvent,
+      totalProducts: products
+    }
+  });
+});
+
+// @desc    Delete price event and restore regular prices
+// @route   DELETE /api/admin/price-events/:id
+// @access  Private/Admin
+const deletePriceEvent = asyncHandler(async (req, res) => {
+  const priceEvent = await findPriceEventOrFail(req.params.id);
+
+  await priceEvent.removeFromProducts();
+  await priceEvent.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Price event deleted successfully',
+    data: {
+      priceEventId: priceEvent._id
+    }
+  });
+});
+
+module.exports = {
+  getPriceEvents,
+  getPriceEvent,
+  createPriceEvent,
+  updatePriceEvent,
+  deletePriceEvent
+};
@@ -0,0 +1,527 @@
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Review = require('../models/Review');
+const Wishlist = require('../models/Wishlist');
+const Collection = require('../models/Collection');
+const Bundle = require('../models/Bundle');
+const ProductQuestion = require('../models/ProductQuestion');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { InvalidImageError } = require('../utils/imageProcessing');
+const {
+  storeUploadedImage,
+  collectImages,
+  deleteStoredImages,
+  findRemovedImages
+} = require('../utils/productImages');
+
+// Fields an admin may set through create/update
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'shortDescription',
+  'category',
+  'subcategory',
+  'brand',
+  'price',
+  'currency',
+  'images',
+  'sizes',
+  'colors',
+  'variants',
+  'material',
+  'careInstructions',
+  'features',
+  'tags',
+  'availability',
+  'seo',
+  'isActive',
+  'isFeatured',
+  'weight',
+  'dimensions'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+// Replacing sizes/variants wholesale must not wipe units held in carts and orders
+const preserveReservedCounts = (product, fields) => {
+  if (Array.isArray(fields.sizes)) {
+    fields.sizes = fields.sizes.map(entry => {
+      const current = product.sizes.find(s => s.size === entry.size);
+      return { ...entry, reserved: current ? current.reserved : 0 };
+    });
+  }
+  if (Array.isArray(fields.variants)) {
+    fields.variants = fields.variants.map(entry => {
+      const current = product.findVariant(entry.color, entry.size);
+      return { ...entry, reserved: current ? current.reserved : 0 };
+    });
+  }
+  return fields;
+};
+
+const findProductOrFail = async (id) => {
+  const product = await Product.findById(id);
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+  return product;
+};
+
+// @desc    Get all products including inactive ones
+// @route   GET /api/admin/products
+// @access  Private/Admin
+const getAdminProducts = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    q,
+    category,
+    brand,
+    status,
+    featured,
+    availability,
+    sort = 'createdAt',
+    order = 'desc'
+  } = req.query;
+
+  const query = {};
+
+  if (q) {
+    query.$or = [
+      { name: { $regex: q.trim(), $options: 'i' } },
+      { 'seo.slug': { $regex: q.trim(), $options: 'i' } }
+    ];
+  }
+  if (category) {
+    query.category = category.toLowerCase();
+  }
+  if (brand) {
+    query.brand = new RegExp(brand, 'i');
+  }
+  if (status === 'active') {
+    query.isActive = true;
+  } else if (status === 'inactive') {
+    query.isActive = false;
+  }
+  if (featured !== undefined) {
+    query.isFeatured = featured === 'true';
+  }
+  if (availability) {
+    query['availability.status'] = availability;
+  }
+
+  const sortOptions = {};
+  const validSortFields = ['createdAt', 'updatedAt', 'price.original', 'name'];
+  const sortField = validSortFields.includes(sort) ? sort : 'createdAt';
+  sortOptions[sortField] = order === 'asc' ? 1 : -1;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const products = await Product.find(query)
+    .sort(sortOptions)
+    .skip(skip)
+    .limit(limitNum)
+    .select('-__v');
+
+  const totalProducts = await Product.countDocuments(query);
+  const totalPages = Math.ceil(totalProducts / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      products,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalProducts,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      }
+    }
+  });
+});
+
+// @desc    Get a single product including inactive ones
+// @route   GET /api/admin/products/:id
+// @access  Private/Admin
+const getAdminProduct = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Create product
+// @route   POST /api/admin/products
+// @access  Private/Admin
+const createProduct = asyncHandler(async (req, res) => {
+  const product = new Product(pickEditableFields(req.body));
+  product.$locals.priceChangedBy = req.user._id;
+  await product.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Product created successfully',
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Update product
+// @route   PUT /api/admin/products/:id
+// @access  Private/Admin
+const updateProduct = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+  const imagesBefore = collectImages(product.toObject());
+
+  product.set(preserveReservedCounts(product, pickEditableFields(req.body)));
+  product.$locals.priceChangedBy = req.user._id;
+  await product.save();
+
+  // Uploaded files dropped from the galleries are deleted from storage
+  await deleteStoredImages(findRemovedImages(imagesBefore, collectImages(product)));
+
+  res.json({
+    success: true,
+    message: 'Product updated successfully',
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Activate or deactivate product
+// @route   PUT /api/admin/products/:id/status
+// @access  Private/Admin
+const setProductStatus = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+
+  product.isActive = req.body.isActive;
+  await product.save();
+
+  res.json({
+    success: true,
+    message: `Product ${product.isActive ? 'activated' : 'deactivated'} successfully`,
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Feature or unfeature product
+// @route   PUT /api/admin/products/:id/featured
+// @access  Private/Admin
+const setProductFeatured = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+
+  product.isFeatured = req.body.isFeatured;
+  await product.save();
+
+  res.json({
+    success: true,
+    message: `Product ${product.isFeatured ? 'featured' : 'unfeatured'} successfully`,
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Update stock for one or more sizes or color x size variants
+// @route   PUT /api/admin/products/:id/stock
+// @access  Private/Admin
+const updateProductStock = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+  const { sizes = [], variants = [] } = req.body;
+
+  // Per-size totals of variant products are derived, so edit the variants instead
+  if (product.hasVariants && sizes.length > 0) {
+    throw new AppError(
+      'This product tracks stock per color and size. Update variants instead.',
+      400,
+      'VARIANTS_REQUIRED'
+    );
+  }
+
+  for (const { color, size, stock, price } of variants) {
+    const variant = product.findVariant(color, size);
+
+    if (!variant) {
+      product.variants.push({ color, size, stock, reserved: 0, price });
+      continue;
+    }
+
+    // Pre-order products may be reserved beyond stock until it arrives
+    if (stock < variant.reserved && !product.isPreOrder) {
+      throw new AppError(
+        `Stock for ${variant.color} / ${size} cannot be lower than the ${variant.reserved} units already reserved`,
+        409,
+        'STOCK_BELOW_RESERVED',
+        { color: variant.color, size, stock, reserved: variant.reserved }
+      );
+    }
+
+    variant.stock = stock;
+    if (price !== undefined) {
+      // null clears the price override
+      variant.price = price === null ? undefined : price;
+    }
+  }
+
+  for (const { size, stock } of sizes) {
+    const sizeInfo = product.sizes.find(s => s.size === size);
+
+    if (!sizeInfo) {
+      product.sizes.push({ size, stock, reserved: 0 });
+      continue;
+    }
+
+    // Stock cannot drop below what is already held in carts and orders,
+    // except on pre-order products where reservations run ahead of stock
+    if (stock < sizeInfo.reserved && !product.isPreOrder) {
+      throw new AppError(
+        `Stock for size ${size} cannot be lower than the ${sizeInfo.reserved} units already reserved`,
+        409,
+        'STOCK_BELOW_RESERVED',
+        { size, stock, reserved: sizeInfo.reserved }
+      );
+    }
+
+    sizeInfo.stock = stock;
+  }
+
+  await product.save();
+
+  res.json({
+    success: true,
+    message: 'Product stock updated successfully',
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Update product price
+// @route   PUT /api/admin/products/:id/price
+// @access  Private/Admin
+const updateProductPrice = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+  const { original, discounted } = req.body;
+
+  if (original !== undefined) {
+    product.price.original = original;
+  }
+  if (discounted !== undefined) {
+    // null clears the discount
+    product.price.discounted = discounted === null ? undefined : discounted;
+  }
+
+  product.$locals.priceChangedBy = req.user._id;
+  await product.save();
+
+  res.json({
+    success: true,
+    message: 'Product price updated successfully',
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Delete product
+// @route   DELETE /api/admin/products/:id
+// @access  Private/Admin
+const deleteProduct = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+
+  // Drop the product from any open carts so their totals stay correct.
+  // Orders keep their own product snapshot and are left untouched;
+  // reviews, questions, wishlist entries and collection picks go with the product,
+  // and bundles it was part of are taken off sale.
+  const carts = await Cart.find({ 'items.product': product._id });
+  for (const cart of carts) {
+    cart.items = cart.items.filter(item => item.product.toString() !== product._id.toString());
+    await cart.save();
+  }
+
+  await Review.deleteMany({ product: product._id });
+  await ProductQuestion.deleteMany({ product: product._id });
+  await Wishlist.updateMany(
+    { 'items.product': product._id },
+    { $pull: { items: { product: product._id } } }
+  );
+  await Collection.updateMany(
+    { products: product._id },
+    { $pull: { products: product._id } }
+  );
+  await Bundle.updateMany(
+    { 'components.product': product._id },
+    { $set: { isActive: false } }
+  );
+  await product.deleteOne();
+  await deleteStoredImages(collectImages(product));
+
+  res.json({
+    success: true,
+    message: 'Product deleted successfully',
+    data: {
+      productId: product._id,
+      cartsUpdated: carts.length
+    }
+  });
+});
+
+// Image gallery a request targets: the product's, or a color's. Every image
+// endpoint takes `color` from the body or the query string alike.
+const findGallery = (product, req) => {
+  const colorName = req.body?.color || req.query.color;
+  if (!colorName) {
+    return product.images;
+  }
+  if (typeof colorName !== 'string') {
+    throw new AppError('Color must be a single color name', 400, 'INVALID_COLOR');
+  }
+
+  const color = product.colors.find(c => c.name.toLowerCase() === colorName.toLowerCase());
+  if (!color) {
+    throw new AppError(`Color ${colorName} does not exist on this product`, 400, 'INVALID_COLOR');
+  }
+  return color.images;
+};
+
+// @desc    Upload product images and generate their derivatives
+// @route   POST /api/admin/products/:id/images
+// @access  Private/Admin
+const uploadProductImages = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    throw new AppError('Attach at least one image in the "images" field', 400, 'NO_FILES');
+  }
+
+  const gallery = findGallery(product, req);
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      stored.push(await storeUploadedImage(product._id, file, { alt: req.body.alt || product.name }));
+    }
+  } catch (error) {
+    // Don't leave half an upload behind in storage
+    await deleteStoredImages(stored);
+    if (error instanceof InvalidImageError) {
+      const file = files[stored.length];
+      throw new AppError(`${file.originalname}: ${error.message}`, 400, 'INVALID_IMAGE');
+    }
+    throw error;
+  }
+
+  if (req.body.isPrimary === 'true' || req.body.isPrimary === true) {
+    gallery.forEach(image => {
+      image.isPrimary = false;
+    });
+    stored[0].isPrimary = true;
+  }
+
+  gallery.push(...stored);
+  try {
+    await product.save();
+  } catch (error) {
+    // The product doesn't reference the new files, so remove them again
+    await deleteStoredImages(stored);
+    throw error;
+  }
+
+  const ids = new Set(stored.map(image => image._id.toString()));
+
+  res.status(201).json({
+    success: true,
+    message: `${stored.length} image${stored.length === 1 ? '' : 's'} uploaded`,
+    data: {
+      images: gallery.filter(image => ids.has(image._id.toString())),
+      product
+    }
+  });
+});
+
+// @desc    Make an image the primary one of its gallery
+// @route   PUT /api/admin/products/:id/images/:imageId/primary
+// @access  Private/Admin
+const setPrimaryProductImage = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+  const gallery = findGallery(product, req);
+  const image = gallery.id(req.params.imageId);
+
+  if (!image) {
+    throw new AppError('Image not found', 404, 'IMAGE_NOT_FOUND');
+  }
+
+  gallery.forEach(entry => {
+    entry.isPrimary = entry._id.equals(image._id);
+  });
+  await product.save();
+
+  res.json({
+    success: true,
+    message: 'Primary image updated',
+    data: {
+      product
+    }
+  });
+});
+
+// @desc    Remove an image and delete its stored files
+// @route   DELETE /api/admin/products/:id/images/:imageId
+// @access  Private/Admin
+const deleteProductImage = asyncHandler(async (req, res) => {
+  const product = await findProductOrFail(req.params.id);
+  const gallery = findGallery(product, req);
+  const image = gallery.id(req.params.imageId);
+
+  if (!image) {
+    throw new AppError('Image not found', 404, 'IMAGE_NOT_FOUND');
+  }
+
+  const removed = image.toObject();
+  gallery.pull(image._id);
+  await product.save();
+  await deleteStoredImages([removed]);
+
+  res.json({
+    success: true,
+    message: 'Image deleted',
+    data: {
+      product
+    }
+  });
+});
+
+module.exports = {
+  getAdminProducts,
+  getAdminProduct,
+  createProduct,
+  updateProduct,
+  setProductStatus,
+  setProductFeatured,
+  updateProductStock,
+  updateProductPrice,
+  deleteProduct,
+  uploadProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+};
@@ -0,0 +1,178 @@
+const ProductQuestion = require('../models/ProductQuestion');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const PERSON_FIELDS = 'email profile.firstName profile.lastName';
+
+const findQuestionOrFail = async (id) => {
+  const question = await ProductQuestion.findById(id);
+  if (!question) {
+    throw new AppError('Question not found', 404, 'QUESTION_NOT_FOUND');
+  }
+  return question;
+};
+
+const populateForModeration = (query) => {
+  return query
+    .populate('user', PERSON_FIELDS)
+    .populate('product', 'name seo.slug images price sizes variants availability')
+    .populate('answers.user', PERSON_FIELDS)
+    .populate('moderationLog.moderator', PERSON_FIELDS)
+    .populate('answers.moderationLog.moderator', PERSON_FIELDS);
+};
+
+const STATUS_MESSAGES = {
+  approved: 'approved',
+  rejected: 'rejected',
+  pending: 'held for moderation'
+};
+
+// @desc    Get the question and answer moderation queue
+// @route   GET /api/admin/questions
+// @access  Private/Admin
+const getQuestionQueue = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    status = 'pending',
+    filter,
+    product,
+    sort = 'oldest'
+  } = req.query;
+
+  const conditions = [];
+
+  // A question is in the queue for a status when it, or one of its answers, has that status
+  if (status !== 'all') {
+    conditions.push({ $or: [{ status }, { 'answers.status': status }] });
+  }
+  if (product) {
+    conditions.push({ product });
+  }
+
+  // Filters narrow the queue further and can be combined: filter=reported,flagged
+  const filters = filter ? filter.split(',').map(f => f.trim()) : [];
+  if (filters.includes('reported')) {
+    conditions.push({ openReportCount: { $gt: 0 } });
+  }
+  if (filters.includes('flagged')) {
+    conditions.push({ $or: [{ 'screening.flagged': true }, { 'answers.screening.flagged': true }] });
+  }
+  if (filters.includes('unanswered')) {
+    conditions.push({ answerCount: 0 });
+  }
+
+  const query = conditions.length > 0 ? { $and: conditions } : {};
+
+  const sortOptions = {
+    oldest: { createdAt: 1 },
+    newest: { createdAt: -1 },
+    'most-reported': { openReportCount: -1, createdAt: 1 }
+  };
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [questions, totalQuestions, pendingQuestions, pendingAnswers, unanswered] = await Promise.all([
+    populateForModeration(
+      ProductQuestion.find(query)
+        .sort(sortOptions[sort] || sortOptions.oldest)
+        .skip(skip)
+        .limit(limitNum)
+        .select('-__v -answers.upvotes')
+    ),
+    ProductQuestion.countDocuments(query),
+    ProductQuestion.countDocuments({ status: 'pending' }),
+    ProductQuestion.countDocuments({ 'answers.status': 'pending' }),
+    ProductQuestion.countDocuments({ status: 'approved', answerCount: 0 })
+  ]);
+
+  const totalPages = Math.ceil(totalQuestions / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      questions,
+      counts: {
+        pendingQuestions,
+        pendingAnswers,
+        unanswered
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalQuestions,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      }
+    }
+  });
+});
+
+// @desc    Get a question with its answers, reports and moderation history
+// @route   GET /api/admin/questions/:id
+// @access  Private/Admin
+const getQuestionForModeration = asyncHandler(async (req, res) => {
+  const question = await populateForModeration(ProductQuestion.findById(req.params.id).select('-__v'));
+
+  if (!question) {
+    throw new AppError('Question not found', 404, 'QUESTION_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      question
+    }
+  });
+});
+
+// @desc    Approve, reject or hold a question
+// @route   PUT /api/admin/questions/:id/status
+// @access  Private/Admin
+const moderateQuestion = asyncHandler(async (req, res) => {
+  const question = await findQuestionOrFail(req.params.id);
+  const { status, note } = req.body;
+
+  question.moderate(status, req.user._id, note);
+  await question.save();
+
+  res.json({
+    success: true,
+    message: `Question ${STATUS_MESSAGES[status]}`,
+    data: {
+      question
+    }
+  });
+});
+
+// @desc    Approve, reject or hold an answer
+// @route   PUT /api/admin/questions/:id/answers/:answerId/status
+// @access  Private/Admin
+const moderateAnswer = asyncHandler(async (req, res) => {
+  const question = await findQuestionOrFail(req.params.id);
+  const answer = question.answers.id(req.params.answerId);
+  if (!answer) {
+    throw new AppError('Answer not found', 404, 'ANSWER_NOT_FOUND');
+  }
+
+  const { status, note } = req.body;
+  question.moderate(status, req.user._id, note, answer);
+  await question.save();
+
+  res.json({
+    success: true,
+    message: `Answer ${STATUS_MESSAGES[status]}`,
+    data: {
+      question
+    }
+  });
+});
+
+module.exports = {
+  getQuestionQueue,
+  getQuestionForModeration,
+  moderateQuestion,
+  moderateAnswer
+};
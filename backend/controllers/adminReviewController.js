@@ -0,0 +1,174 @@
+const Review = require('../models/Review');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Ratings at or below this count as low-star in the moderation queue
+const LOW_STAR_MAX_RATING = 2;
+
+const findReviewOrFail = async (id) => {
+  const review = await Review.findById(id);
+  if (!review) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  return review;
+};
+
+const populateForModeration = (query) => {
+  return query
+    .populate('user', 'email profile.firstName profile.lastName')
+    .populate('product', 'name seo.slug images price sizes variants availability')
+    .populate('reports.user', 'email profile.firstName profile.lastName')
+    .populate('moderationLog.moderator', 'email profile.firstName profile.lastName')
+    .populate('reply.author', 'email profile.firstName profile.lastName');
+};
+
+// @desc    Get the review moderation queue
+// @route   GET /api/admin/reviews
+// @access  Private/Admin
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    status = 'pending',
+    filter,
+    product,
+    sort = 'oldest'
+  } = req.query;
+
+  const query = {};
+
+  if (status !== 'all') {
+    query.status = status;
+  }
+  if (product) {
+    query.product = product;
+  }
+
+  // Filters narrow the queue further and can be combined: filter=reported,low-star
+  const filters = filter ? filter.split(',').map(f => f.trim()) : [];
+  if (filters.includes('reported')) {
+    query.openReportCount = { $gt: 0 };
+  }
+  if (filters.includes('low-star')) {
+    query.rating = { $lte: LOW_STAR_MAX_RATING };
+  }
+  if (filters.includes('flagged')) {
+    query['screening.flagged'] = true;
+  }
+
+  const sortOptions = {
+    oldest: { createdAt: 1 },
+    newest: { createdAt: -1 },
+    'most-reported': { openReportCount: -1, createdAt: 1 }
+  };
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [reviews, totalReviews, statusCounts] = await Promise.all([
+    populateForModeration(
+      Review.find(query)
+        .sort(sortOptions[sort] || sortOptions.oldest)
+        .skip(skip)
+        .limit(limitNum)
+        .select('-__v -helpfulVotes')
+    ),
+    Review.countDocuments(query),
+    Review.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const totalPages = Math.ceil(totalReviews / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      reviews,
+      counts: Review.REVIEW_STATUSES.reduce((counts, reviewStatus) => {
+        const bucket = statusCounts.find(entry => entry._id === reviewStatus);
+        counts[reviewStatus] = bucket ? bucket.count : 0;
+        return counts;
+      }, {}),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalReviews,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      }
+    }
+  });
+});
+
+// @desc    Get a review with its reports and moderation history
+// @route   GET /api/admin/reviews/:id
+// @access  Private/Admin
+const getReviewForModeration = asyncHandler(async (req, res) => {
+  const review = await populateForModeration(Review.findById(req.params.id).select('-__v'));
+
+  if (!review) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      review
+    }
+  });
+});
+
+// @desc    Approve, reject or hold a review
+// @route   PUT /api/admin/reviews/:id/status
+// @access  Private/Admin
+const moderateReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+  const { status, note } = req.body;
+
+  review.moderate(status, req.user._id, note);
+  await review.save();
+
+  const messages = {
+    approved: 'Review approved',
+    rejected: 'Review rejected',
+    pending: 'Review held for moderation'
+  };
+
+  res.json({
+    success: true,
+    message: messages[status],
+    data: {
+      review
+    }
+  });
+});
+
+// @desc    Reply to a review publicly, or remove the reply
+// @route   PUT /api/admin/reviews/:id/reply
+// @access  Private/Admin
+const replyToReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+  const { body } = req.body;
+
+  if (!body && !review.reply?.body) {
+    throw new AppError('This review has no reply to remove', 400, 'NO_REPLY');
+  }
+
+  review.setReply(body, req.user._id);
+  await review.save();
+
+  res.json({
+    success: true,
+    message: body ? 'Reply saved' : 'Reply removed',
+    data: {
+      review
+    }
+  });
+});
+
+module.exports = {
+  getModerationQueue,
+  getReviewForModeration,
+  moderateReview,
+  replyToReview
+};
@@ -0,0 +1,52 @@
+const SearchEvent = require('../models/SearchEvent');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parseWindowDays, parseLimit } = require('../utils/queryParams');
+
+// @desc    Get search analytics overview
+// @route   GET /api/admin/search/report
+// @access  Private/Admin
+const getSearchReport = asyncHandler(async (req, res) => {
+  const days = parseWindowDays(req.query.days, 30);
+  const limit = parseLimit(req.query.limit, 20, 100);
+
+  const [summary, topTerms, trendingTerms, zeroResultTerms] = await Promise.all([
+    SearchEvent.getSummary({ days }),
+    SearchEvent.getPopularTerms({ days, limit }),
+    SearchEvent.getTrendingTerms({ days: Math.min(days, 7), limit }),
+    SearchEvent.getZeroResultTerms({ days, limit })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      window: { days },
+      summary,
+      topTerms,
+      trendingTerms,
+      zeroResultTerms
+    }
+  });
+});
+
+// @desc    Get searches that returned no products
+// @route   GET /api/admin/search/zero-results
+// @access  Private/Admin
+const getZeroResultSearches = asyncHandler(async (req, res) => {
+  const days = parseWindowDays(req.query.days, 30);
+  const limit = parseLimit(req.query.limit, 50, 500);
+
+  const terms = await SearchEvent.getZeroResultTerms({ days, limit });
+
+  res.json({
+    success: true,
+    data: {
+      window: { days },
+      terms
+    }
+  });
+});
+
+module.exports = {
+  getSearchReport,
+  getZeroResultSearches
+};
@@ -0,0 +1,111 @@
+const SizeChart = require('../models/SizeChart');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Fields an admin may set through create/update
+const EDITABLE_FIELDS = ['category', 'brand', 'unit', 'sizes', 'notes'];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+const findSizeChartOrFail = async (id) => {
+  const sizeChart = await SizeChart.findById(id);
+  if (!sizeChart) {
+    throw new AppError('Size chart not found', 404, 'SIZE_CHART_NOT_FOUND');
+  }
+  return sizeChart;
+};
+
+// @desc    Get all size charts
+// @route   GET /api/admin/size-charts
+// @access  Private/Admin
+const getSizeCharts = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.category) query.category = req.query.category;
+
+  const sizeCharts = await SizeChart.find(query).sort({ category: 1, brandKey: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      sizeCharts
+    }
+  });
+});
+
+// @desc    Get a single size chart
+// @route   GET /api/admin/size-charts/:id
+// @access  Private/Admin
+const getSizeChart = asyncHandler(async (req, res) => {
+  const sizeChart = await findSizeChartOrFail(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      sizeChart
+    }
+  });
+});
+
+// @desc    Create size chart
+// @route   POST /api/admin/size-charts
+// @access  Private/Admin
+const createSizeChart = asyncHandler(async (req, res) => {
+  const sizeChart = new SizeChart(pickEditableFields(req.body));
+  await sizeChart.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Size chart created successfully',
+    data: {
+      sizeChart
+    }
+  });
+});
+
+// @desc    Update size chart
+// @route   PUT /api/admin/size-charts/:id
+// @access  Private/Admin
+const updateSizeChart = asyncHandler(async (req, res) => {
+  const sizeChart = await findSizeChartOrFail(req.params.id);
+
+  sizeChart.set(pickEditableFields(req.body));
+  await sizeChart.save();
+
+  res.json({
+    success: true,
+    message: 'Size chart updated successfully',
+    data: {
+      sizeChart
+    }
+  });
+});
+
+// @desc    Delete size chart
+// @route   DELETE /api/admin/size-charts/:id
+// @access  Private/Admin
+const deleteSizeChart = asyncHandler(async (req, res) => {
+  const sizeChart = await findSizeChartOrFail(req.params.id);
+  await sizeChart.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Size chart deleted successfully',
+    data: {
+      sizeChartId: sizeChart._id
+    }
+  });
+});
+
+module.exports = {
+  getSizeCharts,
+  getSizeChart,
+  createSizeChart,
+  updateSizeChart,
+  deleteSizeChart
+};
@@ -0,0 +1,96 @@
+const Bundle = require('../models/Bundle');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { convertAll, localizeProduct } = require('../utils/currency');
+
+// Bundle fields shown in listings
+const SUMMARY_FIELDS = 'name slug description images pricing components';
+
+// Set price and savings, in rupees and the display currency
+const describePrice = ({ price, regularPrice, savings }, display) => ({
+  price,
+  regularPrice,
+  savings,
+  displayPrice: {
+    currency: display.code,
+    ...convertAll({ current: price, original: regularPrice, savings }, display)
+  }
+});
+
+// @desc    Get active bundles with their set price and availability
+// @route   GET /api/bundles
+// @access  Public
+const getBundles = asyncHandler(async (req, res) => {
+  const bundles = await Bundle.find({ isActive: true })
+    .sort({ createdAt: -1 })
+    .select(SUMMARY_FIELDS);
+
+  const productsById = await Bundle.loadProducts(bundles);
+
+  res.json({
+    success: true,
+    data: {
+      bundles: bundles.map(bundle => {
+        const { available, maxSets } = bundle.getAvailability(productsById);
+        return {
+          _id: bundle._id,
+          name: bundle.name,
+          slug: bundle.slug,
+          description: bundle.description,
+          images: bundle.images,
+          componentCount: bundle.components.length,
+          ...describePrice(bundle.getListPrice(productsById), req.displayCurrency),
+          available,
+          maxSets
+        };
+      })
+    }
+  });
+});
+
+// @desc    Get a bundle with its components, the sizes/colors on offer and their stock
+// @route   GET /api/bundles/:slug
+// @access  Public
+const getBundleBySlug = asyncHandler(async (req, res) => {
+  const bundle = await Bundle.findOne({ slug: req.params.slug.toLowerCase(), isActive: true });
+  if (!bundle) {
+    throw new AppError('Bundle not found', 404, 'BUNDLE_NOT_FOUND');
+  }
+
+  const productsById = await bundle.loadProducts();
+  const availability = bundle.getAvailability(productsById);
+
+  const components = bundle.components.map((component, index) => {
+    const product = productsById.get(component.product.toString());
+    return {
+      _id: component._id,
+      quantity: component.quantity,
+      size: component.size || null,
+      color: component.color || null,
+      product: product && product.isActive ? localizeProduct(product, req.displayCurrency) : null,
+      options: availability.components[index].options
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      bundle: {
+        _id: bundle._id,
+        name: bundle.name,
+        slug: bundle.slug,
+        description: bundle.description,
+        images: bundle.images,
+        pricing: bundle.pricing,
+        components,
+        ...describePrice(bundle.getListPrice(productsById), req.displayCurrency),
+        available: availability.available,
+        maxSets: availability.maxSets
+      }
+    }
+  });
+});
+
+module.exports = {
+  getBundles,
+  getBundleBySlug
+};
@@ -1,6 +1,8 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { localizeCart, convertAll } = require('../utils/currency');
 
 // @desc    Get user's cart
 // @route   GET /api/cart
@@ -16,12 +18,15 @@ const getCart = async (req, res) => {
         items: []
       });
       await cart.save();
+    } else if (cart.refreshPrices().length > 0) {
+      // Sale prices follow price events as they start and end
+      await cart.save();
     }
 
     res.json({
       success: true,
       data: {
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -37,7 +42,7 @@ const getCart = async (req, res) => {
 // @route   POST /api/cart/add
 // @access  Private
 const addToCart = asyncHandler(async (req, res) => {
-  const { productId, size, quantity = 1 } = req.body;
+  const { productId, size, color, quantity = 1 } = req.body;
 
   // Validate quantity
   const qty = parseInt(quantity);
@@ -55,20 +60,44 @@ const addToCart = asyncHandler(async (req, res) => {
     throw new AppError('Product not found or unavailable', 404, 'PRODUCT_NOT_FOUND');
   }
 
-  // Check if size is available for the product
-  const sizeInfo = product.sizes.find(s => s.size === size.toUpperCase());
+  // Variant products are stocked per color, so a color must be chosen
+  if (product.hasVariants && !color) {
+    throw new AppError('Please select a color for this product', 400, 'COLOR_REQUIRED');
+  }
+
+  // Other products are stocked per size only, but a color still has to be one they come in
+  const listedColor = !product.hasVariants && color
+    ? (product.colors || []).find(c => c.name.toLowerCase() === color.toLowerCase())
+    : null;
+  if (!product.hasVariants && color && !listedColor) {
+    throw new AppError(`${color} is not available for this product`, 400, 'INVALID_COLOR');
+  }
+
+  // Check if size (and color) is available for the product
+  const sizeInfo = product.getStockEntry(size.toUpperCase(), color);
   if (!sizeInfo) {
-    throw new AppError(`Size ${size.toUpperCase()} is not available for this product`, 400, 'INVALID_SIZE');
+    const label = product.hasVariants ? `${color} / ${size.toUpperCase()}` : `Size ${size.toUpperCase()}`;
+    throw new AppError(`${label} is not available for this product`, 400, 'INVALID_SIZE');
   }
 
-  // Check stock availability
-  const availableStock = sizeInfo.stock - sizeInfo.reserved;
+  // Check stock availability (pre-order products may sell ahead of stock, up to their limit)
+  const availableStock = product.getSellableQuantity(sizeInfo);
+  if (availableStock < qty && product.isPreOrder) {
+    throw new AppError(
+      availableStock > 0
+        ? `Only ${availableStock} more can be pre-ordered for size ${size.toUpperCase()}${product.hasVariants ? ` in ${color}` : ''}.`
+        : 'Pre-orders for this product are full.',
+      409,
+      'PRE_ORDER_LIMIT_REACHED',
+      { availableStock, requestedQuantity: qty, size: size.toUpperCase(), color: color || null }
+    );
+  }
   if (availableStock < qty) {
     throw new AppError(
-      `Insufficient stock for size ${size.toUpperCase()}. Only ${availableStock} items available.`,
+      `Insufficient stock for size ${size.toUpperCase()}${product.hasVariants ? ` in ${color}` : ''}. Only ${availableStock} items available.`,
       409,
       'INSUFFICIENT_STOCK',
-      { availableStock, requestedQuantity: qty, size: size.toUpperCase() }
+      { availableStock, requestedQuantity: qty, size: size.toUpperCase(), color: color || null }
     );
   }
 
@@ -82,16 +111,189 @@ const addToCart = asyncHandler(async (req, res) => {
   }
 
   // Add item to cart
-  await cart.addItem(productId, size.toUpperCase(), qty, product.currentPrice);
+  await cart.addItem(
+    productId,
+    size.toUpperCase(),
+    qty,
+    product.getPriceFor(size.toUpperCase(), color),
+    product.hasVariants ? sizeInfo.color : (listedColor ? listedColor.name : null),
+    product.hasVariants ? sizeInfo.sku : null,
+    product.getPreOrderDetails()
+  );
 
   // Reserve stock
-  await product.reserveStock(size.toUpperCase(), qty);
+  await product.reserveStock(size.toUpperCase(), qty, color);
+
+  res.status(201).json({
+    success: true,
+    message: product.isPreOrder ? 'Item pre-ordered and added to cart' : 'Item added to cart successfully',
+    data: {
+      cart: localizeCart(cart, req.displayCurrency)
+    }
+  });
+});
+
+// Reserve (or, with a negative count, release) stock for `sets` sets of a bundle line
+const adjustBundleStock = async (components, sets) => {
+  if (sets < 0) {
+    for (const component of components) {
+      const product = await Product.findById(component.product._id || component.product);
+      if (product) {
+        await product.releaseStock(component.size, component.quantity * Math.abs(sets), component.color);
+      }
+    }
+    return;
+  }
+
+  // All or nothing: components reserved before one fails are released again
+  const reserved = [];
+  try {
+    for (const component of components) {
+      const product = await Product.findById(component.product._id || component.product);
+      if (!product) continue;
+      await product.reserveStock(component.size, component.quantity * sets, component.color);
+      reserved.push(component);
+    }
+  } catch (error) {
+    await adjustBundleStock(reserved, -sets);
+    if (error.message.startsWith('Insufficient stock')) {
+      throw new AppError(error.message, 409, 'INSUFFICIENT_STOCK');
+    }
+    throw error;
+  }
+};
+
+// @desc    Add a bundle to the cart as one set
+// @route   POST /api/cart/bundles
+// @access  Private
+const addBundleToCart = asyncHandler(async (req, res) => {
+  const { bundleId, selections = [], quantity = 1 } = req.body;
+  const qty = parseInt(quantity);
+
+  const bundle = await Bundle.findOne({ _id: bundleId, isActive: true });
+  if (!bundle) {
+    throw new AppError('Bundle not found or unavailable', 404, 'BUNDLE_NOT_FOUND');
+  }
+
+  const productsById = await bundle.loadProducts();
+  const { lines, issues } = bundle.resolveSelections(selections, productsById);
+  if (issues.length > 0) {
+    throw new AppError(issues[0].message, 400, 'INVALID_BUNDLE_SELECTION', { issues });
+  }
+
+  const setsAvailable = bundle.getSetsAvailable(lines);
+  if (setsAvailable < qty) {
+    throw new AppError(
+      `Insufficient stock for ${bundle.name} in the chosen sizes. Only ${setsAvailable} sets available.`,
+      409,
+      'INSUFFICIENT_STOCK',
+      { availableStock: setsAvailable, requestedQuantity: qty }
+    );
+  }
+
+  let cart = await Cart.findByUser(req.user._id);
+  if (!cart) {
+    cart = new Cart({
+      user: req.user._id,
+      items: []
+    });
+  }
+
+  // Reserve stock on every component before the set goes into the cart
+  const pricing = bundle.getPriceDetails(lines);
+  await adjustBundleStock(pricing.components, qty);
+  try {
+    await cart.addBundle(bundle, pricing, qty);
+  } catch (error) {
+    await adjustBundleStock(pricing.components, -qty);
+    throw error;
+  }
 
   res.status(201).json({
     success: true,
-    message: 'Item added to cart successfully',
+    message: `${bundle.name} added to cart`,
+    data: {
+      cart: localizeCart(cart, req.displayCurrency)
+    }
+  });
+});
+
+// @desc    Change how many sets of a bundle are in the cart (0 removes it)
+// @route   PUT /api/cart/bundles/:lineId
+// @access  Private
+const updateCartBundle = asyncHandler(async (req, res) => {
+  const qty = parseInt(req.body.quantity);
+
+  const cart = await Cart.findByUser(req.user._id);
+  const line = cart ? cart.findBundleLine(req.params.lineId) : null;
+  if (!line) {
+    throw new AppError('Bundle not found in cart', 404, 'CART_BUNDLE_NOT_FOUND');
+  }
+
+  const setsDiff = qty - line.quantity;
+  if (setsDiff > 0) {
+    const unavailable = line.components.find(component => {
+      const product = component.product;
+      return !product || !product.isSizeAvailable(component.size, component.quantity * setsDiff, component.color);
+    });
+    if (unavailable) {
+      throw new AppError(`Insufficient stock for more sets of ${line.name}`, 409, 'INSUFFICIENT_STOCK');
+    }
+  }
+  // Extra sets are reserved before the cart changes; freed sets are released after
+  const components = line.components;
+  if (setsDiff > 0) {
+    await adjustBundleStock(components, setsDiff);
+  }
+
+  if (qty === 0) {
+    line.deleteOne();
+  } else {
+    line.quantity = qty;
+  }
+  try {
+    await cart.save();
+  } catch (error) {
+    if (setsDiff > 0) {
+      await adjustBundleStock(components, -setsDiff);
+    }
+    throw error;
+  }
+
+  if (setsDiff < 0) {
+    await adjustBundleStock(components, setsDiff);
+  }
+
+  res.json({
+    success: true,
+    message: 'Cart bundle updated successfully',
+    data: {
+      cart: localizeCart(cart, req.displayCurrency)
+    }
+  });
+});
+
+// @desc    Remove a bundle from the cart
+// @route   DELETE /api/cart/bundles/:lineId
+// @access  Private
+const removeBundleFromCart = asyncHandler(async (req, res) => {
+  const cart = await Cart.findByUser(req.user._id);
+  const line = cart ? cart.findBundleLine(req.params.lineId) : null;
+  if (!line) {
+    throw new AppError('Bundle not found in cart', 404, 'CART_BUNDLE_NOT_FOUND');
+  }
+
+  // Release reserved stock
+  await adjustBundleStock(line.components, -line.quantity);
+
+  line.deleteOne();
+  await cart.save();
+
+  res.json({
+    success: true,
+    message: 'Bundle removed from cart successfully',
     data: {
-      cart
+      cart: localizeCart(cart, req.displayCurrency)
     }
   });
 });
@@ -101,7 +303,7 @@ const addToCart = asyncHandler(async (req, res) => {
 // @access  Private
 const updateCartItem = async (req, res) => {
   try {
-    const { productId, size, quantity } = req.body;
+    const { productId, size, color, quantity } = req.body;
 
     // Validate required fields
     if (!productId || !size || quantity === undefined) {
@@ -129,9 +331,7 @@ const updateCartItem = async (req, res) => {
     }
 
     // Find existing item in cart
-    const existingItem = cart.items.find(item => 
-      item.product.toString() === productId && item.size === size.toUpperCase()
-    );
+    const existingItem = cart.items[cart.findItemIndex(productId, size.toUpperCase(), color)];
 
     if (!existingItem) {
       return res.status(404).json({
@@ -154,27 +354,27 @@ const updateCartItem = async (req, res) => {
 
     // If increasing quantity, check availability
     if (quantityDiff > 0) {
-      if (!product.isSizeAvailable(size.toUpperCase(), quantityDiff)) {
+      if (!product.isSizeAvailable(size.toUpperCase(), quantityDiff, existingItem.color)) {
         return res.status(400).json({
           success: false,
           error: { message: `Insufficient stock for size ${size.toUpperCase()}` }
         });
       }
       // Reserve additional stock
-      await product.reserveStock(size.toUpperCase(), quantityDiff);
+      await product.reserveStock(size.toUpperCase(), quantityDiff, existingItem.color);
     } else if (quantityDiff < 0) {
       // Release reserved stock
-      await product.releaseStock(size.toUpperCase(), Math.abs(quantityDiff));
+      await product.releaseStock(size.toUpperCase(), Math.abs(quantityDiff), existingItem.color);
     }
 
     // Update cart item
-    await cart.updateItemQuantity(productId, size.toUpperCase(), qty);
+    await cart.updateItemQuantity(productId, size.toUpperCase(), qty, existingItem.color);
 
     res.json({
       success: true,
       message: 'Cart item updated successfully',
       data: {
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -195,11 +395,12 @@ const updateCartItem = async (req, res) => {
 };
 
 // @desc    Remove item from cart
-// @route   DELETE /api/cart/remove/:productId/:size
+// @route   DELETE /api/cart/remove/:productId/:size?color=
 // @access  Private
 const removeFromCart = async (req, res) => {
   try {
     const { productId, size } = req.params;
+    const { color } = req.query;
 
     // Get cart
     const cart = await Cart.findByUser(req.user._id);
@@ -211,9 +412,7 @@ const removeFromCart = async (req, res) => {
     }
 
     // Find existing item in cart
-    const existingItem = cart.items.find(item => 
-      item.product.toString() === productId && item.size === size.toUpperCase()
-    );
+    const existingItem = cart.items[cart.findItemIndex(productId, size.toUpperCase(), color)];
 
     if (!existingItem) {
       return res.status(404).json({
@@ -225,17 +424,17 @@ const removeFromCart = async (req, res) => {
     // Release reserved stock
     const product = await Product.findById(productId);
     if (product) {
-      await product.releaseStock(size.toUpperCase(), existingItem.quantity);
+      await product.releaseStock(size.toUpperCase(), existingItem.quantity, existingItem.color);
     }
 
     // Remove item from cart
-    await cart.removeItem(productId, size.toUpperCase());
+    await cart.removeItem(productId, size.toUpperCase(), existingItem.color);
 
     res.json({
       success: true,
       message: 'Item removed from cart successfully',
       data: {
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -272,9 +471,12 @@ const clearCart = async (req, res) => {
     for (const item of cart.items) {
       const product = await Product.findById(item.product);
       if (product) {
-        await product.releaseStock(item.size, item.quantity);
+        await product.releaseStock(item.size, item.quantity, item.color);
       }
     }
+    for (const line of cart.bundles) {
+      await adjustBundleStock(line.components, -line.quantity);
+    }
 
     // Clear cart
     await cart.clearCart();
@@ -283,7 +485,7 @@ const clearCart = async (req, res) => {
       success: true,
       message: 'Cart cleared successfully',
       data: {
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -317,7 +519,7 @@ const applyCoupon = async (req, res) => {
       });
     }
 
-    if (cart.items.length === 0) {
+    if (cart.items.length === 0 && cart.bundles.length === 0) {
       return res.status(400).json({
         success: false,
         error: { message: 'Cannot apply coupon to empty cart' }
@@ -362,7 +564,7 @@ const applyCoupon = async (req, res) => {
       success: true,
       message: 'Coupon applied successfully',
       data: {
-        cart,
+        cart: localizeCart(cart, req.displayCurrency),
         appliedDiscount: discountAmount
       }
     });
@@ -404,7 +606,7 @@ const removeCoupon = async (req, res) => {
       success: true,
       message: 'Coupon removed successfully',
       data: {
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -459,8 +661,12 @@ const getCartSummary = async (req, res) => {
       });
     }
 
-    // Calculate fresh totals
-    cart.calculateTotals();
+    // Calculate fresh totals at today's prices
+    if (cart.refreshPrices().length > 0) {
+      await cart.save();
+    } else {
+      cart.calculateTotals();
+    }
 
     const summary = {
       itemCount: cart.itemCount,
@@ -473,7 +679,17 @@ const getCartSummary = async (req, res) => {
       currency: cart.currency,
       appliedCoupons: cart.appliedCoupons,
       freeShippingThreshold: 999,
-      freeShippingEligible: cart.totals.subtotal >= 999
+      freeShippingEligible: cart.totals.subtotal >= 999,
+      // Same figures in the shopper's display currency; the cart is charged in `currency`
+      displayCurrency: req.displayCurrency.code,
+      displayTotals: convertAll({
+        subtotal: cart.totals.subtotal,
+        tax: cart.totals.tax,
+        shipping: cart.totals.shipping,
+        discount: cart.totals.discount,
+        total: cart.totals.total,
+        freeShippingThreshold: 999
+      }, req.displayCurrency)
     };
 
     res.json({
@@ -512,7 +728,7 @@ const mergeGuestCart = async (req, res) => {
       success: true,
       message: 'Guest cart merged successfully',
       data: {
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -531,13 +747,13 @@ const validateCart = async (req, res) => {
   try {
     const cart = await Cart.findByUser(req.user._id);
     
-    if (!cart || cart.items.length === 0) {
+    if (!cart || (cart.items.length === 0 && cart.bundles.length === 0)) {
       return res.json({
         success: true,
         data: {
           isValid: true,
           issues: [],
-          cart: cart || { items: [], totals: { total: 0 } }
+          cart: cart ? localizeCart(cart, req.displayCurrency) : { items: [], totals: { total: 0 } }
         }
       });
     }
@@ -560,14 +776,15 @@ const validateCart = async (req, res) => {
       }
 
       // Check if size is still available
-      if (!product.isSizeAvailable(item.size, item.quantity)) {
-        const sizeInfo = product.sizes.find(s => s.size === item.size);
+      if (!product.isSizeAvailable(item.size, item.quantity, item.color)) {
+        const sizeInfo = product.getStockEntry(item.size, item.color);
         const availableStock = sizeInfo ? sizeInfo.stock - sizeInfo.reserved : 0;
         
         issues.push({
           type: 'insufficient_stock',
           productId: item.product,
           size: item.size,
+          color: item.color,
           requestedQuantity: item.quantity,
           availableQuantity: availableStock,
           message: `Only ${availableStock} items available for size ${item.size}`
@@ -580,28 +797,68 @@ const validateCart = async (req, res) => {
         }
       } else {
         // Check if price has changed
-        if (item.price !== product.currentPrice) {
+        const currentPrice = product.getPriceFor(item.size, item.color);
+        if (item.price !== currentPrice) {
           issues.push({
             type: 'price_change',
             productId: item.product,
             size: item.size,
+            color: item.color,
             oldPrice: item.price,
-            newPrice: product.currentPrice,
-            message: `Price has changed from ₹${item.price} to ₹${product.currentPrice}`
+            newPrice: currentPrice,
+            message: `Price has changed from ₹${item.price} to ₹${currentPrice}`
           });
           
           // Update price
-          item.price = product.currentPrice;
+          item.price = currentPrice;
         }
         
         validItems.push(item);
       }
     }
 
+    // Bundles are checked as whole sets; a set that can't be bought is dropped
+    const validBundles = [];
+    const droppedBundles = [];
+    for (const line of cart.bundles) {
+      const { issue, pricing } = await Bundle.checkCartLine(line);
+
+      if (issue) {
+        issues.push({ ...issue, lineId: line._id });
+        droppedBundles.push(line);
+        continue;
+      }
+
+      if (pricing.price !== line.price) {
+        issues.push({
+          type: 'price_change',
+          bundleId: line.bundle._id || line.bundle,
+          lineId: line._id,
+          oldPrice: line.price,
+          newPrice: pricing.price,
+          message: `Price of ${line.name} has changed from ₹${line.price} to ₹${pricing.price}`
+        });
+
+        line.price = pricing.price;
+        line.regularPrice = pricing.regularPrice;
+        pricing.components.forEach((entry, index) => {
+          line.components[index].price = entry.unitPrice;
+        });
+      }
+
+      validBundles.push(line);
+    }
+
     // Update cart with valid items if there were changes
     if (issues.length > 0) {
       cart.items = validItems;
+      cart.bundles = validBundles;
       await cart.save();
+
+      // Dropped sets give their stock back once the cart no longer holds them
+      for (const line of droppedBundles) {
+        await adjustBundleStock(line.components, -line.quantity);
+      }
     }
 
     res.json({
@@ -609,7 +866,7 @@ const validateCart = async (req, res) => {
       data: {
         isValid: issues.length === 0,
         issues,
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -651,7 +908,7 @@ const updateShippingAddress = async (req, res) => {
       success: true,
       message: 'Shipping address updated successfully',
       data: {
-        cart
+        cart: localizeCart(cart, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -668,6 +925,9 @@ module.exports = {
   addToCart,
   updateCartItem,
   removeFromCart,
+  addBundleToCart,
+  updateCartBundle,
+  removeBundleFromCart,
   clearCart,
   applyCoupon,
   removeCoupon,
@@ -0,0 +1,72 @@
+const Collection = require('../models/Collection');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { localizeProducts } = require('../utils/currency');
+
+// Collection fields shown in listings and navigation
+const SUMMARY_FIELDS = 'title slug description heroImage type startsAt endsAt showInNavigation position';
+
+// @desc    Get collections that are live right now
+// @route   GET /api/collections
+// @access  Public
+const getCollections = asyncHandler(async (req, res) => {
+  const query = Collection.liveFilter();
+  if (req.query.navigation === 'true') {
+    query.showInNavigation = true;
+  }
+
+  const collections = await Collection.find(query)
+    .sort({ position: 1, title: 1 })
+    .select(SUMMARY_FIELDS);
+
+  res.json({
+    success: true,
+    data: {
+      collections
+    }
+  });
+});
+
+// @desc    Get a live collection with a page of its products
+// @route   GET /api/collections/:slug
+// @access  Public
+const getCollectionBySlug = asyncHandler(async (req, res) => {
+  const collection = await Collection.findLiveBySlug(req.params.slug);
+  if (!collection) {
+    throw new AppError('Collection not found', 404, 'COLLECTION_NOT_FOUND');
+  }
+
+  const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 24));
+
+  const { products, totalProducts } = await collection.getProductPage({ page: pageNum, limit: limitNum });
+  const totalPages = Math.ceil(totalProducts / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      collection: {
+        _id: collection._id,
+        title: collection.title,
+        slug: collection.slug,
+        description: collection.description,
+        heroImage: collection.heroImage,
+        startsAt: collection.startsAt,
+        endsAt: collection.endsAt
+      },
+      products: localizeProducts(products, req.displayCurrency),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalProducts,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      }
+    }
+  });
+});
+
+module.exports = {
+  getCollections,
+  getCollectionBySlug
+};
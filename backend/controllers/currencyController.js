@@ -0,0 +1,31 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/currency');
+
+// @desc    Get the currencies prices can be shown in, with their rates
+// @route   GET /api/currencies
+// @access  Public
+const getCurrencies = asyncHandler(async (req, res) => {
+  const rates = await ExchangeRate.getRates();
+
+  const currencies = Object.keys(CURRENCIES)
+    .filter(code => rates[code])
+    .map(code => ({
+      code,
+      symbol: CURRENCIES[code].symbol,
+      name: CURRENCIES[code].name,
+      rate: rates[code]
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      baseCurrency: BASE_CURRENCY,
+      currencies
+    }
+  });
+});
+
+module.exports = {
+  getCurrencies
+};
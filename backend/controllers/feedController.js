@@ -0,0 +1,36 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getSitemap, getProductFeed } = require('../utils/catalogFeeds');
+
+const FEED_CONTENT_TYPES = {
+  xml: 'application/xml; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+// Crawlers may keep a copy for an hour; the content itself is rebuilt on catalog changes
+const sendFeed = (res, feed, contentType) => {
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': 'public, max-age=3600',
+    'Last-Modified': new Date(feed.builtAt).toUTCString()
+  });
+  res.send(feed.content);
+};
+
+// @desc    Sitemap of the storefront: home, product listing, categories, collections, bundles and products
+// @route   GET /sitemap.xml
+// @access  Public
+const getSitemapXml = asyncHandler(async (req, res) => {
+  sendFeed(res, await getSitemap(), FEED_CONTENT_TYPES.xml);
+});
+
+// @desc    Google Merchant-style product feed, one item per size or color/size variant
+// @route   GET /feeds/products.xml, GET /feeds/products.csv
+// @access  Public
+const getProductFeedFile = (format) => asyncHandler(async (req, res) => {
+  sendFeed(res, await getProductFeed(format), FEED_CONTENT_TYPES[format]);
+});
+
+module.exports = {
+  getSitemapXml,
+  getProductFeedFile
+};
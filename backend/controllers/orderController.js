@@ -1,7 +1,25 @@
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
 const User = require('../models/User');
+const { BASE_CURRENCY, convertAll } = require('../utils/currency');
+
+// Product details copied onto an order line, preferring the color's own images
+const buildProductSnapshot = (product, color) => {
+  const colorInfo = color
+    ? product.colors.find(c => c.name.toLowerCase() === color.toLowerCase())
+    : null;
+  const snapshotImages = colorInfo?.images?.length > 0 ? colorInfo.images : product.images;
+
+  return {
+    name: product.name,
+    description: product.shortDescription || product.description,
+    brand: product.brand,
+    category: product.category,
+    images: snapshotImages.slice(0, 2) // Keep first 2 images
+  };
+};
 
 // @desc    Calculate order total
 // @route   POST /api/orders/calculate-total
@@ -12,7 +30,7 @@ const calculateOrderTotal = async (req, res) => {
 
     // Get user's cart
     const cart = await Cart.findByUser(req.user._id);
-    if (!cart || cart.items.length === 0) {
+    if (!cart || (cart.items.length === 0 && cart.bundles.length === 0)) {
       return res.status(400).json({
         success: false,
         error: { message: 'Cart is empty' }
@@ -21,6 +39,7 @@ const calculateOrderTotal = async (req, res) => {
 
     // Validate cart items and check availability
     const validationIssues = [];
+    const preOrderItems = [];
     let subtotal = 0;
 
     for (const item of cart.items) {
@@ -35,18 +54,40 @@ const calculateOrderTotal = async (req, res) => {
         continue;
       }
 
-      if (!product.isSizeAvailable(item.size, item.quantity)) {
+      if (!product.isSizeAvailable(item.size, item.quantity, item.color)) {
         validationIssues.push({
           type: 'insufficient_stock',
           productId: item.product,
           size: item.size,
-          message: `Insufficient stock for ${product.name} - Size ${item.size}`
+          color: item.color,
+          message: `Insufficient stock for ${product.name} - Size ${item.size}${item.color ? ` / ${item.color}` : ''}`
         });
         continue;
       }
 
+      if (product.isPreOrder) {
+        preOrderItems.push({
+          productId: product._id,
+          name: product.name,
+          size: item.size,
+          color: item.color,
+          quantity: item.quantity,
+          expectedShipDate: product.availability.restockDate || null
+        });
+      }
+
       // Use current product price
-      subtotal += product.currentPrice * item.quantity;
+      subtotal += product.getPriceFor(item.size, item.color) * item.quantity;
+    }
+
+    // Bundles are priced and stock-checked as whole sets
+    for (const line of cart.bundles) {
+      const { issue, pricing } = await Bundle.checkCartLine(line);
+      if (issue) {
+        validationIssues.push(issue);
+        continue;
+      }
+      subtotal += pricing.price * line.quantity;
     }
 
     if (validationIssues.length > 0) {
@@ -96,10 +137,16 @@ const calculateOrderTotal = async (req, res) => {
       shipping,
       discount: totalDiscount,
       total,
-      currency: 'INR',
+      currency: BASE_CURRENCY,
+      // Same figures in the shopper's display currency; the order is charged in `currency`
+      displayCurrency: req.displayCurrency.code,
+      exchangeRate: req.displayCurrency.rate,
+      displayTotals: convertAll({ subtotal, tax, shipping, discount: totalDiscount, total }, req.displayCurrency),
       itemCount: cart.itemCount,
       appliedCoupons,
-      freeShippingEligible: subtotal >= freeShippingThreshold
+      freeShippingEligible: subtotal >= freeShippingThreshold,
+      // Shipped separately from the rest of the order
+      preOrderItems
     };
 
     res.json({
@@ -140,7 +187,7 @@ const createOrder = async (req, res) => {
 
     // Get user's cart
     const cart = await Cart.findByUser(req.user._id);
-    if (!cart || cart.items.length === 0) {
+    if (!cart || (cart.items.length === 0 && cart.bundles.length === 0)) {
       return res.status(400).json({
         success: false,
         error: { message: 'Cart is empty' }
@@ -161,30 +208,69 @@ const createOrder = async (req, res) => {
         });
       }
 
-      if (!product.isSizeAvailable(cartItem.size, cartItem.quantity)) {
+      if (!product.isSizeAvailable(cartItem.size, cartItem.quantity, cartItem.color)) {
         return res.status(400).json({
           success: false,
-          error: { message: `Insufficient stock for ${product.name} - Size ${cartItem.size}` }
+          error: { message: `Insufficient stock for ${product.name} - Size ${cartItem.size}${cartItem.color ? ` / ${cartItem.color}` : ''}` }
         });
       }
 
+      const variant = product.findVariant(cartItem.color, cartItem.size);
+      const { price: itemPrice, originalPrice, priceEvent } = product.getPriceDetails(cartItem.size, cartItem.color);
+
       // Create order item with product snapshot
       const orderItem = {
         product: product._id,
-        productSnapshot: {
-          name: product.name,
-          description: product.shortDescription || product.description,
-          brand: product.brand,
-          category: product.category,
-          images: product.images.slice(0, 2) // Keep first 2 images
-        },
+        productSnapshot: buildProductSnapshot(product, cartItem.color),
         size: cartItem.size,
+        color: cartItem.color,
+        sku: variant ? variant.sku : cartItem.sku,
         quantity: cartItem.quantity,
-        price: product.currentPrice
+        price: itemPrice,
+        ...(priceEvent ? {
+          originalPrice,
+          priceEvent: { event: priceEvent.event, name: priceEvent.name }
+        } : {}),
+        ...product.getPreOrderDetails()
       };
 
       orderItems.push(orderItem);
-      subtotal += product.currentPrice * cartItem.quantity;
+      subtotal += itemPrice * cartItem.quantity;
+    }
+
+    // Each bundle set expands into one line per component, carrying its
+    // share of the set price and its price bought separately
+    for (const line of cart.bundles) {
+      const { issue, pricing } = await Bundle.checkCartLine(line);
+      if (issue) {
+        return res.status(400).json({
+          success: false,
+          error: { message: issue.message }
+        });
+      }
+
+      for (const component of pricing.components) {
+        const { product } = component;
+        const quantity = component.quantity * line.quantity;
+
+        orderItems.push({
+          product: product._id,
+          productSnapshot: buildProductSnapshot(product, component.color),
+          size: component.size,
+          color: component.color || undefined,
+          sku: component.sku || undefined,
+          quantity,
+          price: component.unitPrice,
+          originalPrice: component.originalPrice,
+          bundle: {
+            bundle: line.bundle._id || line.bundle,
+            name: line.name,
+            line: line._id
+          },
+          ...product.getPreOrderDetails()
+        });
+        subtotal += component.unitPrice * quantity;
+      }
     }
 
     // Calculate totals
@@ -238,16 +324,47 @@ const createOrder = async (req, res) => {
         status: 'pending'
       },
       appliedCoupons,
-      customerNotes: customerNotes || ''
+      customerNotes: customerNotes || '',
+      // Settled in the base currency; keep what the shopper was shown
+      currency: BASE_CURRENCY,
+      displayCurrency: {
+        currency: req.displayCurrency.code,
+        rate: req.displayCurrency.rate,
+        total: convertAll({ total }, req.displayCurrency).total,
+        capturedAt: new Date()
+      }
     });
 
-    await order.save();
+    // Bundle components are reserved before the order is saved, all or
+    // nothing, so a set is never left partly reserved
+    const reservedComponents = [];
+    try {
+      for (const orderItem of orderItems.filter(item => item.bundle)) {
+        const product = await Product.findById(orderItem.product);
+        if (product) {
+          await product.reserveStock(orderItem.size, orderItem.quantity, orderItem.color);
+          reservedComponents.push({ product, item: orderItem });
+        }
+      }
+      await order.save();
+    } catch (error) {
+      for (const { product, item } of reservedComponents) {
+        await product.releaseStock(item.size, item.quantity, item.color);
+      }
+      if (error.message.startsWith('Insufficient stock')) {
+        return res.status(409).json({
+          success: false,
+          error: { message: error.message }
+        });
+      }
+      throw error;
+    }
 
-    // Reserve stock for all items
+    // Reserve stock for the individual items
     for (const cartItem of cart.items) {
       const product = await Product.findById(cartItem.product);
       if (product) {
-        await product.reserveStock(cartItem.size, cartItem.quantity);
+        await product.reserveStock(cartItem.size, cartItem.quantity, cartItem.color);
       }
     }
 
@@ -261,6 +378,8 @@ const createOrder = async (req, res) => {
           status: order.status,
           total: order.pricing.total,
           currency: order.currency,
+          displayCurrency: order.displayCurrency,
+          hasPreOrderItems: order.hasPreOrderItems,
           createdAt: order.createdAt
         }
       }
@@ -426,7 +545,7 @@ const cancelOrder = async (req, res) => {
     for (const item of order.items) {
       const product = await Product.findById(item.product);
       if (product) {
-        await product.releaseStock(item.size, item.quantity);
+        await product.releaseStock(item.size, item.quantity, item.color);
       }
     }
 
@@ -0,0 +1,49 @@
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Also used by the product endpoints to show the reference price next to discounts
+const getLowestPriorPrice = async (product) => {
+  if (product.discountPercentage === 0) return null;
+  return PriceHistory.getLowestPriorPrice(product._id, product.currentPrice);
+};
+
+// @desc    Get a product's price timeline and lowest price in the last 30 days
+// @route   GET /api/products/:id/price-history
+// @access  Public
+const getPriceHistory = asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 90;
+
+  const product = await Product.findOne({ _id: req.params.id, isActive: true }).select('name price');
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const [entries, lowestPrice] = await Promise.all([
+    PriceHistory.getTimeline(product._id, days),
+    PriceHistory.getLowestPriorPrice(product._id, product.currentPrice)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      productName: product.name,
+      currentPrice: product.currentPrice,
+      originalPrice: product.price.original,
+      lowestPrice,
+      timeline: entries.map(entry => ({
+        price: entry.price,
+        original: entry.original,
+        discounted: entry.discounted,
+        priceEvent: entry.priceEvent?.name || null,
+        recordedAt: entry.recordedAt
+      })),
+      days
+    }
+  });
+});
+
+module.exports = {
+  getLowestPriorPrice,
+  getPriceHistory
+};
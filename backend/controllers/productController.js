@@ -1,4 +1,16 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchEvent = require('../models/SearchEvent');
+const RecentlyViewed = require('../models/RecentlyViewed');
+const { buildProductFilters, combineFilters, buildSortOptions } = require('../utils/productFilters');
+const { wantsCursor, findPage } = require('../utils/cursorPagination');
+const { getShopper } = require('../utils/shopper');
+const { getTopQuestions } = require('./questionController');
+const { getLowestPriorPrice } = require('./priceHistoryController');
+const { localizeProduct, localizeProducts } = require('../utils/currency');
+const { buildProductJsonLd } = require('../utils/structuredData');
+const { parseWindowDays, parseLimit } = require('../utils/queryParams');
 
 // @desc    Get all products with pagination and filtering
 // @route   GET /api/products
@@ -8,116 +20,80 @@ const getProducts = async (req, res) => {
     const {
       page = 1,
       limit = 12,
-      category,
-      subcategory,
-      brand,
-      minPrice,
-      maxPrice,
-      size,
-      color,
-      availability,
-      featured,
       sort = 'createdAt',
-      order = 'desc'
+      order = 'desc',
+      facets: includeFacets = 'true'
     } = req.query;
 
-    // Build query object
-    const query = { isActive: true };
-
-    // Category filtering
-    if (category) {
-      query.category = category.toLowerCase();
-    }
-    if (subcategory) {
-      query.subcategory = subcategory.toLowerCase();
-    }
-
-    // Brand filtering
-    if (brand) {
-      query.brand = new RegExp(brand, 'i');
-    }
-
-    // Price filtering
-    if (minPrice || maxPrice) {
-      query['price.original'] = {};
-      if (minPrice) query['price.original'].$gte = parseFloat(minPrice);
-      if (maxPrice) query['price.original'].$lte = parseFloat(maxPrice);
-    }
-
-    // Size filtering
-    if (size) {
-      query['sizes.size'] = size.toUpperCase();
-    }
-
-    // Color filtering
-    if (color) {
-      query['colors.name'] = new RegExp(color, 'i');
-    }
-
-    // Availability filtering
-    if (availability) {
-      query['availability.status'] = availability;
-    }
-
-    // Featured products
-    if (featured === 'true') {
-      query.isFeatured = true;
-    }
+    // Category, subcategory, brand, size, color and availability accept
+    // comma-separated lists; minPrice/maxPrice and minDiscount are ranges
+    const filters = buildProductFilters(req.query);
+    const query = combineFilters(filters);
 
-    // Sorting options
-    const sortOptions = {};
-    const validSortFields = ['createdAt', 'price.original', 'name', 'ratings.average'];
-    const sortField = validSortFields.includes(sort) ? sort : 'createdAt';
-    const sortOrder = order === 'asc' ? 1 : -1;
-    sortOptions[sortField] = sortOrder;
+    // Sorting options (price sorts use the selling price)
+    const sortOptions = buildSortOptions(sort, order);
 
-    // Calculate pagination
-    const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Execute query with pagination
-    const products = await Product.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum)
-      .select('-__v');
-
-    // Get total count for pagination
-    const totalProducts = await Product.countDocuments(query);
-    const totalPages = Math.ceil(totalProducts / limitNum);
-
-    // Get available filters for the current query
-    const availableCategories = await Product.distinct('category', { isActive: true });
-    const availableBrands = await Product.distinct('brand', { isActive: true });
-    const priceRange = await Product.aggregate([
-      { $match: { isActive: true } },
-      {
-        $group: {
-          _id: null,
-          minPrice: { $min: '$price.original' },
-          maxPrice: { $max: '$price.original' }
-        }
+    let products;
+    let pagination;
+
+    if (wantsCursor(req.query)) {
+      // Cursor pages stay stable while products are added and need no count
+      const result = await findPage(Product, query, sortOptions, {
+        cursor: req.query.cursor,
+        limit: limitNum
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: { message: result.error }
+        });
       }
-    ]);
+      ({ items: products, pagination } = result);
+    } else {
+      // Calculate pagination
+      const pageNum = parseInt(page);
+      const skip = (pageNum - 1) * limitNum;
+
+      // Execute query with pagination
+      products = await Product.find(query)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .select('-__v');
+
+      // Get total count for pagination
+      const totalProducts = await Product.countDocuments(query);
+      const totalPages = Math.ceil(totalProducts / limitNum);
+
+      pagination = {
+        currentPage: pageNum,
+        totalPages,
+        totalProducts,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      };
+    }
+
+    // Facet counts reflect the filters already applied; later cursor pages reuse the first page's
+    const facets = includeFacets === 'false' || req.query.cursor
+      ? null
+      : await Product.getFacets(filters);
 
     res.json({
       success: true,
       data: {
-        products,
-        pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalProducts,
-          hasNextPage: pageNum < totalPages,
-          hasPrevPage: pageNum > 1,
-          limit: limitNum
-        },
-        filters: {
-          categories: availableCategories,
-          brands: availableBrands,
-          priceRange: priceRange[0] || { minPrice: 0, maxPrice: 0 }
-        }
+        products: localizeProducts(products, req.displayCurrency),
+        pagination,
+        facets,
+        filters: facets
+          ? {
+            categories: facets.category.map(option => option.value),
+            brands: facets.brand.map(option => option.value),
+            priceRange: { minPrice: facets.priceRange.min, maxPrice: facets.priceRange.max }
+          }
+          : undefined
       }
     });
   } catch (error) {
@@ -146,11 +122,14 @@ const getProductsByCategory = async (req, res) => {
       order = 'desc'
     } = req.query;
 
-    // Build query
-    const query = {
-      category: category.toLowerCase(),
-      isActive: true
-    };
+    // Subcategory slugs list everything filed below them too
+    const node = await Category.findBySlug(category);
+    const query = { isActive: true };
+    if (node && node.parent) {
+      query.subcategory = { $in: await Category.getDescendantSlugs(node.slug) };
+    } else {
+      query.category = category.toLowerCase();
+    }
 
     if (subcategory) {
       query.subcategory = subcategory.toLowerCase();
@@ -159,32 +138,56 @@ const getProductsByCategory = async (req, res) => {
       query.brand = new RegExp(brand, 'i');
     }
     if (minPrice || maxPrice) {
-      query['price.original'] = {};
-      if (minPrice) query['price.original'].$gte = parseFloat(minPrice);
-      if (maxPrice) query['price.original'].$lte = parseFloat(maxPrice);
+      query['price.effective'] = {};
+      if (minPrice) query['price.effective'].$gte = parseFloat(minPrice);
+      if (maxPrice) query['price.effective'].$lte = parseFloat(maxPrice);
     }
 
     // Sorting
-    const sortOptions = {};
-    const sortField = ['createdAt', 'price.original', 'name', 'ratings.average'].includes(sort) ? sort : 'createdAt';
-    sortOptions[sortField] = order === 'asc' ? 1 : -1;
+    const sortOptions = buildSortOptions(sort, order);
 
-    // Pagination
-    const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+    let products;
+    let pagination;
 
-    const products = await Product.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum)
-      .select('-__v');
-
-    const totalProducts = await Product.countDocuments(query);
-    const totalPages = Math.ceil(totalProducts / limitNum);
+    if (wantsCursor(req.query)) {
+      const result = await findPage(Product, query, sortOptions, {
+        cursor: req.query.cursor,
+        limit: limitNum
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: { message: result.error }
+        });
+      }
+      ({ items: products, pagination } = result);
+    } else {
+      // Pagination
+      const pageNum = parseInt(page);
+      const skip = (pageNum - 1) * limitNum;
+
+      products = await Product.find(query)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .select('-__v');
+
+      const totalProducts = await Product.countDocuments(query);
+      const totalPages = Math.ceil(totalProducts / limitNum);
+
+      pagination = {
+        currentPage: pageNum,
+        totalPages,
+        totalProducts,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      };
+    }
 
     // Get subcategories for this category
-    const subcategories = await Product.distinct('subcategory', {
+    const subcategories = node && node.parent ? [] : await Product.distinct('subcategory', {
       category: category.toLowerCase(),
       isActive: true
     });
@@ -192,17 +195,19 @@ const getProductsByCategory = async (req, res) => {
     res.json({
       success: true,
       data: {
-        products,
+        products: localizeProducts(products, req.displayCurrency),
         category,
+        // Display name and the path from the top-level category, for breadcrumbs
+        categoryInfo: node ? {
+          name: node.name,
+          slug: node.slug,
+          description: node.description,
+          image: node.image,
+          seo: node.seo,
+          path: node.path.map(entry => ({ name: entry.name, slug: entry.slug }))
+        } : null,
         subcategories: subcategories.filter(sub => sub), // Remove null/empty values
-        pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalProducts,
-          hasNextPage: pageNum < totalPages,
-          hasPrevPage: pageNum > 1,
-          limit: limitNum
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -233,7 +238,7 @@ const getFeaturedProducts = async (req, res) => {
     res.json({
       success: true,
       data: {
-        products
+        products: localizeProducts(products, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -263,7 +268,7 @@ const getNewArrivals = async (req, res) => {
     res.json({
       success: true,
       data: {
-        products
+        products: localizeProducts(products, req.displayCurrency)
       }
     });
   } catch (error) {
@@ -275,31 +280,20 @@ const getNewArrivals = async (req, res) => {
   }
 };
 
-// @desc    Get product categories with counts
+// @desc    Get the category tree with product counts
 // @route   GET /api/products/categories
 // @access  Public
 const getCategories = async (req, res) => {
   try {
-    const categories = await Product.aggregate([
-      { $match: { isActive: true } },
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 },
-          subcategories: { $addToSet: '$subcategory' }
-        }
-      },
-      { $sort: { _id: 1 } }
+    const [categories, counts] = await Promise.all([
+      Category.getAll(),
+      Category.getProductCounts()
     ]);
 
     res.json({
       success: true,
       data: {
-        categories: categories.map(cat => ({
-          name: cat._id,
-          count: cat.count,
-          subcategories: cat.subcategories.filter(sub => sub) // Remove null values
-        }))
+        categories: Category.buildTree(categories, counts)
       }
     });
   } catch (error) {
@@ -365,8 +359,6 @@ const searchProducts = async (req, res) => {
       limit = 12,
       category,
       brand,
-      minPrice,
-      maxPrice,
       sort = 'relevance',
       order = 'desc'
     } = req.query;
@@ -378,84 +370,90 @@ const searchProducts = async (req, res) => {
       });
     }
 
-    // Build search query
-    const searchQuery = {
-      $text: { $search: searchTerm.trim() },
-      isActive: true
-    };
-
-    // Add filters
-    if (category) {
-      searchQuery.category = category.toLowerCase();
-    }
-    if (brand) {
-      searchQuery.brand = new RegExp(brand, 'i');
-    }
-    if (minPrice || maxPrice) {
-      searchQuery['price.original'] = {};
-      if (minPrice) searchQuery['price.original'].$gte = parseFloat(minPrice);
-      if (maxPrice) searchQuery['price.original'].$lte = parseFloat(maxPrice);
-    }
+    // Category, brand, size, color, availability, price and discount filters
+    // work the same way as on the listing
+    const filters = combineFilters(buildProductFilters(req.query));
 
     // Sorting options
-    let sortOptions = {};
-    if (sort === 'relevance') {
-      sortOptions = { score: { $meta: 'textScore' } };
-    } else {
-      const validSortFields = ['createdAt', 'price.original', 'name', 'ratings.average'];
-      const sortField = validSortFields.includes(sort) ? sort : 'createdAt';
-      const sortOrder = order === 'asc' ? 1 : -1;
-      sortOptions[sortField] = sortOrder;
-    }
+    const sortOptions = sort === 'relevance' ? 'relevance' : buildSortOptions(sort, order);
 
     // Pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
+    const { cursor } = req.query;
 
-    // Execute search query
-    let query = Product.find(searchQuery);
-    
-    if (sort === 'relevance') {
-      query = query.select({ score: { $meta: 'textScore' } });
+    // Typo-tolerant search with synonyms and plural stemming
+    const {
+      error: cursorError,
+      products,
+      totalProducts,
+      correctedTerm,
+      didYouMean,
+      cursorPagination
+    } = await Product.searchProducts(searchTerm, {
+      filters,
+      sort: sortOptions,
+      skip,
+      limit: limitNum,
+      paginate: wantsCursor(req.query) ? 'cursor' : 'offset',
+      cursor
+    });
+
+    if (cursorError) {
+      return res.status(400).json({
+        success: false,
+        error: { message: cursorError }
+      });
     }
 
-    const products = await query
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum)
-      .select('-__v');
+    let pagination = cursorPagination;
+    if (!pagination) {
+      const totalPages = Math.ceil(totalProducts / limitNum);
+      pagination = {
+        currentPage: pageNum,
+        totalPages,
+        totalProducts,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      };
+    }
 
-    // Get total count
-    const totalProducts = await Product.countDocuments(searchQuery);
-    const totalPages = Math.ceil(totalProducts / limitNum);
+    // Recorded in the background; the id lets the storefront report a click later.
+    // Follow-up cursor pages are not new searches, so they are not recorded.
+    const searchId = cursor ? null : new mongoose.Types.ObjectId();
+    if (searchId) {
+      SearchEvent.record({
+        _id: searchId,
+        term: searchTerm,
+        source: 'search',
+        resultCount: totalProducts,
+        page: pageNum,
+        filters: { category, brand },
+        ...getShopper(req)
+      });
+    }
 
-    // Get search suggestions (similar products)
-    const suggestions = await Product.find({
-      $text: { $search: searchTerm.trim() },
-      isActive: true
-    })
-      .select('name category brand')
-      .limit(5);
+    // Suggestions (similar products) come from the best matches
+    const suggestions = products.slice(0, 5);
 
     res.json({
       success: true,
       data: {
-        products,
+        products: localizeProducts(products, req.displayCurrency),
         searchTerm,
+        searchId,
+        // Set when a misspelt word was corrected to find these results
+        correctedTerm,
+        // Only set when nothing matched and a closer spelling would
+        didYouMean,
         suggestions: suggestions.map(p => ({
           name: p.name,
           category: p.category,
           brand: p.brand
         })),
-        pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalProducts,
-          hasNextPage: pageNum < totalPages,
-          hasPrevPage: pageNum > 1,
-          limit: limitNum
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -532,10 +530,19 @@ const getSearchSuggestions = async (req, res) => {
       }
     });
 
+    const limitedSuggestions = suggestions.slice(0, parseInt(limit));
+
+    SearchEvent.record({
+      term: searchTerm,
+      source: 'suggestions',
+      resultCount: limitedSuggestions.length,
+      ...getShopper(req)
+    });
+
     res.json({
       success: true,
       data: {
-        suggestions: suggestions.slice(0, parseInt(limit))
+        suggestions: limitedSuggestions
       }
     });
   } catch (error) {
@@ -552,31 +559,50 @@ const getSearchSuggestions = async (req, res) => {
 // @access  Public
 const getPopularSearchTerms = async (req, res) => {
   try {
-    // This would typically come from a search analytics collection
-    // For now, we'll return popular categories and brands
-    const popularCategories = await Product.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$category', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 5 }
-    ]);
+    const days = parseWindowDays(req.query.days, 30);
+    const trendingDays = parseWindowDays(req.query.trendingDays, 7);
+    const limit = parseLimit(req.query.limit, 10, 50);
 
-    const popularBrands = await Product.aggregate([
-      { $match: { isActive: true } },
-      { $group: { _id: '$brand', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 5 }
+    const [popular, trending] = await Promise.all([
+      SearchEvent.getPopularTerms({ days, limit }),
+      SearchEvent.getTrendingTerms({ days: trendingDays, limit })
     ]);
 
-    const popularTerms = [
-      ...popularCategories.map(cat => ({ term: cat._id, type: 'category' })),
-      ...popularBrands.map(brand => ({ term: brand._id, type: 'brand' }))
-    ];
+    let popularTerms = popular.map(entry => ({ term: entry.term, type: 'search', count: entry.count }));
+
+    // Until enough searches have been recorded, fall back to the biggest categories and brands
+    if (popularTerms.length === 0) {
+      const [popularCategories, popularBrands] = await Promise.all([
+        Product.aggregate([
+          { $match: { isActive: true } },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 5 }
+        ]),
+        Product.aggregate([
+          { $match: { isActive: true } },
+          { $group: { _id: '$brand', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 5 }
+        ])
+      ]);
+
+      popularTerms = [
+        ...popularCategories.map(cat => ({ term: cat._id, type: 'category' })),
+        ...popularBrands.map(brand => ({ term: brand._id, type: 'brand' }))
+      ].slice(0, limit);
+    }
 
     res.json({
       success: true,
       data: {
-        popularTerms: popularTerms.slice(0, 10)
+        popularTerms,
+        trendingTerms: trending.map(entry => ({
+          term: entry.term,
+          count: entry.count,
+          growth: entry.growth
+        })),
+        window: { days, trendingDays }
       }
     });
   } catch (error) {
@@ -588,6 +614,34 @@ const getPopularSearchTerms = async (req, res) => {
   }
 };
 
+// @desc    Record which product a shopper opened from a search
+// @route   POST /api/products/search/click
+// @access  Public
+const recordSearchClick = async (req, res) => {
+  try {
+    const { searchId, productId } = req.body;
+
+    // Only the first click per search is kept, so click-through stays a per-search rate
+    const result = await SearchEvent.updateOne(
+      { _id: searchId, clickedProduct: { $exists: false } },
+      { $set: { clickedProduct: productId, clickedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        recorded: result.modifiedCount > 0
+      }
+    });
+  } catch (error) {
+    console.error('Record search click error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Server error while recording search click' }
+    });
+  }
+};
+
 module.exports = {
   getProducts,
   getProductsByCategory,
@@ -597,7 +651,8 @@ module.exports = {
   getBrands,
   searchProducts,
   getSearchSuggestions,
-  getPopularSearchTerms
+  getPopularSearchTerms,
+  recordSearchClick
 };
 
 // @desc    Get single product by ID
@@ -619,6 +674,9 @@ const getProductById = async (req, res) => {
       });
     }
 
+    // Remember the view for "recently viewed" (in the background)
+    RecentlyViewed.recordView(getShopper(req), product._id);
+
     // Get related products (same category, different product)
     const relatedProducts = await Product.find({
       category: product.category,
@@ -629,20 +687,31 @@ const getProductById = async (req, res) => {
       .select('name price images category brand ratings availability');
 
     // Get size availability
-    const sizeAvailability = product.sizes.map(size => ({
-      size: size.size,
-      available: (size.stock - size.reserved) > 0,
-      stock: size.stock - size.reserved
-    }));
+    const sizeAvailability = product.getSizeAvailability();
+
+    // Most useful answered customer questions, the reference price for
+    // discounts, and the category path for the page's JSON-LD
+    const [topQuestions, lowestPrice30Days, categoryNode] = await Promise.all([
+      getTopQuestions(product._id),
+      getLowestPriorPrice(product),
+      Category.findBySlug(product.subcategory || product.category)
+    ]);
 
     res.json({
       success: true,
       data: {
-        product: {
+        product: localizeProduct({
           ...product.toObject(),
-          sizeAvailability
-        },
-        relatedProducts
+          sizeAvailability,
+          variantAvailability: product.getVariantAvailability(),
+          lowestPrice30Days
+        }, req.displayCurrency),
+        relatedProducts: localizeProducts(relatedProducts, req.displayCurrency),
+        topQuestions,
+        // schema.org Product JSON-LD for a <script type="application/ld+json"> tag
+        structuredData: buildProductJsonLd(product, {
+          categoryPath: categoryNode ? categoryNode.path.map(entry => entry.name) : null
+        })
       }
     });
   } catch (error) {
@@ -681,6 +750,9 @@ const getProductBySlug = async (req, res) => {
       });
     }
 
+    // Remember the view for "recently viewed" (in the background)
+    RecentlyViewed.recordView(getShopper(req), product._id);
+
     // Get related products
     const relatedProducts = await Product.find({
       category: product.category,
@@ -691,20 +763,31 @@ const getProductBySlug = async (req, res) => {
       .select('name price images category brand ratings availability seo.slug');
 
     // Get size availability
-    const sizeAvailability = product.sizes.map(size => ({
-      size: size.size,
-      available: (size.stock - size.reserved) > 0,
-      stock: size.stock - size.reserved
-    }));
+    const sizeAvailability = product.getSizeAvailability();
+
+    // Most useful answered customer questions, the reference price for
+    // discounts, and the category path for the page's JSON-LD
+    const [topQuestions, lowestPrice30Days, categoryNode] = await Promise.all([
+      getTopQuestions(product._id),
+      getLowestPriorPrice(product),
+      Category.findBySlug(product.subcategory || product.category)
+    ]);
 
     res.json({
       success: true,
       data: {
-        product: {
+        product: localizeProduct({
           ...product.toObject(),
-          sizeAvailability
-        },
-        relatedProducts
+          sizeAvailability,
+          variantAvailability: product.getVariantAvailability(),
+          lowestPrice30Days
+        }, req.displayCurrency),
+        relatedProducts: localizeProducts(relatedProducts, req.displayCurrency),
+        topQuestions,
+        // schema.org Product JSON-LD for a <script type="application/ld+json"> tag
+        structuredData: buildProductJsonLd(product, {
+          categoryPath: categoryNode ? categoryNode.path.map(entry => entry.name) : null
+        })
       }
     });
   } catch (error) {
@@ -722,12 +805,12 @@ const getProductBySlug = async (req, res) => {
 const checkProductAvailability = async (req, res) => {
   try {
     const { id } = req.params;
-    const { size, quantity = 1 } = req.query;
+    const { size, color, quantity = 1 } = req.query;
 
     const product = await Product.findOne({
       _id: id,
       isActive: true
-    }).select('sizes availability name');
+    }).select('sizes variants colors availability name price');
 
     if (!product) {
       return res.status(404).json({
@@ -741,16 +824,30 @@ const checkProductAvailability = async (req, res) => {
       status: product.availability.status
     };
 
+    if (product.isPreOrder) {
+      availability.preOrder = {
+        expectedShipDate: product.availability.restockDate || null,
+        remaining: product.preOrderRemaining
+      };
+    }
+
     if (size) {
-      const sizeInfo = product.sizes.find(s => s.size === size.toUpperCase());
+      if (product.hasVariants && !color) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'Color is required for this product' }
+        });
+      }
+
+      const sizeInfo = product.getStockEntry(size.toUpperCase(), color);
       if (!sizeInfo) {
         return res.status(400).json({
           success: false,
-          error: { message: 'Invalid size for this product' }
+          error: { message: product.hasVariants ? 'Invalid color or size for this product' : 'Invalid size for this product' }
         });
       }
 
-      const availableStock = sizeInfo.stock - sizeInfo.reserved;
+      const availableStock = product.getSellableQuantity(sizeInfo);
       availability = {
         ...availability,
         size: size.toUpperCase(),
@@ -758,13 +855,22 @@ const checkProductAvailability = async (req, res) => {
         stock: availableStock,
         requestedQuantity: parseInt(quantity)
       };
+
+      if (product.hasVariants) {
+        availability.color = sizeInfo.color;
+        availability.sku = sizeInfo.sku;
+        availability.price = product.getPriceFor(sizeInfo.size, sizeInfo.color);
+      }
     } else {
       // Return availability for all sizes
-      availability.sizes = product.sizes.map(size => ({
-        size: size.size,
-        available: (size.stock - size.reserved) > 0,
-        stock: size.stock - size.reserved
-      }));
+      availability.sizes = product.getSizeAvailability();
+
+      if (product.hasVariants) {
+        const variants = product.getVariantAvailability();
+        availability.variants = color
+          ? variants.filter(v => v.color.toLowerCase() === color.toLowerCase())
+          : variants;
+      }
     }
 
     res.json({
@@ -791,62 +897,6 @@ const checkProductAvailability = async (req, res) => {
   }
 };
 
-// @desc    Get product reviews/ratings summary
-// @route   GET /api/products/:id/reviews
-// @access  Public
-const getProductReviews = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const product = await Product.findOne({
-      _id: id,
-      isActive: true
-    }).select('name ratings');
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: { message: 'Product not found' }
-      });
-    }
-
-    // This would typically fetch from a separate Reviews collection
-    // For now, return the summary from the product
-    res.json({
-      success: true,
-      data: {
-        productName: product.name,
-        ratings: {
-          average: product.ratings.average,
-          count: product.ratings.count,
-          distribution: {
-            5: 0, // These would come from actual review data
-            4: 0,
-            3: 0,
-            2: 0,
-            1: 0
-          }
-        },
-        reviews: [] // This would contain actual review objects
-      }
-    });
-  } catch (error) {
-    console.error('Get product reviews error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        error: { message: 'Invalid product ID format' }
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      error: { message: 'Server error while fetching reviews' }
-    });
-  }
-};
-
 module.exports = {
   getProducts,
   getProductsByCategory,
@@ -857,8 +907,8 @@ module.exports = {
   searchProducts,
   getSearchSuggestions,
   getPopularSearchTerms,
+  recordSearchClick,
   getProductById,
   getProductBySlug,
-  checkProductAvailability,
-  getProductReviews
+  checkProductAvailability
 };
\ No newline at end of file
@@ -34,7 +34,7 @@ const getProfile = async (req, res) => {
 // @access  Private
 const updateProfile = async (req, res) => {
   try {
-    const { profile } = req.body;
+    const { profile, measurements } = req.body;
     
     const user = await User.findById(req.user._id);
     
@@ -46,10 +46,21 @@ const updateProfile = async (req, res) => {
     }
 
     // Update profile fields
-    if (profile.firstName) user.profile.firstName = profile.firstName;
-    if (profile.lastName) user.profile.lastName = profile.lastName;
-    if (profile.phone !== undefined) user.profile.phone = profile.phone;
-    if (profile.dateOfBirth !== undefined) user.profile.dateOfBirth = profile.dateOfBirth;
+    if (profile) {
+      if (profile.firstName) user.profile.firstName = profile.firstName;
+      if (profile.lastName) user.profile.lastName = profile.lastName;
+      if (profile.phone !== undefined) user.profile.phone = profile.phone;
+      if (profile.dateOfBirth !== undefined) user.profile.dateOfBirth = profile.dateOfBirth;
+    }
+
+    // Update body measurements; null clears a value
+    if (measurements) {
+      ['chest', 'waist', 'fitPreference'].forEach(field => {
+        if (measurements[field] !== undefined) {
+          user.set(`measurements.${field}`, measurements[field] === null ? undefined : measurements[field]);
+        }
+      });
+    }
 
     await user.save();
 
@@ -0,0 +1,333 @@
+const ProductQuestion = require('../models/ProductQuestion');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { screenReview } = require('../utils/reviewScreening');
+const { sendNotification } = require('../utils/notifier');
+
+const SORT_OPTIONS = {
+  helpful: { topAnswerVotes: -1, answerCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 }
+};
+
+// Only first name and last initial are shown publicly
+const PERSON_FIELDS = 'profile.firstName profile.lastName';
+
+const displayName = (user) => {
+  const profile = user?.profile || {};
+  return [profile.firstName, profile.lastName ? `${profile.lastName.charAt(0)}.` : '']
+    .filter(Boolean)
+    .join(' ') || 'Customer';
+};
+
+const PEOPLE_PATHS = [
+  { path: 'user', select: PERSON_FIELDS },
+  { path: 'answers.user', select: PERSON_FIELDS }
+];
+
+// Works on queries and on loaded documents alike
+const populatePeople = (queryOrDocument) => queryOrDocument.populate(PEOPLE_PATHS);
+
+// Moderation details (reports, screening, audit log) never leave the admin API
+const formatAnswer = (answer, userId = null) => ({
+  _id: answer._id,
+  body: answer.body,
+  isStaff: answer.isStaff,
+  isVerifiedBuyer: answer.isVerifiedBuyer,
+  upvoteCount: answer.upvoteCount,
+  upvoted: userId ? answer.upvotes.some(voter => voter.toString() === userId.toString()) : false,
+  answeredBy: answer.isStaff ? 'Store team' : displayName(answer.user),
+  createdAt: answer.createdAt
+});
+
+const formatQuestion = (question, userId = null, { answerLimit = null } = {}) => {
+  const answers = question.getPublishedAnswers();
+
+  return {
+    _id: question._id,
+    product: question.product?._id || question.product,
+    body: question.body,
+    askedBy: displayName(question.user),
+    answerCount: question.answerCount,
+    answers: (answerLimit ? answers.slice(0, answerLimit) : answers).map(answer => formatAnswer(answer, userId)),
+    createdAt: question.createdAt
+  };
+};
+
+// Also used by the product endpoints to show the top answered questions
+const getTopQuestions = async (productId, limit = 3) => {
+  const questions = await populatePeople(ProductQuestion.getTopAnswered(productId, limit));
+  return questions.map(question => formatQuestion(question, null, { answerLimit: 1 }));
+};
+
+const findQuestionOrFail = async (id) => {
+  const question = await ProductQuestion.findById(id);
+  if (!question || question.status !== 'approved') {
+    throw new AppError('Question not found', 404, 'QUESTION_NOT_FOUND');
+  }
+  return question;
+};
+
+const findAnswerOrFail = (question, answerId) => {
+  const answer = question.answers.id(answerId);
+  if (!answer || answer.status !== 'approved') {
+    throw new AppError('Answer not found', 404, 'ANSWER_NOT_FOUND');
+  }
+  return answer;
+};
+
+// Let the customer who asked know there is an answer (in the background)
+const notifyAsker = async (question) => {
+  try {
+    const [asker, product] = await Promise.all([
+      User.findById(question.user).select('email'),
+      Product.findById(question.product).select('name')
+    ]);
+    if (!asker || !product) return;
+
+    const base = process.env.CLIENT_URL || 'http://localhost:3000';
+    const url = `${base}/products/${product._id}`;
+    await sendNotification({
+      to: asker.email,
+      subject: `Your question about ${product.name} has been answered`,
+      text: `Someone answered your question "${question.body}".\n${url}`,
+      data: {
+        type: 'question-answered',
+        productId: product._id,
+        questionId: question._id,
+        url
+      }
+    });
+  } catch (error) {
+    console.error('Question answer notification error:', error.message);
+  }
+};
+
+// @desc    Get questions and answers for a product
+// @route   GET /api/products/:id/questions
+// @access  Public
+const getProductQuestions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = 'helpful', answered } = req.query;
+
+  const product = await Product.findOne({ _id: req.params.id, isActive: true }).select('name');
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const query = { product: product._id, status: 'approved' };
+  if (answered === 'true') {
+    query.answerCount = { $gt: 0 };
+  } else if (answered === 'false') {
+    query.answerCount = 0;
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [questions, totalQuestions] = await Promise.all([
+    populatePeople(
+      ProductQuestion.find(query)
+        .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.helpful)
+        .skip(skip)
+        .limit(limitNum)
+    ),
+    ProductQuestion.countDocuments(query)
+  ]);
+
+  const totalPages = Math.ceil(totalQuestions / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      productName: product.name,
+      questions: questions.map(question => formatQuestion(question, req.user?._id)),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalQuestions,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      }
+    }
+  });
+});
+
+// @desc    Ask a question about a product
+// @route   POST /api/products/:id/questions
+// @access  Private
+const askQuestion = asyncHandler(async (req, res) => {
+  const product = await Product.findOne({ _id: req.params.id, isActive: true }).select('_id');
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  // Questions are published straight away unless the pre-screen flags them
+  const screening = screenReview({ body: req.body.body });
+  const question = await ProductQuestion.create({
+    product: product._id,
+    user: req.user._id,
+    body: req.body.body,
+    status: screening.flagged ? 'pending' : 'approved',
+    screening
+  });
+
+  await populatePeople(question);
+
+  res.status(201).json({
+    success: true,
+    message: question.status === 'pending'
+      ? 'Question submitted and awaiting moderation'
+      : 'Question posted',
+    data: {
+      question: formatQuestion(question, req.user._id)
+    }
+  });
+});
+
+// @desc    Answer a product question
+// @route   POST /api/questions/:id/answers
+// @access  Private (staff and customers who received the product)
+const answerQuestion = asyncHandler(async (req, res) => {
+  const question = await findQuestionOrFail(req.params.id);
+
+  const isStaff = req.user.role === 'admin';
+  const isVerifiedBuyer = Boolean(await Order.exists({
+    user: req.user._id,
+    status: 'delivered',
+    'items.product': question.product
+  }));
+
+  if (!isStaff && !isVerifiedBuyer) {
+    throw new AppError(
+      'Only our team and customers who have received this product can answer',
+      403,
+      'PURCHASE_REQUIRED'
+    );
+  }
+
+  const alreadyAnswered = question.answers.some(answer => answer.user.toString() === req.user._id.toString());
+  if (alreadyAnswered && !isStaff) {
+    throw new AppError('You have already answered this question', 409, 'ANSWER_EXISTS');
+  }
+
+  // Staff answers skip the pre-screen; customer answers are held when flagged
+  const screening = isStaff ? { flagged: false, reasons: [] } : screenReview({ body: req.body.body });
+  question.answers.push({
+    user: req.user._id,
+    body: req.body.body,
+    isStaff,
+    isVerifiedBuyer,
+    status: screening.flagged ? 'pending' : 'approved',
+    screening
+  });
+  await question.save();
+
+  const answer = question.answers[question.answers.length - 1];
+  if (answer.status === 'approved' && question.user.toString() !== req.user._id.toString()) {
+    notifyAsker(question);
+  }
+
+  await populatePeople(question);
+
+  res.status(201).json({
+    success: true,
+    message: answer.status === 'pending'
+      ? 'Answer submitted and awaiting moderation'
+      : 'Answer posted',
+    data: {
+      answer: formatAnswer(question.answers.id(answer._id), req.user._id)
+    }
+  });
+});
+
+// @desc    Toggle an upvote on an answer
+// @route   POST /api/questions/:id/answers/:answerId/upvote
+// @access  Private
+const toggleAnswerUpvote = asyncHandler(async (req, res) => {
+  const question = await findQuestionOrFail(req.params.id);
+  const answer = findAnswerOrFail(question, req.params.answerId);
+
+  if (answer.user.toString() === req.user._id.toString()) {
+    throw new AppError('You cannot vote on your own answer', 400, 'OWN_ANSWER');
+  }
+
+  const upvoted = question.toggleAnswerUpvote(answer, req.user._id);
+  await question.save();
+
+  res.json({
+    success: true,
+    message: upvoted ? 'Answer upvoted' : 'Removed upvote',
+    data: {
+      answerId: answer._id,
+      upvoteCount: answer.upvoteCount,
+      upvoted
+    }
+  });
+});
+
+// @desc    Report a question, or one of its answers with answerId
+// @route   POST /api/questions/:id/report
+// @access  Private
+const reportQuestion = asyncHandler(async (req, res) => {
+  const question = await findQuestionOrFail(req.params.id);
+  const { reason, answerId } = req.body;
+  const answer = answerId ? findAnswerOrFail(question, answerId) : null;
+  const target = answer || question;
+
+  if (target.user.toString() === req.user._id.toString()) {
+    throw new AppError('You cannot report your own post', 400, 'OWN_POST');
+  }
+
+  if (question.hasReportFrom(req.user._id, answer)) {
+    throw new AppError('You have already reported this', 409, 'ALREADY_REPORTED');
+  }
+
+  question.addReport(req.user._id, reason, answer);
+  await question.save();
+
+  res.json({
+    success: true,
+    message: 'Thanks, our team will take a look',
+    data: {
+      questionId: question._id,
+      answerId: answer ? answer._id : undefined
+    }
+  });
+});
+
+// @desc    Delete own question
+// @route   DELETE /api/questions/:id
+// @access  Private (owner or admin)
+const deleteQuestion = asyncHandler(async (req, res) => {
+  const question = await ProductQuestion.findById(req.params.id);
+  if (!question) {
+    throw new AppError('Question not found', 404, 'QUESTION_NOT_FOUND');
+  }
+
+  if (req.user.role !== 'admin' && question.user.toString() !== req.user._id.toString()) {
+    throw new AppError('You can only delete your own questions', 403, 'NOT_QUESTION_OWNER');
+  }
+
+  await question.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Question deleted successfully',
+    data: {
+      questionId: question._id
+    }
+  });
+});
+
+module.exports = {
+  getTopQuestions,
+  getProductQuestions,
+  askQuestion,
+  answerQuestion,
+  toggleAnswerUpvote,
+  reportQuestion,
+  deleteQuestion
+};
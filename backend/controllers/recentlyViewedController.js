@@ -0,0 +1,84 @@
+const Product = require('../models/Product');
+const RecentlyViewed = require('../models/RecentlyViewed');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getShopper } = require('../utils/shopper');
+
+// Only what a product card needs
+const CARD_FIELDS = 'name price images category brand ratings availability sizes colors seo.slug';
+
+// Resolve a history to active products, keeping the most-recent-first order
+const toProducts = async (history, limit) => {
+  const items = (history?.items || []).slice(0, limit);
+  if (items.length === 0) return [];
+
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    isActive: true
+  }).select(CARD_FIELDS);
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  return items
+    .filter(item => byId.has(item.product.toString()))
+    .map(item => ({
+      ...byId.get(item.product.toString()).toJSON(),
+      viewedAt: item.viewedAt
+    }));
+};
+
+// @desc    Get recently viewed products
+// @route   GET /api/products/recently-viewed
+// @access  Public (signed-in user or guest session)
+const getRecentlyViewed = asyncHandler(async (req, res) => {
+  const limit = Math.min(RecentlyViewed.MAX_ITEMS, Math.max(1, parseInt(req.query.limit) || 10));
+  const { exclude } = req.query;
+
+  const history = await RecentlyViewed.findForShopper(getShopper(req));
+  let products = await toProducts(history, limit + (exclude ? 1 : 0));
+
+  // Product pages usually leave out the product being shown
+  if (exclude) {
+    products = products.filter(product => product._id.toString() !== exclude);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      products: products.slice(0, limit)
+    }
+  });
+});
+
+// @desc    Clear recently viewed products
+// @route   DELETE /api/products/recently-viewed
+// @access  Public (signed-in user or guest session)
+const clearRecentlyViewed = asyncHandler(async (req, res) => {
+  await RecentlyViewed.clearForShopper(getShopper(req));
+
+  res.json({
+    success: true,
+    message: 'Recently viewed products cleared'
+  });
+});
+
+// @desc    Merge guest browsing history into the account (for login/registration)
+// @route   POST /api/products/recently-viewed/merge
+// @access  Private
+const mergeRecentlyViewed = asyncHandler(async (req, res) => {
+  // Only the requester's own guest session (X-Session-Id) can be merged
+  const { sessionId } = getShopper(req);
+  const history = await RecentlyViewed.mergeGuestHistory(req.user._id, sessionId);
+
+  res.json({
+    success: true,
+    message: 'Recently viewed products merged successfully',
+    data: {
+      products: await toProducts(history, 10)
+    }
+  });
+});
+
+module.exports = {
+  getRecentlyViewed,
+  clearRecentlyViewed,
+  mergeRecentlyViewed
+};
@@ -0,0 +1,53 @@
+const Product = require('../models/Product');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const isInStock = (product) => product.availability?.status === 'in-stock' && product.availableStock > 0;
+
+// @desc    Get "frequently bought together" and similar products
+// @route   GET /api/products/:id/recommendations
+// @access  Public
+const getProductRecommendations = asyncHandler(async (req, res) => {
+  const limit = Math.min(24, Math.max(1, parseInt(req.query.limit) || 8));
+
+  const product = await Product.findOne({ _id: req.params.id, isActive: true })
+    .select('category subcategory brand');
+
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  // Co-purchases are precomputed from order history; keep their ranking
+  const precomputed = await ProductRecommendation.findOne({ product: product._id }).lean();
+  const relatedIds = (precomputed?.boughtTogether || []).map(entry => entry.product);
+
+  let boughtTogether = [];
+  if (relatedIds.length > 0) {
+    const related = await Product.find({ _id: { $in: relatedIds }, isActive: true }).select('-__v');
+    const byId = new Map(related.map(item => [item._id.toString(), item]));
+    boughtTogether = relatedIds
+      .map(id => byId.get(id.toString()))
+      .filter(item => item && isInStock(item))
+      .slice(0, limit);
+  }
+
+  // Fill the remaining slots with products from the same category or brand
+  const similar = (await Product.findSimilar(product, {
+    exclude: boughtTogether.map(item => item._id),
+    limit: limit - boughtTogether.length
+  })).filter(isInStock);
+
+  res.json({
+    success: true,
+    data: {
+      productId: product._id,
+      boughtTogether,
+      similar,
+      computedAt: precomputed?.computedAt || null
+    }
+  });
+});
+
+module.exports = {
+  getProductRecommendations
+};
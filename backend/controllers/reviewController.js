@@ -0,0 +1,285 @@
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { screenReview } = require('../utils/reviewScreening');
+
+const SORT_OPTIONS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 },
+  'rating-high': { rating: -1, createdAt: -1 },
+  'rating-low': { rating: 1, createdAt: -1 }
+};
+
+// Only the reviewer's first name and last initial are shown publicly
+const REVIEWER_FIELDS = 'profile.firstName profile.lastName';
+
+// Moderation details (reports, screening, audit log) never leave the admin API
+const formatReview = (review, userId = null) => {
+  const {
+    helpfulVotes, user, reports, screening, moderationLog, openReportCount,
+    ...fields
+  } = review.toObject();
+  const profile = user?.profile || {};
+
+  return {
+    ...fields,
+    reply: fields.reply?.body
+      ? { body: fields.reply.body, repliedAt: fields.reply.repliedAt }
+      : undefined,
+    reviewer: {
+      name: [profile.firstName, profile.lastName ? `${profile.lastName.charAt(0)}.` : '']
+        .filter(Boolean)
+        .join(' ') || 'Customer'
+    },
+    votedHelpful: userId ? helpfulVotes.some(voter => voter.toString() === userId.toString()) : false
+  };
+};
+
+const findReviewOrFail = async (id, { approvedOnly = false } = {}) => {
+  const review = await Review.findById(id);
+  if (!review || (approvedOnly && review.status !== 'approved')) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  return review;
+};
+
+const assertReviewOwner = (review, user) => {
+  if (review.user.toString() !== user._id.toString()) {
+    throw new AppError('You can only change your own reviews', 403, 'NOT_REVIEW_OWNER');
+  }
+};
+
+// @desc    Get product reviews
+// @route   GET /api/products/:id/reviews
+// @access  Public
+const getProductReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 10, sort = 'helpful', rating } = req.query;
+
+  const product = await Product.findOne({
+    _id: id,
+    isActive: true
+  }).select('name ratings');
+
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const query = { product: product._id, status: 'approved' };
+  if (rating) {
+    query.rating = parseInt(rating);
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [reviews, totalReviews, summary] = await Promise.all([
+    Review.find(query)
+      .sort(SORT_OPTIONS[sort] || SORT_OPTIONS.helpful)
+      .skip(skip)
+      .limit(limitNum)
+      .populate('user', REVIEWER_FIELDS)
+      .select('-__v'),
+    Review.countDocuments(query),
+    Review.getRatingSummary(product._id)
+  ]);
+
+  const totalPages = Math.ceil(totalReviews / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      productName: product.name,
+      ratings: {
+        average: summary.average,
+        count: summary.count,
+        distribution: summary.distribution
+      },
+      fit: summary.fit,
+      reviews: reviews.map(review => formatReview(review, req.user?._id)),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalReviews,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+        limit: limitNum
+      }
+    }
+  });
+});
+
+// @desc    Create a review for a purchased product
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rating, title, body, fit } = req.body;
+
+  const product = await Product.findOne({ _id: id, isActive: true }).select('_id');
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const existing = await Review.exists({ product: product._id, user: req.user._id });
+  if (existing) {
+    throw new AppError('You have already reviewed this product', 409, 'REVIEW_EXISTS');
+  }
+
+  // Only customers who received the product may review it
+  const order = await Order.findOne({
+    user: req.user._id,
+    status: 'delivered',
+    'items.product': product._id
+  }).sort({ deliveredAt: -1 });
+
+  if (!order) {
+    throw new AppError(
+      'Only customers who have received this product can review it',
+      403,
+      'PURCHASE_REQUIRED'
+    );
+  }
+
+  const orderItem = order.items.find(item => item.product.toString() === product._id.toString());
+
+  // New reviews wait in the moderation queue; the pre-screen only prioritises them
+  const review = await Review.create({
+    product: product._id,
+    user: req.user._id,
+    order: order._id,
+    rating,
+    title,
+    body,
+    fit,
+    size: orderItem.size,
+    color: orderItem.color,
+    screening: screenReview({ title, body })
+  });
+
+  await review.populate('user', REVIEWER_FIELDS);
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted and awaiting moderation',
+    data: {
+      review: formatReview(review, req.user._id)
+    }
+  });
+});
+
+// @desc    Update own review
+// @route   PUT /api/reviews/:id
+// @access  Private
+const updateReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+  assertReviewOwner(review, req.user);
+
+  ['rating', 'title', 'body', 'fit'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      review[field] = req.body[field];
+    }
+  });
+
+  // Edited text has to be moderated again
+  if (review.isModified('title') || review.isModified('body')) {
+    review.screening = screenReview({ title: review.title, body: review.body });
+    review.status = 'pending';
+  }
+
+  await review.save();
+  await review.populate('user', REVIEWER_FIELDS);
+
+  res.json({
+    success: true,
+    message: review.status === 'pending'
+      ? 'Review updated and awaiting moderation'
+      : 'Review updated successfully',
+    data: {
+      review: formatReview(review, req.user._id)
+    }
+  });
+});
+
+// @desc    Delete review
+// @route   DELETE /api/reviews/:id
+// @access  Private (owner or admin)
+const deleteReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id);
+
+  if (req.user.role !== 'admin') {
+    assertReviewOwner(review, req.user);
+  }
+
+  await review.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully',
+    data: {
+      reviewId: review._id
+    }
+  });
+});
+
+// @desc    Toggle a helpful vote on a review
+// @route   POST /api/reviews/:id/helpful
+// @access  Private
+const toggleHelpfulVote = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id, { approvedOnly: true });
+
+  if (review.user.toString() === req.user._id.toString()) {
+    throw new AppError('You cannot vote on your own review', 400, 'OWN_REVIEW');
+  }
+
+  const voted = review.toggleHelpfulVote(req.user._id);
+  await review.save();
+
+  res.json({
+    success: true,
+    message: voted ? 'Marked review as helpful' : 'Removed helpful vote',
+    data: {
+      reviewId: review._id,
+      helpfulCount: review.helpfulCount,
+      votedHelpful: voted
+    }
+  });
+});
+
+// @desc    Report a review to the moderators
+// @route   POST /api/reviews/:id/report
+// @access  Private
+const reportReview = asyncHandler(async (req, res) => {
+  const review = await findReviewOrFail(req.params.id, { approvedOnly: true });
+  const { reason, comment } = req.body;
+
+  if (review.user.toString() === req.user._id.toString()) {
+    throw new AppError('You cannot report your own review', 400, 'OWN_REVIEW');
+  }
+
+  if (review.hasReportFrom(req.user._id)) {
+    throw new AppError('You have already reported this review', 409, 'ALREADY_REPORTED');
+  }
+
+  review.addReport(req.user._id, reason, comment);
+  await review.save();
+
+  res.json({
+    success: true,
+    message: 'Thanks, our team will take a look at this review',
+    data: {
+      reviewId: review._id
+    }
+  });
+});
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  toggleHelpfulVote,
+  reportReview
+};
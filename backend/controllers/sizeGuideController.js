@@ -0,0 +1,116 @@
+const Product = require('../models/Product');
+const SizeChart = require('../models/SizeChart');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const findProductWithChart = async (id) => {
+  const product = await Product.findOne({ _id: id, isActive: true });
+  if (!product) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const sizeChart = await SizeChart.findForProduct(product);
+  return { product, sizeChart };
+};
+
+// Measurements passed in the query win over the ones saved on the profile,
+// so guests and signed-in shoppers trying other numbers both work
+const resolveMeasurements = (req) => {
+  const fromQuery = {};
+  SizeChart.BODY_MEASUREMENTS.forEach(field => {
+    if (req.query[field] !== undefined) fromQuery[field] = parseFloat(req.query[field]);
+  });
+
+  if (Object.keys(fromQuery).length > 0) {
+    return {
+      measurements: fromQuery,
+      fitPreference: req.query.fit || req.user?.measurements?.fitPreference || 'regular',
+      source: 'query'
+    };
+  }
+
+  const saved = req.user?.measurements;
+  if (saved && SizeChart.BODY_MEASUREMENTS.some(field => saved[field] != null)) {
+    return {
+      measurements: saved,
+      fitPreference: req.query.fit || saved.fitPreference || 'regular',
+      source: 'profile'
+    };
+  }
+
+  return null;
+};
+
+// @desc    Get the size chart for a product
+// @route   GET /api/products/:id/size-guide
+// @access  Public
+const getSizeGuide = asyncHandler(async (req, res) => {
+  const { product, sizeChart } = await findProductWithChart(req.params.id);
+
+  // Only show rows for sizes the product is actually made in
+  const offered = product.sizes.map(entry => entry.size);
+
+  res.json({
+    success: true,
+    data: {
+      sizeChart: sizeChart
+        ? {
+          unit: sizeChart.unit,
+          notes: sizeChart.notes,
+          sizes: sizeChart.sizes.filter(row => offered.includes(row.size))
+        }
+        : null
+    }
+  });
+});
+
+// @desc    Suggest a size for a product from body measurements
+// @route   GET /api/products/:id/size-recommendation
+// @access  Public (signed-in users may rely on their saved measurements)
+const getSizeRecommendation = asyncHandler(async (req, res) => {
+  const { product, sizeChart } = await findProductWithChart(req.params.id);
+
+  if (!sizeChart) {
+    throw new AppError('No size guide is available for this product', 404, 'SIZE_GUIDE_NOT_FOUND');
+  }
+
+  const input = resolveMeasurements(req);
+  if (!input) {
+    throw new AppError('Please enter your chest or waist measurement', 400, 'MEASUREMENTS_REQUIRED');
+  }
+
+  const recommendation = sizeChart.recommendSize(input.measurements, {
+    fitPreference: input.fitPreference,
+    sizes: product.sizes.map(entry => entry.size)
+  });
+
+  if (!recommendation) {
+    throw new AppError(
+      'The size guide for this product does not cover the measurements given; please check the chart',
+      422,
+      'NO_MATCHING_MEASUREMENTS'
+    );
+  }
+
+  // Stock for the recommended size, per color when the product tracks it
+  const color = req.query.color;
+  const stockEntry = product.hasVariants && color
+    ? product.getStockEntry(recommendation.size, color)
+    : product.sizes.find(entry => entry.size === recommendation.size);
+
+  res.json({
+    success: true,
+    data: {
+      recommendation: {
+        ...recommendation,
+        available: stockEntry ? product.getSellableQuantity(stockEntry) > 0 : false
+      },
+      fitPreference: input.fitPreference,
+      measurementsSource: input.source
+    }
+  });
+});
+
+module.exports = {
+  getSizeGuide,
+  getSizeRecommendation
+};
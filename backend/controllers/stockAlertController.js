@@ -0,0 +1,99 @@
+const Product = require('../models/Product');
+const StockSubscription = require('../models/StockSubscription');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Subscribe to a back-in-stock alert for a product size
+// @route   POST /api/products/:id/stock-alerts
+// @access  Public (signed-in users may omit the email)
+const subscribeToStockAlert = asyncHandler(async (req, res) => {
+  const { size } = req.body;
+  const color = req.body.color || null;
+  const email = req.user?.email || req.body.email;
+
+  if (!email) {
+    throw new AppError('Please enter an email address to be notified', 400, 'EMAIL_REQUIRED');
+  }
+
+  const product = await Product.findOne({ _id: req.params.id, isActive: true });
+  if (!product || product.availability.status === 'discontinued') {
+    throw new AppError('Product not found or unavailable', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  if (product.hasVariants && !color) {
+    throw new AppError('Please select a color for this product', 400, 'COLOR_REQUIRED');
+  }
+
+  const stockEntry = product.getStockEntry(size, color);
+  if (!stockEntry) {
+    const label = product.hasVariants ? `${color} / ${size}` : `Size ${size}`;
+    throw new AppError(`${label} is not available for this product`, 400, 'INVALID_SIZE');
+  }
+
+  if (stockEntry.stock - stockEntry.reserved > 0) {
+    throw new AppError('This size is in stock and can be ordered now', 409, 'ALREADY_IN_STOCK');
+  }
+
+  const subscription = await StockSubscription.subscribe({
+    product: product._id,
+    size,
+    color: product.hasVariants ? stockEntry.color : null,
+    email,
+    user: req.user?._id || null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `We'll email ${subscription.email} when it's back in stock`,
+    data: {
+      subscription
+    }
+  });
+});
+
+// @desc    Get current user's active back-in-stock alerts
+// @route   GET /api/stock-alerts
+// @access  Private
+const getMyStockAlerts = asyncHandler(async (req, res) => {
+  const subscriptions = await StockSubscription.find({
+    status: 'active',
+    $or: [{ user: req.user._id }, { email: req.user.email }]
+  })
+    .populate('product', 'name images price sizes variants availability seo.slug')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      subscriptions: subscriptions.filter(subscription => subscription.product)
+    }
+  });
+});
+
+// @desc    Cancel a back-in-stock alert
+// @route   DELETE /api/stock-alerts/:id
+// @access  Private
+const cancelStockAlert = asyncHandler(async (req, res) => {
+  const subscription = await StockSubscription.findOne({
+    _id: req.params.id,
+    status: 'active',
+    $or: [{ user: req.user._id }, { email: req.user.email }]
+  });
+
+  if (!subscription) {
+    throw new AppError('Stock alert not found', 404, 'STOCK_ALERT_NOT_FOUND');
+  }
+
+  subscription.status = 'cancelled';
+  await subscription.save();
+
+  res.json({
+    success: true,
+    message: 'Stock alert cancelled'
+  });
+});
+
+module.exports = {
+  subscribeToStockAlert,
+  getMyStockAlerts,
+  cancelStockAlert
+};
@@ -0,0 +1,220 @@
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+const PRODUCT_FIELDS = 'name price images category brand ratings availability sizes colors variants seo.slug isActive';
+
+// Wishlist entries with the product's current price and stock
+const formatWishlist = (wishlist) => {
+  const items = wishlist.items
+    .filter(item => item.product && item.product.isActive)
+    .map(item => {
+      const product = item.product;
+      const currentPrice = item.size
+        ? product.getPriceFor(item.size, item.color)
+        : product.currentPrice;
+      const stockEntry = item.size ? product.getStockEntry(item.size, item.color) : null;
+      const availableStock = item.size
+        ? (stockEntry ? product.getSellableQuantity(stockEntry) : 0)
+        : product.availableStock + product.preOrderRemaining;
+
+      return {
+        _id: item._id,
+        product: {
+          _id: product._id,
+          name: product.name,
+          brand: product.brand,
+          category: product.category,
+          images: product.images,
+          price: product.price,
+          ratings: product.ratings,
+          sizes: product.sizes,
+          colors: product.colors,
+          hasVariants: product.hasVariants,
+          seo: product.seo
+        },
+        size: item.size,
+        color: item.color,
+        addedAt: item.addedAt,
+        currentPrice,
+        priceWhenAdded: item.priceWhenAdded,
+        priceDrop: item.priceWhenAdded > currentPrice ? item.priceWhenAdded - currentPrice : 0,
+        inStock: ['in-stock', 'pre-order'].includes(product.availability.status) && availableStock > 0,
+        isPreOrder: product.isPreOrder,
+        availableStock
+      };
+    });
+
+  return {
+    items,
+    itemCount: items.length
+  };
+};
+
+const loadWishlist = async (userId) => {
+  return Wishlist.findOne({ user: userId }).populate('items.product', PRODUCT_FIELDS);
+};
+
+const respondWithWishlist = async (res, userId, { status = 200, message } = {}) => {
+  const wishlist = await loadWishlist(userId);
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      wishlist: wishlist ? formatWishlist(wishlist) : { items: [], itemCount: 0 }
+    }
+  });
+};
+
+// @desc    Get user's wishlist with current prices and stock
+// @route   GET /api/wishlist
+// @access  Private
+const getWishlist = asyncHandler(async (req, res) => {
+  await respondWithWishlist(res, req.user._id);
+});
+
+// @desc    Add a product to the wishlist
+// @route   POST /api/wishlist
+// @access  Private
+const addToWishlist = asyncHandler(async (req, res) => {
+  const { productId, size, color } = req.body;
+
+  const product = await Product.findOne({ _id: productId, isActive: true }).select('price');
+  if (!product) {
+    throw new AppError('Product not found or unavailable', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const wishlist = await Wishlist.findOrCreateForUser(req.user._id);
+  if (wishlist.findItemIndex(product._id) === -1 && wishlist.items.length >= Wishlist.MAX_ITEMS) {
+    throw new AppError(
+      `Your wishlist can hold at most ${Wishlist.MAX_ITEMS} products`,
+      400,
+      'WISHLIST_FULL'
+    );
+  }
+
+  const added = wishlist.addItem(product._id, {
+    size: size ? size.toUpperCase() : null,
+    color,
+    price: product.currentPrice
+  });
+  await wishlist.save();
+
+  await respondWithWishlist(res, req.user._id, {
+    status: added ? 201 : 200,
+    message: added ? 'Added to wishlist' : 'Wishlist updated'
+  });
+});
+
+// @desc    Remove a product from the wishlist
+// @route   DELETE /api/wishlist/:productId
+// @access  Private
+const removeFromWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await Wishlist.findOne({ user: req.user._id });
+
+  if (!wishlist || !wishlist.removeItem(req.params.productId)) {
+    throw new AppError('Product is not on your wishlist', 404, 'WISHLIST_ITEM_NOT_FOUND');
+  }
+
+  await wishlist.save();
+
+  await respondWithWishlist(res, req.user._id, { message: 'Removed from wishlist' });
+});
+
+// @desc    Move a wishlist product into the cart
+// @route   POST /api/wishlist/:productId/move-to-cart
+// @access  Private
+const moveToCart = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const wishlist = await Wishlist.findOne({ user: req.user._id });
+  const index = wishlist ? wishlist.findItemIndex(productId) : -1;
+
+  if (index === -1) {
+    throw new AppError('Product is not on your wishlist', 404, 'WISHLIST_ITEM_NOT_FOUND');
+  }
+
+  const item = wishlist.items[index];
+  const size = (req.body.size || item.size || '').toUpperCase();
+  const color = req.body.color || item.color;
+  const qty = parseInt(req.body.quantity) || 1;
+
+  if (!size) {
+    throw new AppError('Please select a size', 400, 'SIZE_REQUIRED');
+  }
+
+  const product = await Product.findOne({ _id: productId, isActive: true });
+  if (!product) {
+    throw new AppError('Product not found or unavailable', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  if (product.hasVariants && !color) {
+    throw new AppError('Please select a color for this product', 400, 'COLOR_REQUIRED');
+  }
+
+  const sizeInfo = product.getStockEntry(size, color);
+  if (!sizeInfo) {
+    const label = product.hasVariants ? `${color} / ${size}` : `Size ${size}`;
+    throw new AppError(`${label} is not available for this product`, 400, 'INVALID_SIZE');
+  }
+
+  const availableStock = product.getSellableQuantity(sizeInfo);
+  if (availableStock < qty) {
+    throw new AppError(
+      `Insufficient stock for size ${size}${product.hasVariants ? ` in ${color}` : ''}. Only ${availableStock} items available.`,
+      409,
+      'INSUFFICIENT_STOCK',
+      { availableStock, requestedQuantity: qty, size, color: color || null }
+    );
+  }
+
+  let cart = await Cart.findByUser(req.user._id);
+  if (!cart) {
+    cart = new Cart({ user: req.user._id, items: [] });
+  }
+
+  await cart.addItem(
+    product._id,
+    size,
+    qty,
+    product.getPriceFor(size, color),
+    product.hasVariants ? sizeInfo.color : color,
+    product.hasVariants ? sizeInfo.sku : null,
+    product.getPreOrderDetails()
+  );
+  await product.reserveStock(size, qty, color);
+
+  wishlist.items.splice(index, 1);
+  await wishlist.save();
+
+  const updated = await loadWishlist(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Moved to cart',
+    data: {
+      cart,
+      wishlist: formatWishlist(updated)
+    }
+  });
+});
+
+// @desc    Merge guest wishlist with user wishlist (for login/registration)
+// @route   POST /api/wishlist/merge
+// @access  Private
+const mergeGuestWishlist = asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  await Wishlist.mergeGuestWishlist(req.user._id, items);
+
+  await respondWithWishlist(res, req.user._id, { message: 'Guest wishlist merged successfully' });
+});
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+  mergeGuestWishlist
+};
@@ -0,0 +1,50 @@
+const { scheduleJob } = require('../utils/scheduler');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const StockSubscription = require('../models/StockSubscription');
+const PriceEvent = require('../models/PriceEvent');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours between rebuilds of "frequently bought together"; 0 turns it off
+// (e.g. when `npm run recommendations` runs from an external cron instead)
+const RECOMMENDATIONS_REFRESH_HOURS = parseFloat(process.env.RECOMMENDATIONS_REFRESH_HOURS ?? 24);
+
+// Minutes between back-in-stock sweeps. Saves in the app alert subscribers
+// straight away; the sweep catches stock changed elsewhere and retries failed sends.
+const STOCK_ALERTS_SWEEP_MINUTES = parseFloat(process.env.STOCK_ALERTS_SWEEP_MINUTES ?? 15);
+
+// Seconds between price event sweeps. Sale prices switch on and off at the
+// exact time regardless; the sweep updates the stored price listings sort on.
+const PRICE_EVENTS_SWEEP_SECONDS = parseFloat(process.env.PRICE_EVENTS_SWEEP_SECONDS ?? 60);
+
+// Register the periodic background jobs. Called once the server is listening.
+const startJobs = () => {
+  if (RECOMMENDATIONS_REFRESH_HOURS > 0) {
+    scheduleJob('recommendations', RECOMMENDATIONS_REFRESH_HOURS * HOUR_MS, async () => {
+      const { products } = await ProductRecommendation.rebuildFromOrders();
+      console.log(`Rebuilt recommendations for ${products} products`);
+    }, { initialDelayMs: 60 * 1000 });
+  }
+
+  if (STOCK_ALERTS_SWEEP_MINUTES > 0) {
+    scheduleJob('stock-alerts', STOCK_ALERTS_SWEEP_MINUTES * 60 * 1000, async () => {
+      const { notified, failed } = await StockSubscription.dispatchPending();
+      if (notified > 0 || failed > 0) {
+        console.log(`Back-in-stock alerts: ${notified} sent, ${failed} failed`);
+      }
+    });
+  }
+
+  if (PRICE_EVENTS_SWEEP_SECONDS > 0) {
+    scheduleJob('price-events', PRICE_EVENTS_SWEEP_SECONDS * 1000, async () => {
+      const { started, ended } = await PriceEvent.sweep();
+      if (started > 0 || ended > 0) {
+        console.log(`Price events: ${started} started, ${ended} ended`);
+      }
+    }, { initialDelayMs: 5 * 1000 });
+  }
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,29 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, getDisplayCurrency } = require('../utils/currency');
+
+// Resolve the shopper's display currency from ?currency= or the X-Currency
+// header into req.displayCurrency ({ code, symbol, rate }). Unknown currencies,
+// or ones without a rate, fall back to the base currency.
+const resolveCurrency = async (req, res, next) => {
+  // A repeated ?currency= arrives as an array; the first one wins and anything
+  // else that is not a string is ignored
+  const fromQuery = Array.isArray(req.query.currency) ? req.query.currency[0] : req.query.currency;
+  const requested = typeof fromQuery === 'string' && fromQuery ? fromQuery : req.get('X-Currency');
+
+  if (!requested || requested.toUpperCase() === BASE_CURRENCY) {
+    req.displayCurrency = getDisplayCurrency(BASE_CURRENCY, { [BASE_CURRENCY]: 1 });
+    return next();
+  }
+
+  try {
+    req.displayCurrency = getDisplayCurrency(requested, await ExchangeRate.getRates());
+  } catch (error) {
+    console.error('Exchange rate lookup error:', error.message);
+    req.displayCurrency = getDisplayCurrency(BASE_CURRENCY, { [BASE_CURRENCY]: 1 });
+  }
+  next();
+};
+
+module.exports = {
+  resolveCurrency
+};
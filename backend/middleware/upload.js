@@ -0,0 +1,36 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+// Uploads are kept in memory only long enough to build the derivatives
+const MAX_UPLOAD_MB = parseInt(process.env.IMAGE_MAX_UPLOAD_MB) || 10;
+const MAX_FILES = 10;
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/tiff'];
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ACCEPTED_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(`${file.originalname} is not a JPEG, PNG, WebP, AVIF or TIFF image`, 400, 'UNSUPPORTED_FILE_TYPE'));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept up to MAX_FILES images in the given multipart field
+const uploadImages = (field) => (req, res, next) => {
+  imageUpload.array(field, MAX_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code !== 'LIMIT_FILE_SIZE') {
+      return next(new AppError(`Upload failed: ${err.message}`, 400, 'UPLOAD_ERROR'));
+    }
+    next(err);
+  });
+};
+
+module.exports = {
+  uploadImages,
+  MAX_UPLOAD_MB
+};
@@ -100,6 +100,23 @@ const validateProfileUpdate = [
     .isISO8601()
     .withMessage('Date of birth must be a valid date'),
   
+  body('measurements.chest')
+    .optional({ nullable: true })
+    .isFloat({ min: 50, max: 200 })
+    .withMessage('Chest must be between 50 and 200 cm')
+    .toFloat(),
+  
+  body('measurements.waist')
+    .optional({ nullable: true })
+    .isFloat({ min: 40, max: 200 })
+    .withMessage('Waist must be between 40 and 200 cm')
+    .toFloat(),
+  
+  body('measurements.fitPreference')
+    .optional({ nullable: true })
+    .isIn(['slim', 'regular', 'relaxed'])
+    .withMessage('Fit preference must be slim, regular or relaxed'),
+  
   handleValidationErrors
 ];
 
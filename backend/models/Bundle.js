@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const { markCatalogChanged } = require('../utils/catalogFeeds');
+
+const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42'];
+const PRICING_TYPES = ['fixed', 'percentage'];
+const MIN_COMPONENTS = 2;
+const MAX_COMPONENTS = 10;
+
+// Fields shown for each component product on a bundle page
+const COMPONENT_FIELDS = 'name description shortDescription brand category images price sizes colors variants availability seo.slug isActive';
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const componentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Component product is required']
+  },
+  // Units of the product in one set
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Component quantity must be at least 1'],
+    max: [5, 'Component quantity cannot exceed 5']
+  },
+  // Fixed size and color, e.g. a one-size belt; otherwise the shopper picks them
+  size: {
+    type: String,
+    enum: SIZES
+  },
+  color: {
+    type: String,
+    trim: true
+  }
+}, {
+  _id: true
+});
+
+// Products sold together as a set ("shirt + chinos + belt") at a bundle price
+// or a percentage off the components. Bundles hold no stock of their own:
+// availability comes from the components, and a bundle in the cart reserves
+// stock on each component product.
+const bundleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Bundle name is required'],
+    trim: true,
+    maxlength: [100, 'Bundle name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  images: [{
+    url: {
+      type: String,
+      required: [true, 'Image URL is required']
+    },
+    alt: String
+  }],
+  components: {
+    type: [componentSchema],
+    validate: {
+      validator: function(components) {
+        return components.length >= MIN_COMPONENTS && components.length <= MAX_COMPONENTS;
+      },
+      message: `A bundle needs between ${MIN_COMPONENTS} and ${MAX_COMPONENTS} components`
+    }
+  },
+  // `fixed`: the set costs `value`; `percentage`: `value`% off the components
+  pricing: {
+    type: {
+      type: String,
+      enum: PRICING_TYPES,
+      required: [true, 'Pricing type is required']
+    },
+    value: {
+      type: Number,
+      required: [true, 'Pricing value is required'],
+      min: [0, 'Pricing value cannot be negative']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bundleSchema.index({ isActive: 1, createdAt: -1 });
+bundleSchema.index({ 'components.product': 1 });
+
+// Derive the slug and check pricing and components
+bundleSchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '');
+  }
+
+  if (this.pricing?.type === 'percentage' && this.pricing.value > 100) {
+    this.invalidate('pricing.value', 'Percentage off cannot exceed 100', this.pricing.value);
+  }
+
+  const ids = this.components.map(component => idOf(component.product));
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('components', 'Each product can only appear once; use quantity for more units');
+    return;
+  }
+
+  if (!this.isModified('components')) return;
+
+  // Fixed sizes and colors must exist on the component product
+  const productsById = await this.loadProducts();
+  this.components.forEach((component, index) => {
+    const product = productsById.get(idOf(component.product));
+    if (!product) {
+      this.invalidate(`components.${index}.product`, 'Product not found', idOf(component.product));
+      return;
+    }
+    if (product.hasVariants && component.size && !component.color) return;
+    if (component.size && !product.getStockEntry(component.size, component.color)) {
+      const label = component.color ? `${component.color} / ${component.size}` : `Size ${component.size}`;
+      this.invalidate(`components.${index}.size`, `${label} is not offered for ${product.name}`, component.size);
+    }
+  });
+});
+
+// Bundle pages are listed in the sitemap
+bundleSchema.post('save', markCatalogChanged);
+bundleSchema.post('deleteOne', { document: true, query: false }, markCatalogChanged);
+bundleSchema.post('updateMany', markCatalogChanged);
+
+// Instance method to load the component products, keyed by ID
+bundleSchema.methods.loadProducts = function() {
+  return this.constructor.loadProducts([this]);
+};
+
+// Static method to load the component products of several bundles in one query
+bundleSchema.statics.loadProducts = async function(bundles) {
+  const Product = mongoose.model('Product');
+  const ids = bundles.flatMap(bundle => bundle.components.map(component => idOf(component.product)));
+  const products = await Product.find({ _id: { $in: ids } }).select(COMPONENT_FIELDS);
+
+  return new Map(products.map(product => [product._id.toString(), product]));
+};
+
+// Instance method to turn the shopper's choices into one line per component.
+// `selections` is a list of { component, size, color }, where `component` is
+// the component's ID (or its product ID); fixed sizes and colors win over
+// the shopper's choice. Returns the lines and any problems with the choices.
+bundleSchema.methods.resolveSelections = function(selections = [], productsById) {
+  const lines = [];
+  const issues = [];
+
+  this.components.forEach(component => {
+    const productId = idOf(component.product);
+    const product = productsById.get(productId);
+    const choice = selections.find(selection =>
+      [component._id.toString(), productId].includes(String(selection.component))
+    ) || {};
+
+    if (!product || !product.isActive) {
+      issues.push({ component: component._id, productId, message: 'Product is no longer available' });
+      return;
+    }
+
+    const size = component.size || (choice.size ? choice.size.toUpperCase() : null);
+    const color = component.color || choice.color || null;
+
+    if (!size) {
+      issues.push({ component: component._id, productId, message: `Please select a size for ${product.name}` });
+      return;
+    }
+    if (product.hasVariants && !color) {
+      issues.push({ component: component._id, productId, message: `Please select a color for ${product.name}` });
+      return;
+    }
+
+    const stockEntry = product.getStockEntry(size, color);
+    if (!stockEntry) {
+      const label = product.hasVariants ? `${color} / ${size}` : `Size ${size}`;
+      issues.push({ component: component._id, productId, message: `${label} is not available for ${product.name}` });
+      return;
+    }
+
+    lines.push({
+      component: component._id,
+      product,
+      size,
+      color: product.hasVariants ? stockEntry.color : color,
+      sku: product.hasVariants ? stockEntry.sku : null,
+      quantity: component.quantity,
+      stockEntry
+    });
+  });
+
+  return { lines, issues };
+};
+
+// Instance method to price one set made of the given lines. The bundle never
+// costs more than its components bought separately. The set price is split
+// across the component units in proportion to their own prices, so order
+// lines add up to the bundle price; `unitPrice` is each unit's share and
+// `originalPrice` what it costs on its own.
+bundleSchema.methods.getPriceDetails = function(lines) {
+  const priced = lines.map(line => ({
+    ...line,
+    originalPrice: line.product.getPriceFor(line.size, line.color)
+  }));
+  const regularPrice = priced.reduce((total, line) => total + line.originalPrice * line.quantity, 0);
+
+  let price = this.pricing.type === 'fixed'
+    ? Math.min(this.pricing.value, regularPrice)
+    : Math.round(regularPrice * (1 - this.pricing.value / 100));
+  price = Math.max(0, price);
+
+  // Rounding is settled on a single-unit line where there is one
+  const singleUnitIndex = priced.map(line => line.quantity).lastIndexOf(1);
+  const remainderIndex = singleUnitIndex >= 0 ? singleUnitIndex : priced.length - 1;
+  let allocated = 0;
+  priced.forEach((line, index) => {
+    if (index === remainderIndex) return;
+    const share = regularPrice > 0 ? (line.originalPrice / regularPrice) * price : 0;
+    line.unitPrice = Math.round(share * 100) / 100;
+    allocated += line.unitPrice * line.quantity;
+  });
+  if (priced.length > 0) {
+    const line = priced[remainderIndex];
+    line.unitPrice = Math.round(((price - allocated) / line.quantity) * 100) / 100;
+  }
+
+  return {
+    price,
+    regularPrice,
+    savings: regularPrice - price,
+    components: priced
+  };
+};
+
+// Instance method to get how many whole sets the lines' stock allows
+bundleSchema.methods.getSetsAvailable = function(lines) {
+  if (lines.length === 0) return 0;
+  return Math.min(...lines.map(line =>
+    Math.floor(line.product.getSellableQuantity(line.stockEntry) / line.quantity)
+  ));
+};
+
+// Instance method to list each component with the sizes/colors a shopper can
+// pick and the stock behind them, plus how many sets can be sold at most
+bundleSchema.methods.getAvailability = function(productsById) {
+  const components = this.components.map(component => {
+    const product = productsById.get(idOf(component.product));
+    if (!product || !product.isActive) {
+      return { component: component._id, quantity: component.quantity, options: [], maxSets: 0 };
+    }
+
+    const entries = product.hasVariants ? product.variants : product.sizes;
+    const options = entries
+      .filter(entry => !component.size || entry.size === component.size)
+      .filter(entry => !component.color || !entry.color || entry.color.toLowerCase() === component.color.toLowerCase())
+      .map(entry => {
+        const stock = product.getSellableQuantity(entry);
+        return {
+          size: entry.size,
+          color: entry.color || null,
+          stock,
+          available: stock >= component.quantity
+        };
+      });
+
+    return {
+      component: component._id,
+      quantity: component.quantity,
+      options,
+      maxSets: Math.max(0, ...options.map(option => Math.floor(option.stock / component.quantity)))
+    };
+  });
+
+  const maxSets = Math.min(...components.map(component => component.maxSets));
+
+  return {
+    available: maxSets > 0,
+    maxSets,
+    components
+  };
+};
+
+// Instance method to get the price of a set before sizes are chosen (variant
+// price overrides aside), for listings
+bundleSchema.methods.getListPrice = function(productsById) {
+  const lines = this.components
+    .map(component => ({
+      product: productsById.get(idOf(component.product)),
+      size: component.size || null,
+      color: component.color || null,
+      quantity: component.quantity
+    }))
+    .filter(line => line.product);
+
+  const { price, regularPrice, savings } = this.getPriceDetails(lines);
+  return { price, regularPrice, savings };
+};
+
+// Static method to re-check a cart bundle line against today's bundle, prices
+// and stock, e.g. at checkout. Returns the priced lines, or an issue.
+bundleSchema.statics.checkCartLine = async function(cartLine) {
+  const bundle = await this.findOne({ _id: idOf(cartLine.bundle), isActive: true });
+  if (!bundle) {
+    return { issue: { type: 'unavailable', bundleId: idOf(cartLine.bundle), message: `${cartLine.name} is no longer available` } };
+  }
+
+  const productsById = await bundle.loadProducts();
+  const { lines, issues } = bundle.resolveSelections(
+    cartLine.components.map(line => ({ component: line.component, size: line.size, color: line.color })),
+    productsById
+  );
+  if (issues.length > 0) {
+    return { issue: { type: 'unavailable', bundleId: bundle._id, message: `${bundle.name}: ${issues[0].message}` } };
+  }
+
+  const setsAvailable = bundle.getSetsAvailable(lines);
+  if (setsAvailable < cartLine.quantity) {
+    return {
+      issue: {
+        type: 'insufficient_stock',
+        bundleId: bundle._id,
+        requestedQuantity: cartLine.quantity,
+        availableQuantity: setsAvailable,
+        message: `Only ${setsAvailable} sets of ${bundle.name} available`
+      }
+    };
+  }
+
+  return { bundle, lines, pricing: bundle.getPriceDetails(lines) };
+};
+
+bundleSchema.statics.PRICING_TYPES = PRICING_TYPES;
+bundleSchema.statics.MAX_COMPONENTS = MAX_COMPONENTS;
+bundleSchema.statics.COMPONENT_FIELDS = COMPONENT_FIELDS;
+
+module.exports = mongoose.model('Bundle', bundleSchema);
@@ -11,6 +11,15 @@ const cartItemSchema = new mongoose.Schema({
     required: [true, 'Size is required'],
     enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42']
   },
+  color: {
+    type: String,
+    trim: true
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -22,6 +31,12 @@ const cartItemSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Set when the product was on pre-order at the time it was added
+  isPreOrder: {
+    type: Boolean,
+    default: false
+  },
+  expectedShipDate: Date,
   addedAt: {
     type: Date,
     default: Date.now
@@ -37,6 +52,93 @@ cartItemSchema.virtual('subtotal').get(function() {
   return this.quantity * this.price;
 });
 
+// One component of a bundle in the cart, with the size/color chosen for it
+const cartBundleComponentSchema = new mongoose.Schema({
+  // Component ID on the bundle
+  component: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  size: {
+    type: String,
+    required: [true, 'Size is required'],
+    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42']
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Units in one set
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // This unit's share of the set price
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+// A bundle bought as a unit; `quantity` counts whole sets. Component stock is
+// reserved when the set is added and the set expands into one order line per
+// component at checkout.
+const cartBundleSchema = new mongoose.Schema({
+  bundle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bundle',
+    required: [true, 'Bundle reference is required']
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  components: [cartBundleComponentSchema],
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    max: [10, 'Maximum quantity per item is 10']
+  },
+  // Price of one set, and of its components bought separately
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  regularPrice: {
+    type: Number,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for bundle line subtotal
+cartBundleSchema.virtual('subtotal').get(function() {
+  return this.quantity * this.price;
+});
+
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -45,6 +147,7 @@ const cartSchema = new mongoose.Schema({
     unique: true
   },
   items: [cartItemSchema],
+  bundles: [cartBundleSchema],
   totals: {
     subtotal: {
       type: Number,
@@ -120,14 +223,20 @@ const cartSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for total items count
+// Virtual for total items count (a bundle set counts once)
 cartSchema.virtual('itemCount').get(function() {
-  return this.items.reduce((total, item) => total + item.quantity, 0);
+  return this.items.reduce((total, item) => total + item.quantity, 0) +
+    this.bundles.reduce((total, line) => total + line.quantity, 0);
 });
 
 // Virtual for unique items count
 cartSchema.virtual('uniqueItemCount').get(function() {
-  return this.items.length;
+  return this.items.length + this.bundles.length;
+});
+
+// Virtual for whether any item ships later as a pre-order
+cartSchema.virtual('hasPreOrderItems').get(function() {
+  return this.items.some(item => item.isPreOrder);
 });
 
 // Indexes
@@ -148,6 +257,8 @@ cartSchema.methods.calculateTotals = function() {
   // Calculate subtotal
   this.totals.subtotal = this.items.reduce((total, item) => {
     return total + (item.quantity * item.price);
+  }, 0) + this.bundles.reduce((total, line) => {
+    return total + (line.quantity * line.price);
   }, 0);
 
   // Calculate tax (18% GST for India)
@@ -175,12 +286,74 @@ cartSchema.methods.calculateTotals = function() {
   return this.totals;
 };
 
+// Instance method to re-price lines from their populated products (and
+// bundles), e.g. after a price event starts or ends. Returns the lines whose
+// price changed.
+cartSchema.methods.refreshPrices = function() {
+  const changes = [];
+
+  this.items.forEach(item => {
+    const product = item.product;
+    if (!product || typeof product.getPriceFor !== 'function') return;
+
+    const price = product.getPriceFor(item.size, item.color);
+    if (price !== item.price) {
+      changes.push({
+        productId: product._id,
+        size: item.size,
+        color: item.color,
+        oldPrice: item.price,
+        newPrice: price
+      });
+      item.price = price;
+    }
+  });
+
+  this.bundles.forEach(line => {
+    const bundle = line.bundle;
+    if (!bundle || typeof bundle.getPriceDetails !== 'function') return;
+
+    const lines = line.components.map(component => ({
+      product: component.product,
+      size: component.size,
+      color: component.color,
+      quantity: component.quantity
+    }));
+    if (lines.some(entry => !entry.product || typeof entry.product.getPriceFor !== 'function')) return;
+
+    const pricing = bundle.getPriceDetails(lines);
+    if (pricing.price !== line.price) {
+      changes.push({
+        bundleId: bundle._id,
+        lineId: line._id,
+        oldPrice: line.price,
+        newPrice: pricing.price
+      });
+      line.price = pricing.price;
+      line.regularPrice = pricing.regularPrice;
+      pricing.components.forEach((entry, index) => {
+        line.components[index].price = entry.unitPrice;
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Instance method to find the index of a cart line (product + size + color)
+cartSchema.methods.findItemIndex = function(productId, size, color = null) {
+  const wantedColor = color ? color.toLowerCase() : null;
+  return this.items.findIndex(item =>
+    item.product.toString() === productId.toString() &&
+    item.size === size &&
+    (item.color ? item.color.toLowerCase() : null) === wantedColor
+  );
+};
+
 // Instance method to add item to cart
-cartSchema.methods.addItem = function(productId, size, quantity, price) {
+cartSchema.methods.addItem = function(productId, size, quantity, price, color = null, sku = null, { isPreOrder = false, expectedShipDate = null } = {}) {
   // Check if item already exists
-  const existingItemIndex = this.items.findIndex(item => 
-    item.product.toString() === productId.toString() && item.size === size
-  );
+  const existingItemIndex = this.findItemIndex(productId, size, color);
 
   if (existingItemIndex >= 0) {
     // Update existing item quantity
@@ -189,25 +362,81 @@ cartSchema.methods.addItem = function(productId, size, quantity, price) {
       throw new Error('Maximum quantity per item is 10');
     }
     this.items[existingItemIndex].quantity = newQuantity;
+    if (isPreOrder) {
+      this.items[existingItemIndex].isPreOrder = true;
+      this.items[existingItemIndex].expectedShipDate = expectedShipDate || undefined;
+    }
   } else {
     // Add new item
     this.items.push({
       product: productId,
       size,
+      color: color || undefined,
+      sku: sku || undefined,
       quantity,
-      price
+      price,
+      isPreOrder,
+      expectedShipDate: expectedShipDate || undefined
     });
   }
 
   return this.save();
 };
 
-// Instance method to update item quantity
-cartSchema.methods.updateItemQuantity = function(productId, size, quantity) {
-  const itemIndex = this.items.findIndex(item => 
-    item.product.toString() === productId.toString() && item.size === size
+// Instance method to add a bundle set to the cart. The same bundle with the
+// same sizes and colors adds to the existing line.
+cartSchema.methods.addBundle = function(bundle, pricing, quantity) {
+  const components = pricing.components.map(line => ({
+    component: line.component,
+    product: line.product._id,
+    size: line.size,
+    color: line.color || undefined,
+    sku: line.sku || undefined,
+    quantity: line.quantity,
+    price: line.unitPrice
+  }));
+  const signature = (list) => list
+    .map(line => `${line.component}:${line.size}:${(line.color || '').toLowerCase()}`)
+    .sort()
+    .join('|');
+
+  const existing = this.bundles.find(line =>
+    (line.bundle._id || line.bundle).toString() === bundle._id.toString() &&
+    signature(line.components) === signature(components)
   );
 
+  if (existing) {
+    const newQuantity = existing.quantity + quantity;
+    if (newQuantity > 10) {
+      throw new Error('Maximum quantity per item is 10');
+    }
+    existing.quantity = newQuantity;
+    existing.price = pricing.price;
+    existing.regularPrice = pricing.regularPrice;
+    existing.components = components;
+  } else {
+    this.bundles.push({
+      bundle: bundle._id,
+      name: bundle.name,
+      components,
+      quantity,
+      price: pricing.price,
+      regularPrice: pricing.regularPrice
+    });
+  }
+
+  return this.save();
+};
+
+// Instance method to find a bundle line by its ID
+cartSchema.methods.findBundleLine = function(lineId) {
+  return this.bundles.id(lineId);
+};
+
+// Instance method to update item quantity
+cartSchema.methods.updateItemQuantity = function(productId, size, quantity, color = null) {
+  const itemIndex = this.findItemIndex(productId, size, color);
+
   if (itemIndex === -1) {
     throw new Error('Item not found in cart');
   }
@@ -225,10 +454,8 @@ cartSchema.methods.updateItemQuantity = function(productId, size, quantity) {
 };
 
 // Instance method to remove item from cart
-cartSchema.methods.removeItem = function(productId, size) {
-  const itemIndex = this.items.findIndex(item => 
-    item.product.toString() === productId.toString() && item.size === size
-  );
+cartSchema.methods.removeItem = function(productId, size, color = null) {
+  const itemIndex = this.findItemIndex(productId, size, color);
 
   if (itemIndex === -1) {
     throw new Error('Item not found in cart');
@@ -241,6 +468,7 @@ cartSchema.methods.removeItem = function(productId, size) {
 // Instance method to clear cart
 cartSchema.methods.clearCart = function() {
   this.items = [];
+  this.bundles = [];
   this.appliedCoupons = [];
   return this.save();
 };
@@ -274,12 +502,18 @@ cartSchema.methods.removeCoupon = function(couponCode) {
 
 // Static method to find cart by user
 cartSchema.statics.findByUser = function(userId) {
-  return this.findOne({ user: userId, isActive: true }).populate('items.product');
+  return this.findOne({ user: userId, isActive: true })
+    .populate('items.product')
+    .populate('bundles.bundle')
+    .populate('bundles.components.product');
 };
 
 // Static method to find cart by session
 cartSchema.statics.findBySession = function(sessionId) {
-  return this.findOne({ sessionId, isActive: true }).populate('items.product');
+  return this.findOne({ sessionId, isActive: true })
+    .populate('items.product')
+    .populate('bundles.bundle')
+    .populate('bundles.components.product');
 };
 
 // Static method to merge guest cart with user cart
@@ -298,7 +532,8 @@ cartSchema.statics.mergeGuestCart = async function(userId, guestCartItems) {
         guestItem.productId, 
         guestItem.size, 
         guestItem.quantity, 
-        guestItem.price
+        guestItem.price,
+        guestItem.color
       );
     } catch (error) {
       // Skip items that can't be added (e.g., exceed max quantity)
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const { markCatalogChanged } = require('../utils/catalogFeeds');
+
+const CATEGORIES_TTL_MS = 5 * 60 * 1000;
+let categoriesCache = { categories: null, loadedAt: 0 };
+
+const toSlug = (value) => value
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+// Node in the category tree. Products keep the slug of their top-level
+// category in `category` and, optionally, the slug of a category below it in
+// `subcategory`, so a new category is just a new document here.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Top-level categories have no parent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  image: {
+    url: String,
+    alt: String
+  },
+  // Order among siblings
+  position: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  seo: {
+    metaTitle: {
+      type: String,
+      maxlength: [60, 'Meta title cannot exceed 60 characters']
+    },
+    metaDescription: {
+      type: String,
+      maxlength: [160, 'Meta description cannot exceed 160 characters']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, position: 1 });
+
+// Derive the slug and keep the tree free of cycles
+categorySchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = toSlug(this.name);
+  }
+
+  if (!this.parent || !(this.isNew || this.isModified('parent'))) return;
+
+  if (this.parent.toString() === this._id.toString()) {
+    this.invalidate('parent', 'A category cannot be its own parent', this.parent);
+    return;
+  }
+
+  const categories = await this.constructor.getAll({ fresh: true });
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  if (!byId.has(this.parent.toString())) {
+    this.invalidate('parent', 'Parent category not found', this.parent);
+    return;
+  }
+
+  for (let node = byId.get(this.parent.toString()); node; node = node.parent && byId.get(node.parent.toString())) {
+    if (node._id.toString() === this._id.toString()) {
+      this.invalidate('parent', 'A category cannot be moved under one of its own subcategories', this.parent);
+      return;
+    }
+  }
+});
+
+// Any change to the tree is picked up by the next request
+categorySchema.post('save', () => {
+  categoriesCache = { categories: null, loadedAt: 0 };
+  markCatalogChanged();
+});
+categorySchema.post('deleteOne', { document: true, query: false }, () => {
+  categoriesCache = { categories: null, loadedAt: 0 };
+  markCatalogChanged();
+});
+
+// Static method to get every category (active or not) as plain objects, sorted for display
+categorySchema.statics.getAll = async function({ fresh = false } = {}) {
+  if (!fresh && categoriesCache.categories && Date.now() - categoriesCache.loadedAt < CATEGORIES_TTL_MS) {
+    return categoriesCache.categories;
+  }
+
+  const categories = await this.find().sort({ position: 1, name: 1 }).lean();
+  categoriesCache = { categories, loadedAt: Date.now() };
+  return categories;
+};
+
+// Static method to find a category by slug, with its path from the top-level category down
+categorySchema.statics.findBySlug = async function(slug) {
+  if (!slug) return null;
+  const categories = await this.getAll();
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const category = categories.find(entry => entry.slug === slug.toLowerCase());
+  if (!category) return null;
+
+  const path = [];
+  for (let node = category; node; node = node.parent && byId.get(node.parent.toString())) {
+    path.unshift(node);
+  }
+
+  return { ...category, path, root: path[0] };
+};
+
+// Static method to get the slugs of a category and everything below it
+categorySchema.statics.getDescendantSlugs = async function(slug) {
+  const categories = await this.getAll();
+  const start = categories.find(category => category.slug === slug);
+  if (!start) return [];
+
+  const slugs = [];
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    slugs.push(node.slug);
+    queue.push(...categories.filter(category => category.parent && category.parent.toString() === node._id.toString()));
+  }
+  return slugs;
+};
+
+// Static method to check a product's category and subcategory against the tree.
+// `category` must be a top-level category and `subcategory`, when set, one
+// of the categories below it. Returns { path, message } where message
+// explains what is wrong.
+categorySchema.statics.checkPlacement = async function(category, subcategory) {
+  const top = await this.findBySlug(category);
+  if (!top) {
+    return { path: 'category', message: `Unknown category: ${category}` };
+  }
+  if (top.parent) {
+    return { path: 'category', message: `${top.name} is a subcategory of ${top.root.name}; use ${top.root.slug} as the category` };
+  }
+  if (!subcategory) return null;
+
+  const sub = await this.findBySlug(subcategory);
+  if (!sub) {
+    return { path: 'subcategory', message: `Unknown subcategory: ${subcategory}` };
+  }
+  if (sub.root.slug !== top.slug || sub.slug === top.slug) {
+    return { path: 'subcategory', message: `${sub.name} is not a subcategory of ${top.name}` };
+  }
+  return null;
+};
+
+// Static method to build the category tree. `counts` maps a category slug to
+// the number of products filed directly under it; each node's `productCount`
+// includes everything below it. Inactive categories (and their subtrees)
+// are left out unless includeInactive is set.
+categorySchema.statics.buildTree = function(categories, counts = new Map(), { includeInactive = false } = {}) {
+  const childrenOf = new Map();
+  categories.forEach(category => {
+    const key = category.parent ? category.parent.toString() : 'root';
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(category);
+  });
+
+  const build = (parentKey, depth) => (childrenOf.get(parentKey) || [])
+    .filter(category => includeInactive || category.isActive)
+    .map(category => {
+      const children = build(category._id.toString(), depth + 1);
+      const ownCount = counts.get(category.slug) || 0;
+
+      return {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        image: category.image,
+        position: category.position,
+        isActive: category.isActive,
+        seo: category.seo,
+        depth,
+        productCount: children.reduce((total, child) => total + child.productCount, ownCount),
+        children
+      };
+    });
+
+  return build('root', 0);
+};
+
+// Static method to count active products per category slug: products with a
+// known subcategory count towards it, the rest towards their top-level category
+categorySchema.statics.getProductCounts = async function(match = { isActive: true }) {
+  const Product = mongoose.model('Product');
+  const [results, categories] = await Promise.all([
+    Product.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { category: '$category', subcategory: '$subcategory' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    this.getAll()
+  ]);
+
+  const known = new Set(categories.map(category => category.slug));
+  const counts = new Map();
+  results.forEach(({ _id, count }) => {
+    const slug = _id.subcategory && known.has(_id.subcategory) ? _id.subcategory : _id.category;
+    counts.set(slug, (counts.get(slug) || 0) + count);
+  });
+
+  return counts;
+};
+
+// Static method to move products along after categories were renamed or
+// moved: each product is filed under the top-level category above its most
+// specific category. `slugs` are the categories whose products may need it.
+categorySchema.statics.rehomeProducts = async function(slugs) {
+  const Product = mongoose.model('Product');
+  let modified = 0;
+
+  for (const slug of slugs) {
+    const category = await this.findBySlug(slug);
+    if (!category) continue;
+
+    const isTop = category.root.slug === category.slug;
+    const result = await Product.updateMany(
+      {
+        $or: [
+          { subcategory: slug },
+          { category: slug, subcategory: { $in: [null, ''] } }
+        ]
+      },
+      isTop
+        ? { $set: { category: slug }, $unset: { subcategory: '' } }
+        : { $set: { category: category.root.slug, subcategory: slug } }
+    );
+    modified += result.modifiedCount;
+  }
+
+  return { modified };
+};
+
+categorySchema.statics.toSlug = toSlug;
+
+module.exports = mongoose.model('Category', categorySchema);
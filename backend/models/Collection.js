@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { markCatalogChanged } = require('../utils/catalogFeeds');
+const { parseRule } = require('../utils/collectionRules');
+const { buildSortOptions } = require('../utils/productFilters');
+
+// Hand-picked collections stay small enough to load in one query
+const MAX_PRODUCTS = 200;
+
+// Fields shown on product cards in a collection
+const CARD_FIELDS = 'name price images category brand ratings availability sizes colors seo.slug isFeatured createdAt';
+
+// Merchandised group of products: either a hand-picked, ordered list or a
+// rule such as "tag=summer and price<1500" (see utils/collectionRules.js),
+// optionally shown only between startsAt and endsAt.
+const collectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Collection title is required'],
+    trim: true,
+    maxlength: [100, 'Collection title cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  heroImage: {
+    url: String,
+    alt: String
+  },
+  type: {
+    type: String,
+    enum: ['manual', 'rule'],
+    default: 'manual'
+  },
+  // Manual collections, in display order
+  products: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    validate: {
+      validator: function(products) {
+        return products.length <= MAX_PRODUCTS;
+      },
+      message: `A collection can list at most ${MAX_PRODUCTS} products`
+    }
+  },
+  // Rule collections
+  rule: {
+    type: String,
+    trim: true
+  },
+  sortBy: {
+    type: String,
+    enum: ['createdAt', 'price', 'discount', 'name', 'ratings.average'],
+    default: 'createdAt'
+  },
+  sortOrder: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+  // Scheduling window; either end may be left open
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Listed in the storefront header
+  showInNavigation: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+collectionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+collectionSchema.index({ showInNavigation: 1, position: 1 });
+
+// Virtual for whether the collection is visible right now
+collectionSchema.virtual('isLive').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.endsAt || this.endsAt > now);
+});
+
+// Derive the slug and check the rule and schedule
+collectionSchema.pre('validate', function(next) {
+  if (!this.slug && this.title) {
+    this.slug = this.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '');
+  }
+
+  if (this.type === 'rule') {
+    try {
+      parseRule(this.rule);
+    } catch (error) {
+      this.invalidate('rule', `Invalid rule: ${error.message}`, this.rule);
+    }
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date', this.endsAt);
+  }
+
+  next();
+});
+
+// Live collections are listed in the sitemap
+collectionSchema.post('save', markCatalogChanged);
+collectionSchema.post('deleteOne', { document: true, query: false }, markCatalogChanged);
+
+// Static method to build the query for collections visible at a given time
+collectionSchema.statics.liveFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Static method to find a visible collection by slug
+collectionSchema.statics.findLiveBySlug = function(slug, now = new Date()) {
+  return this.findOne({ slug: slug.toLowerCase(), ...this.liveFilter(now) });
+};
+
+// Instance method to get one page of the collection's active products.
+// Manual collections keep their curated order; rule collections use sortBy/sortOrder.
+collectionSchema.methods.getProductPage = async function({ page = 1, limit = 24 } = {}) {
+  const Product = mongoose.model('Product');
+  const skip = (page - 1) * limit;
+
+  if (this.type === 'manual') {
+    const found = await Product.find({ _id: { $in: this.products }, isActive: true }).select(CARD_FIELDS);
+    const byId = new Map(found.map(product => [product._id.toString(), product]));
+    const ordered = this.products
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean);
+
+    return { products: ordered.slice(skip, skip + limit), totalProducts: ordered.length };
+  }
+
+  const query = { isActive: true, ...parseRule(this.rule) };
+  const [products, totalProducts] = await Promise.all([
+    Product.find(query)
+      .sort(buildSortOptions(this.sortBy, this.sortOrder))
+      .skip(skip)
+      .limit(limit)
+      .select(CARD_FIELDS),
+    Product.countDocuments(query)
+  ]);
+
+  return { products, totalProducts };
+};
+
+collectionSchema.statics.MAX_PRODUCTS = MAX_PRODUCTS;
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+const RATES_TTL_MS = 5 * 60 * 1000;
+let ratesCache = { rates: null, loadedAt: 0 };
+
+// Locally maintained exchange rate: how many units of `currency` one unit of
+// the base currency buys. Used for display only; orders settle in the base currency.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    unique: true,
+    enum: SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY)
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Any change to the table is picked up by the next request
+exchangeRateSchema.post('save', () => {
+  ratesCache = { rates: null, loadedAt: 0 };
+});
+exchangeRateSchema.post('deleteOne', { document: true, query: false }, () => {
+  ratesCache = { rates: null, loadedAt: 0 };
+});
+
+// Static method to get the rate table keyed by currency, including the base currency at 1
+exchangeRateSchema.statics.getRates = async function() {
+  if (ratesCache.rates && Date.now() - ratesCache.loadedAt < RATES_TTL_MS) {
+    return ratesCache.rates;
+  }
+
+  const entries = await this.find().select('currency rate');
+  const rates = entries.reduce((table, entry) => {
+    table[entry.currency] = entry.rate;
+    return table;
+  }, { [BASE_CURRENCY]: 1 });
+
+  ratesCache = { rates, loadedAt: Date.now() };
+  return rates;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
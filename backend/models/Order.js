@@ -24,6 +24,15 @@ const orderItemSchema = new mongoose.Schema({
     required: [true, 'Size is required'],
     enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42']
   },
+  color: {
+    type: String,
+    trim: true
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -34,11 +43,35 @@ const orderItemSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Set when the line was bought in a scheduled sale or as part of a bundle
+  originalPrice: Number,
+  priceEvent: {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceEvent'
+    },
+    name: String
+  },
+  // Bundle the line was bought in; `line` groups the lines of one cart bundle
+  bundle: {
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bundle'
+    },
+    name: String,
+    line: mongoose.Schema.Types.ObjectId
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
-  }
+  },
+  // Pre-order lines are fulfilled separately, once stock arrives
+  isPreOrder: {
+    type: Boolean,
+    default: false
+  },
+  expectedShipDate: Date
 }, {
   _id: true,
   toJSON: { virtuals: true },
@@ -98,6 +131,18 @@ const orderSchema = new mongoose.Schema({
     enum: ['INR', 'USD', 'EUR']
   },
 
+  // Display currency and exchange rate the shopper saw at checkout.
+  // The order itself is always charged in `currency`.
+  displayCurrency: {
+    currency: {
+      type: String,
+      enum: ['INR', 'USD', 'EUR']
+    },
+    rate: Number,
+    total: Number,
+    capturedAt: Date
+  },
+
   // Address information
   shippingAddress: {
     firstName: {
@@ -283,6 +328,11 @@ orderSchema.virtual('itemCount').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+// Virtual for whether the order includes pre-order items
+orderSchema.virtual('hasPreOrderItems').get(function() {
+  return this.items.some(item => item.isPreOrder);
+});
+
 // Virtual for order age in days
 orderSchema.virtual('ageInDays').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
@@ -303,6 +353,7 @@ orderSchema.index({ 'payment.transactionId': 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ confirmedAt: -1 });
 orderSchema.index({ shippedAt: -1 });
+orderSchema.index({ 'items.isPreOrder': 1, 'items.expectedShipDate': 1 });
 
 // Pre-save middleware to generate order number and update status history
 orderSchema.pre('save', function(next) {
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/productFilters');
+
+const PRICE_EVENT_TYPES = ['sale', 'flash-sale'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Scheduled sale: a percentage or fixed amount off the targeted products
+// between startsAt and endsAt. Products match when they are listed or fall in
+// one of the categories (top-level or subcategories), brands or tags.
+//
+// A copy of the event is kept on every matching product (price.events) so
+// currentPrice, cart and order pricing honour the window without a lookup.
+// The sweep in jobs/index.js re-syncs the stored selling price as windows
+// open and close.
+const priceEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true,
+    maxlength: [100, 'Event name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: PRICE_EVENT_TYPES,
+    default: 'sale'
+  },
+  discount: {
+    type: {
+      type: String,
+      enum: DISCOUNT_TYPES,
+      required: [true, 'Discount type is required']
+    },
+    value: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0, 'Discount cannot be negative']
+    }
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  target: {
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    categories: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    brands: [{
+      type: String,
+      trim: true
+    }],
+    tags: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Where the event stood when its products were last re-priced, so the
+  // sweep handles each start and end once
+  phase: {
+    type: String,
+    enum: ['scheduled', 'live', 'ended'],
+    default: 'scheduled'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+priceEventSchema.index({ phase: 1, startsAt: 1 });
+priceEventSchema.index({ phase: 1, endsAt: 1 });
+
+// Virtual for where the event is in its window right now
+priceEventSchema.virtual('status').get(function() {
+  const now = new Date();
+  if (!this.isActive) return 'inactive';
+  if (this.startsAt > now) return 'scheduled';
+  if (this.endsAt <= now) return 'ended';
+  return 'live';
+});
+
+priceEventSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date', this.endsAt);
+  }
+
+  if (this.discount?.type === 'percentage' && this.discount.value > 100) {
+    this.invalidate('discount.value', 'Percentage discount cannot exceed 100', this.discount.value);
+  }
+
+  const { products, categories, brands, tags } = this.target || {};
+  const targeted = [products, categories, brands, tags].some(list => list && list.length > 0);
+  if (!targeted) {
+    this.invalidate('target', 'Target at least one product, category, brand or tag');
+  }
+
+  next();
+});
+
+// A rescheduled or re-enabled event is re-priced straight away (see
+// applyToProducts), so its phase starts again from the current time
+priceEventSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('startsAt') || this.isModified('endsAt') || this.isModified('isActive')) {
+    const status = this.status;
+    this.phase = status === 'inactive' ? 'ended' : status;
+  }
+  next();
+});
+
+// Instance method to build the query for the products the event targets
+priceEventSchema.methods.buildProductQuery = function() {
+  const { products = [], categories = [], brands = [], tags = [] } = this.target || {};
+  const conditions = [];
+
+  if (products.length > 0) conditions.push({ _id: { $in: products } });
+  if (categories.length > 0) {
+    conditions.push({ category: { $in: categories } }, { subcategory: { $in: categories } });
+  }
+  if (brands.length > 0) {
+    conditions.push({ brand: { $in: brands.map(brand => new RegExp(`^${escapeRegex(brand)}$`, 'i')) } });
+  }
+  if (tags.length > 0) conditions.push({ tags: { $in: tags } });
+
+  return { $or: conditions };
+};
+
+// Instance method to check whether a product is targeted, without a query
+priceEventSchema.methods.matchesProduct = function(product) {
+  const { products = [], categories = [], brands = [], tags = [] } = this.target || {};
+  const productTags = (product.tags || []).map(tag => tag.toLowerCase());
+
+  return products.some(id => id.toString() === product._id.toString()) ||
+    categories.includes(product.category) ||
+    (Boolean(product.subcategory) && categories.includes(product.subcategory)) ||
+    brands.some(brand => brand.toLowerCase() === (product.brand || '').toLowerCase()) ||
+    tags.some(tag => productTags.includes(tag));
+};
+
+// Instance method to get the copy stored on targeted products
+priceEventSchema.methods.toProductEntry = function() {
+  return {
+    event: this._id,
+    name: this.name,
+    type: this.type,
+    discountType: this.discount.type,
+    discountValue: this.discount.value,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt
+  };
+};
+
+// Instance method to copy the event onto the products it targets, replacing
+// any earlier copy, and re-sync their stored selling prices.
+// Inactive and ended events are only removed.
+priceEventSchema.methods.applyToProducts = async function(now = new Date()) {
+  const Product = mongoose.model('Product');
+  const previous = await Product.find({ 'price.events.event': this._id }).distinct('_id');
+
+  await Product.updateMany(
+    { 'price.events.event': this._id },
+    { $pull: { 'price.events': { event: this._id } } }
+  );
+
+  let targeted = [];
+  if (this.isActive && this.endsAt > now) {
+    const query = this.buildProductQuery();
+    targeted = await Product.find(query).distinct('_id');
+    await Product.updateMany(query, { $push: { 'price.events': this.toProductEntry() } });
+  }
+
+  const affected = [...previous, ...targeted];
+  const { updated } = await Product.refreshEffectivePrices({ _id: { $in: affected } });
+
+  return { products: targeted.length, removed: previous.length, repriced: updated };
+};
+
+// Instance method to take the event off every product, e.g. before deleting it
+priceEventSchema.methods.removeFromProducts = async function() {
+  const Product = mongoose.model('Product');
+  const affected = await Product.find({ 'price.events.event': this._id }).distinct('_id');
+
+  await Product.updateMany(
+    { 'price.events.event': this._id },
+    { $pull: { 'price.events': { event: this._id } } }
+  );
+  await Product.refreshEffectivePrices({ _id: { $in: affected } });
+
+  return { removed: affected.length };
+};
+
+// Static method to find the active events a product should carry,
+// e.g. when it is created or moved to another category
+priceEventSchema.statics.findForProduct = async function(product, now = new Date()) {
+  const events = await this.find({ isActive: true, endsAt: { $gt: now } });
+  return events.filter(event => event.matchesProduct(product));
+};
+
+// Static method to re-price products for events whose window opened or
+// closed since the last sweep. Ended events are taken off their products.
+priceEventSchema.statics.sweep = async function(now = new Date()) {
+  const Product = mongoose.model('Product');
+  const due = await this.find({
+    $or: [
+      { phase: 'scheduled', startsAt: { $lte: now } },
+      { phase: { $ne: 'ended' }, endsAt: { $lte: now } }
+    ]
+  });
+
+  let started = 0;
+  let ended = 0;
+
+  for (const event of due) {
+    if (event.endsAt <= now) {
+      await event.removeFromProducts();
+      event.phase = 'ended';
+      ended += 1;
+    } else {
+      await Product.refreshEffectivePrices({ 'price.events.event': event._id });
+      event.phase = 'live';
+      started += 1;
+    }
+    await event.save();
+  }
+
+  return { started, ended };
+};
+
+priceEventSchema.statics.PRICE_EVENT_TYPES = PRICE_EVENT_TYPES;
+priceEventSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+module.exports = mongoose.model('PriceEvent', priceEventSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prior-price disclosure window ("lowest price in the last 30 days")
+const LOWEST_PRICE_DAYS = 30;
+
+// One entry per product price change: the list price, the discounted price
+// and what customers actually paid from then on. Entries are never edited,
+// so the log can back up whether a sale price is a genuine reduction.
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  original: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discounted: {
+    type: Number,
+    min: 0
+  },
+  // Selling price, including any running price event
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  priceEvent: {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceEvent'
+    },
+    name: String
+  },
+  reason: {
+    type: String,
+    enum: ['created', 'price-change', 'price-event'],
+    default: 'price-change'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceHistorySchema.index({ product: 1, recordedAt: -1 });
+
+// Static method to build a log entry from a product's current prices
+priceHistorySchema.statics.entryFor = function(product, { reason = 'price-change', changedBy = null } = {}) {
+  const activeEvent = product.activePriceEvent;
+
+  return {
+    product: product._id,
+    original: product.price.original,
+    discounted: product.price.discounted,
+    price: product.currentPrice,
+    priceEvent: activeEvent ? { event: activeEvent.event, name: activeEvent.name } : undefined,
+    reason,
+    changedBy: changedBy || undefined
+  };
+};
+
+// Static method to get the price timeline for the last `days` days. The first
+// point is the price that was already in force when the period started.
+priceHistorySchema.statics.getTimeline = async function(productId, days = 90, now = new Date()) {
+  const since = new Date(now.getTime() - days * DAY_MS);
+
+  const [before, during] = await Promise.all([
+    this.findOne({ product: productId, recordedAt: { $lt: since } }).sort({ recordedAt: -1 }),
+    this.find({ product: productId, recordedAt: { $gte: since, $lte: now } }).sort({ recordedAt: 1 })
+  ]);
+
+  return before ? [before, ...during] : during;
+};
+
+// Static method to get the lowest selling price in the `days` days before the
+// current price took effect, i.e. the reference price a reduction is measured
+// against. Returns null when there is no earlier price to compare with.
+priceHistorySchema.statics.getLowestPriorPrice = async function(productId, currentPrice, days = LOWEST_PRICE_DAYS) {
+  const lastDifferent = await this.findOne({ product: productId, price: { $ne: currentPrice } })
+    .sort({ recordedAt: -1 });
+  if (!lastDifferent) return null;
+
+  // The current price has applied since the first entry after the last different one
+  const currentSince = await this.findOne({
+    product: productId,
+    recordedAt: { $gt: lastDifferent.recordedAt }
+  }).sort({ recordedAt: 1 });
+  const effectiveFrom = currentSince ? currentSince.recordedAt : new Date();
+
+  const timeline = await this.getTimeline(productId, days, new Date(effectiveFrom.getTime() - 1));
+  if (timeline.length === 0) return null;
+
+  const lowest = timeline.reduce((min, entry) => (entry.price < min.price ? entry : min));
+
+  return {
+    price: lowest.price,
+    days,
+    since: new Date(effectiveFrom.getTime() - days * DAY_MS),
+    until: effectiveFrom
+  };
+};
+
+priceHistorySchema.statics.LOWEST_PRICE_DAYS = LOWEST_PRICE_DAYS;
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -1,4 +1,139 @@
 const mongoose = require('mongoose');
+const {
+  PRICE_BUCKETS,
+  DISCOUNT_STEPS,
+  combineFilters
+} = require('../utils/productFilters');
+const {
+  SEARCH_FIELDS,
+  vocabularyWords,
+  analyzeSearchTerm,
+  buildSearchMatch
+} = require('../utils/searchTerms');
+const { encodeCursor, decodeCursor, buildCursorQuery } = require('../utils/cursorPagination');
+const StockSubscription = require('./StockSubscription');
+const PriceEvent = require('./PriceEvent');
+const PriceHistory = require('./PriceHistory');
+const Category = require('./Category');
+const { markCatalogChanged } = require('../utils/catalogFeeds');
+
+// Fields shown in the sitemap or the shopping feed
+const FEED_FIELDS = [
+  'name',
+  'description',
+  'brand',
+  'material',
+  'price',
+  'images',
+  'colors',
+  'availability',
+  'seo.slug',
+  'isActive',
+  'category',
+  'subcategory'
+];
+
+// Product photo. Uploaded images also carry resized JPEG/WebP derivatives
+// (see utils/imageProcessing.js); images added by URL only have `url`.
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  alt: {
+    type: String,
+    default: ''
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  // Storage key prefix of uploaded files, used to delete them with the image
+  storageKey: String,
+  width: Number,
+  height: Number,
+  variants: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: ['thumbnail', 'medium', 'large']
+    },
+    format: {
+      type: String,
+      enum: ['jpeg', 'webp']
+    },
+    width: Number,
+    height: Number,
+    url: String
+  }]
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Builds a srcset string ("url 200w, url 600w, ...") for one format
+const buildSrcSet = (variants, format) => {
+  return variants
+    .filter(variant => variant.format === format)
+    .sort((a, b) => a.width - b.width)
+    .map(variant => `${variant.url} ${variant.width}w`)
+    .join(', ');
+};
+
+// Virtuals for responsive <img srcset> and <source type="image/webp" srcset>
+imageSchema.virtual('srcSet').get(function() {
+  return buildSrcSet(this.variants || [], 'jpeg') || undefined;
+});
+
+imageSchema.virtual('webpSrcSet').get(function() {
+  return buildSrcSet(this.variants || [], 'webp') || undefined;
+});
+
+// Copy of a scheduled price event (see models/PriceEvent.js) on a product it targets
+const priceEventEntrySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceEvent',
+    required: true
+  },
+  name: String,
+  type: {
+    type: String,
+    enum: PriceEvent.PRICE_EVENT_TYPES,
+    default: 'sale'
+  },
+  discountType: {
+    type: String,
+    enum: PriceEvent.DISCOUNT_TYPES,
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  startsAt: Date,
+  endsAt: Date
+}, { _id: false });
+
+// Sale prices are rounded to whole rupees, like percentage coupons
+const applyEventDiscount = (basePrice, entry) => {
+  const amountOff = entry.discountType === 'percentage'
+    ? (basePrice * entry.discountValue) / 100
+    : entry.discountValue;
+  return Math.max(0, Math.round(basePrice - amountOff));
+};
+
+// Exactly one primary image per gallery: the first flagged one, else the first image
+const ensureSinglePrimary = (images) => {
+  if (!images || images.length === 0) return;
+
+  const primaryIndex = Math.max(0, images.findIndex(image => image.isPrimary));
+  images.forEach((image, index) => {
+    image.isPrimary = index === primaryIndex;
+  });
+};
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -18,25 +153,14 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Short description cannot exceed 200 characters']
   },
+  // Slug of a top-level category from the category tree (see models/Category.js)
   category: {
     type: String,
     required: [true, 'Product category is required'],
-    enum: [
-      'shirts',
-      'pants',
-      'jeans',
-      'jackets',
-      'sweaters',
-      'hoodies',
-      'shorts',
-      'suits',
-      'accessories',
-      'shoes',
-      'underwear',
-      'activewear'
-    ],
+    trim: true,
     lowercase: true
   },
+  // Slug of a category below `category`
   subcategory: {
     type: String,
     trim: true,
@@ -63,27 +187,26 @@ const productSchema = new mongoose.Schema({
         },
         message: 'Discounted price cannot be higher than original price'
       }
-    }
+    },
+    // What the customer pays and how much is off, kept in sync from
+    // original/discounted so listings can filter and sort on an index
+    effective: {
+      type: Number,
+      min: 0
+    },
+    discountPercent: {
+      type: Number,
+      default: 0
+    },
+    // Running and upcoming price events targeting the product
+    events: [priceEventEntrySchema]
   },
   currency: {
     type: String,
     default: 'INR',
     enum: ['INR', 'USD', 'EUR']
   },
-  images: [{
-    url: {
-      type: String,
-      required: [true, 'Image URL is required']
-    },
-    alt: {
-      type: String,
-      default: ''
-    },
-    isPrimary: {
-      type: Boolean,
-      default: false
-    }
-  }],
+  images: [imageSchema],
   sizes: [{
     size: {
       type: String,
@@ -111,6 +234,42 @@ const productSchema = new mongoose.Schema({
     hexCode: {
       type: String,
       match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color code']
+    },
+    // Color-specific gallery shown when the shopper picks this color
+    images: [imageSchema]
+  }],
+  // Color x size SKUs. When present, these are the source of truth for stock
+  // and `sizes` is kept in sync as the per-size total across all colors.
+  variants: [{
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    color: {
+      type: String,
+      required: [true, 'Variant color is required'],
+      trim: true
+    },
+    size: {
+      type: String,
+      required: [true, 'Variant size is required'],
+      enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42']
+    },
+    stock: {
+      type: Number,
+      required: [true, 'Variant stock is required'],
+      min: [0, 'Stock cannot be negative'],
+      default: 0
+    },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved quantity cannot be negative']
+    },
+    price: {
+      type: Number,
+      min: [0, 'Variant price cannot be negative']
     }
   }],
   material: {
@@ -140,6 +299,12 @@ const productSchema = new mongoose.Schema({
     },
     restockDate: {
       type: Date
+    },
+    // Units that may be sold beyond physical stock while status is pre-order.
+    // Pre-orders are held as reservations against incoming stock.
+    preOrderLimit: {
+      type: Number,
+      min: [0, 'Pre-order limit cannot be negative']
     }
   },
   seo: {
@@ -194,19 +359,39 @@ const productSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for current price (discounted or original)
+// Virtual for current price: discounted or original, or the price of a
+// running price event when that is lower
 productSchema.virtual('currentPrice').get(function() {
-  return this.price.discounted || this.price.original;
+  const regular = this.price.discounted || this.price.original;
+  const sale = this.getSalePrice(this.price.original);
+  return sale && sale.price < regular ? sale.price : regular;
 });
 
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
-  if (this.price.discounted && this.price.original > this.price.discounted) {
-    return Math.round(((this.price.original - this.price.discounted) / this.price.original) * 100);
+  const current = this.currentPrice;
+  if (current && this.price.original > current) {
+    return Math.round(((this.price.original - current) / this.price.original) * 100);
   }
   return 0;
 });
 
+// Virtual for the running price event behind currentPrice, for sale badges and countdowns
+productSchema.virtual('activePriceEvent').get(function() {
+  const regular = this.price.discounted || this.price.original;
+  const sale = this.getSalePrice(this.price.original);
+  if (!sale || sale.price >= regular) return null;
+
+  return {
+    event: sale.event.event,
+    name: sale.event.name,
+    type: sale.event.type,
+    startsAt: sale.event.startsAt,
+    endsAt: sale.event.endsAt,
+    price: sale.price
+  };
+});
+
 // Virtual for total stock across all sizes
 productSchema.virtual('totalStock').get(function() {
   return this.sizes.reduce((total, size) => total + (size.stock - size.reserved), 0);
@@ -217,25 +402,139 @@ productSchema.virtual('availableStock').get(function() {
   return this.sizes.reduce((total, size) => total + Math.max(0, size.stock - size.reserved), 0);
 });
 
+// Virtual for whether stock is tracked per color x size
+productSchema.virtual('hasVariants').get(function() {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+// Virtual for whether the product is sold ahead of stock arriving
+productSchema.virtual('isPreOrder').get(function() {
+  return this.availability?.status === 'pre-order';
+});
+
+// Virtual for units reserved beyond physical stock, i.e. pre-ordered
+productSchema.virtual('preOrderCount').get(function() {
+  const entries = this.hasVariants ? this.variants : (this.sizes || []);
+  return entries.reduce((total, entry) => total + Math.max(0, entry.reserved - entry.stock), 0);
+});
+
+// Virtual for pre-orders still accepted before the limit is reached
+productSchema.virtual('preOrderRemaining').get(function() {
+  if (!this.isPreOrder) return 0;
+  return Math.max(0, (this.availability.preOrderLimit || 0) - this.preOrderCount);
+});
+
 // Indexes for search and filtering
-productSchema.index({ name: 'text', description: 'text', tags: 'text' });
+productSchema.index(
+  Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, 'text'])),
+  { name: 'product_search', weights: SEARCH_FIELDS }
+);
 productSchema.index({ category: 1, subcategory: 1 });
 productSchema.index({ brand: 1 });
 productSchema.index({ 'price.original': 1 });
+productSchema.index({ isActive: 1, 'price.effective': 1 });
+productSchema.index({ isActive: 1, 'price.discountPercent': -1 });
 productSchema.index({ 'availability.status': 1 });
 productSchema.index({ isActive: 1, isFeatured: 1 });
 productSchema.index({ 'seo.slug': 1 });
+productSchema.index({ 'variants.sku': 1 });
 productSchema.index({ createdAt: -1 });
 
+// Variants must reference a listed color and be unique per color + size
+productSchema.pre('validate', function(next) {
+  if (!this.hasVariants) return next();
+
+  const colorNames = this.colors.map(c => c.name.toLowerCase());
+  const seen = new Set();
+
+  this.variants.forEach((variant, index) => {
+    const key = `${variant.color.toLowerCase()}|${variant.size}`;
+
+    if (!colorNames.includes(variant.color.toLowerCase())) {
+      this.invalidate(`variants.${index}.color`, `Color ${variant.color} is not listed in product colors`, variant.color);
+    }
+    if (seen.has(key)) {
+      this.invalidate(`variants.${index}.size`, `Duplicate variant for ${variant.color} / ${variant.size}`, variant.size);
+    }
+    seen.add(key);
+  });
+
+  next();
+});
+
+// Keep exactly one primary image in the product gallery and in each color gallery
+productSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('images')) {
+    ensureSinglePrimary(this.images);
+  }
+  if (this.isNew || this.isModified('colors')) {
+    (this.colors || []).forEach(color => ensureSinglePrimary(color.images));
+  }
+  next();
+});
+
+// Pre-orders are always capped, so the limit must be set when a product is put on pre-order
+productSchema.pre('validate', function(next) {
+  if (this.isPreOrder && this.availability.preOrderLimit == null) {
+    this.invalidate('availability.preOrderLimit', 'Pre-order products need a pre-order limit');
+  }
+  next();
+});
+
+// Category and subcategory must exist in the category tree
+productSchema.pre('validate', async function() {
+  if (!this.category || !(this.isNew || this.isModified('category') || this.isModified('subcategory'))) return;
+
+  const problem = await Category.checkPlacement(this.category, this.subcategory);
+  if (problem) {
+    this.invalidate(problem.path, problem.message, this[problem.path]);
+  }
+});
+
+// Pick up running and upcoming price events when a product is created or
+// moves to another category, subcategory or brand, or its tags change
+productSchema.pre('validate', async function(next) {
+  if (this.isNew || this.isModified('category') || this.isModified('subcategory') || this.isModified('brand') || this.isModified('tags')) {
+    const events = await PriceEvent.findForProduct(this);
+    this.price.events = events.map(event => event.toProductEntry());
+  }
+  next();
+});
+
+// Keep the stored selling price in step with the price fields.
+// Runs on validate so insertMany (seeding) is covered as well as save.
+productSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('price')) {
+    this.syncEffectivePrice();
+  }
+  next();
+});
+
 // Pre-save middleware to generate slug
-productSchema.pre('save', function(next) {
+productSchema.pre('save', async function(next) {
   if (this.isModified('name') && !this.seo.slug) {
     this.seo.slug = this.name
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/(^-|-$)/g, '');
   }
+
+  // Resolve slug collisions instead of surfacing a duplicate key error
+  if (this.seo.slug && (this.isNew || this.isModified('seo.slug'))) {
+    this.seo.slug = await this.constructor.generateUniqueSlug(this.seo.slug, this._id);
+  }
   
+  // Derive SKUs and per-size totals from variants
+  if (this.hasVariants && (this.isNew || this.isModified('variants') || this.isModified('seo.slug'))) {
+    this.variants.forEach(variant => {
+      if (!variant.sku) {
+        const colorCode = variant.color.toUpperCase().replace(/[^A-Z0-9]+/g, '');
+        variant.sku = `${this.seo.slug}-${colorCode}-${variant.size}`.toUpperCase();
+      }
+    });
+    this.syncSizesFromVariants();
+  }
+
   // Update availability status based on stock
   if (this.isModified('sizes')) {
     const totalAvailable = this.availableStock;
@@ -249,32 +548,329 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Remember what was available when the product was loaded, so a save can
+// tell which sizes just came back in stock
+productSchema.post('init', function() {
+  this.$locals.availableBefore = this.getAvailableStockMap();
+});
+
+// Alert back-in-stock subscribers when a size goes from none available to some.
+// Delivery runs in the background and never fails the save.
+productSchema.post('save', function() {
+  const before = this.$locals.availableBefore;
+  const after = this.getAvailableStockMap();
+  this.$locals.availableBefore = after;
+
+  if (!before) return;
+  const restocked = Object.keys(after).some(key => after[key] > 0 && !(before[key] > 0));
+  if (!restocked) return;
+
+  StockSubscription.notifyAvailable(this).catch(error => {
+    console.error('Back-in-stock notification error:', error.message);
+  });
+});
+
+// Remember the prices the product was loaded with, so a save can tell whether
+// they changed (null when the query did not select them)
+productSchema.post('init', function() {
+  this.$locals.pricesBefore = this.price?.original !== undefined ? this.getPriceSnapshot() : null;
+});
+
+// Log price changes to the price history. Set `$locals.priceChangedBy` to
+// record who made the change. Logging never fails the save.
+productSchema.post('save', function() {
+  const before = this.$locals.pricesBefore;
+  if (before === null) return;
+
+  const after = this.getPriceSnapshot();
+  this.$locals.pricesBefore = after;
+
+  // Documents that were never loaded are new products
+  const changed = !before || Object.keys(after).some(key => after[key] !== before[key]);
+  if (!changed) return;
+
+  const entry = PriceHistory.entryFor(this, {
+    reason: before ? 'price-change' : 'created',
+    changedBy: this.$locals.priceChangedBy
+  });
+  PriceHistory.create(entry).catch(error => {
+    console.error('Price history error:', error.message);
+  });
+});
+
+// The sitemap and shopping feed only need rebuilding when something they show
+// changes. Stock moves on every cart and order, so those count only when a
+// size or variant runs out or comes back.
+productSchema.pre('save', function() {
+  const before = this.$locals.availableBefore;
+  const after = this.getAvailableStockMap();
+  const availabilityFlipped = !before || [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .some(key => (after[key] > 0) !== (before[key] > 0));
+
+  this.$locals.feedChanged = this.isNew || availabilityFlipped || FEED_FIELDS.some(path => this.isModified(path));
+});
+
+productSchema.post('save', function() {
+  if (this.$locals.feedChanged) {
+    markCatalogChanged();
+  }
+});
+productSchema.post('deleteOne', { document: true, query: false }, markCatalogChanged);
+productSchema.post(['updateMany', 'findOneAndUpdate', 'deleteMany', 'insertMany'], markCatalogChanged);
+
+// Instance method to get the prices tracked in the price history
+productSchema.methods.getPriceSnapshot = function() {
+  return {
+    original: this.price.original,
+    discounted: this.price.discounted || null,
+    price: this.currentPrice
+  };
+};
+
+// Instance method to map each size ("M") and variant ("navy|M") to the units available
+productSchema.methods.getAvailableStockMap = function() {
+  const available = {};
+  (this.sizes || []).forEach(entry => {
+    available[entry.size] = entry.stock - entry.reserved;
+  });
+  (this.variants || []).forEach(variant => {
+    available[`${variant.color.toLowerCase()}|${variant.size}`] = variant.stock - variant.reserved;
+  });
+  return available;
+};
+
+// Instance method to store the selling price and discount used for filtering and sorting
+productSchema.methods.syncEffectivePrice = function() {
+  this.price.effective = this.currentPrice;
+  this.price.discountPercent = this.discountPercentage;
+};
+
+// Static method to recompute stored selling prices one product at a time,
+// e.g. when a price event starts or ends
+productSchema.statics.refreshEffectivePrices = async function(filter = {}) {
+  const products = await this.find(filter).select('price');
+
+  const changed = products.filter(product => {
+    const { effective, discountPercent } = product.price;
+    product.syncEffectivePrice();
+    return product.price.effective !== effective || product.price.discountPercent !== discountPercent;
+  });
+
+  if (changed.length > 0) {
+    await this.bulkWrite(changed.map(product => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          $set: {
+            'price.effective': product.price.effective,
+            'price.discountPercent': product.price.discountPercent
+          }
+        }
+      }
+    })));
+
+    // A sale starting or ending changes what customers pay, so it is logged too
+    await PriceHistory.insertMany(changed.map(product => PriceHistory.entryFor(product, { reason: 'price-event' })));
+    markCatalogChanged();
+  }
+
+  return { updated: changed.length };
+};
+
+// Static method to backfill stored selling prices, e.g. for products saved
+// before they existed or edited outside the application.
+// Products in a running price event are then re-priced individually.
+productSchema.statics.syncEffectivePrices = async function(filter = {}) {
+  const hasDiscount = {
+    $and: [
+      { $gt: ['$price.discounted', 0] },
+      { $gt: ['$price.original', '$price.discounted'] }
+    ]
+  };
+
+  const result = await this.updateMany(filter, [
+    {
+      $set: {
+        'price.effective': { $cond: [hasDiscount, '$price.discounted', '$price.original'] },
+        'price.discountPercent': {
+          $cond: [
+            hasDiscount,
+            {
+              $round: [{
+                $multiply: [
+                  { $divide: [{ $subtract: ['$price.original', '$price.discounted'] }, '$price.original'] },
+                  100
+                ]
+              }, 0]
+            },
+            0
+          ]
+        }
+      }
+    }
+  ]);
+
+  const now = new Date();
+  await this.refreshEffectivePrices({
+    $and: [filter, { 'price.events': { $elemMatch: { startsAt: { $lte: now }, endsAt: { $gt: now } } } }]
+  });
+
+  return result;
+};
+
+// Instance method to rebuild per-size totals from variants
+productSchema.methods.syncSizesFromVariants = function() {
+  const sizeOrder = this.schema.path('sizes').schema.path('size').enumValues;
+  const totals = {};
+
+  this.variants.forEach(variant => {
+    if (!totals[variant.size]) {
+      totals[variant.size] = { size: variant.size, stock: 0, reserved: 0 };
+    }
+    totals[variant.size].stock += variant.stock;
+    totals[variant.size].reserved += variant.reserved;
+  });
+
+  this.sizes = sizeOrder.filter(size => totals[size]).map(size => totals[size]);
+  return this.sizes;
+};
+
+// Instance method to find a color x size variant
+productSchema.methods.findVariant = function(color, size) {
+  if (!color) return null;
+  return this.variants.find(v =>
+    v.color.toLowerCase() === color.toLowerCase() && v.size === size
+  ) || null;
+};
+
+// Instance method to get the stock record for a size (and color for variant products).
+// Variant products need a color; plain products ignore it.
+productSchema.methods.getStockEntry = function(size, color = null) {
+  if (this.hasVariants) {
+    return this.findVariant(color, size);
+  }
+  return this.sizes.find(s => s.size === size) || null;
+};
+
+// Instance method to get the running price event giving the lowest price on basePrice
+productSchema.methods.getSalePrice = function(basePrice, at = new Date()) {
+  let best = null;
+
+  (this.price.events || []).forEach(entry => {
+    if (entry.startsAt > at || entry.endsAt <= at) return;
+    const price = applyEventDiscount(basePrice, entry);
+    if (!best || price < best.price) {
+      best = { price, event: entry };
+    }
+  });
+
+  return best;
+};
+
+// Instance method to get the selling price of a size (and color) with the
+// price it was reduced from and the price event behind it, if any.
+// Variant price overrides are reduced by running events too.
+productSchema.methods.getPriceDetails = function(size, color = null) {
+  const variant = this.hasVariants ? this.findVariant(color, size) : null;
+
+  if (variant && variant.price !== undefined && variant.price !== null) {
+    const sale = this.getSalePrice(variant.price);
+    return sale && sale.price < variant.price
+      ? { price: sale.price, originalPrice: variant.price, priceEvent: sale.event }
+      : { price: variant.price, originalPrice: variant.price, priceEvent: null };
+  }
+
+  const regular = this.price.discounted || this.price.original;
+  const sale = this.getSalePrice(this.price.original);
+  return sale && sale.price < regular
+    ? { price: sale.price, originalPrice: this.price.original, priceEvent: sale.event }
+    : { price: regular, originalPrice: this.price.original, priceEvent: null };
+};
+
+// Instance method to get the selling price, honouring variant price overrides and price events
+productSchema.methods.getPriceFor = function(size, color = null) {
+  return this.getPriceDetails(size, color).price;
+};
+
+// Instance method to get the units of a stock entry that can still be sold:
+// what is on hand, plus the remaining pre-order allowance for pre-order products
+productSchema.methods.getSellableQuantity = function(stockInfo) {
+  const onHand = Math.max(0, stockInfo.stock - stockInfo.reserved);
+  return this.isPreOrder ? onHand + this.preOrderRemaining : onHand;
+};
+
+// Instance method to get the pre-order flags copied onto cart and order lines
+productSchema.methods.getPreOrderDetails = function() {
+  return {
+    isPreOrder: this.isPreOrder,
+    expectedShipDate: this.isPreOrder ? this.availability.restockDate || null : null
+  };
+};
+
 // Instance method to check if size is available
-productSchema.methods.isSizeAvailable = function(size, quantity = 1) {
-  const sizeInfo = this.sizes.find(s => s.size === size);
-  if (!sizeInfo) return false;
-  return (sizeInfo.stock - sizeInfo.reserved) >= quantity;
+productSchema.methods.isSizeAvailable = function(size, quantity = 1, color = null) {
+  const stockInfo = this.getStockEntry(size, color);
+  if (!stockInfo) return false;
+  return this.getSellableQuantity(stockInfo) >= quantity;
 };
 
 // Instance method to reserve stock
-productSchema.methods.reserveStock = function(size, quantity) {
-  const sizeInfo = this.sizes.find(s => s.size === size);
-  if (!sizeInfo || !this.isSizeAvailable(size, quantity)) {
-    throw new Error(`Insufficient stock for size ${size}`);
+productSchema.methods.reserveStock = function(size, quantity, color = null) {
+  const stockInfo = this.getStockEntry(size, color);
+  if (!stockInfo || !this.isSizeAvailable(size, quantity, color)) {
+    throw new Error(`Insufficient stock for size ${size}${color && this.hasVariants ? ` in ${color}` : ''}`);
   }
-  sizeInfo.reserved += quantity;
+  stockInfo.reserved += quantity;
   return this.save();
 };
 
 // Instance method to release reserved stock
-productSchema.methods.releaseStock = function(size, quantity) {
-  const sizeInfo = this.sizes.find(s => s.size === size);
-  if (sizeInfo) {
-    sizeInfo.reserved = Math.max(0, sizeInfo.reserved - quantity);
+productSchema.methods.releaseStock = function(size, quantity, color = null) {
+  const stockInfo = this.getStockEntry(size, color);
+  if (stockInfo) {
+    stockInfo.reserved = Math.max(0, stockInfo.reserved - quantity);
   }
   return this.save();
 };
 
+// Instance method to build the per-size availability list
+productSchema.methods.getSizeAvailability = function() {
+  return this.sizes.map(size => {
+    const sellable = this.getSellableQuantity(size);
+    return {
+      size: size.size,
+      available: sellable > 0,
+      stock: sellable
+    };
+  });
+};
+
+// Instance method to build the color x size availability matrix
+productSchema.methods.getVariantAvailability = function() {
+  return this.variants.map(variant => ({
+    sku: variant.sku,
+    color: variant.color,
+    size: variant.size,
+    available: this.getSellableQuantity(variant) > 0,
+    stock: this.getSellableQuantity(variant),
+    price: this.getPriceFor(variant.size, variant.color)
+  }));
+};
+
+// Static method to find a free slug, appending -2, -3, ... on collision
+productSchema.statics.generateUniqueSlug = async function(baseSlug, excludeId = null) {
+  const query = excludeId ? { _id: { $ne: excludeId } } : {};
+  let slug = baseSlug;
+  let suffix = 2;
+
+  while (await this.exists({ ...query, 'seo.slug': slug })) {
+    slug = `${baseSlug}-${suffix}`;
+    suffix += 1;
+  }
+
+  return slug;
+};
+
 // Static method to find products by category
 productSchema.statics.findByCategory = function(category, subcategory = null) {
   const query = { category, isActive: true };
@@ -282,23 +878,248 @@ productSchema.statics.findByCategory = function(category, subcategory = null) {
   return this.find(query);
 };
 
-// Static method to search products
-productSchema.statics.searchProducts = function(searchTerm, options = {}) {
-  const query = {
-    $text: { $search: searchTerm },
-    isActive: true
-  };
-  
-  if (options.category) query.category = options.category;
-  if (options.brand) query.brand = options.brand;
-  if (options.minPrice || options.maxPrice) {
-    query['price.original'] = {};
-    if (options.minPrice) query['price.original'].$gte = options.minPrice;
-    if (options.maxPrice) query['price.original'].$lte = options.maxPrice;
+// Catalogue words used for spelling correction, refreshed every few minutes
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+let vocabularyCache = { words: null, loadedAt: 0 };
+
+// Static method to get the words customers can be corrected to
+productSchema.statics.getSearchVocabulary = async function() {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.words;
   }
-  
-  return this.find(query, { score: { $meta: 'textScore' } })
-    .sort({ score: { $meta: 'textScore' } });
+
+  const active = { isActive: true };
+  const values = await Promise.all([
+    this.distinct('name', active),
+    this.distinct('tags', active),
+    this.distinct('brand', active),
+    this.distinct('category', active),
+    this.distinct('subcategory', active),
+    this.distinct('colors.name', active)
+  ]);
+
+  vocabularyCache = { words: vocabularyWords(values.flat()), loadedAt: Date.now() };
+  return vocabularyCache.words;
+};
+
+// Static method to search products with typo tolerance, synonyms and stemming.
+// `filters` is an extra query (see utils/productFilters); `sort` is either
+// 'relevance' or a sort object. Pages are either offset based (`skip`) or,
+// with `paginate: 'cursor'` or a `cursor`, keyset based (see utils/cursorPagination).
+productSchema.statics.searchProducts = async function(searchTerm, options = {}) {
+  const {
+    filters = {},
+    sort = 'relevance',
+    skip = 0,
+    limit = 12,
+    paginate = 'offset',
+    cursor = null
+  } = options;
+  const useCursor = paginate === 'cursor' || Boolean(cursor);
+
+  const vocabulary = await this.getSearchVocabulary();
+  const analysis = analyzeSearchTerm(searchTerm, vocabulary);
+  const query = { $and: [{ isActive: true }, filters, buildSearchMatch(analysis)] };
+
+  const sortStage = sort === 'relevance'
+    ? { relevance: -1, 'ratings.average': -1, _id: 1 }
+    : sort;
+
+  const afterCursor = [];
+  if (cursor) {
+    const values = decodeCursor(cursor, sortStage);
+    if (!values) {
+      return { error: 'Invalid or expired cursor' };
+    }
+    afterCursor.push({ $match: buildCursorQuery(sortStage, values) });
+  }
+
+  // Later cursor pages skip the count; the first page already reported it
+  const [results, totalProducts] = await Promise.all([
+    this.aggregate([
+      { $match: query },
+      { $addFields: { relevance: analysis.tokens.length > 0 ? { $meta: 'textScore' } : 0 } },
+      ...afterCursor,
+      { $sort: sortStage },
+      ...(useCursor ? [] : [{ $skip: skip }]),
+      { $limit: useCursor ? limit + 1 : limit },
+      { $project: { __v: 0 } }
+    ]),
+    cursor ? null : this.countDocuments(query)
+  ]);
+
+  const rows = useCursor ? results.slice(0, limit) : results;
+  const hasNextPage = useCursor && results.length > limit;
+
+  // Nothing found: offer the closest spelling the catalogue knows, if it differs
+  let didYouMean = null;
+  if (totalProducts === 0) {
+    const loose = analyzeSearchTerm(searchTerm, vocabulary, { extraTypos: 1 });
+    const suggestion = loose.correctedTerm;
+    if (suggestion && suggestion !== analysis.correctedTerm) {
+      const suggestionMatches = await this.exists({
+        $and: [{ isActive: true }, buildSearchMatch(loose)]
+      });
+      didYouMean = suggestionMatches ? suggestion : null;
+    }
+  }
+
+  return {
+    products: rows.map(({ relevance, ...doc }) => this.hydrate(doc)),
+    totalProducts,
+    correctedTerm: analysis.correctedTerm,
+    didYouMean,
+    cursorPagination: useCursor
+      ? {
+        nextCursor: hasNextPage ? encodeCursor(rows[rows.length - 1], sortStage) : null,
+        hasNextPage,
+        limit
+      }
+      : null
+  };
+};
+
+// Static method to find in-stock products like `product`: same category,
+// subcategory or brand, closest matches first
+productSchema.statics.findSimilar = async function(product, { exclude = [], limit = 8 } = {}) {
+  if (limit <= 0) return [];
+
+  const results = await this.aggregate([
+    {
+      $match: {
+        _id: { $nin: [product._id, ...exclude] },
+        isActive: true,
+        'availability.status': 'in-stock',
+        $or: [{ category: product.category }, { brand: product.brand }]
+      }
+    },
+    {
+      $addFields: {
+        similarity: {
+          $add: [
+            { $cond: [{ $eq: ['$category', product.category] }, 2, 0] },
+            { $cond: [{ $and: [{ $ne: ['$subcategory', null] }, { $eq: ['$subcategory', product.subcategory] }] }, 1, 0] },
+            { $cond: [{ $eq: ['$brand', product.brand] }, 2, 0] }
+          ]
+        }
+      }
+    },
+    { $sort: { similarity: -1, 'ratings.average': -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { __v: 0, similarity: 0 } }
+  ]);
+
+  return results.map(doc => this.hydrate(doc));
+};
+
+// Static method to compute facet counts for a set of listing filters
+// (see utils/productFilters). Each facet ignores its own selection so
+// alternative values keep their counts; options with no matching products
+// are left out unless they are currently selected.
+productSchema.statics.getFacets = async function(filters) {
+  const { selected = {} } = filters;
+  const matchExcept = (key) => ({ $match: combineFilters(filters, key) });
+  const countBy = (key, field, preStages = []) => [
+    matchExcept(key),
+    ...preStages,
+    { $group: { _id: { $toLower: field }, label: { $first: field }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: filters.base },
+    {
+      $facet: {
+        category: countBy('category', '$category'),
+        subcategory: countBy('subcategory', '$subcategory', [{ $match: { subcategory: { $nin: [null, ''] } } }]),
+        brand: countBy('brand', '$brand'),
+        size: countBy('size', '$sizes.size', [{ $unwind: '$sizes' }]),
+        color: countBy('color', '$colors.name', [{ $unwind: '$colors' }]),
+        availability: countBy('availability', '$availability.status'),
+        price: [
+          matchExcept('price'),
+          {
+            $bucket: {
+              groupBy: '$price.effective',
+              boundaries: [0, ...PRICE_BUCKETS],
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        priceRange: [
+          matchExcept('price'),
+          { $group: { _id: null, min: { $min: '$price.effective' }, max: { $max: '$price.effective' } } }
+        ],
+        discount: [
+          matchExcept('discount'),
+          { $project: { discount: '$price.discountPercent' } },
+          {
+            $group: DISCOUNT_STEPS.reduce((group, step) => {
+              group[step] = { $sum: { $cond: [{ $gte: ['$discount', step] }, 1, 0] } };
+              return group;
+            }, { _id: null })
+          }
+        ]
+      }
+    }
+  ]);
+
+  const toOptions = (buckets, selectedValues = []) => {
+    const wanted = selectedValues.map(value => value.toLowerCase());
+    const options = buckets.map(bucket => ({
+      value: bucket.label,
+      count: bucket.count,
+      selected: wanted.includes(bucket._id)
+    }));
+
+    // Keep selected values visible even when nothing matches, so they can be cleared
+    selectedValues.forEach(value => {
+      if (!options.some(option => option.value.toLowerCase() === value.toLowerCase())) {
+        options.push({ value, count: 0, selected: true });
+      }
+    });
+
+    return options;
+  };
+
+  const bounds = [0, ...PRICE_BUCKETS];
+  const price = result.price.map(bucket => {
+    const index = bounds.indexOf(bucket._id);
+    const min = bucket._id === 'above' ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : bucket._id;
+    const max = bucket._id === 'above' ? null : bounds[index + 1];
+    return {
+      min,
+      max,
+      count: bucket.count,
+      selected: Boolean(selected.price) &&
+        (selected.price.min ?? 0) === min &&
+        (selected.price.max ?? null) === max
+    };
+  });
+
+  const discountCounts = result.discount[0] || {};
+  const discount = DISCOUNT_STEPS
+    .map(step => ({
+      min: step,
+      count: discountCounts[step] || 0,
+      selected: selected.discount === step
+    }))
+    .filter(option => option.count > 0 || option.selected);
+
+  return {
+    category: toOptions(result.category, selected.category),
+    subcategory: toOptions(result.subcategory, selected.subcategory),
+    brand: toOptions(result.brand, selected.brand),
+    size: toOptions(result.size, selected.size),
+    color: toOptions(result.color, selected.color),
+    availability: toOptions(result.availability, selected.availability),
+    price,
+    priceRange: result.priceRange[0]
+      ? { min: result.priceRange[0].min, max: result.priceRange[0].max }
+      : { min: 0, max: 0 },
+    discount
+  };
 };
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+
+const QA_STATUSES = ['pending', 'approved', 'rejected'];
+const REPORT_REASONS = ['spam', 'offensive', 'irrelevant', 'wrong-answer', 'other'];
+
+// Approved questions and answers go back to moderation once this many customers report them
+const REPORT_THRESHOLD = 3;
+
+const reportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const moderationEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['approved', 'rejected', 'held', 'auto-held'],
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const answerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Answer is required'],
+    trim: true,
+    maxlength: [1000, 'Answer cannot exceed 1000 characters']
+  },
+  // Set when the answer is written; staff answers are shown first
+  isStaff: {
+    type: Boolean,
+    default: false
+  },
+  isVerifiedBuyer: {
+    type: Boolean,
+    default: false
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: QA_STATUSES,
+    default: 'approved'
+  },
+  screening: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String]
+  },
+  reports: [reportSchema],
+  moderationLog: [moderationEntrySchema]
+}, {
+  timestamps: true
+});
+
+// A customer question about a product. Questions and answers are published
+// straight away unless the pre-screen flags them; flagged or heavily
+// reported entries wait for a moderator.
+const productQuestionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    minlength: [10, 'Question must be at least 10 characters'],
+    maxlength: [500, 'Question cannot exceed 500 characters']
+  },
+  answers: [answerSchema],
+  // Derived from approved answers so answered questions can be queried and ranked
+  answerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  topAnswerVotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: QA_STATUSES,
+    default: 'approved'
+  },
+  screening: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String]
+  },
+  reports: [reportSchema],
+  // Open reports on the question and its answers, for the moderation queue
+  openReportCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  moderationLog: [moderationEntrySchema]
+}, {
+  timestamps: true
+});
+
+productQuestionSchema.index({ product: 1, status: 1, answerCount: -1, topAnswerVotes: -1 });
+productQuestionSchema.index({ product: 1, status: 1, createdAt: -1 });
+productQuestionSchema.index({ status: 1, createdAt: 1 });
+productQuestionSchema.index({ 'answers.status': 1 });
+productQuestionSchema.index({ openReportCount: -1 });
+
+const countOpenReports = (entry) => entry.reports.filter(report => !report.resolved).length;
+
+// Keep the derived counters in step with the answers and reports
+productQuestionSchema.pre('save', function(next) {
+  const approved = this.answers.filter(answer => answer.status === 'approved');
+
+  this.answers.forEach(answer => {
+    answer.upvoteCount = answer.upvotes.length;
+  });
+  this.answerCount = approved.length;
+  this.topAnswerVotes = approved.reduce((max, answer) => Math.max(max, answer.upvotes.length), 0);
+  this.openReportCount = countOpenReports(this) +
+    this.answers.reduce((total, answer) => total + countOpenReports(answer), 0);
+
+  next();
+});
+
+// Instance method to get approved answers, staff first, then by votes
+productQuestionSchema.methods.getPublishedAnswers = function() {
+  return this.answers
+    .filter(answer => answer.status === 'approved')
+    .sort((a, b) => (Number(b.isStaff) - Number(a.isStaff)) ||
+      (b.upvoteCount - a.upvoteCount) ||
+      (a.createdAt - b.createdAt));
+};
+
+// Instance method to toggle an upvote on an answer, returns true when the vote was added
+productQuestionSchema.methods.toggleAnswerUpvote = function(answer, userId) {
+  const index = answer.upvotes.findIndex(voter => voter.toString() === userId.toString());
+
+  if (index >= 0) {
+    answer.upvotes.splice(index, 1);
+    return false;
+  }
+
+  answer.upvotes.push(userId);
+  return true;
+};
+
+// Instance method to record a moderation decision on the question or one of its answers
+productQuestionSchema.methods.moderate = function(status, moderatorId, note = '', answer = null) {
+  const actions = { approved: 'approved', rejected: 'rejected', pending: 'held' };
+  const target = answer || this;
+
+  target.status = status;
+  target.moderationLog.push({ action: actions[status], moderator: moderatorId, note });
+
+  // A decision settles every report raised so far
+  target.reports.forEach(report => {
+    report.resolved = true;
+  });
+};
+
+// Instance method to record a customer report, holding the entry once reports pile up
+productQuestionSchema.methods.addReport = function(userId, reason, answer = null) {
+  const target = answer || this;
+  target.reports.push({ user: userId, reason });
+
+  const openReports = countOpenReports(target);
+  if (target.status === 'approved' && openReports >= REPORT_THRESHOLD) {
+    target.status = 'pending';
+    target.moderationLog.push({
+      action: 'auto-held',
+      note: `Held automatically after ${openReports} customer reports`
+    });
+  }
+};
+
+// Instance method to check whether a user has already reported the question or answer
+productQuestionSchema.methods.hasReportFrom = function(userId, answer = null) {
+  const target = answer || this;
+  return target.reports.some(report => report.user.toString() === userId.toString());
+};
+
+// Static method to get a product's most useful answered questions
+productQuestionSchema.statics.getTopAnswered = function(productId, limit = 3) {
+  return this.find({ product: productId, status: 'approved', answerCount: { $gt: 0 } })
+    .sort({ topAnswerVotes: -1, answerCount: -1, createdAt: -1 })
+    .limit(limit);
+};
+
+productQuestionSchema.statics.QA_STATUSES = QA_STATUSES;
+productQuestionSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('ProductQuestion', productQuestionSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Orders older than this no longer count towards "bought together"
+const WINDOW_DAYS = parseInt(process.env.RECOMMENDATIONS_WINDOW_DAYS) || 365;
+
+// Co-purchased products kept per product
+const MAX_RELATED = 20;
+
+// Precomputed "frequently bought together" list for one product.
+// Rebuilt in bulk from order history (see rebuildFromOrders).
+const productRecommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  boughtTogether: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Number of orders containing both products
+    orders: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  computedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+productRecommendationSchema.index({ computedAt: 1 });
+
+// Static method to rebuild every product's co-purchase list from order history.
+// Cancelled and returned orders are ignored, and a product counts once per order.
+productRecommendationSchema.statics.rebuildFromOrders = async function({ days = WINDOW_DAYS, limit = MAX_RELATED } = {}) {
+  const Order = mongoose.model('Order');
+  const computedAt = new Date();
+  const from = new Date(computedAt.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const pairs = await Order.aggregate([
+    {
+      $match: {
+        status: { $nin: ['cancelled', 'returned'] },
+        createdAt: { $gte: from }
+      }
+    },
+    { $project: { products: { $setUnion: ['$items.product', []] } } },
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { product: '$products', related: '$products' } },
+    { $unwind: '$product' },
+    { $unwind: '$related' },
+    { $match: { $expr: { $ne: ['$product', '$related'] } } },
+    { $group: { _id: { product: '$product', related: '$related' }, orders: { $sum: 1 } } },
+    { $sort: { '_id.product': 1, orders: -1, '_id.related': 1 } },
+    {
+      $group: {
+        _id: '$_id.product',
+        boughtTogether: { $push: { product: '$_id.related', orders: '$orders' } }
+      }
+    },
+    { $project: { boughtTogether: { $slice: ['$boughtTogether', limit] } } }
+  ]).allowDiskUse(true);
+
+  if (pairs.length > 0) {
+    await this.bulkWrite(pairs.map(entry => ({
+      updateOne: {
+        filter: { product: entry._id },
+        update: { $set: { boughtTogether: entry.boughtTogether, computedAt } },
+        upsert: true
+      }
+    })));
+  }
+
+  // Products no longer bought with anything drop their old lists
+  await this.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { products: pairs.length, computedAt };
+};
+
+module.exports = mongoose.model('ProductRecommendation', productRecommendationSchema);
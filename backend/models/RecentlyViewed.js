@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Products remembered per shopper, most recent first
+const MAX_ITEMS = 30;
+
+// Guest histories are dropped after this many days without a view
+const GUEST_RETENTION_DAYS = parseInt(process.env.RECENTLY_VIEWED_GUEST_DAYS) || 30;
+
+// One document per shopper: a signed-in user, or a guest identified by the
+// X-Session-Id header the storefront sends
+const recentlyViewedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sessionId: String,
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    viewedAt: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Only set for guests; MongoDB removes the document once it passes
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+recentlyViewedSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+recentlyViewedSchema.index({ sessionId: 1 }, { unique: true, partialFilterExpression: { sessionId: { $exists: true } } });
+recentlyViewedSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ownerFilter = ({ user, sessionId }) => (user ? { user } : { sessionId });
+
+const guestExpiry = () => new Date(Date.now() + GUEST_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Static method to record a product view without ever failing the request that made it.
+// The product moves to the front of the list and the list is capped at MAX_ITEMS.
+recentlyViewedSchema.statics.recordView = function({ user = null, sessionId = null }, productId) {
+  if (!user && !sessionId) return Promise.resolve(null);
+
+  const productObjectId = new mongoose.Types.ObjectId(productId);
+  const now = new Date();
+
+  return this.updateOne(
+    ownerFilter({ user, sessionId }),
+    [
+      {
+        $set: {
+          items: {
+            $slice: [
+              {
+                $concatArrays: [
+                  [{ product: productObjectId, viewedAt: now }],
+                  {
+                    $filter: {
+                      input: { $ifNull: ['$items', []] },
+                      cond: { $ne: ['$$this.product', productObjectId] }
+                    }
+                  }
+                ]
+              },
+              MAX_ITEMS
+            ]
+          },
+          updatedAt: now,
+          createdAt: { $ifNull: ['$createdAt', now] },
+          ...(user ? {} : { expiresAt: guestExpiry() })
+        }
+      }
+    ],
+    { upsert: true }
+  ).catch(error => {
+    console.error('Record product view error:', error.message);
+    return null;
+  });
+};
+
+// Static method to get a shopper's history, most recent first
+recentlyViewedSchema.statics.findForShopper = function({ user = null, sessionId = null }) {
+  if (!user && !sessionId) return Promise.resolve(null);
+  return this.findOne(ownerFilter({ user, sessionId }));
+};
+
+// Static method to merge guest history into a user's history (for login/registration).
+// The most recent view of each product wins and the guest history is removed.
+recentlyViewedSchema.statics.mergeGuestHistory = async function(userId, sessionId) {
+  const [guestHistory, userHistory] = await Promise.all([
+    sessionId ? this.findOne({ sessionId }) : null,
+    this.findOne({ user: userId })
+  ]);
+
+  if (!guestHistory || guestHistory.items.length === 0) {
+    return userHistory;
+  }
+
+  const history = userHistory || new this({ user: userId, items: [] });
+
+  const latest = new Map();
+  [...history.items, ...guestHistory.items].forEach(item => {
+    const key = item.product.toString();
+    const existing = latest.get(key);
+    if (!existing || item.viewedAt > existing.viewedAt) {
+      latest.set(key, { product: item.product, viewedAt: item.viewedAt });
+    }
+  });
+
+  history.items = [...latest.values()]
+    .sort((a, b) => b.viewedAt - a.viewedAt)
+    .slice(0, MAX_ITEMS);
+
+  await history.save();
+  await guestHistory.deleteOne();
+
+  return history;
+};
+
+// Static method to clear a shopper's history
+recentlyViewedSchema.statics.clearForShopper = function({ user = null, sessionId = null }) {
+  if (!user && !sessionId) return Promise.resolve(null);
+  return this.deleteOne(ownerFilter({ user, sessionId }));
+};
+
+recentlyViewedSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+module.exports = mongoose.model('RecentlyViewed', recentlyViewedSchema);
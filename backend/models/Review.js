@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+
+const FIT_OPTIONS = ['runs-small', 'true-to-size', 'runs-large'];
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const REPORT_REASONS = ['spam', 'offensive', 'irrelevant', 'fake', 'other'];
+
+// Approved reviews go back to the moderation queue once this many customers report them
+const REPORT_THRESHOLD = 3;
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  fit: {
+    type: String,
+    enum: FIT_OPTIONS
+  },
+  // Size and color the reviewer bought, copied from the order
+  size: String,
+  color: String,
+  isVerifiedPurchase: {
+    type: Boolean,
+    default: true
+  },
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Moderation
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  screening: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String]
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Report comment cannot exceed 500 characters']
+    },
+    resolved: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  openReportCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reply: {
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    repliedAt: Date
+  },
+  moderationLog: [{
+    action: {
+      type: String,
+      enum: ['approved', 'rejected', 'held', 'replied', 'reply-removed', 'auto-held'],
+      required: true
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ product: 1, createdAt: -1 });
+reviewSchema.index({ product: 1, rating: 1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+reviewSchema.index({ openReportCount: -1 });
+
+// Keep helpfulCount and openReportCount in step with their arrays so they can be queried on
+reviewSchema.pre('save', function(next) {
+  if (this.isModified('helpfulVotes')) {
+    this.helpfulCount = this.helpfulVotes.length;
+  }
+  if (this.isModified('reports')) {
+    this.openReportCount = this.reports.filter(report => !report.resolved).length;
+  }
+  this.$locals.ratingChanged = this.isNew || this.isModified('rating') || this.isModified('status');
+  next();
+});
+
+// Product ratings only count approved reviews and are recalculated whenever that set changes
+reviewSchema.post('save', async function() {
+  if (this.$locals.ratingChanged) {
+    await this.constructor.syncProductRatings(this.product);
+  }
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.syncProductRatings(this.product);
+});
+
+// Instance method to toggle a helpful vote, returns true when the vote was added
+reviewSchema.methods.toggleHelpfulVote = function(userId) {
+  const index = this.helpfulVotes.findIndex(voter => voter.toString() === userId.toString());
+
+  if (index >= 0) {
+    this.helpfulVotes.splice(index, 1);
+    return false;
+  }
+
+  this.helpfulVotes.push(userId);
+  return true;
+};
+
+// Instance method to record a moderation decision
+reviewSchema.methods.moderate = function(status, moderatorId, note = '') {
+  const actions = { approved: 'approved', rejected: 'rejected', pending: 'held' };
+
+  this.status = status;
+  this.moderationLog.push({ action: actions[status], moderator: moderatorId, note });
+
+  // A decision settles every report raised so far
+  this.reports.forEach(report => {
+    report.resolved = true;
+  });
+};
+
+// Instance method to set or clear the public store reply
+reviewSchema.methods.setReply = function(body, moderatorId) {
+  if (body) {
+    this.reply = { body, author: moderatorId, repliedAt: new Date() };
+    this.moderationLog.push({ action: 'replied', moderator: moderatorId });
+  } else {
+    this.reply = undefined;
+    this.moderationLog.push({ action: 'reply-removed', moderator: moderatorId });
+  }
+};
+
+// Instance method to record a customer report, holding the review once reports pile up
+reviewSchema.methods.addReport = function(userId, reason, comment = '') {
+  this.reports.push({ user: userId, reason, comment });
+
+  const openReports = this.reports.filter(report => !report.resolved).length;
+  if (this.status === 'approved' && openReports >= REPORT_THRESHOLD) {
+    this.status = 'pending';
+    this.moderationLog.push({
+      action: 'auto-held',
+      note: `Held automatically after ${openReports} customer reports`
+    });
+  }
+};
+
+// Instance method to check whether a user has already reported the review
+reviewSchema.methods.hasReportFrom = function(userId) {
+  return this.reports.some(report => report.user.toString() === userId.toString());
+};
+
+// Static method to build the rating and fit summary for a product
+reviewSchema.statics.getRatingSummary = async function(productId) {
+  const productObjectId = new mongoose.Types.ObjectId(productId);
+
+  const [ratingBuckets, fitBuckets] = await Promise.all([
+    this.aggregate([
+      { $match: { product: productObjectId, status: 'approved' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]),
+    this.aggregate([
+      { $match: { product: productObjectId, status: 'approved', fit: { $in: FIT_OPTIONS } } },
+      { $group: { _id: '$fit', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  let count = 0;
+  let total = 0;
+
+  ratingBuckets.forEach(bucket => {
+    distribution[bucket._id] = bucket.count;
+    count += bucket.count;
+    total += bucket._id * bucket.count;
+  });
+
+  const fit = FIT_OPTIONS.reduce((summary, option) => {
+    summary[option] = 0;
+    return summary;
+  }, {});
+  fitBuckets.forEach(bucket => {
+    fit[bucket._id] = bucket.count;
+  });
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution,
+    fit
+  };
+};
+
+// Static method to write the review summary back onto the product
+reviewSchema.statics.syncProductRatings = async function(productId) {
+  const { average, count } = await this.getRatingSummary(productId);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    { $set: { 'ratings.average': average, 'ratings.count': count } }
+  );
+};
+
+reviewSchema.statics.FIT_OPTIONS = FIT_OPTIONS;
+reviewSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+reviewSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('Review', reviewSchema);
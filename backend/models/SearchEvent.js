@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+// How long raw search events are kept before MongoDB expires them
+const RETENTION_DAYS = parseInt(process.env.SEARCH_ANALYTICS_RETENTION_DAYS) || 180;
+
+const searchEventSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: [true, 'Search term is required'],
+    trim: true,
+    maxlength: 200
+  },
+  // Lower-cased, whitespace-collapsed form used for grouping
+  normalizedTerm: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['search', 'suggestions'],
+    required: true
+  },
+  resultCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  page: {
+    type: Number,
+    default: 1
+  },
+  filters: {
+    category: String,
+    brand: String
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Guests are told apart by the X-Session-Id header the storefront sends
+  sessionId: String,
+  clickedProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  clickedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+searchEventSchema.index({ source: 1, createdAt: -1, normalizedTerm: 1 });
+searchEventSchema.index({ resultCount: 1, createdAt: -1 });
+
+const normalizeTerm = (term) => term.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const windowStart = (days, offsetDays = 0) => {
+  return new Date(Date.now() - (days + offsetDays) * 24 * 60 * 60 * 1000);
+};
+
+// Static method to record a search without ever failing the request that made it
+searchEventSchema.statics.record = function({ _id, term, source, resultCount, page = 1, filters = {}, user = null, sessionId = null }) {
+  if (!term || !term.trim()) return Promise.resolve(null);
+
+  return this.create({
+    _id,
+    term: term.trim().slice(0, 200),
+    normalizedTerm: normalizeTerm(term).slice(0, 200),
+    source,
+    resultCount,
+    page,
+    filters,
+    user: user || undefined,
+    sessionId: sessionId || undefined
+  }).catch(error => {
+    console.error('Record search event error:', error.message);
+    return null;
+  });
+};
+
+// Static method to count searches per term within a window.
+// Only first-page searches count so paging through results is not a new search.
+searchEventSchema.statics.countTerms = function({ from, to = new Date(), source = 'search', match = {}, limit = 10 }) {
+  return this.aggregate([
+    {
+      $match: {
+        source,
+        page: 1,
+        createdAt: { $gte: from, $lt: to },
+        ...match
+      }
+    },
+    {
+      $group: {
+        _id: '$normalizedTerm',
+        count: { $sum: 1 },
+        searchers: { $addToSet: { $ifNull: ['$user', '$sessionId'] } },
+        avgResults: { $avg: '$resultCount' },
+        clicks: { $sum: { $cond: [{ $ifNull: ['$clickedProduct', false] }, 1, 0] } },
+        lastSearchedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { count: -1, lastSearchedAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        term: '$_id',
+        count: 1,
+        uniqueSearchers: { $size: '$searchers' },
+        avgResults: { $round: ['$avgResults', 1] },
+        clicks: 1,
+        lastSearchedAt: 1
+      }
+    }
+  ]);
+};
+
+// Static method to get the most searched terms over the last `days`
+searchEventSchema.statics.getPopularTerms = function({ days = 30, limit = 10 } = {}) {
+  return this.countTerms({ from: windowStart(days), limit });
+};
+
+// Static method to get terms growing fastest compared with the previous window of equal length
+searchEventSchema.statics.getTrendingTerms = async function({ days = 7, limit = 10, minCount = 3 } = {}) {
+  const currentFrom = windowStart(days);
+  const [current, previous] = await Promise.all([
+    this.countTerms({ from: currentFrom, limit: limit * 5 }),
+    this.countTerms({ from: windowStart(days, days), to: currentFrom, limit: 1000 })
+  ]);
+
+  const previousCounts = new Map(previous.map(entry => [entry.term, entry.count]));
+
+  return current
+    .filter(entry => entry.count >= minCount)
+    .map(entry => {
+      const previousCount = previousCounts.get(entry.term) || 0;
+      return {
+        term: entry.term,
+        count: entry.count,
+        previousCount,
+        growth: Math.round(((entry.count + 1) / (previousCount + 1)) * 100) / 100
+      };
+    })
+    .filter(entry => entry.growth > 1)
+    .sort((a, b) => b.growth - a.growth || b.count - a.count)
+    .slice(0, limit);
+};
+
+// Static method to get searches that returned nothing over the last `days`
+searchEventSchema.statics.getZeroResultTerms = function({ days = 30, limit = 50 } = {}) {
+  return this.countTerms({ from: windowStart(days), match: { resultCount: 0 }, limit });
+};
+
+// Static method to get headline numbers for the admin report
+searchEventSchema.statics.getSummary = async function({ days = 30 } = {}) {
+  const [summary] = await this.aggregate([
+    { $match: { source: 'search', page: 1, createdAt: { $gte: windowStart(days) } } },
+    {
+      $group: {
+        _id: null,
+        totalSearches: { $sum: 1 },
+        zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+        searchesWithClick: { $sum: { $cond: [{ $ifNull: ['$clickedProduct', false] }, 1, 0] } },
+        terms: { $addToSet: '$normalizedTerm' }
+      }
+    }
+  ]);
+
+  if (!summary) {
+    return { totalSearches: 0, uniqueTerms: 0, zeroResultRate: 0, clickThroughRate: 0 };
+  }
+
+  return {
+    totalSearches: summary.totalSearches,
+    uniqueTerms: summary.terms.length,
+    zeroResultRate: Math.round((summary.zeroResultSearches / summary.totalSearches) * 1000) / 10,
+    clickThroughRate: Math.round((summary.searchesWithClick / summary.totalSearches) * 1000) / 10
+  };
+};
+
+module.exports = mongoose.model('SearchEvent', searchEventSchema);
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42'];
+const CM_PER_INCH = 2.54;
+
+// Body measurements a chart row can be matched against (stored on User in cm)
+const BODY_MEASUREMENTS = ['chest', 'waist'];
+
+const rangeSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    min: [0, 'Measurement cannot be negative']
+  },
+  max: {
+    type: Number,
+    min: [0, 'Measurement cannot be negative']
+  }
+}, { _id: false });
+
+// Size chart for a category, optionally specific to one brand. Rows give the
+// body measurements each size fits plus the garment length, in the chart's unit.
+const sizeChartSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    lowercase: true,
+    trim: true
+  },
+  // Leave empty for the category-wide chart used when a brand has none
+  brand: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  brandKey: {
+    type: String,
+    default: ''
+  },
+  unit: {
+    type: String,
+    enum: ['cm', 'in'],
+    default: 'cm'
+  },
+  sizes: [{
+    _id: false,
+    size: {
+      type: String,
+      required: [true, 'Size is required'],
+      enum: SIZES
+    },
+    chest: rangeSchema,
+    waist: rangeSchema,
+    length: {
+      type: Number,
+      min: [0, 'Length cannot be negative']
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+sizeChartSchema.index({ category: 1, brandKey: 1 }, { unique: true });
+
+// Normalise the brand key, keep rows in size order and check the ranges
+sizeChartSchema.pre('validate', function(next) {
+  this.brandKey = (this.brand || '').trim().toLowerCase();
+
+  const seen = new Set();
+  this.sizes.forEach((row, index) => {
+    if (seen.has(row.size)) {
+      this.invalidate(`sizes.${index}.size`, `Size ${row.size} is listed more than once`, row.size);
+    }
+    seen.add(row.size);
+
+    BODY_MEASUREMENTS.forEach(field => {
+      const range = row[field];
+      if (range && range.min != null && range.max != null && range.min > range.max) {
+        this.invalidate(`sizes.${index}.${field}`, `${field} minimum cannot exceed the maximum for size ${row.size}`);
+      }
+    });
+  });
+
+  this.sizes.sort((a, b) => SIZES.indexOf(a.size) - SIZES.indexOf(b.size));
+  next();
+});
+
+// Static method to find the chart for a product: the brand's own chart,
+// falling back to the category-wide one
+sizeChartSchema.statics.findForProduct = async function(product) {
+  const brandKey = (product.brand || '').trim().toLowerCase();
+  const charts = await this.find({
+    category: product.category,
+    brandKey: { $in: [brandKey, ''] }
+  });
+
+  return charts.find(chart => chart.brandKey === brandKey) ||
+    charts.find(chart => chart.brandKey === '') ||
+    null;
+};
+
+// Instance method to suggest a size for body measurements given in cm.
+// Picks the row whose ranges the measurements fall into (or miss by the
+// least), preferring the larger size on a tie. A slim or relaxed fit
+// preference moves one size down or up when the shopper sits at that end
+// of the range. Returns null when no row can be compared.
+sizeChartSchema.methods.recommendSize = function(measurements, { fitPreference = 'regular', sizes = null } = {}) {
+  const factor = this.unit === 'in' ? 1 / CM_PER_INCH : 1;
+  const rows = sizes ? this.sizes.filter(row => sizes.includes(row.size)) : this.sizes;
+
+  const scored = rows.map((row, index) => {
+    let distance = 0;
+    const positions = [];
+    const basedOn = [];
+
+    BODY_MEASUREMENTS.forEach(field => {
+      const range = row[field];
+      if (measurements[field] == null || !range || range.min == null || range.max == null) return;
+
+      const value = measurements[field] * factor;
+      basedOn.push(field);
+      if (value < range.min) {
+        distance += range.min - value;
+      } else if (value > range.max) {
+        distance += value - range.max;
+      } else {
+        positions.push(range.max > range.min ? (value - range.min) / (range.max - range.min) : 0.5);
+      }
+    });
+
+    return { index, distance, positions, basedOn };
+  }).filter(entry => entry.basedOn.length > 0);
+
+  if (scored.length === 0) {
+    return null;
+  }
+
+  const best = scored.reduce((current, entry) => (entry.distance <= current.distance ? entry : current));
+  let chosen = best.index;
+
+  if (best.distance === 0 && best.positions.length > 0) {
+    const position = best.positions.reduce((sum, value) => sum + value, 0) / best.positions.length;
+    if (fitPreference === 'relaxed' && position >= 0.5 && chosen < rows.length - 1) {
+      chosen += 1;
+    } else if (fitPreference === 'slim' && position < 0.5 && chosen > 0) {
+      chosen -= 1;
+    }
+  }
+
+  return {
+    size: rows[chosen].size,
+    fit: best.distance === 0 ? 'within-range' : 'closest',
+    basedOn: best.basedOn,
+    adjustedFor: chosen !== best.index ? fitPreference : null
+  };
+};
+
+sizeChartSchema.statics.BODY_MEASUREMENTS = BODY_MEASUREMENTS;
+
+module.exports = mongoose.model('SizeChart', sizeChartSchema);
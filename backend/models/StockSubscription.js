@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const { sendNotification } = require('../utils/notifier');
+
+// Subscriptions nobody was notified about are dropped after this many days
+const EXPIRY_DAYS = parseInt(process.env.STOCK_ALERT_EXPIRY_DAYS) || 90;
+
+// Deliveries tried before a subscription is given up on as failed
+const MAX_ATTEMPTS = parseInt(process.env.STOCK_ALERT_MAX_ATTEMPTS) || 5;
+
+// "Tell me when it's back" request for one product size (and color for
+// variant products). Each subscription fires once.
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  size: {
+    type: String,
+    required: [true, 'Size is required'],
+    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42']
+  },
+  // Only for products that track stock per color
+  color: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'notified', 'cancelled', 'failed'],
+    default: 'active'
+  },
+  notifiedAt: Date,
+  // Delivery failures are retried by the stock alert job, up to MAX_ATTEMPTS
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  // MongoDB removes the subscription once it passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockSubscriptionSchema.index(
+  { product: 1, size: 1, color: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+stockSubscriptionSchema.index({ product: 1, status: 1 });
+stockSubscriptionSchema.index({ user: 1, status: 1 });
+stockSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const expiryDate = () => new Date(Date.now() + EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+// Units available to buy for the subscribed size (and color)
+const availableFor = (product, { size, color }) => {
+  const entry = product.hasVariants
+    ? product.findVariant(color, size)
+    : product.sizes.find(s => s.size === size);
+  return entry ? entry.stock - entry.reserved : 0;
+};
+
+const productUrl = (product) => {
+  const base = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${base}/products/${product._id}`;
+};
+
+// Static method to subscribe, or extend an existing active subscription
+stockSubscriptionSchema.statics.subscribe = function({ product, size, color = null, email, user = null }) {
+  return this.findOneAndUpdate(
+    { product, size, color, email: email.toLowerCase(), status: 'active' },
+    {
+      $set: { expiresAt: expiryDate(), ...(user ? { user } : {}) },
+      $setOnInsert: { attempts: 0 }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to notify every active subscriber of a product whose size is available again.
+// Failed deliveries stay active and are retried later, until MAX_ATTEMPTS
+// failures mark the subscription as failed.
+stockSubscriptionSchema.statics.notifyAvailable = async function(product) {
+  if (!product.isActive || product.availability.status === 'discontinued') {
+    return { notified: 0, failed: 0 };
+  }
+
+  const subscriptions = await this.find({
+    product: product._id,
+    status: 'active',
+    attempts: { $lt: MAX_ATTEMPTS }
+  });
+  let notified = 0;
+  let failed = 0;
+
+  for (const subscription of subscriptions) {
+    if (availableFor(product, subscription) <= 0) continue;
+
+    const label = subscription.color ? `${subscription.color} / ${subscription.size}` : `size ${subscription.size}`;
+    try {
+      await sendNotification({
+        to: subscription.email,
+        subject: `${product.name} is back in stock`,
+        text: `Good news: ${product.name} in ${label} is back in stock.\n${productUrl(product)}`,
+        data: {
+          type: 'back-in-stock',
+          productId: product._id,
+          size: subscription.size,
+          color: subscription.color,
+          url: productUrl(product)
+        }
+      });
+      subscription.status = 'notified';
+      subscription.notifiedAt = new Date();
+      notified += 1;
+    } catch (error) {
+      subscription.attempts += 1;
+      subscription.lastError = error.message;
+      if (subscription.attempts >= MAX_ATTEMPTS) {
+        subscription.status = 'failed';
+      }
+      failed += 1;
+    }
+    await subscription.save();
+  }
+
+  return { notified, failed };
+};
+
+// Static method to notify subscribers of every product that has come back in stock.
+// Catches restocks made outside the application and retries failed deliveries.
+stockSubscriptionSchema.statics.dispatchPending = async function() {
+  const Product = mongoose.model('Product');
+  const productIds = await this.distinct('product', { status: 'active', attempts: { $lt: MAX_ATTEMPTS } });
+  const totals = { products: 0, notified: 0, failed: 0 };
+
+  const cursor = Product.find({
+    _id: { $in: productIds },
+    isActive: true,
+    'availability.status': { $ne: 'discontinued' }
+  }).cursor();
+
+  for await (const product of cursor) {
+    const { notified, failed } = await this.notifyAvailable(product);
+    totals.products += 1;
+    totals.notified += notified;
+    totals.failed += failed;
+  }
+
+  return totals;
+};
+
+stockSubscriptionSchema.statics.availableFor = availableFor;
+
+module.exports = mongoose.model('StockSubscription', stockSubscriptionSchema);
@@ -78,6 +78,24 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // Optional body measurements (cm) used for size recommendations
+  measurements: {
+    chest: {
+      type: Number,
+      min: [50, 'Chest must be at least 50 cm'],
+      max: [200, 'Chest cannot exceed 200 cm']
+    },
+    waist: {
+      type: Number,
+      min: [40, 'Waist must be at least 40 cm'],
+      max: [200, 'Waist cannot exceed 200 cm']
+    },
+    fitPreference: {
+      type: String,
+      enum: ['slim', 'regular', 'relaxed'],
+      default: 'regular'
+    }
+  },
   role: {
     type: String,
     enum: ['customer', 'admin'],
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Products a customer can keep on their wishlist
+const MAX_ITEMS = 100;
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product reference is required']
+  },
+  // Optional preference remembered for "move to cart"
+  size: {
+    type: String,
+    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42']
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  // Selling price when the item was saved, used to show price drops
+  priceWhenAdded: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: true
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    unique: true
+  },
+  items: {
+    type: [wishlistItemSchema],
+    validate: {
+      validator: function(items) {
+        return items.length <= MAX_ITEMS;
+      },
+      message: `A wishlist can hold at most ${MAX_ITEMS} products`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to find a product on the wishlist
+wishlistSchema.methods.findItemIndex = function(productId) {
+  return this.items.findIndex(item => {
+    const id = item.product?._id || item.product;
+    return Boolean(id) && id.toString() === productId.toString();
+  });
+};
+
+// Instance method to add a product, or update the remembered size/color if already saved.
+// Returns true when the product was newly added.
+wishlistSchema.methods.addItem = function(productId, { size = null, color = null, price = null } = {}) {
+  const index = this.findItemIndex(productId);
+
+  if (index >= 0) {
+    if (size) this.items[index].size = size;
+    if (color) this.items[index].color = color;
+    return false;
+  }
+
+  this.items.push({
+    product: productId,
+    size: size || undefined,
+    color: color || undefined,
+    priceWhenAdded: price ?? undefined
+  });
+  return true;
+};
+
+// Instance method to remove a product. Returns true when something was removed.
+wishlistSchema.methods.removeItem = function(productId) {
+  const index = this.findItemIndex(productId);
+  if (index === -1) return false;
+
+  this.items.splice(index, 1);
+  return true;
+};
+
+// Static method to find a user's wishlist, or start an empty one
+wishlistSchema.statics.findOrCreateForUser = async function(userId) {
+  const wishlist = await this.findOne({ user: userId });
+  return wishlist || new this({ user: userId, items: [] });
+};
+
+// Static method to merge a guest wishlist (from localStorage) into a user's wishlist
+wishlistSchema.statics.mergeGuestWishlist = async function(userId, guestItems) {
+  const Product = mongoose.model('Product');
+  const wishlist = await this.findOrCreateForUser(userId);
+
+  const productIds = guestItems
+    .map(item => item.productId)
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true })
+    .select('price');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  guestItems.forEach(item => {
+    const product = byId.get(String(item.productId));
+    if (!product || wishlist.items.length >= MAX_ITEMS) return;
+
+    wishlist.addItem(product._id, {
+      size: item.size,
+      color: item.color,
+      price: product.currentPrice
+    });
+  });
+
+  await wishlist.save();
+  return wishlist;
+};
+
+wishlistSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
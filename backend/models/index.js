@@ -3,10 +3,38 @@ const User = require('./User');
 const Product = require('./Product');
 const Cart = require('./Cart');
 const Order = require('./Order');
+const Review = require('./Review');
+const SearchEvent = require('./SearchEvent');
+const ProductRecommendation = require('./ProductRecommendation');
+const RecentlyViewed = require('./RecentlyViewed');
+const Wishlist = require('./Wishlist');
+const StockSubscription = require('./StockSubscription');
+const Collection = require('./Collection');
+const SizeChart = require('./SizeChart');
+const ProductQuestion = require('./ProductQuestion');
+const PriceEvent = require('./PriceEvent');
+const PriceHistory = require('./PriceHistory');
+const ExchangeRate = require('./ExchangeRate');
+const Bundle = require('./Bundle');
+const Category = require('./Category');
 
 module.exports = {
   User,
   Product,
   Cart,
-  Order
+  Order,
+  Review,
+  SearchEvent,
+  ProductRecommendation,
+  RecentlyViewed,
+  Wishlist,
+  StockSubscription,
+  Collection,
+  SizeChart,
+  ProductQuestion,
+  PriceEvent,
+  PriceHistory,
+  ExchangeRate,
+  Bundle,
+  Category
 };
\ No newline at end of file
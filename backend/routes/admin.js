@@ -0,0 +1,1087 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getAdminProducts,
+  getAdminProduct,
+  createProduct,
+  updateProduct,
+  setProductStatus,
+  setProductFeatured,
+  updateProductStock,
+  updateProductPrice,
+  deleteProduct,
+  uploadProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
+} = require('../controllers/adminProductController');
+const {
+  getModerationQueue,
+  getReviewForModeration,
+  moderateReview,
+  replyToReview
+} = require('../controllers/adminReviewController');
+const {
+  getSearchReport,
+  getZeroResultSearches
+} = require('../controllers/adminSearchController');
+const {
+  getAdminCollections,
+  getAdminCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  previewCollectionRule
+} = require('../controllers/adminCollectionController');
+const {
+  getSizeCharts,
+  getSizeChart,
+  createSizeChart,
+  updateSizeChart,
+  deleteSizeChart
+} = require('../controllers/adminSizeChartController');
+const {
+  getQuestionQueue,
+  getQuestionForModeration,
+  moderateQuestion,
+  moderateAnswer
+} = require('../controllers/adminQuestionController');
+const {
+  getPriceEvents,
+  getPriceEvent,
+  createPriceEvent,
+  updatePriceEvent,
+  deletePriceEvent
+} = require('../controllers/adminPriceEventController');
+const {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/adminExchangeRateController');
+const {
+  getAdminBundles,
+  getAdminBundle,
+  createBundle,
+  updateBundle,
+  deleteBundle
+} = require('../controllers/adminBundleController');
+const {
+  getAdminCategories,
+  getAdminCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/adminCategoryController');
+
+// Import middleware
+const { auth, adminOnly } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
+const { body, param, query, validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const Collection = require('../models/Collection');
+const Category = require('../models/Category');
+const ProductQuestion = require('../models/ProductQuestion');
+const PriceEvent = require('../models/PriceEvent');
+const Bundle = require('../models/Bundle');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+// Categories are data (see models/Category.js), so they are checked against the tree
+const isKnownCategory = async (slug) => {
+  if (!(await Category.findBySlug(slug))) {
+    throw new Error(`Unknown category: ${slug}`);
+  }
+  return true;
+};
+
+// Enum values come straight from the Product schema so the two never drift apart
+const SIZES = Product.schema.path('sizes').schema.path('size').enumValues;
+const CURRENCIES = Product.schema.path('currency').enumValues;
+const AVAILABILITY_STATUSES = Product.schema.path('availability.status').enumValues;
+const COLLECTION_TYPES = Collection.schema.path('type').enumValues;
+const COLLECTION_SORTS = Collection.schema.path('sortBy').enumValues;
+
+// Validation rules
+const productFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Product name is required')
+      .isLength({ max: 100 })
+      .withMessage('Product name cannot exceed 100 characters'),
+
+    required(body('description'))
+      .trim()
+      .notEmpty()
+      .withMessage('Product description is required')
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+
+    body('shortDescription')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Short description cannot exceed 200 characters'),
+
+    required(body('category'))
+      .trim()
+      .toLowerCase()
+      .custom(isKnownCategory),
+
+    body('subcategory')
+      .optional({ values: 'falsy' })
+      .trim()
+      .toLowerCase()
+      .custom(isKnownCategory),
+
+    required(body('brand'))
+      .trim()
+      .notEmpty()
+      .withMessage('Brand is required')
+      .isLength({ max: 50 })
+      .withMessage('Brand name cannot exceed 50 characters'),
+
+    required(body('price.original'))
+      .isFloat({ min: 0 })
+      .withMessage('Original price must be a non-negative number'),
+
+    body('price.discounted')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Discounted price must be a non-negative number'),
+
+    body('currency')
+      .optional()
+      .isIn(CURRENCIES)
+      .withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+
+    body('images')
+      .optional()
+      .isArray()
+      .withMessage('Images must be an array'),
+
+    body('images.*.url')
+      .notEmpty()
+      .withMessage('Image URL is required'),
+
+    body('sizes')
+      .optional()
+      .isArray()
+      .withMessage('Sizes must be an array'),
+
+    body('sizes.*.size')
+      .isIn(SIZES)
+      .withMessage('Invalid size'),
+
+    body('sizes.*.stock')
+      .isInt({ min: 0 })
+      .withMessage('Stock cannot be negative'),
+
+    body('colors.*.name')
+      .trim()
+      .notEmpty()
+      .withMessage('Color name is required'),
+
+    body('colors.*.hexCode')
+      .optional()
+      .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+      .withMessage('Please enter a valid hex color code'),
+
+    body('colors.*.images.*.url')
+      .notEmpty()
+      .withMessage('Image URL is required'),
+
+    body('variants')
+      .optional()
+      .isArray()
+      .withMessage('Variants must be an array'),
+
+    body('variants.*.color')
+      .trim()
+      .notEmpty()
+      .withMessage('Variant color is required'),
+
+    body('variants.*.size')
+      .isIn(SIZES)
+      .withMessage('Invalid variant size'),
+
+    body('variants.*.stock')
+      .isInt({ min: 0 })
+      .withMessage('Stock cannot be negative'),
+
+    body('variants.*.price')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Variant price cannot be negative'),
+
+    body('material')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Material description cannot exceed 100 characters'),
+
+    body('features.*')
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Feature description cannot exceed 100 characters'),
+
+    body('availability.status')
+      .optional()
+      .isIn(AVAILABILITY_STATUSES)
+      .withMessage(`Availability must be one of: ${AVAILABILITY_STATUSES.join(', ')}`),
+
+    body('availability.restockDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Restock date must be a valid date'),
+
+    body('availability.preOrderLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Pre-order limit must be a whole number of at least 0')
+      .toInt(),
+
+    body('seo.slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug can only contain lowercase letters, numbers and hyphens'),
+
+    body('seo.metaTitle')
+      .optional()
+      .isLength({ max: 60 })
+      .withMessage('Meta title cannot exceed 60 characters'),
+
+    body('seo.metaDescription')
+      .optional()
+      .isLength({ max: 160 })
+      .withMessage('Meta description cannot exceed 160 characters'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+
+    body('isFeatured')
+      .optional()
+      .isBoolean()
+      .withMessage('isFeatured must be a boolean'),
+
+    body('weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Weight cannot be negative'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateProductId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+const validateProductStatus = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+const validateProductFeatured = [
+  body('isFeatured')
+    .isBoolean()
+    .withMessage('isFeatured must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+const validateProductStock = [
+  body()
+    .custom(value => (value.sizes?.length || 0) + (value.variants?.length || 0) > 0)
+    .withMessage('At least one size or variant is required'),
+  body('sizes')
+    .optional()
+    .isArray()
+    .withMessage('Sizes must be an array'),
+  body('variants')
+    .optional()
+    .isArray()
+    .withMessage('Variants must be an array'),
+  body('variants.*.color')
+    .trim()
+    .notEmpty()
+    .withMessage('Variant color is required'),
+  body('variants.*.size')
+    .isIn(SIZES)
+    .withMessage('Invalid variant size'),
+  body('variants.*.stock')
+    .isInt({ min: 0 })
+    .withMessage('Stock cannot be negative')
+    .toInt(),
+  body('variants.*.price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Variant price cannot be negative')
+    .toFloat(),
+  body('sizes.*.size')
+    .isIn(SIZES)
+    .withMessage('Invalid size'),
+  body('sizes.*.stock')
+    .isInt({ min: 0 })
+    .withMessage('Stock cannot be negative')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateProductPrice = [
+  body('original')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Original price must be a non-negative number')
+    .toFloat(),
+  body('discounted')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Discounted price must be a non-negative number')
+    .toFloat(),
+  handleValidationErrors
+];
+
+const validateImageId = [
+  param('imageId')
+    .isMongoId()
+    .withMessage('Invalid image ID'),
+  handleValidationErrors
+];
+
+const validateImageUpload = [
+  body('alt')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text cannot exceed 200 characters'),
+  body('color')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Color cannot be empty'),
+  body('isPrimary')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrimary must be a boolean'),
+  handleValidationErrors
+];
+
+const validateReviewId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID'),
+  handleValidationErrors
+];
+
+const validateModerationQueue = [
+  query('status')
+    .optional()
+    .isIn([...Review.REVIEW_STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${[...Review.REVIEW_STATUSES, 'all'].join(', ')}`),
+  query('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+const validateReviewModeration = [
+  body('status')
+    .isIn(Review.REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${Review.REVIEW_STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Moderation note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateReviewReply = [
+  body('body')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reply cannot exceed 1000 characters'),
+  handleValidationErrors
+];
+
+const validateQuestionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+  handleValidationErrors
+];
+
+const validateAnswerId = [
+  param('answerId')
+    .isMongoId()
+    .withMessage('Invalid answer ID'),
+  handleValidationErrors
+];
+
+const validateQuestionQueue = [
+  query('status')
+    .optional()
+    .isIn([...ProductQuestion.QA_STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${[...ProductQuestion.QA_STATUSES, 'all'].join(', ')}`),
+  query('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+const validateQuestionModeration = [
+  body('status')
+    .isIn(ProductQuestion.QA_STATUSES)
+    .withMessage(`Status must be one of: ${ProductQuestion.QA_STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Moderation note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateSearchWindow = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive number'),
+  handleValidationErrors
+];
+
+const collectionFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('title'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Collection title must be between 1 and 100 characters'),
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('heroImage.url')
+      .optional({ values: 'falsy' })
+      .isURL()
+      .withMessage('Hero image must be a valid URL'),
+    required(body('type'))
+      .isIn(COLLECTION_TYPES)
+      .withMessage(`Type must be one of: ${COLLECTION_TYPES.join(', ')}`),
+    body('products')
+      .optional()
+      .isArray({ max: Collection.MAX_PRODUCTS })
+      .withMessage(`Products must be a list of at most ${Collection.MAX_PRODUCTS} IDs`),
+    body('products.*')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+    body('rule')
+      .if(body('type').equals('rule'))
+      .trim()
+      .notEmpty()
+      .withMessage('A rule is required for rule-based collections'),
+    body('sortBy')
+      .optional()
+      .isIn(COLLECTION_SORTS)
+      .withMessage(`Sort must be one of: ${COLLECTION_SORTS.join(', ')}`),
+    body('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Sort order must be asc or desc'),
+    body(['startsAt', 'endsAt'])
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Dates must be valid ISO 8601 dates')
+      .toDate(),
+    body(['isActive', 'showInNavigation'])
+      .optional()
+      .isBoolean()
+      .withMessage('Flags must be booleans')
+      .toBoolean(),
+    body('position')
+      .optional()
+      .isInt()
+      .withMessage('Position must be a whole number')
+      .toInt(),
+    handleValidationErrors
+  ];
+};
+
+const validateCollectionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid collection ID'),
+  handleValidationErrors
+];
+
+const validateCollectionRule = [
+  body('rule')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule is required'),
+  handleValidationErrors
+];
+
+const priceEventFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Event name must be between 1 and 100 characters'),
+    body('type')
+      .optional()
+      .isIn(PriceEvent.PRICE_EVENT_TYPES)
+      .withMessage(`Type must be one of: ${PriceEvent.PRICE_EVENT_TYPES.join(', ')}`),
+    required(body('discount.type'))
+      .isIn(PriceEvent.DISCOUNT_TYPES)
+      .withMessage(`Discount type must be one of: ${PriceEvent.DISCOUNT_TYPES.join(', ')}`),
+    required(body('discount.value'))
+      .isFloat({ min: 0 })
+      .withMessage('Discount value must be a positive number')
+      .toFloat(),
+    required(body(['startsAt', 'endsAt']))
+      .isISO8601()
+      .withMessage('Dates must be valid ISO 8601 dates')
+      .toDate(),
+    body(['target.products', 'target.categories', 'target.brands', 'target.tags'])
+      .optional()
+      .isArray()
+      .withMessage('Targets must be lists'),
+    body('target.products.*')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+    body('target.categories.*')
+      .trim()
+      .toLowerCase()
+      .custom(isKnownCategory),
+    body(['target.brands.*', 'target.tags.*'])
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Brands and tags cannot be empty'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+const validatePriceEventId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid price event ID'),
+  handleValidationErrors
+];
+
+const validatePriceEventStatus = [
+  query('status')
+    .optional()
+    .isIn(['live', 'scheduled', 'ended', 'inactive'])
+    .withMessage('Status must be live, scheduled, ended or inactive'),
+  handleValidationErrors
+];
+
+// Rates are kept for every supported currency except the base one
+const RATE_CURRENCIES = SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY);
+
+const validateRateCurrency = [
+  param('currency')
+    .toUpperCase()
+    .isIn(RATE_CURRENCIES)
+    .withMessage(`Currency must be one of: ${RATE_CURRENCIES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateExchangeRate = [
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a number greater than zero')
+    .toFloat(),
+  handleValidationErrors
+];
+
+const bundleFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Bundle name must be between 1 and 100 characters'),
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('images')
+      .optional()
+      .isArray()
+      .withMessage('Images must be a list'),
+    body('images.*.url')
+      .isURL()
+      .withMessage('Image URL must be a valid URL'),
+    required(body('components'))
+      .isArray({ min: 2, max: Bundle.MAX_COMPONENTS })
+      .withMessage(`A bundle needs between 2 and ${Bundle.MAX_COMPONENTS} components`),
+    body('components.*.product')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+    body('components.*.quantity')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Component quantity must be between 1 and 5')
+      .toInt(),
+    body('components.*.size')
+      .optional({ nullable: true })
+      .toUpperCase()
+      .isIn(SIZES)
+      .withMessage(`Size must be one of: ${SIZES.join(', ')}`),
+    body('components.*.color')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Color name must be between 1 and 50 characters'),
+    required(body('pricing.type'))
+      .isIn(Bundle.PRICING_TYPES)
+      .withMessage(`Pricing type must be one of: ${Bundle.PRICING_TYPES.join(', ')}`),
+    required(body('pricing.value'))
+      .isFloat({ min: 0 })
+      .withMessage('Pricing value must be a positive number')
+      .toFloat(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+const validateBundleId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid bundle ID'),
+  handleValidationErrors
+];
+
+const categoryFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Category name must be between 1 and 50 characters'),
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('parent')
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage('Invalid parent category ID'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('image.url')
+      .optional()
+      .isURL()
+      .withMessage('Image URL must be a valid URL'),
+    body('position')
+      .optional()
+      .isInt()
+      .withMessage('Position must be a whole number')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean(),
+    body('seo.metaTitle')
+      .optional()
+      .trim()
+      .isLength({ max: 60 })
+      .withMessage('Meta title cannot exceed 60 characters'),
+    body('seo.metaDescription')
+      .optional()
+      .trim()
+      .isLength({ max: 160 })
+      .withMessage('Meta description cannot exceed 160 characters'),
+    handleValidationErrors
+  ];
+};
+
+const validateCategoryId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  handleValidationErrors
+];
+
+const sizeChartFieldRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('category'))
+      .trim()
+      .toLowerCase()
+      .custom(isKnownCategory),
+    body('brand')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Brand cannot exceed 50 characters'),
+    body('unit')
+      .optional()
+      .isIn(['cm', 'in'])
+      .withMessage('Unit must be cm or in'),
+    required(body('sizes'))
+      .isArray({ min: 1 })
+      .withMessage('At least one size row is required'),
+    body('sizes.*.size')
+      .isIn(SIZES)
+      .withMessage('Invalid size'),
+    body(['sizes.*.chest.min', 'sizes.*.chest.max', 'sizes.*.waist.min', 'sizes.*.waist.max', 'sizes.*.length'])
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Measurements must be non-negative numbers')
+      .toFloat(),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+    handleValidationErrors
+  ];
+};
+
+const validateSizeChartId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid size chart ID'),
+  handleValidationErrors
+];
+
+// All admin routes require an authenticated admin
+router.use(auth, adminOnly);
+
+// Product management routes
+// @route   GET /api/admin/products
+// @desc    Get all products including inactive ones
+// @access  Private/Admin
+router.get('/products', getAdminProducts);
+
+// @route   POST /api/admin/products
+// @desc    Create product
+// @access  Private/Admin
+router.post('/products', productFieldRules(false), createProduct);
+
+// @route   GET /api/admin/products/:id
+// @desc    Get single product
+// @access  Private/Admin
+router.get('/products/:id', validateProductId, getAdminProduct);
+
+// @route   PUT /api/admin/products/:id
+// @desc    Update product
+// @access  Private/Admin
+router.put('/products/:id', validateProductId, productFieldRules(true), updateProduct);
+
+// @route   PUT /api/admin/products/:id/status
+// @desc    Activate or deactivate product
+// @access  Private/Admin
+router.put('/products/:id/status', validateProductId, validateProductStatus, setProductStatus);
+
+// @route   PUT /api/admin/products/:id/featured
+// @desc    Feature or unfeature product
+// @access  Private/Admin
+router.put('/products/:id/featured', validateProductId, validateProductFeatured, setProductFeatured);
+
+// @route   PUT /api/admin/products/:id/stock
+// @desc    Update per-size or per-variant stock
+// @access  Private/Admin
+router.put('/products/:id/stock', validateProductId, validateProductStock, updateProductStock);
+
+// @route   PUT /api/admin/products/:id/price
+// @desc    Update product price
+// @access  Private/Admin
+router.put('/products/:id/price', validateProductId, validateProductPrice, updateProductPrice);
+
+// @route   DELETE /api/admin/products/:id
+// @desc    Delete product
+// @access  Private/Admin
+router.delete('/products/:id', validateProductId, deleteProduct);
+
+// @route   POST /api/admin/products/:id/images
+// @desc    Upload images (multipart field "images") and generate their derivatives
+// @access  Private/Admin
+router.post('/products/:id/images', validateProductId, uploadImages('images'), validateImageUpload, uploadProductImages);
+
+// @route   PUT /api/admin/products/:id/images/:imageId/primary
+// @desc    Make an image the primary one of its gallery
+// @access  Private/Admin
+router.put('/products/:id/images/:imageId/primary', validateProductId, validateImageId, setPrimaryProductImage);
+
+// @route   DELETE /api/admin/products/:id/images/:imageId
+// @desc    Remove an image and delete its stored files
+// @access  Private/Admin
+router.delete('/products/:id/images/:imageId', validateProductId, validateImageId, deleteProductImage);
+
+// Review moderation routes
+// @route   GET /api/admin/reviews
+// @desc    Get the review moderation queue
+// @access  Private/Admin
+router.get('/reviews', validateModerationQueue, getModerationQueue);
+
+// @route   GET /api/admin/reviews/:id
+// @desc    Get a review with its reports and moderation history
+// @access  Private/Admin
+router.get('/reviews/:id', validateReviewId, getReviewForModeration);
+
+// @route   PUT /api/admin/reviews/:id/status
+// @desc    Approve, reject or hold a review
+// @access  Private/Admin
+router.put('/reviews/:id/status', validateReviewId, validateReviewModeration, moderateReview);
+
+// @route   PUT /api/admin/reviews/:id/reply
+// @desc    Reply to a review, or remove the reply with an empty body
+// @access  Private/Admin
+router.put('/reviews/:id/reply', validateReviewId, validateReviewReply, replyToReview);
+
+// Question and answer moderation routes
+// @route   GET /api/admin/questions
+// @desc    Get the question and answer moderation queue
+// @access  Private/Admin
+router.get('/questions', validateQuestionQueue, getQuestionQueue);
+
+// @route   GET /api/admin/questions/:id
+// @desc    Get a question with its answers, reports and moderation history
+// @access  Private/Admin
+router.get('/questions/:id', validateQuestionId, getQuestionForModeration);
+
+// @route   PUT /api/admin/questions/:id/status
+// @desc    Approve, reject or hold a question
+// @access  Private/Admin
+router.put('/questions/:id/status', validateQuestionId, validateQuestionModeration, moderateQuestion);
+
+// @route   PUT /api/admin/questions/:id/answers/:answerId/status
+// @desc    Approve, reject or hold an answer
+// @access  Private/Admin
+router.put('/questions/:id/answers/:answerId/status', validateQuestionId, validateAnswerId, validateQuestionModeration, moderateAnswer);
+
+// Search analytics routes
+// @route   GET /api/admin/search/report
+// @desc    Get search analytics overview
+// @access  Private/Admin
+router.get('/search/report', validateSearchWindow, getSearchReport);
+
+// @route   GET /api/admin/search/zero-results
+// @desc    Get searches that returned no products
+// @access  Private/Admin
+router.get('/search/zero-results', validateSearchWindow, getZeroResultSearches);
+
+// Collection merchandising routes
+// @route   GET /api/admin/collections
+// @desc    Get all collections, including scheduled and inactive ones
+// @access  Private/Admin
+router.get('/collections', getAdminCollections);
+
+// @route   POST /api/admin/collections
+// @desc    Create a manual or rule-based collection
+// @access  Private/Admin
+router.post('/collections', collectionFieldRules(false), createCollection);
+
+// @route   POST /api/admin/collections/preview-rule
+// @desc    Check a collection rule and show how many products it matches
+// @access  Private/Admin
+router.post('/collections/preview-rule', validateCollectionRule, previewCollectionRule);
+
+// @route   GET /api/admin/collections/:id
+// @desc    Get a single collection
+// @access  Private/Admin
+router.get('/collections/:id', validateCollectionId, getAdminCollection);
+
+// @route   PUT /api/admin/collections/:id
+// @desc    Update a collection
+// @access  Private/Admin
+router.put('/collections/:id', validateCollectionId, collectionFieldRules(true), updateCollection);
+
+// @route   DELETE /api/admin/collections/:id
+// @desc    Delete a collection
+// @access  Private/Admin
+router.delete('/collections/:id', validateCollectionId, deleteCollection);
+
+// Size guide routes
+// @route   GET /api/admin/size-charts
+// @desc    Get all size charts (optionally for one category)
+// @access  Private/Admin
+router.get('/size-charts', getSizeCharts);
+
+// @route   POST /api/admin/size-charts
+// @desc    Create a category or brand size chart
+// @access  Private/Admin
+router.post('/size-charts', sizeChartFieldRules(false), createSizeChart);
+
+// @route   GET /api/admin/size-charts/:id
+// @desc    Get a single size chart
+// @access  Private/Admin
+router.get('/size-charts/:id', validateSizeChartId, getSizeChart);
+
+// @route   PUT /api/admin/size-charts/:id
+// @desc    Update a size chart
+// @access  Private/Admin
+router.put('/size-charts/:id', validateSizeChartId, sizeChartFieldRules(true), updateSizeChart);
+
+// @route   DELETE /api/admin/size-charts/:id
+// @desc    Delete a size chart
+// @access  Private/Admin
+router.delete('/size-charts/:id', validateSizeChartId, deleteSizeChart);
+
+// Price event routes
+// @route   GET /api/admin/price-events
+// @desc    Get scheduled sales and flash sales (optionally by status)
+// @access  Private/Admin
+router.get('/price-events', validatePriceEventStatus, getPriceEvents);
+
+// @route   POST /api/admin/price-events
+// @desc    Create a price event for products, categories, brands or tags
+// @access  Private/Admin
+router.post('/price-events', priceEventFieldRules(false), createPriceEvent);
+
+// @route   GET /api/admin/price-events/:id
+// @desc    Get a single price event
+// @access  Private/Admin
+router.get('/price-events/:id', validatePriceEventId, getPriceEvent);
+
+// @route   PUT /api/admin/price-events/:id
+// @desc    Update a price event and re-price its products
+// @access  Private/Admin
+router.put('/price-events/:id', validatePriceEventId, priceEventFieldRules(true), updatePriceEvent);
+
+// @route   DELETE /api/admin/price-events/:id
+// @desc    Delete a price event and restore regular prices
+// @access  Private/Admin
+router.delete('/price-events/:id', validatePriceEventId, deletePriceEvent);
+
+// Exchange rate routes
+// @route   GET /api/admin/exchange-rates
+// @desc    Get the exchange-rate table
+// @access  Private/Admin
+router.get('/exchange-rates', getExchangeRates);
+
+// @route   PUT /api/admin/exchange-rates/:currency
+// @desc    Set the rate for a display currency
+// @access  Private/Admin
+router.put('/exchange-rates/:currency', validateRateCurrency, validateExchangeRate, setExchangeRate);
+
+// @route   DELETE /api/admin/exchange-rates/:currency
+// @desc    Remove a display currency
+// @access  Private/Admin
+router.delete('/exchange-rates/:currency', validateRateCurrency, deleteExchangeRate);
+
+// Bundle routes
+// @route   GET /api/admin/bundles
+// @desc    Get all bundles, including inactive ones
+// @access  Private/Admin
+router.get('/bundles', getAdminBundles);
+
+// @route   POST /api/admin/bundles
+// @desc    Create a bundle of products sold as a set
+// @access  Private/Admin
+router.post('/bundles', bundleFieldRules(false), createBundle);
+
+// @route   GET /api/admin/bundles/:id
+// @desc    Get a single bundle with its set price and component stock
+// @access  Private/Admin
+router.get('/bundles/:id', validateBundleId, getAdminBundle);
+
+// @route   PUT /api/admin/bundles/:id
+// @desc    Update a bundle
+// @access  Private/Admin
+router.put('/bundles/:id', validateBundleId, bundleFieldRules(true), updateBundle);
+
+// @route   DELETE /api/admin/bundles/:id
+// @desc    Delete a bundle and drop it from open carts
+// @access  Private/Admin
+router.delete('/bundles/:id', validateBundleId, deleteBundle);
+
+// Category routes
+// @route   GET /api/admin/categories
+// @desc    Get the category tree, including inactive categories
+// @access  Private/Admin
+router.get('/categories', getAdminCategories);
+
+// @route   POST /api/admin/categories
+// @desc    Create a category or subcategory
+// @access  Private/Admin
+router.post('/categories', categoryFieldRules(false), createCategory);
+
+// @route   GET /api/admin/categories/:id
+// @desc    Get a single category
+// @access  Private/Admin
+router.get('/categories/:id', validateCategoryId, getAdminCategory);
+
+// @route   PUT /api/admin/categories/:id
+// @desc    Update, rename or move a category
+// @access  Private/Admin
+router.put('/categories/:id', validateCategoryId, categoryFieldRules(true), updateCategory);
+
+// @route   DELETE /api/admin/categories/:id
+// @desc    Delete an empty category
+// @access  Private/Admin
+router.delete('/categories/:id', validateCategoryId, deleteCategory);
+
+module.exports = router;
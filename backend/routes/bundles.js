@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getBundles,
+  getBundleBySlug
+} = require('../controllers/bundleController');
+
+// @route   GET /api/bundles
+// @desc    Get active bundles with their set price and availability
+// @access  Public
+router.get('/', getBundles);
+
+// @route   GET /api/bundles/:slug
+// @desc    Get a bundle with its components and the sizes/colors in stock
+// @access  Public
+router.get('/:slug', getBundleBySlug);
+
+module.exports = router;
@@ -7,6 +7,9 @@ const {
   addToCart,
   updateCartItem,
   removeFromCart,
+  addBundleToCart,
+  updateCartBundle,
+  removeBundleFromCart,
   clearCart,
   applyCoupon,
   removeCoupon,
@@ -18,7 +21,7 @@ const {
 
 // Import middleware
 const { auth } = require('../middleware/auth');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -49,6 +52,11 @@ const validateAddToCart = [
     .optional()
     .isInt({ min: 1, max: 10 })
     .withMessage('Quantity must be between 1 and 10'),
+  body('color')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Color name must be between 1 and 50 characters'),
   handleValidationErrors
 ];
 
@@ -64,6 +72,11 @@ const validateUpdateCart = [
   body('quantity')
     .isInt({ min: 0, max: 10 })
     .withMessage('Quantity must be between 0 and 10'),
+  body('color')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Color name must be between 1 and 50 characters'),
   handleValidationErrors
 ];
 
@@ -76,6 +89,58 @@ const validateRemoveFromCart = [
     .withMessage('Size is required')
     .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42'])
     .withMessage('Invalid size'),
+  query('color')
+    .optional()
+    .isString()
+    .withMessage('Color must be a single value')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Color name must be between 1 and 50 characters'),
+  handleValidationErrors
+];
+
+const validateAddBundle = [
+  body('bundleId')
+    .isMongoId()
+    .withMessage('Invalid bundle ID'),
+  body('selections')
+    .optional()
+    .isArray()
+    .withMessage('Selections must be a list'),
+  body('selections.*.component')
+    .isMongoId()
+    .withMessage('Invalid bundle component ID'),
+  body('selections.*.size')
+    .optional({ nullable: true })
+    .toUpperCase()
+    .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42'])
+    .withMessage('Invalid size'),
+  body('selections.*.color')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Color name must be between 1 and 50 characters'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Quantity must be between 1 and 10'),
+  handleValidationErrors
+];
+
+const validateUpdateBundle = [
+  param('lineId')
+    .isMongoId()
+    .withMessage('Invalid cart bundle ID'),
+  body('quantity')
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Quantity must be between 0 and 10'),
+  handleValidationErrors
+];
+
+const validateBundleLine = [
+  param('lineId')
+    .isMongoId()
+    .withMessage('Invalid cart bundle ID'),
   handleValidationErrors
 ];
 
@@ -107,11 +172,26 @@ router.post('/add', auth, validateAddToCart, addToCart);
 // @access  Private
 router.put('/update', auth, validateUpdateCart, updateCartItem);
 
-// @route   DELETE /api/cart/remove/:productId/:size
+// @route   DELETE /api/cart/remove/:productId/:size?color=
 // @desc    Remove item from cart
 // @access  Private
 router.delete('/remove/:productId/:size', auth, validateRemoveFromCart, removeFromCart);
 
+// @route   POST /api/cart/bundles
+// @desc    Add a bundle to the cart as one set
+// @access  Private
+router.post('/bundles', auth, validateAddBundle, addBundleToCart);
+
+// @route   PUT /api/cart/bundles/:lineId
+// @desc    Change how many sets of a bundle are in the cart
+// @access  Private
+router.put('/bundles/:lineId', auth, validateUpdateBundle, updateCartBundle);
+
+// @route   DELETE /api/cart/bundles/:lineId
+// @desc    Remove a bundle from the cart
+// @access  Private
+router.delete('/bundles/:lineId', auth, validateBundleLine, removeBundleFromCart);
+
 // @route   DELETE /api/cart/clear
 // @desc    Clear entire cart
 // @access  Private
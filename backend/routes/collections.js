@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getCollections,
+  getCollectionBySlug
+} = require('../controllers/collectionController');
+
+// @route   GET /api/collections
+// @desc    Get collections that are live right now (navigation=true for header links)
+// @access  Public
+router.get('/', getCollections);
+
+// @route   GET /api/collections/:slug
+// @desc    Get a live collection with a page of its products
+// @access  Public
+router.get('/:slug', getCollectionBySlug);
+
+module.exports = router;
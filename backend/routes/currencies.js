@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getCurrencies } = require('../controllers/currencyController');
+
+// @route   GET /api/currencies
+// @desc    Get the display currencies and their exchange rates
+// @access  Public
+router.get('/', getCurrencies);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getSitemapXml,
+  getProductFeedFile
+} = require('../controllers/feedController');
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap for search engines
+// @access  Public
+router.get('/sitemap.xml', getSitemapXml);
+
+// @route   GET /feeds/products.xml
+// @desc    Product feed as RSS 2.0 with Google Merchant (g:) attributes
+// @access  Public
+router.get('/feeds/products.xml', getProductFeedFile('xml'));
+
+// @route   GET /feeds/products.csv
+// @desc    Product feed as CSV with Google Merchant column names
+// @access  Public
+router.get('/feeds/products.csv', getProductFeedFile('csv'));
+
+module.exports = router;
@@ -12,14 +12,179 @@ const {
   searchProducts,
   getSearchSuggestions,
   getPopularSearchTerms,
+  recordSearchClick,
   getProductById,
   getProductBySlug,
-  checkProductAvailability,
-  getProductReviews
+  checkProductAvailability
 } = require('../controllers/productController');
+const { getProductReviews, createReview } = require('../controllers/reviewController');
+const { getProductRecommendations } = require('../controllers/recommendationController');
+const { subscribeToStockAlert } = require('../controllers/stockAlertController');
+const { getSizeGuide, getSizeRecommendation } = require('../controllers/sizeGuideController');
+const { getProductQuestions, askQuestion } = require('../controllers/questionController');
+const { getPriceHistory } = require('../controllers/priceHistoryController');
+const {
+  getRecentlyViewed,
+  clearRecentlyViewed,
+  mergeRecentlyViewed
+} = require('../controllers/recentlyViewedController');
 
 // Import middleware
-const { optionalAuth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const validateSearchClick = [
+  body('searchId')
+    .isMongoId()
+    .withMessage('Invalid search ID'),
+
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  handleValidationErrors
+];
+
+const validateStockAlert = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('size')
+    .toUpperCase()
+    .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42'])
+    .withMessage('Invalid size'),
+
+  body('color')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Color name must be between 1 and 50 characters'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please enter a valid email address'),
+
+  handleValidationErrors
+];
+
+const validateProductId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  handleValidationErrors
+];
+
+const validateSizeRecommendation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  query('chest')
+    .optional()
+    .isFloat({ min: 50, max: 200 })
+    .withMessage('Chest must be between 50 and 200 cm'),
+
+  query('waist')
+    .optional()
+    .isFloat({ min: 40, max: 200 })
+    .withMessage('Waist must be between 40 and 200 cm'),
+
+  query('fit')
+    .optional()
+    .isIn(['slim', 'regular', 'relaxed'])
+    .withMessage('Fit must be slim, regular or relaxed'),
+
+  handleValidationErrors
+];
+
+const validatePriceHistory = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+
+  handleValidationErrors
+];
+
+const validateReviewQuery = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+
+  handleValidationErrors
+];
+
+const validateQuestionCreation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('body')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Question must be between 10 and 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateReviewCreation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Review title cannot exceed 100 characters'),
+
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot exceed 2000 characters'),
+
+  body('fit')
+    .optional()
+    .isIn(Review.FIT_OPTIONS)
+    .withMessage(`Fit must be one of: ${Review.FIT_OPTIONS.join(', ')}`),
+
+  handleValidationErrors
+];
 
 // Product listing routes
 // @route   GET /api/products
@@ -51,18 +216,39 @@ router.get('/brands', getBrands);
 // @route   GET /api/products/search
 // @desc    Search products
 // @access  Public
-router.get('/search', searchProducts);
+router.get('/search', optionalAuth, searchProducts);
 
 // @route   GET /api/products/search/suggestions
 // @desc    Get search suggestions
 // @access  Public
-router.get('/search/suggestions', getSearchSuggestions);
+router.get('/search/suggestions', optionalAuth, getSearchSuggestions);
 
 // @route   GET /api/products/search/popular
 // @desc    Get popular search terms
 // @access  Public
 router.get('/search/popular', getPopularSearchTerms);
 
+// @route   POST /api/products/search/click
+// @desc    Record which product a shopper opened from a search
+// @access  Public
+router.post('/search/click', validateSearchClick, recordSearchClick);
+
+// Recently viewed routes
+// @route   GET /api/products/recently-viewed
+// @desc    Get recently viewed products for the user or guest session
+// @access  Public
+router.get('/recently-viewed', optionalAuth, getRecentlyViewed);
+
+// @route   DELETE /api/products/recently-viewed
+// @desc    Clear recently viewed products
+// @access  Public
+router.delete('/recently-viewed', optionalAuth, clearRecentlyViewed);
+
+// @route   POST /api/products/recently-viewed/merge
+// @desc    Merge guest recently viewed products into the account
+// @access  Private
+router.post('/recently-viewed/merge', auth, mergeRecentlyViewed);
+
 // Category routes
 // @route   GET /api/products/category/:category
 // @desc    Get products by category
@@ -73,21 +259,61 @@ router.get('/category/:category', getProductsByCategory);
 // @route   GET /api/products/slug/:slug
 // @desc    Get product by slug
 // @access  Public
-router.get('/slug/:slug', getProductBySlug);
+router.get('/slug/:slug', optionalAuth, getProductBySlug);
 
 // @route   GET /api/products/:id
 // @desc    Get single product by ID
 // @access  Public
-router.get('/:id', getProductById);
+router.get('/:id', optionalAuth, getProductById);
 
 // @route   GET /api/products/:id/availability
 // @desc    Check product availability
 // @access  Public
 router.get('/:id/availability', checkProductAvailability);
 
+// @route   GET /api/products/:id/recommendations
+// @desc    Get frequently bought together and similar products
+// @access  Public
+router.get('/:id/recommendations', getProductRecommendations);
+
+// @route   POST /api/products/:id/stock-alerts
+// @desc    Get notified when a sold-out size is back in stock
+// @access  Public
+router.post('/:id/stock-alerts', optionalAuth, validateStockAlert, subscribeToStockAlert);
+
+// @route   GET /api/products/:id/size-guide
+// @desc    Get the size chart for a product
+// @access  Public
+router.get('/:id/size-guide', validateProductId, getSizeGuide);
+
+// @route   GET /api/products/:id/size-recommendation
+// @desc    Suggest a size from measurements in the query or saved on the profile
+// @access  Public
+router.get('/:id/size-recommendation', optionalAuth, validateSizeRecommendation, getSizeRecommendation);
+
+// @route   GET /api/products/:id/price-history
+// @desc    Get the price timeline and lowest price in the 30 days before the current price
+// @access  Public
+router.get('/:id/price-history', validatePriceHistory, getPriceHistory);
+
 // @route   GET /api/products/:id/reviews
 // @desc    Get product reviews
 // @access  Public
-router.get('/:id/reviews', getProductReviews);
+router.get('/:id/reviews', optionalAuth, validateReviewQuery, getProductReviews);
+
+// @route   POST /api/products/:id/reviews
+// @desc    Review a purchased product
+// @access  Private
+router.post('/:id/reviews', auth, validateReviewCreation, createReview);
+
+// @route   GET /api/products/:id/questions
+// @desc    Get questions and answers for a product
+// @access  Public
+router.get('/:id/questions', optionalAuth, validateProductId, getProductQuestions);
+
+// @route   POST /api/products/:id/questions
+// @desc    Ask a question about a product
+// @access  Private
+router.post('/:id/questions', auth, validateQuestionCreation, askQuestion);
 
 module.exports = router;
\ No newline at end of file
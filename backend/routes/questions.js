@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  answerQuestion,
+  toggleAnswerUpvote,
+  reportQuestion,
+  deleteQuestion
+} = require('../controllers/questionController');
+
+// Import middleware
+const { auth } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const ProductQuestion = require('../models/ProductQuestion');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const validateAnswer = [
+  body('body')
+    .trim()
+    .isLength({ min: 2, max: 1000 })
+    .withMessage('Answer must be between 2 and 1000 characters'),
+
+  handleValidationErrors
+];
+
+const validateQuestionReport = [
+  body('reason')
+    .isIn(ProductQuestion.REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${ProductQuestion.REPORT_REASONS.join(', ')}`),
+
+  body('answerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid answer ID'),
+
+  handleValidationErrors
+];
+
+const validateQuestionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+  handleValidationErrors
+];
+
+const validateAnswerId = [
+  param('answerId')
+    .isMongoId()
+    .withMessage('Invalid answer ID'),
+  handleValidationErrors
+];
+
+// All question routes require authentication
+router.use(auth);
+
+// @route   POST /api/questions/:id/answers
+// @desc    Answer a question (staff and customers who received the product)
+// @access  Private
+router.post('/:id/answers', validateQuestionId, validateAnswer, answerQuestion);
+
+// @route   POST /api/questions/:id/answers/:answerId/upvote
+// @desc    Toggle an upvote on an answer
+// @access  Private
+router.post('/:id/answers/:answerId/upvote', validateQuestionId, validateAnswerId, toggleAnswerUpvote);
+
+// @route   POST /api/questions/:id/report
+// @desc    Report a question, or one of its answers, to the moderators
+// @access  Private
+router.post('/:id/report', validateQuestionId, validateQuestionReport, reportQuestion);
+
+// @route   DELETE /api/questions/:id
+// @desc    Delete question (owner or admin)
+// @access  Private
+router.delete('/:id', validateQuestionId, deleteQuestion);
+
+module.exports = router;
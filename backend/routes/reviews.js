@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  updateReview,
+  deleteReview,
+  toggleHelpfulVote,
+  reportReview
+} = require('../controllers/reviewController');
+
+// Import middleware
+const { auth } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const validateReviewUpdate = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Review title cannot exceed 100 characters'),
+
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot exceed 2000 characters'),
+
+  body('fit')
+    .optional()
+    .isIn(Review.FIT_OPTIONS)
+    .withMessage(`Fit must be one of: ${Review.FIT_OPTIONS.join(', ')}`),
+
+  handleValidationErrors
+];
+
+const validateReviewReport = [
+  body('reason')
+    .isIn(Review.REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${Review.REPORT_REASONS.join(', ')}`),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Report comment cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateReviewId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID'),
+  handleValidationErrors
+];
+
+// All review routes require authentication
+router.use(auth);
+
+// @route   PUT /api/reviews/:id
+// @desc    Update own review
+// @access  Private
+router.put('/:id', validateReviewId, validateReviewUpdate, updateReview);
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete review (owner or admin)
+// @access  Private
+router.delete('/:id', validateReviewId, deleteReview);
+
+// @route   POST /api/reviews/:id/helpful
+// @desc    Toggle helpful vote on a review
+// @access  Private
+router.post('/:id/helpful', validateReviewId, toggleHelpfulVote);
+
+// @route   POST /api/reviews/:id/report
+// @desc    Report a review to the moderators
+// @access  Private
+router.post('/:id/report', validateReviewId, validateReviewReport, reportReview);
+
+module.exports = router;
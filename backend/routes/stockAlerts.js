@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getMyStockAlerts,
+  cancelStockAlert
+} = require('../controllers/stockAlertController');
+
+// Import middleware
+const { auth } = require('../middleware/auth');
+const { param, validationResult } = require('express-validator');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+const validateStockAlertId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid stock alert ID'),
+  handleValidationErrors
+];
+
+// Subscribing happens on the product: POST /api/products/:id/stock-alerts
+
+// @route   GET /api/stock-alerts
+// @desc    Get current user's active back-in-stock alerts
+// @access  Private
+router.get('/', auth, getMyStockAlerts);
+
+// @route   DELETE /api/stock-alerts/:id
+// @desc    Cancel a back-in-stock alert
+// @access  Private
+router.delete('/:id', auth, validateStockAlertId, cancelStockAlert);
+
+module.exports = router;
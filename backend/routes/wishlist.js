@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+  mergeGuestWishlist
+} = require('../controllers/wishlistController');
+
+// Import middleware
+const { auth } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+
+const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+// Validation rules
+const validateAddToWishlist = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('size')
+    .optional({ nullable: true })
+    .toUpperCase()
+    .isIn(SIZES)
+    .withMessage('Invalid size'),
+  body('color')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Color name must be between 1 and 50 characters'),
+  handleValidationErrors
+];
+
+const validateProductParam = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+const validateMoveToCart = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('size')
+    .optional({ nullable: true })
+    .toUpperCase()
+    .isIn(SIZES)
+    .withMessage('Invalid size'),
+  body('color')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Color name must be between 1 and 50 characters'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Quantity must be between 1 and 10'),
+  handleValidationErrors
+];
+
+const validateMergeWishlist = [
+  body('items')
+    .isArray({ max: 100 })
+    .withMessage('Items must be a list of at most 100 products'),
+  body('items.*.productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('items.*.size')
+    .optional({ nullable: true })
+    .toUpperCase()
+    .isIn(SIZES)
+    .withMessage('Invalid size'),
+  body('items.*.color')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Color name cannot exceed 50 characters'),
+  handleValidationErrors
+];
+
+// Wishlist routes - all require authentication
+
+// @route   GET /api/wishlist
+// @desc    Get user's wishlist with current prices and stock
+// @access  Private
+router.get('/', auth, getWishlist);
+
+// @route   POST /api/wishlist
+// @desc    Add a product to the wishlist
+// @access  Private
+router.post('/', auth, validateAddToWishlist, addToWishlist);
+
+// @route   POST /api/wishlist/merge
+// @desc    Merge guest wishlist with user wishlist
+// @access  Private
+router.post('/merge', auth, validateMergeWishlist, mergeGuestWishlist);
+
+// @route   DELETE /api/wishlist/:productId
+// @desc    Remove a product from the wishlist
+// @access  Private
+router.delete('/:productId', auth, validateProductParam, removeFromWishlist);
+
+// @route   POST /api/wishlist/:productId/move-to-cart
+// @desc    Move a wishlist product into the cart
+// @access  Private
+router.post('/:productId/move-to-cart', auth, validateMoveToCart, moveToCart);
+
+module.exports = router;
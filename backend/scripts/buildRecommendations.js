@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ProductRecommendation = require('../models/ProductRecommendation');
+require('../models/Order');
+
+// Rebuild "frequently bought together" from order history.
+// Usage: npm run recommendations [-- --days=180]
+const buildRecommendations = async () => {
+  try {
+    const daysArg = process.argv.find(arg => arg.startsWith('--days='));
+    const days = daysArg ? parseInt(daysArg.split('=')[1]) : undefined;
+
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const { products, computedAt } = await ProductRecommendation.rebuildFromOrders(days ? { days } : {});
+    console.log(`Rebuilt recommendations for ${products} products at ${computedAt.toISOString()}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error building recommendations:', error);
+    process.exit(1);
+  }
+};
+
+buildRecommendations();
@@ -0,0 +1,422 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/Product');
+const { parseCSV, stringifyCSV } = require('../utils/csv');
+
+// Catalog import/export tool
+//
+//   node scripts/catalog.js import <file> [--format csv|json] [--dry-run]
+//   node scripts/catalog.js export <file> [--format csv|json] [--active-only]
+//
+// Products are matched on seo.slug (derived from the name when a row has no
+// slug): existing products are updated, new ones are created. Every row is
+// validated against the Product model before anything is written, and
+// --dry-run only reports what would happen. Empty CSV cells leave the
+// current value untouched.
+
+const CSV_COLUMNS = [
+  'slug',
+  'name',
+  'description',
+  'shortDescription',
+  'category',
+  'subcategory',
+  'brand',
+  'priceOriginal',
+  'priceDiscounted',
+  'currency',
+  'sizes',
+  'colors',
+  'variants',
+  'images',
+  'material',
+  'careInstructions',
+  'features',
+  'tags',
+  'availabilityStatus',
+  'restockDate',
+  'preOrderLimit',
+  'metaTitle',
+  'metaDescription',
+  'isActive',
+  'isFeatured',
+  'weight'
+];
+
+// Multi-value CSV cells are separated with "|", pairs with ":".
+// Variants are written as "Color/Size:stock", with an optional "@price" override.
+const LIST_SEPARATOR = '|';
+
+const slugify = (value) => {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+};
+
+const splitList = (value) => {
+  return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+};
+
+const parseBoolean = (value) => {
+  return ['true', 'yes', '1', 'y'].includes(value.toLowerCase());
+};
+
+// Split "name:value" on the first colon only so hex codes and URLs survive
+const splitPair = (value) => {
+  const index = value.indexOf(':');
+  if (index === -1) return [value.trim(), ''];
+  return [value.slice(0, index).trim(), value.slice(index + 1).trim()];
+};
+
+// Convert a flat CSV record to the nested Product shape
+const csvRecordToProduct = (record) => {
+  const product = {};
+  const has = (column) => record[column] !== undefined && record[column] !== '';
+
+  ['name', 'description', 'shortDescription', 'category', 'subcategory', 'brand', 'currency', 'material']
+    .forEach(field => {
+      if (has(field)) product[field] = record[field];
+    });
+
+  if (has('priceOriginal') || has('priceDiscounted')) {
+    product.price = {};
+    if (has('priceOriginal')) product.price.original = Number(record.priceOriginal);
+    if (has('priceDiscounted')) product.price.discounted = Number(record.priceDiscounted);
+  }
+
+  if (has('sizes')) {
+    product.sizes = splitList(record.sizes).map(entry => {
+      const [size, stock] = splitPair(entry);
+      return { size: size.toUpperCase(), stock: stock === '' ? 0 : Number(stock) };
+    });
+  }
+
+  if (has('colors')) {
+    product.colors = splitList(record.colors).map(entry => {
+      const [name, hexCode] = splitPair(entry);
+      return hexCode ? { name, hexCode } : { name };
+    });
+  }
+
+  if (has('variants')) {
+    product.variants = splitList(record.variants).map(entry => {
+      const [key, rest] = splitPair(entry);
+      const [stock, price] = rest.split('@').map(value => value.trim());
+      const slashIndex = key.lastIndexOf('/');
+      const variant = {
+        color: key.slice(0, slashIndex).trim(),
+        size: key.slice(slashIndex + 1).trim().toUpperCase(),
+        stock: stock === '' || stock === undefined ? 0 : Number(stock)
+      };
+      if (price) variant.price = Number(price);
+      return variant;
+    });
+  }
+
+  if (has('images')) {
+    product.images = splitList(record.images).map((url, index) => ({
+      url,
+      isPrimary: index === 0
+    }));
+  }
+
+  ['careInstructions', 'features', 'tags'].forEach(field => {
+    if (has(field)) product[field] = splitList(record[field]);
+  });
+
+  if (has('availabilityStatus') || has('restockDate') || has('preOrderLimit')) {
+    product.availability = {};
+    if (has('availabilityStatus')) product.availability.status = record.availabilityStatus;
+    if (has('restockDate')) product.availability.restockDate = new Date(record.restockDate);
+    if (has('preOrderLimit')) product.availability.preOrderLimit = Number(record.preOrderLimit);
+  }
+
+  if (has('slug') || has('metaTitle') || has('metaDescription')) {
+    product.seo = {};
+    if (has('slug')) product.seo.slug = record.slug;
+    if (has('metaTitle')) product.seo.metaTitle = record.metaTitle;
+    if (has('metaDescription')) product.seo.metaDescription = record.metaDescription;
+  }
+
+  if (has('isActive')) product.isActive = parseBoolean(record.isActive);
+  if (has('isFeatured')) product.isFeatured = parseBoolean(record.isFeatured);
+  if (has('weight')) product.weight = Number(record.weight);
+
+  return product;
+};
+
+// Convert a Product document to a flat CSV record
+const productToCsvRecord = (product) => {
+  return {
+    slug: product.seo?.slug,
+    name: product.name,
+    description: product.description,
+    shortDescription: product.shortDescription,
+    category: product.category,
+    subcategory: product.subcategory,
+    brand: product.brand,
+    priceOriginal: product.price?.original,
+    priceDiscounted: product.price?.discounted,
+    currency: product.currency,
+    sizes: (product.sizes || []).map(s => `${s.size}:${s.stock}`).join(LIST_SEPARATOR),
+    colors: (product.colors || [])
+      .map(c => (c.hexCode ? `${c.name}:${c.hexCode}` : c.name))
+      .join(LIST_SEPARATOR),
+    variants: (product.variants || [])
+      .map(v => `${v.color}/${v.size}:${v.stock}${v.price !== undefined && v.price !== null ? `@${v.price}` : ''}`)
+      .join(LIST_SEPARATOR),
+    images: [...(product.images || [])]
+      .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary))
+      .map(image => image.url)
+      .join(LIST_SEPARATOR),
+    material: product.material,
+    careInstructions: (product.careInstructions || []).join(LIST_SEPARATOR),
+    features: (product.features || []).join(LIST_SEPARATOR),
+    tags: (product.tags || []).join(LIST_SEPARATOR),
+    availabilityStatus: product.availability?.status,
+    restockDate: product.availability?.restockDate
+      ? product.availability.restockDate.toISOString().slice(0, 10)
+      : '',
+    preOrderLimit: product.availability?.preOrderLimit ?? '',
+    metaTitle: product.seo?.metaTitle,
+    metaDescription: product.seo?.metaDescription,
+    isActive: product.isActive,
+    isFeatured: product.isFeatured,
+    weight: product.weight
+  };
+};
+
+// Strip database-managed fields so exported JSON can be re-imported as-is
+const productToJsonRecord = (product) => {
+  const {
+    _id, __v, id, createdAt, updatedAt, ratings,
+    currentPrice, discountPercentage, totalStock, availableStock,
+    ...fields
+  } = product.toObject({ virtuals: false });
+
+  fields.sizes = (fields.sizes || []).map(({ size, stock }) => ({ size, stock }));
+  fields.images = (fields.images || []).map(({ url, alt, isPrimary }) => ({ url, alt, isPrimary }));
+  fields.colors = (fields.colors || []).map(({ name, hexCode, images = [] }) => ({
+    name,
+    ...(hexCode ? { hexCode } : {}),
+    ...(images.length > 0 ? { images: images.map(({ url, alt, isPrimary }) => ({ url, alt, isPrimary })) } : {})
+  }));
+  fields.variants = (fields.variants || []).map(({ sku, color, size, stock, price }) => ({
+    sku, color, size, stock, ...(price !== undefined && price !== null ? { price } : {})
+  }));
+
+  return fields;
+};
+
+// Apply imported fields to an existing product without losing live data
+const mergeIntoExisting = (product, fields) => {
+  const { sizes, variants, images, ...rest } = fields;
+
+  product.set(rest);
+
+  if (sizes) {
+    // Keep reserved counts for sizes that already exist. Pre-order products
+    // may be reserved beyond stock until it arrives.
+    product.sizes = sizes.map(({ size, stock }) => {
+      const current = product.sizes.find(s => s.size === size);
+      const reserved = current ? current.reserved : 0;
+      if (stock < reserved && !product.isPreOrder) {
+        throw new Error(`Stock for size ${size} (${stock}) is below the ${reserved} units already reserved`);
+      }
+      return { size, stock, reserved };
+    });
+  }
+
+  if (variants) {
+    product.variants = variants.map(variant => {
+      const current = product.findVariant(variant.color, variant.size);
+      const reserved = current ? current.reserved : 0;
+      if (variant.stock < reserved && !product.isPreOrder) {
+        throw new Error(`Stock for ${variant.color} / ${variant.size} (${variant.stock}) is below the ${reserved} units already reserved`);
+      }
+      return { ...variant, reserved };
+    });
+  }
+
+  if (images) {
+    // Keep alt text for images that are already on the product
+    product.images = images.map(image => {
+      const current = product.images.find(i => i.url === image.url);
+      return { alt: current ? current.alt : product.name, ...image };
+    });
+  }
+
+  return product;
+};
+
+const formatValidationError = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => `${err.path}: ${err.message}`).join('; ');
+  }
+  return error.message;
+};
+
+const detectFormat = (file, explicitFormat) => {
+  const format = explicitFormat || path.extname(file).slice(1).toLowerCase();
+  if (!['csv', 'json'].includes(format)) {
+    throw new Error(`Unsupported format "${format}". Use csv or json.`);
+  }
+  return format;
+};
+
+const readRecords = (file, format) => {
+  const content = fs.readFileSync(file, 'utf8');
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    const records = Array.isArray(parsed) ? parsed : parsed.products;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON import must be an array of products or { "products": [...] }');
+    }
+    return records;
+  }
+
+  return parseCSV(content).map(csvRecordToProduct);
+};
+
+const importCatalog = async (file, { format, dryRun = false } = {}) => {
+  const resolvedFormat = detectFormat(file, format);
+  const records = readRecords(file, resolvedFormat);
+
+  const report = { created: [], updated: [], errors: [] };
+  const seenSlugs = new Set();
+
+  for (const [index, fields] of records.entries()) {
+    // Row numbers match the spreadsheet (header is row 1)
+    const row = resolvedFormat === 'csv' ? index + 2 : index + 1;
+    const slug = fields.seo?.slug || (fields.name ? slugify(fields.name) : '');
+
+    if (!slug) {
+      report.errors.push({ row, slug: null, message: 'Row needs a slug or a name' });
+      continue;
+    }
+    if (seenSlugs.has(slug)) {
+      report.errors.push({ row, slug, message: 'Duplicate slug in import file' });
+      continue;
+    }
+    seenSlugs.add(slug);
+
+    try {
+      const existing = await Product.findOne({ 'seo.slug': slug });
+      const product = existing
+        ? mergeIntoExisting(existing, fields)
+        : new Product({ ...fields, seo: { ...fields.seo, slug } });
+
+      await product.validate();
+
+      if (!dryRun) {
+        await product.save();
+      }
+
+      (existing ? report.updated : report.created).push({ row, slug, name: product.name });
+    } catch (error) {
+      report.errors.push({ row, slug, message: formatValidationError(error) });
+    }
+  }
+
+  return report;
+};
+
+const exportCatalog = async (file, { format, activeOnly = false } = {}) => {
+  const resolvedFormat = detectFormat(file, format);
+  const query = activeOnly ? { isActive: true } : {};
+  const products = await Product.find(query).sort({ category: 1, name: 1 });
+
+  const content = resolvedFormat === 'json'
+    ? JSON.stringify(products.map(productToJsonRecord), null, 2) + '\n'
+    : stringifyCSV(products.map(productToCsvRecord), CSV_COLUMNS);
+
+  fs.writeFileSync(file, content, 'utf8');
+  return products.length;
+};
+
+const printReport = (report, dryRun) => {
+  const verb = dryRun ? 'Would' : 'Did';
+  console.log(`${dryRun ? '[dry run] ' : ''}Import summary:`);
+  console.log(`- ${verb} create: ${report.created.length}`);
+  report.created.forEach(item => console.log(`    row ${item.row}: ${item.slug}`));
+  console.log(`- ${verb} update: ${report.updated.length}`);
+  report.updated.forEach(item => console.log(`    row ${item.row}: ${item.slug}`));
+  console.log(`- Errors: ${report.errors.length}`);
+  report.errors.forEach(item => console.log(`    row ${item.row}${item.slug ? ` (${item.slug})` : ''}: ${item.message}`));
+};
+
+const parseArgs = (argv) => {
+  const [command, file, ...rest] = argv;
+  const options = { dryRun: false, activeOnly: false, format: undefined };
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--dry-run') options.dryRun = true;
+    else if (rest[i] === '--active-only') options.activeOnly = true;
+    else if (rest[i] === '--format') options.format = rest[++i];
+    else throw new Error(`Unknown option: ${rest[i]}`);
+  }
+
+  return { command, file, options };
+};
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  node scripts/catalog.js import <file> [--format csv|json] [--dry-run]');
+  console.log('  node scripts/catalog.js export <file> [--format csv|json] [--active-only]');
+};
+
+const run = async () => {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    usage();
+    process.exit(1);
+  }
+
+  const { command, file, options } = args;
+  if (!['import', 'export'].includes(command) || !file) {
+    usage();
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    if (command === 'import') {
+      const report = await importCatalog(file, options);
+      printReport(report, options.dryRun);
+      await mongoose.disconnect();
+      process.exit(report.errors.length > 0 ? 1 : 0);
+    }
+
+    const count = await exportCatalog(file, options);
+    console.log(`Exported ${count} products to ${file}`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error(`Catalog ${command} failed:`, error.message);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  importCatalog,
+  exportCatalog,
+  csvRecordToProduct,
+  productToCsvRecord,
+  CSV_COLUMNS
+};
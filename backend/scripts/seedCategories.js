@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+// The categories products used before the taxonomy moved into the database,
+// with the subcategories the sample catalog uses
+const DEFAULT_CATEGORIES = [
+  { name: 'Shirts', slug: 'shirts', children: [{ name: 'T-Shirts', slug: 't-shirts' }, { name: 'Casual Shirts', slug: 'casual-shirts' }] },
+  { name: 'Pants', slug: 'pants', children: [{ name: 'Chinos', slug: 'chinos' }] },
+  { name: 'Jeans', slug: 'jeans' },
+  { name: 'Jackets', slug: 'jackets' },
+  { name: 'Sweaters', slug: 'sweaters' },
+  { name: 'Hoodies', slug: 'hoodies' },
+  { name: 'Shorts', slug: 'shorts' },
+  { name: 'Suits', slug: 'suits' },
+  { name: 'Accessories', slug: 'accessories' },
+  { name: 'Shoes', slug: 'shoes' },
+  { name: 'Underwear', slug: 'underwear' },
+  { name: 'Activewear', slug: 'activewear' }
+];
+
+const titleCase = (slug) => slug
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const ensureCategory = async ({ name, slug }, parent, position) => {
+  const existing = await Category.findOne({ slug });
+  if (existing) return { category: existing, created: false };
+
+  const category = await Category.create({ name, slug, parent: parent ? parent._id : null, position });
+  return { category, created: true };
+};
+
+// Create any missing default categories, plus a subcategory for every
+// subcategory already used by products. Existing categories are left as they
+// are, so this is safe to run repeatedly.
+const seedCategories = async () => {
+  let created = 0;
+
+  for (const [position, entry] of DEFAULT_CATEGORIES.entries()) {
+    const top = await ensureCategory(entry, null, position);
+    created += top.created ? 1 : 0;
+
+    for (const [childPosition, child] of (entry.children || []).entries()) {
+      const sub = await ensureCategory(child, top.category, childPosition);
+      created += sub.created ? 1 : 0;
+    }
+  }
+
+  const used = await Product.aggregate([
+    { $match: { subcategory: { $nin: [null, ''] } } },
+    { $group: { _id: { category: '$category', subcategory: '$subcategory' } } }
+  ]);
+
+  for (const { _id } of used) {
+    const parent = await Category.findOne({ slug: _id.category });
+    if (!parent || _id.subcategory === _id.category) continue;
+
+    const sub = await ensureCategory({ name: titleCase(_id.subcategory), slug: _id.subcategory }, parent, 0);
+    created += sub.created ? 1 : 0;
+  }
+
+  return { created };
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const { created } = await seedCategories();
+    console.log(`Created ${created} categories`);
+
+    const tree = Category.buildTree(await Category.getAll({ fresh: true }), new Map(), { includeInactive: true });
+    tree.forEach(node => {
+      console.log(`- ${node.name} (${node.slug})`);
+      node.children.forEach(child => console.log(`  - ${child.name} (${child.slug})`));
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error seeding categories:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { seedCategories };
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const Product = require('../models/Product');
+const { seedCategories } = require('./seedCategories');
 
 const sampleProducts = [
   {
@@ -203,6 +204,9 @@ const seedProducts = async () => {
     await Product.deleteMany({});
     console.log('Cleared existing products');
 
+    // Products are validated against the category tree
+    await seedCategories();
+
     // Insert sample products
     const createdProducts = await Product.insertMany(sampleProducts);
     console.log(`Created ${createdProducts.length} sample products`);
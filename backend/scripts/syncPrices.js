@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/Product');
+
+// Backfill the stored selling price and discount percentage that listings
+// filter and sort on. Safe to run repeatedly.
+const syncPrices = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const result = await Product.syncEffectivePrices();
+    console.log(`Updated selling prices for ${result.modifiedCount} of ${result.matchedCount} products`);
+
+    // Make sure the price and search indexes exist before listings rely on
+    // them. Indexes the schema no longer declares are dropped, which is how
+    // an older text index makes way for product_search.
+    await Product.syncIndexes();
+    console.log('Product indexes are in place');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error syncing prices:', error);
+    process.exit(1);
+  }
+};
+
+syncPrices();
@@ -7,6 +7,9 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const { errorHandler } = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
+const { getUploadDir } = require('./utils/imageStorage');
+const { resolveCurrency } = require('./middleware/currency');
 
 // Connect to database
 connectDB();
@@ -44,12 +47,36 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Uploaded product images (local image storage). The storefront runs on
+// another origin, so allow the files to be embedded cross-origin.
+app.use('/uploads', express.static(getUploadDir(), {
+  maxAge: '30d',
+  immutable: true,
+  setHeaders: (res) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
+// sitemap.xml and shopping feeds for search engines and merchant centers
+app.use(require('./routes/feeds'));
+
+// Shopper's display currency (?currency= or X-Currency) for converted prices
+app.use('/api', resolveCurrency);
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/cart', require('./routes/cart'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/payment', require('./routes/payment'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/questions', require('./routes/questions'));
+app.use('/api/wishlist', require('./routes/wishlist'));
+app.use('/api/stock-alerts', require('./routes/stockAlerts'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/bundles', require('./routes/bundles'));
+app.use('/api/currencies', require('./routes/currencies'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -67,4 +94,5 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  startJobs();
 });
\ No newline at end of file
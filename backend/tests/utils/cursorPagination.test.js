@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery
+} = require('../../utils/cursorPagination');
+
+const id = new mongoose.Types.ObjectId();
+
+describe('encodeCursor / decodeCursor', () => {
+  const sort = { currentPrice: 1, createdAt: -1, _id: 1 };
+
+  it('round-trips numbers, Dates and ObjectIds', () => {
+    const createdAt = new Date('2024-05-01T10:00:00.000Z');
+    const cursor = encodeCursor({ currentPrice: 1299, createdAt, _id: id }, sort);
+
+    const values = decodeCursor(cursor, sort);
+    expect(values[0]).toBe(1299);
+    expect(values[1]).toBeInstanceOf(Date);
+    expect(values[1].toISOString()).toBe(createdAt.toISOString());
+    expect(values[2]).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(values[2].equals(id)).toBe(true);
+  });
+
+  it('reads nested paths and stores missing values as null', () => {
+    const nestedSort = { 'ratings.average': -1, _id: 1 };
+    const cursor = encodeCursor({ _id: id }, nestedSort);
+
+    expect(decodeCursor(cursor, nestedSort)).toEqual([null, id]);
+  });
+
+  it('rejects a cursor issued for a different sort order', () => {
+    const cursor = encodeCursor({ currentPrice: 1299, createdAt: new Date(), _id: id }, sort);
+
+    expect(decodeCursor(cursor, { currentPrice: -1, createdAt: -1, _id: 1 })).toBeNull();
+    expect(decodeCursor(cursor, { currentPrice: 1, _id: 1 })).toBeNull();
+  });
+
+  it('rejects malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor', sort)).toBeNull();
+    expect(decodeCursor(Buffer.from('{"s":"x"}').toString('base64url'), sort)).toBeNull();
+
+    const tampered = Buffer.from(JSON.stringify({
+      s: 'currentPrice:1,createdAt:-1,_id:1',
+      v: [1, { x: 1 }, null]
+    })).toString('base64url');
+    expect(decodeCursor(tampered, sort)).toBeNull();
+  });
+});
+
+describe('buildCursorQuery', () => {
+  it('pages past the cursor on every sort key', () => {
+    expect(buildCursorQuery({ currentPrice: 1, _id: 1 }, [1299, id])).toEqual({
+      $or: [
+        { currentPrice: { $gt: 1299 } },
+        { currentPrice: 1299, _id: { $gt: id } }
+      ]
+    });
+  });
+
+  it('includes nulls after a non-null value in descending order', () => {
+    expect(buildCursorQuery({ 'ratings.average': -1, _id: 1 }, [4.5, id])).toEqual({
+      $or: [
+        { 'ratings.average': { $lt: 4.5 } },
+        { 'ratings.average': null },
+        { 'ratings.average': 4.5, _id: { $gt: id } }
+      ]
+    });
+  });
+
+  it('moves on to non-null values after a null in ascending order', () => {
+    expect(buildCursorQuery({ discount: 1, _id: 1 }, [null, id])).toEqual({
+      $or: [
+        { discount: { $ne: null } },
+        { discount: null, _id: { $gt: id } }
+      ]
+    });
+  });
+
+  it('stays within the nulls after a null in descending order', () => {
+    expect(buildCursorQuery({ discount: -1, _id: 1 }, [null, id])).toEqual({
+      $or: [
+        { discount: null, _id: { $gt: id } }
+      ]
+    });
+  });
+});
@@ -0,0 +1,274 @@
+// sitemap.xml and the Google Merchant-style product feed. Both are built from
+// the catalog on first request and kept until the catalog changes (product,
+// category, collection or bundle writes call markCatalogChanged) or they reach
+// FEED_MAX_AGE_MINUTES, which covers price events starting and ending.
+const mongoose = require('mongoose');
+const { stringifyCSV } = require('./csv');
+const {
+  siteUrl,
+  productUrl,
+  getStockEntries,
+  getAvailability
+} = require('./structuredData');
+
+const FEED_MAX_AGE_MS = parseFloat(process.env.FEED_MAX_AGE_MINUTES ?? 60) * 60 * 1000;
+const STORE_NAME = process.env.STORE_NAME || "Men's Clothing Shop";
+
+// Storefront pages listed in the sitemap besides products and categories
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'daily', priority: '1.0' },
+  { path: '/products', changefreq: 'daily', priority: '0.9' }
+];
+
+// Columns of the shopping feed, in Google Merchant Center attribute names
+const FEED_COLUMNS = [
+  'id',
+  'item_group_id',
+  'title',
+  'description',
+  'link',
+  'image_link',
+  'additional_image_link',
+  'availability',
+  'availability_date',
+  'price',
+  'sale_price',
+  'sale_price_effective_date',
+  'brand',
+  'identifier_exists',
+  'condition',
+  'product_type',
+  'gender',
+  'age_group',
+  'color',
+  'size',
+  'material'
+];
+
+let cache = { sitemap: null, feed: null };
+let catalogVersion = 0;
+const building = new Map();
+
+// Called by the catalog models after writes; the next request rebuilds
+const markCatalogChanged = () => {
+  catalogVersion += 1;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatPrice = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+
+// Build (or reuse) one cached artifact. Requests arriving while it is being
+// built wait for the same build.
+const getCached = async (key, build) => {
+  const entry = cache[key];
+  if (entry && entry.version === catalogVersion && Date.now() - entry.builtAt < FEED_MAX_AGE_MS) {
+    return entry;
+  }
+
+  if (!building.has(key)) {
+    const version = catalogVersion;
+    building.set(key, build()
+      .then(content => {
+        const built = { ...content, version, builtAt: Date.now() };
+        cache = { ...cache, [key]: built };
+        return built;
+      })
+      .finally(() => building.delete(key)));
+  }
+  return building.get(key);
+};
+
+const buildSitemap = async () => {
+  const Product = mongoose.model('Product');
+  const Category = mongoose.model('Category');
+  const Collection = mongoose.model('Collection');
+  const Bundle = mongoose.model('Bundle');
+
+  const [products, categories, collections, bundles] = await Promise.all([
+    Product.find({ isActive: true, 'availability.status': { $ne: 'discontinued' } })
+      .select('_id updatedAt')
+      .sort({ _id: 1 })
+      .lean(),
+    Category.getAll({ fresh: true }),
+    Collection.find(Collection.liveFilter()).select('slug updatedAt').lean(),
+    Bundle.find({ isActive: true }).select('slug updatedAt').lean()
+  ]);
+
+  const categoriesBySlug = new Map(categories.map(category => [category.slug, category]));
+  const urls = [
+    ...STATIC_PAGES.map(page => ({ loc: siteUrl(page.path), changefreq: page.changefreq, priority: page.priority })),
+    // Only top-level categories have a listing page of their own
+    ...Category.buildTree(categories).map(node => ({
+      loc: siteUrl(`/products?category=${encodeURIComponent(node.slug)}`),
+      lastmod: categoriesBySlug.get(node.slug).updatedAt,
+      changefreq: 'daily',
+      priority: '0.8'
+    })),
+    ...collections.map(collection => ({
+      loc: siteUrl(`/collections/${collection.slug}`),
+      lastmod: collection.updatedAt,
+      changefreq: 'weekly',
+      priority: '0.7'
+    })),
+    ...bundles.map(bundle => ({
+      loc: siteUrl(`/bundles/${bundle.slug}`),
+      lastmod: bundle.updatedAt,
+      changefreq: 'weekly',
+      priority: '0.6'
+    })),
+    ...products.map(product => ({
+      loc: productUrl(product),
+      lastmod: product.updatedAt,
+      changefreq: 'weekly',
+      priority: '0.7'
+    }))
+  ];
+
+  const body = urls.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    url.lastmod ? `    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : null,
+    `    <changefreq>${url.changefreq}</changefreq>`,
+    `    <priority>${url.priority}</priority>`,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return {
+    content: [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...body,
+      '</urlset>',
+      ''
+    ].join('\n'),
+    count: urls.length
+  };
+};
+
+// One feed item per stock entry (color x size variant, or size), grouped by product
+const buildFeedItems = (product, categoryPath) => {
+  const currency = product.currency || 'INR';
+  const images = (product.images || []).map(image => image.url).filter(Boolean);
+
+  return getStockEntries(product).map(entry => {
+    const color = product.hasVariants ? entry.color : null;
+    const colorImages = color
+      ? (product.colors.find(c => c.name.toLowerCase() === color.toLowerCase())?.images || []).map(image => image.url)
+      : [];
+    const itemImages = colorImages.length > 0 ? colorImages : images;
+    const { price, originalPrice, priceEvent } = product.getPriceDetails(entry.size, color);
+    const availability = getAvailability(product, entry);
+    const onSale = price < originalPrice;
+
+    return {
+      id: entry.sku || `${product._id}-${entry.size}`,
+      item_group_id: product._id.toString(),
+      title: [product.name, color, entry.size].filter(Boolean).join(' - '),
+      description: product.description,
+      link: productUrl(product),
+      image_link: itemImages[0] || '',
+      additional_image_link: itemImages.slice(1, 11).join(','),
+      availability,
+      availability_date: availability === 'preorder' && product.availability.restockDate
+        ? new Date(product.availability.restockDate).toISOString()
+        : '',
+      price: formatPrice(originalPrice, currency),
+      sale_price: onSale ? formatPrice(price, currency) : '',
+      sale_price_effective_date: onSale && priceEvent
+        ? `${new Date(priceEvent.startsAt).toISOString()}/${new Date(priceEvent.endsAt).toISOString()}`
+        : '',
+      brand: product.brand,
+      // Products carry no GTINs or manufacturer part numbers
+      identifier_exists: 'no',
+      condition: 'new',
+      product_type: categoryPath.join(' > '),
+      gender: 'male',
+      age_group: 'adult',
+      color: color || '',
+      size: entry.size,
+      material: product.material || ''
+    };
+  });
+};
+
+const buildFeed = async () => {
+  const Product = mongoose.model('Product');
+  const Category = mongoose.model('Category');
+
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true, 'availability.status': { $ne: 'discontinued' } }).sort({ _id: 1 }),
+    Category.getAll({ fresh: true })
+  ]);
+
+  // Display names from the top-level category down, by slug
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const pathNames = new Map(categories.map(category => {
+    const names = [];
+    for (let node = category; node; node = node.parent && byId.get(node.parent.toString())) {
+      names.unshift(node.name);
+    }
+    return [category.slug, names];
+  }));
+
+  const items = [];
+  for (const product of products) {
+    const categoryPath = pathNames.get(product.subcategory || product.category) || [product.category];
+    items.push(...buildFeedItems(product, categoryPath));
+  }
+
+  return { items, count: items.length };
+};
+
+const renderFeedXml = (items) => {
+  const body = items.map(item => [
+    '    <item>',
+    ...FEED_COLUMNS
+      .filter(column => item[column] !== '' && item[column] !== null && item[column] !== undefined)
+      .map(column => `      <g:${column}>${escapeXml(item[column])}</g:${column}>`),
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    '  <channel>',
+    `    <title>${escapeXml(STORE_NAME)}</title>`,
+    `    <link>${escapeXml(siteUrl('/'))}</link>`,
+    `    <description>${escapeXml(`${STORE_NAME} product feed`)}</description>`,
+    ...body,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * The sitemap as { content, count, builtAt }.
+ */
+const getSitemap = () => getCached('sitemap', buildSitemap);
+
+/**
+ * The product feed as { content, count, builtAt } in `format` (xml or csv).
+ * Both formats are rendered from the same cached items.
+ */
+const getProductFeed = async (format = 'xml') => {
+  const feed = await getCached('feed', buildFeed);
+  return {
+    content: format === 'csv' ? stringifyCSV(feed.items, FEED_COLUMNS) : renderFeedXml(feed.items),
+    count: feed.count,
+    builtAt: feed.builtAt
+  };
+};
+
+module.exports = {
+  FEED_COLUMNS,
+  markCatalogChanged,
+  getSitemap,
+  getProductFeed
+};
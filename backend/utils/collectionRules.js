@@ -0,0 +1,136 @@
+// Rule-based collections: a small "field op value" language joined with "and",
+// e.g. "tag=summer and price<1500" or "category=shirts,t-shirts and discount>=20".
+// Rules are turned into a Product query when the collection is read, so new
+// matching products show up without editing the collection.
+const { escapeRegex } = require('./productFilters');
+
+const NUMBER_FIELDS = {
+  price: 'price.effective',
+  discount: 'price.discountPercent',
+  rating: 'ratings.average'
+};
+
+// String fields accept "=" and "!=" with one or more comma separated values
+const STRING_FIELDS = {
+  tag: { path: 'tags', normalize: value => value.toLowerCase() },
+  category: { path: 'category', normalize: value => value.toLowerCase() },
+  subcategory: { path: 'subcategory', normalize: value => value.toLowerCase() },
+  brand: { path: 'brand', caseInsensitive: true },
+  color: { path: 'colors.name', caseInsensitive: true },
+  size: { path: 'sizes.size', normalize: value => value.toUpperCase() },
+  availability: { path: 'availability.status', normalize: value => value.toLowerCase() }
+};
+
+const BOOLEAN_FIELDS = {
+  featured: 'isFeatured'
+};
+
+const RULE_FIELDS = [
+  ...Object.keys(STRING_FIELDS),
+  ...Object.keys(NUMBER_FIELDS),
+  ...Object.keys(BOOLEAN_FIELDS)
+];
+
+const NUMBER_OPERATORS = {
+  '=': '$eq',
+  '!=': '$ne',
+  '<': '$lt',
+  '<=': '$lte',
+  '>': '$gt',
+  '>=': '$gte'
+};
+
+// Longest operators first so "<=" is not read as "<"
+const CLAUSE_PATTERN = /^([a-z]+)\s*(<=|>=|!=|=|<|>)\s*(.+)$/i;
+
+const stringCondition = ({ path, normalize, caseInsensitive }, operator, rawValue) => {
+  const values = rawValue.split(',').map(value => value.trim()).filter(Boolean);
+  if (values.length === 0) {
+    throw new Error(`Missing value for "${path}"`);
+  }
+
+  const matchers = values.map(value => {
+    if (caseInsensitive) return new RegExp(`^${escapeRegex(value)}$`, 'i');
+    return normalize ? normalize(value) : value;
+  });
+
+  return { [path]: { [operator === '=' ? '$in' : '$nin']: matchers } };
+};
+
+const parseClause = (clause) => {
+  const match = clause.trim().match(CLAUSE_PATTERN);
+  if (!match) {
+    throw new Error(`Cannot read "${clause.trim()}". Use field, operator and value, e.g. tag=summer`);
+  }
+
+  const field = match[1].toLowerCase();
+  const operator = match[2];
+  const value = match[3].trim();
+
+  if (NUMBER_FIELDS[field]) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`"${field}" needs a number, got "${value}"`);
+    }
+    return { [NUMBER_FIELDS[field]]: { [NUMBER_OPERATORS[operator]]: number } };
+  }
+
+  if (!['=', '!='].includes(operator)) {
+    throw new Error(`"${field}" only supports = and !=`);
+  }
+
+  if (STRING_FIELDS[field]) {
+    return stringCondition(STRING_FIELDS[field], operator, value);
+  }
+
+  if (BOOLEAN_FIELDS[field]) {
+    if (!['true', 'false'].includes(value.toLowerCase())) {
+      throw new Error(`"${field}" must be true or false`);
+    }
+    const wanted = value.toLowerCase() === 'true';
+    return { [BOOLEAN_FIELDS[field]]: operator === '=' ? wanted : !wanted };
+  }
+
+  throw new Error(`Unknown field "${field}". Use one of: ${RULE_FIELDS.join(', ')}`);
+};
+
+/**
+ * Turn a rule into a Product query (without the isActive condition).
+ * Throws an Error with a readable message when the rule is invalid.
+ */
+const parseRule = (rule) => {
+  const clauses = String(rule || '').split(/\s+and\s+/i).filter(clause => clause.trim());
+  if (clauses.length === 0) {
+    throw new Error('Rule is empty');
+  }
+
+  const conditions = clauses.map(parseClause);
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Replace one value of the given string fields throughout a rule, e.g. a
+ * category slug after the category was renamed. Returns the rule unchanged
+ * when no clause uses the value.
+ */
+const replaceRuleValue = (rule, fields, from, to) => {
+  return String(rule || '')
+    .split(/(\s+and\s+)/i)
+    .map(part => {
+      const match = part.match(CLAUSE_PATTERN);
+      if (!match || !fields.includes(match[1].toLowerCase())) return part;
+
+      const values = match[3].split(',').map(value => value.trim());
+      if (!values.some(value => value.toLowerCase() === from.toLowerCase())) return part;
+
+      const renamed = values.map(value => (value.toLowerCase() === from.toLowerCase() ? to : value));
+      return `${match[1]}${match[2]}${renamed.join(',')}`;
+    })
+    .join('');
+};
+
+module.exports = {
+  RULE_FIELDS,
+  parseRule,
+  replaceRuleValue
+};
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, embedded newlines)
+
+// Parse CSV text into an array of objects keyed by the header row
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM that spreadsheet exports often add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => {
+    return headers.reduce((record, header, index) => {
+      record[header] = values[index] !== undefined ? values[index].trim() : '';
+      return record;
+    }, {});
+  });
+};
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Serialize an array of objects to CSV using the given column order
+const stringifyCSV = (records, columns) => {
+  const lines = [columns.map(escapeField).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeField(record[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  parseCSV,
+  stringifyCSV
+};
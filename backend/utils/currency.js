@@ -0,0 +1,104 @@
+// Display currencies. Prices, carts and orders are kept and settled in the
+// base currency; shoppers can browse in another one using the exchange-rate
+// table (models/ExchangeRate.js). Converted amounts are for display only.
+
+const BASE_CURRENCY = 'INR';
+
+const CURRENCIES = {
+  INR: { symbol: '₹', name: 'Indian Rupee' },
+  USD: { symbol: '$', name: 'US Dollar' },
+  EUR: { symbol: '€', name: 'Euro' }
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+// Display currency for a request: the base currency unless another one with a rate was asked for
+const getDisplayCurrency = (code, rates) => {
+  const wanted = (code || '').toUpperCase();
+  const currency = CURRENCIES[wanted] && rates[wanted] ? wanted : BASE_CURRENCY;
+  return { code: currency, symbol: CURRENCIES[currency].symbol, rate: rates[currency] || 1 };
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Convert a base-currency amount; null and undefined pass through
+const convertAmount = (amount, display) => {
+  if (amount === null || amount === undefined) return amount;
+  return roundAmount(amount * display.rate);
+};
+
+const convertAll = (amounts, display) => {
+  return Object.keys(amounts).reduce((converted, key) => {
+    converted[key] = convertAmount(amounts[key], display);
+    return converted;
+  }, {});
+};
+
+// Product JSON with its prices in the display currency (`displayPrice`)
+const localizeProduct = (product, display) => {
+  const json = typeof product.toJSON === 'function' ? product.toJSON() : product;
+  if (!json.price) return json;
+
+  const localized = {
+    ...json,
+    displayPrice: {
+      currency: display.code,
+      ...convertAll({
+        current: json.currentPrice ?? json.price.effective ?? json.price.original,
+        original: json.price.original
+      }, display)
+    }
+  };
+
+  if (Array.isArray(json.variantAvailability)) {
+    localized.variantAvailability = json.variantAvailability.map(variant => ({
+      ...variant,
+      displayPrice: convertAmount(variant.price, display)
+    }));
+  }
+  if (json.lowestPrice30Days) {
+    localized.lowestPrice30Days = {
+      ...json.lowestPrice30Days,
+      displayPrice: convertAmount(json.lowestPrice30Days.price, display)
+    };
+  }
+
+  return localized;
+};
+
+const localizeProducts = (products, display) => products.map(product => localizeProduct(product, display));
+
+// Cart JSON with line prices and totals in the display currency
+const localizeCart = (cart, display) => {
+  const json = typeof cart.toJSON === 'function' ? cart.toJSON() : cart;
+
+  return {
+    ...json,
+    items: (json.items || []).map(item => ({
+      ...item,
+      displayPrice: convertAmount(item.price, display),
+      displaySubtotal: convertAmount(item.price * item.quantity, display)
+    })),
+    bundles: (json.bundles || []).map(line => ({
+      ...line,
+      displayPrice: convertAmount(line.price, display),
+      displayRegularPrice: convertAmount(line.regularPrice, display),
+      displaySubtotal: convertAmount(line.price * line.quantity, display)
+    })),
+    displayCurrency: display.code,
+    exchangeRate: display.rate,
+    displayTotals: convertAll(json.totals || {}, display)
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  getDisplayCurrency,
+  convertAmount,
+  convertAll,
+  localizeProduct,
+  localizeProducts,
+  localizeCart
+};
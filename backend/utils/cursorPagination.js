@@ -0,0 +1,124 @@
+// Keyset ("cursor") pagination for listings.
+//
+// A cursor records the sort values of the last product a shopper saw, so the
+// next page starts right after it no matter what was added or removed in the
+// meantime, and no skip or count is needed. Sorts must end with a unique
+// field (_id) so every product has a distinct position.
+const mongoose = require('mongoose');
+
+const getPath = (doc, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+// JSON loses Dates and ObjectIds, so they are tagged and restored on decode
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string') return new Date(value.d);
+    if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw new Error('Unexpected cursor value');
+  }
+  return value;
+};
+
+// Opaque cursor pointing just after `doc` in the given sort order
+const encodeCursor = (doc, sort) => {
+  const fields = Object.keys(sort);
+  const payload = {
+    s: fields.map(field => `${field}:${sort[field]}`).join(','),
+    v: fields.map(field => encodeValue(getPath(doc, field)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Sort values stored in a cursor, or null when it is malformed or was
+// issued for a different sort order
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const fields = Object.keys(sort);
+    const signature = fields.map(field => `${field}:${sort[field]}`).join(',');
+
+    if (payload.s !== signature || !Array.isArray(payload.v) || payload.v.length !== fields.length) {
+      return null;
+    }
+    return payload.v.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query matching everything that sorts after the cursor position:
+// (a > x) or (a = x and b > y) or ...
+// Missing values are stored as null, and MongoDB sorts null before every other
+// value: ascending, everything non-null comes after a null; descending, nulls
+// come after every other value and nothing comes after a null.
+const buildCursorQuery = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.flatMap((field, index) => {
+      const equal = {};
+      fields.slice(0, index).forEach((previous, i) => {
+        equal[previous] = values[i];
+      });
+
+      const value = values[index];
+      if (sort[field] === 1) {
+        return [{ ...equal, [field]: value === null ? { $ne: null } : { $gt: value } }];
+      }
+      if (value === null) return [];
+      return [
+        { ...equal, [field]: { $lt: value } },
+        { ...equal, [field]: null }
+      ];
+    })
+  };
+};
+
+// Cursor mode is chosen with ?pagination=cursor (first page) or by passing a cursor
+const wantsCursor = (params = {}) => params.pagination === 'cursor' || Boolean(params.cursor);
+
+/**
+ * Fetch one page of a find() after an optional cursor.
+ * Returns the products and the pagination block for the response;
+ * `error` is set instead when the cursor cannot be used.
+ */
+const findPage = async (Model, query, sort, { cursor, limit, select = '-__v' }) => {
+  let filter = query;
+  if (cursor) {
+    const values = decodeCursor(cursor, sort);
+    if (!values) {
+      return { error: 'Invalid or expired cursor' };
+    }
+    filter = { $and: [query, buildCursorQuery(sort, values)] };
+  }
+
+  // One extra row tells us whether another page exists
+  const rows = await Model.find(filter).sort(sort).limit(limit + 1).select(select);
+  const items = rows.slice(0, limit);
+  const hasNextPage = rows.length > limit;
+
+  return {
+    items,
+    pagination: {
+      nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], sort) : null,
+      hasNextPage,
+      limit
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  wantsCursor,
+  findPage
+};
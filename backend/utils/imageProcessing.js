@@ -0,0 +1,84 @@
+// Resizes uploaded product photos into the derivatives the storefront uses,
+// each as JPEG and WebP, so pages can pick a size with srcset.
+const sharp = require('sharp');
+
+// Widths in pixels; images are never enlarged past their original size
+const DERIVATIVES = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  webp: { extension: 'webp', contentType: 'image/webp', options: { quality: 80 } }
+};
+
+const ACCEPTED_INPUT_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'tiff'];
+
+// Smallest upload accepted, so thumbnails are not blown up from tiny images
+const MIN_DIMENSION = 200;
+
+class InvalidImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+/**
+ * Build every derivative of an uploaded image.
+ * Returns { width, height, files: [{ name, format, extension, contentType, width, height, buffer }] }
+ * and throws InvalidImageError for files that are not usable photos.
+ */
+const generateDerivatives = async (input) => {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw new InvalidImageError('File is not a readable image');
+  }
+
+  if (!ACCEPTED_INPUT_FORMATS.includes(metadata.format)) {
+    throw new InvalidImageError(`Unsupported image format "${metadata.format}"`);
+  }
+
+  // EXIF orientation swaps width and height for rotated phone photos
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (Math.min(width, height) < MIN_DIMENSION) {
+    throw new InvalidImageError(`Images must be at least ${MIN_DIMENSION}px on each side`);
+  }
+
+  const files = [];
+  for (const [name, targetWidth] of Object.entries(DERIVATIVES)) {
+    for (const [format, settings] of Object.entries(FORMATS)) {
+      const { data, info } = await sharp(input)
+        .rotate()
+        .resize({ width: targetWidth, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .toFormat(format, settings.options)
+        .toBuffer({ resolveWithObject: true });
+
+      files.push({
+        name,
+        format,
+        extension: settings.extension,
+        contentType: settings.contentType,
+        width: info.width,
+        height: info.height,
+        buffer: data
+      });
+    }
+  }
+
+  return { width, height, files };
+};
+
+module.exports = {
+  DERIVATIVES,
+  InvalidImageError,
+  generateDerivatives
+};
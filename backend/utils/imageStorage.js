@@ -0,0 +1,70 @@
+// Pluggable storage for uploaded product images.
+//
+// A storage is an object with async `save(key, buffer, contentType)`, which
+// returns the public URL of the stored file, and async `remove(key)`. Keys
+// look like "products/<productId>/<imageId>/medium.webp". Pick a built-in one
+// with the IMAGE_STORAGE environment variable, or install your own (e.g. S3
+// or a CDN) with setImageStorage() at startup.
+const fs = require('fs/promises');
+const path = require('path');
+
+// Directory the local storage writes to; served by server.js at /uploads
+const getUploadDir = () => path.resolve(__dirname, '..', process.env.UPLOAD_DIR || 'uploads');
+
+const getUploadsBaseUrl = () => {
+  return (process.env.UPLOADS_BASE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, '');
+};
+
+// Resolve a key inside the upload directory, refusing anything that escapes it
+const resolveKey = (key) => {
+  const root = getUploadDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+// Writes files under UPLOAD_DIR; the default so development needs no setup
+const localStorage = {
+  name: 'local',
+  save: async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${getUploadsBaseUrl()}/${key}`;
+  },
+  remove: async (key) => {
+    await fs.rm(resolveKey(key), { force: true });
+  }
+};
+
+const builtInStorages = {
+  local: localStorage
+};
+
+let storage = null;
+
+const setImageStorage = (custom) => {
+  if (!custom || typeof custom.save !== 'function' || typeof custom.remove !== 'function') {
+    throw new Error('An image storage must provide save(key, buffer, contentType) and remove(key) functions');
+  }
+  storage = custom;
+};
+
+const getImageStorage = () => {
+  if (!storage) {
+    const name = process.env.IMAGE_STORAGE || 'local';
+    if (!builtInStorages[name]) {
+      throw new Error(`Unknown image storage "${name}"`);
+    }
+    storage = builtInStorages[name];
+  }
+  return storage;
+};
+
+module.exports = {
+  getUploadDir,
+  setImageStorage,
+  getImageStorage
+};
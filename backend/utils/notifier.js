@@ -0,0 +1,59 @@
+// Pluggable delivery for customer notifications (back-in-stock alerts, ...).
+//
+// A notifier is an object with an async `send(message)` method, where
+// message is { to, subject, text, data }. Pick a built-in one with the
+// NOTIFIER environment variable, or install your own (e.g. an email
+// provider) with setNotifier() at startup.
+const axios = require('axios');
+
+// Writes notifications to the server log; the default so development needs no setup
+const logNotifier = {
+  name: 'log',
+  send: async ({ to, subject, text }) => {
+    console.log(`[notification] to=${to} subject="${subject}"\n${text}`);
+  }
+};
+
+// POSTs each notification as JSON to NOTIFY_WEBHOOK_URL
+const webhookNotifier = {
+  name: 'webhook',
+  send: async (message) => {
+    if (!process.env.NOTIFY_WEBHOOK_URL) {
+      throw new Error('NOTIFY_WEBHOOK_URL is not configured');
+    }
+    await axios.post(process.env.NOTIFY_WEBHOOK_URL, message, { timeout: 10000 });
+  }
+};
+
+const builtInNotifiers = {
+  log: logNotifier,
+  webhook: webhookNotifier
+};
+
+let notifier = null;
+
+const setNotifier = (custom) => {
+  if (!custom || typeof custom.send !== 'function') {
+    throw new Error('A notifier must provide a send(message) function');
+  }
+  notifier = custom;
+};
+
+const getNotifier = () => {
+  if (!notifier) {
+    const name = process.env.NOTIFIER || 'log';
+    if (!builtInNotifiers[name]) {
+      throw new Error(`Unknown notifier "${name}"`);
+    }
+    notifier = builtInNotifiers[name];
+  }
+  return notifier;
+};
+
+const sendNotification = (message) => getNotifier().send(message);
+
+module.exports = {
+  setNotifier,
+  getNotifier,
+  sendNotification
+};
@@ -0,0 +1,122 @@
+// Shared product listing filters.
+//
+// Each filter is kept as its own clause so facet counts can be computed
+// "disjunctively": the counts for a facet apply every active filter except
+// that facet's own, so picking "Blue" still shows how many products are
+// available in the other colours.
+
+// Upper bounds of the price buckets offered as facets (last bucket is open ended)
+const PRICE_BUCKETS = [500, 1000, 2000, 3000, 5000];
+
+// "At least X% off" steps offered as discount facets
+const DISCOUNT_STEPS = [10, 20, 30, 50];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept both repeated params (?brand=a&brand=b) and comma lists (?brand=a,b)
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => item.trim()).filter(Boolean);
+};
+
+// Public sort keys and the stored fields behind them. Price sorts use the
+// selling price; 'price.original' is still accepted from older clients.
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  price: 'price.effective',
+  'price.original': 'price.effective',
+  discount: 'price.discountPercent',
+  name: 'name',
+  'ratings.average': 'ratings.average'
+};
+
+// Sort object for a listing; _id keeps pages stable when values tie
+const buildSortOptions = (sort, order = 'desc', fallback = 'createdAt') => {
+  const field = SORT_FIELDS[sort] || SORT_FIELDS[fallback];
+  return { [field]: order === 'asc' ? 1 : -1, _id: 1 };
+};
+
+// Turn listing query params into a base query, one clause per facet and
+// the selected values (used to mark facet options as selected)
+const buildProductFilters = (params = {}) => {
+  const base = { isActive: true };
+  const clauses = {};
+  const selected = {};
+
+  const categories = parseList(params.category).map(c => c.toLowerCase());
+  selected.category = categories;
+  if (categories.length > 0) {
+    clauses.category = { category: { $in: categories } };
+  }
+
+  const subcategories = parseList(params.subcategory).map(c => c.toLowerCase());
+  selected.subcategory = subcategories;
+  if (subcategories.length > 0) {
+    clauses.subcategory = { subcategory: { $in: subcategories } };
+  }
+
+  const brands = parseList(params.brand);
+  selected.brand = brands;
+  if (brands.length > 0) {
+    clauses.brand = { brand: { $in: brands.map(brand => new RegExp(escapeRegex(brand), 'i')) } };
+  }
+
+  const sizes = parseList(params.size).map(size => size.toUpperCase());
+  selected.size = sizes;
+  if (sizes.length > 0) {
+    clauses.size = { 'sizes.size': { $in: sizes } };
+  }
+
+  const colors = parseList(params.color);
+  selected.color = colors;
+  if (colors.length > 0) {
+    clauses.color = { 'colors.name': { $in: colors.map(color => new RegExp(escapeRegex(color), 'i')) } };
+  }
+
+  const statuses = parseList(params.availability);
+  selected.availability = statuses;
+  if (statuses.length > 0) {
+    clauses.availability = { 'availability.status': { $in: statuses } };
+  }
+
+  if (params.minPrice || params.maxPrice) {
+    const range = {};
+    if (params.minPrice) range.$gte = parseFloat(params.minPrice);
+    if (params.maxPrice) range.$lte = parseFloat(params.maxPrice);
+    clauses.price = { 'price.effective': range };
+    selected.price = { min: range.$gte, max: range.$lte };
+  }
+
+  const minDiscount = parseFloat(params.minDiscount);
+  if (minDiscount > 0) {
+    clauses.discount = { 'price.discountPercent': { $gte: minDiscount } };
+    selected.discount = minDiscount;
+  }
+
+  if (params.featured === 'true') {
+    base.isFeatured = true;
+  }
+
+  return { base, clauses, selected };
+};
+
+// Combine the base query with every clause except the excluded facet
+const combineFilters = ({ base, clauses }, excludeKey = null) => {
+  const active = Object.keys(clauses)
+    .filter(key => key !== excludeKey)
+    .map(key => clauses[key]);
+
+  return active.length > 0 ? { $and: [base, ...active] } : { ...base };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  DISCOUNT_STEPS,
+  escapeRegex,
+  parseList,
+  SORT_FIELDS,
+  buildSortOptions,
+  buildProductFilters,
+  combineFilters
+};
@@ -0,0 +1,85 @@
+// Glue between uploads, derivative generation and image storage for product photos
+const mongoose = require('mongoose');
+const { generateDerivatives } = require('./imageProcessing');
+const { getImageStorage } = require('./imageStorage');
+
+const EXTENSIONS = { jpeg: 'jpg', webp: 'webp' };
+
+const fileKey = (storageKey, variant) => `${storageKey}/${variant.name}.${EXTENSIONS[variant.format]}`;
+
+/**
+ * Resize an uploaded file, store every derivative and return the image
+ * subdocument to add to the product. The large JPEG doubles as `url` so
+ * clients that ignore srcset still get a sensible image.
+ */
+const storeUploadedImage = async (productId, file, { alt = '' } = {}) => {
+  const { width, height, files } = await generateDerivatives(file.buffer);
+  const imageId = new mongoose.Types.ObjectId();
+  const storageKey = `products/${productId}/${imageId}`;
+  const storage = getImageStorage();
+
+  const variants = [];
+  try {
+    for (const derivative of files) {
+      const url = await storage.save(fileKey(storageKey, derivative), derivative.buffer, derivative.contentType);
+      variants.push({
+        name: derivative.name,
+        format: derivative.format,
+        width: derivative.width,
+        height: derivative.height,
+        url
+      });
+    }
+  } catch (error) {
+    // Remove the derivatives written before the failure
+    await deleteStoredImages([{ storageKey, variants }]);
+    throw error;
+  }
+
+  const large = variants.find(variant => variant.name === 'large' && variant.format === 'jpeg');
+
+  return {
+    _id: imageId,
+    url: large.url,
+    alt,
+    storageKey,
+    width,
+    height,
+    variants
+  };
+};
+
+// All images on a product, including color galleries
+const collectImages = (product) => [
+  ...(product.images || []),
+  ...(product.colors || []).flatMap(color => color.images || [])
+];
+
+/**
+ * Delete the stored files of uploaded images. Failures are logged rather
+ * than thrown, since this only cleans up after a change that has already
+ * succeeded or failed.
+ */
+const deleteStoredImages = async (images) => {
+  const storage = getImageStorage();
+  const keys = images
+    .filter(image => image.storageKey)
+    .flatMap(image => image.variants.map(variant => fileKey(image.storageKey, variant)));
+
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Failed to delete stored image ${key}:`, error.message);
+  })));
+};
+
+// Stored images present before a change but gone after it
+const findRemovedImages = (before, after) => {
+  const remaining = new Set(after.filter(image => image.storageKey).map(image => image.storageKey));
+  return before.filter(image => image.storageKey && !remaining.has(image.storageKey));
+};
+
+module.exports = {
+  storeUploadedImage,
+  collectImages,
+  deleteStoredImages,
+  findRemovedImages
+};
@@ -0,0 +1,19 @@
+// Parsing of numeric query parameters shared by the search analytics
+// endpoints. Missing or unusable values fall back to the default instead of
+// reaching a query.
+
+// A reporting window in days, at most a year
+const parseWindowDays = (value, fallback) => {
+  const days = parseInt(value);
+  return days > 0 ? Math.min(days, 365) : fallback;
+};
+
+// A result limit between 1 and `max`
+const parseLimit = (value, fallback, max) => {
+  return Math.min(max, Math.max(1, parseInt(value) || fallback));
+};
+
+module.exports = {
+  parseWindowDays,
+  parseLimit
+};
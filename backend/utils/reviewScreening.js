@@ -0,0 +1,84 @@
+// Lightweight profanity/spam pre-screen for customer reviews.
+// It never rejects anything on its own: flagged reviews are marked so
+// moderators can deal with them first.
+
+// Kept deliberately short; extend with REVIEW_BLOCKED_WORDS (comma separated)
+const DEFAULT_BLOCKED_WORDS = [
+  'fuck',
+  'shit',
+  'bitch',
+  'bastard',
+  'asshole',
+  'dick',
+  'cunt',
+  'slut',
+  'whore'
+];
+
+const SPAM_PHRASES = [
+  'buy now',
+  'click here',
+  'free money',
+  'work from home',
+  'whatsapp me',
+  'dm me',
+  'promo code',
+  'discount code'
+];
+
+const URL_PATTERN = /(https?:\/\/|www\.)\S+/i;
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+const PHONE_PATTERN = /(\+?\d[\d\s-]{8,}\d)/;
+const REPEATED_CHARS_PATTERN = /(.)\1{6,}/;
+
+const getBlockedWords = () => {
+  const extra = (process.env.REVIEW_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_BLOCKED_WORDS, ...extra];
+};
+
+// Returns { flagged, reasons } for the given review text
+const screenReview = ({ title = '', body = '' } = {}) => {
+  const text = `${title} ${body}`.trim();
+  const lower = text.toLowerCase();
+  const reasons = [];
+
+  if (!text) {
+    return { flagged: false, reasons };
+  }
+
+  const words = lower.split(/[^a-z0-9']+/).filter(Boolean);
+  if (getBlockedWords().some(blocked => words.includes(blocked))) {
+    reasons.push('profanity');
+  }
+
+  if (URL_PATTERN.test(text)) {
+    reasons.push('link');
+  }
+
+  if (EMAIL_PATTERN.test(text) || PHONE_PATTERN.test(text)) {
+    reasons.push('contact-details');
+  }
+
+  if (SPAM_PHRASES.some(phrase => lower.includes(phrase))) {
+    reasons.push('spam-phrase');
+  }
+
+  if (REPEATED_CHARS_PATTERN.test(text)) {
+    reasons.push('repeated-characters');
+  }
+
+  // Shouting: mostly upper case across a reasonable amount of text
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    reasons.push('all-caps');
+  }
+
+  return { flagged: reasons.length > 0, reasons };
+};
+
+module.exports = {
+  screenReview
+};
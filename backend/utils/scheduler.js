@@ -0,0 +1,47 @@
+// Minimal in-process scheduler for periodic maintenance jobs.
+// Runs never overlap, failures are logged and retried on the next tick,
+// and timers do not keep the process alive on shutdown.
+
+const jobs = new Map();
+
+/**
+ * Run `task` every `intervalMs`, first after `initialDelayMs`.
+ * Scheduling a job with a name that is already registered is a no-op.
+ */
+const scheduleJob = (name, intervalMs, task, { initialDelayMs = intervalMs } = {}) => {
+  if (jobs.has(name)) return jobs.get(name);
+
+  const job = { name, running: false, lastRunAt: null, timers: [] };
+
+  const run = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await task();
+      job.lastRunAt = new Date();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error.message);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  const first = setTimeout(run, initialDelayMs);
+  const repeat = setInterval(run, intervalMs);
+  first.unref();
+  repeat.unref();
+  job.timers.push(first, repeat);
+
+  jobs.set(name, job);
+  return job;
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => job.timers.forEach(timer => clearTimeout(timer)));
+  jobs.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopJobs
+};
@@ -0,0 +1,231 @@
+// Query analysis for product search.
+//
+// A search term is split into tokens and each token is turned into a set of
+// alternatives that are matched as word prefixes against the catalogue:
+//   - simple plural stemming ("hoodies" -> "hoodie", "dresses" -> "dress")
+//   - synonyms from config/searchSynonyms.json ("tee" -> "t-shirt")
+//   - spelling correction against the words used in the catalogue ("jens" -> "jeans")
+//
+// The alternatives, plus the catalogue words they are a prefix of, go into a
+// $text search over the product_search index to find candidates; the
+// word-prefix match below then keeps the candidates matching every token.
+const synonymGroups = require('../config/searchSynonyms.json');
+
+// Words that carry no meaning in a product search
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'in', 'with', 'to', 'on']);
+
+// Fields matched by a search, with their weights in the product_search text index
+const SEARCH_FIELDS = {
+  name: 4,
+  tags: 3,
+  brand: 3,
+  category: 2,
+  subcategory: 2,
+  'colors.name': 1,
+  description: 1
+};
+
+// Synonym lookup: every single-word member of a group points at the whole group
+const SYNONYMS = new Map();
+synonymGroups.forEach(group => {
+  const members = group.map(term => term.toLowerCase());
+  members
+    .filter(term => !term.includes(' '))
+    .forEach(term => SYNONYMS.set(term, members));
+});
+
+const tokenize = (term) => {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/^-+|-+$/g, ''))
+    .filter(Boolean);
+};
+
+// Singular forms of a token; matching is by prefix so "shirt" already finds "shirts"
+const stem = (token) => {
+  const forms = [token];
+  if (token.length <= 3) return forms;
+
+  if (token.endsWith('ies')) {
+    forms.push(token.slice(0, -3) + 'y', token.slice(0, -1));
+  } else if (/(ses|xes|zes|ches|shes)$/.test(token)) {
+    forms.push(token.slice(0, -2));
+  } else if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) {
+    forms.push(token.slice(0, -1));
+  }
+  return forms;
+};
+
+// Damerau-Levenshtein (optimal string alignment) distance
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Longer words tolerate more typos; very short ones are never corrected
+const maxTypos = (token) => {
+  if (token.length < 4) return 0;
+  if (token.length < 6) return 1;
+  return 2;
+};
+
+// Most catalogue words a token is expanded to for the $text search
+const MAX_COMPLETIONS = 20;
+
+// Split catalogue text into the words a search can be corrected to, grouped
+// by first letter so a token is only compared with words that could match it
+const vocabularyWords = (values) => {
+  const words = new Set(SYNONYMS.keys());
+  values.forEach(value => {
+    tokenize(value).forEach(token => {
+      words.add(token);
+      token.split('-').filter(part => part.length > 1).forEach(part => words.add(part));
+    });
+  });
+
+  const byLetter = new Map();
+  [...words].sort().forEach(word => {
+    if (!byLetter.has(word[0])) byLetter.set(word[0], []);
+    byLetter.get(word[0]).push(word);
+  });
+  return byLetter;
+};
+
+const wordsStartingLike = (token, vocabulary) => vocabulary.get(token[0]) || [];
+
+const isKnownWord = (forms, vocabulary) => {
+  return forms.some(form => wordsStartingLike(form, vocabulary).some(word => word.startsWith(form)));
+};
+
+// Catalogue words a form is a prefix of, shortest first; $text only matches
+// whole words, so "hood" has to be searched as "hoodie"
+const completions = (forms, vocabulary) => {
+  const words = new Set();
+  forms.forEach(form => {
+    wordsStartingLike(form, vocabulary)
+      .filter(word => word !== form && word.startsWith(form))
+      .forEach(word => words.add(word));
+  });
+  return [...words].sort((a, b) => a.length - b.length || (a < b ? -1 : 1)).slice(0, MAX_COMPLETIONS);
+};
+
+// Closest catalogue word within the allowed number of typos. Only words with
+// the same first letter are considered; a typo in the first letter is rare
+// and would mean comparing against the whole vocabulary.
+const closestWord = (token, vocabulary, allowed) => {
+  let best = null;
+  let bestDistance = allowed + 1;
+
+  for (const word of wordsStartingLike(token, vocabulary)) {
+    if (Math.abs(word.length - token.length) > allowed) continue;
+    const distance = editDistance(token, word);
+    if (distance < bestDistance || (distance === bestDistance && best !== null && word < best)) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= allowed ? best : null;
+};
+
+/**
+ * Analyse a search term against the catalogue vocabulary.
+ * `extraTypos` loosens spelling correction (used for "did you mean").
+ * Returns the tokens with their alternatives and the corrected term, if any.
+ */
+const analyzeSearchTerm = (term, vocabulary, { extraTypos = 0 } = {}) => {
+  const allTokens = tokenize(term);
+  const meaningful = allTokens.filter(token => token.length > 1 && !STOP_WORDS.has(token));
+  const tokens = (meaningful.length > 0 ? meaningful : allTokens).slice(0, 8);
+
+  let corrected = false;
+  const analyzed = tokens.map(original => {
+    let word = original;
+    if (!SYNONYMS.has(word) && !isKnownWord(stem(word), vocabulary)) {
+      const correction = closestWord(word, vocabulary, maxTypos(word) + extraTypos);
+      if (correction) {
+        word = correction;
+        corrected = true;
+      }
+    }
+
+    const alternatives = new Set();
+    stem(word).forEach(form => {
+      alternatives.add(form);
+      (SYNONYMS.get(form) || []).forEach(synonym => alternatives.add(synonym));
+    });
+
+    return {
+      original,
+      word,
+      alternatives: [...alternatives],
+      completions: completions([...alternatives], vocabulary)
+    };
+  });
+
+  return {
+    tokens: analyzed,
+    correctedTerm: corrected ? analyzed.map(token => token.word).join(' ') : null
+  };
+};
+
+// Word-prefix pattern; hyphens and spaces are interchangeable ("t-shirt", "t shirt", "tshirt")
+const alternativePattern = (alternative) => {
+  return '\\b' + alternative
+    .split(/[\s-]+/)
+    .map(part => part.replace(/[^a-z0-9]/g, ''))
+    .join('[\\s-]?');
+};
+
+const tokenPattern = (token) => token.alternatives.map(alternativePattern).join('|');
+
+// $text search string: any alternative or completion of any token. Hyphens
+// would negate a term, so they are searched as separate words.
+const textSearch = ({ tokens }) => {
+  const terms = new Set();
+  tokens.forEach(token => {
+    [...token.alternatives, ...token.completions].forEach(term => {
+      term.split(/[\s-]+/).filter(Boolean).forEach(part => terms.add(part));
+    });
+  });
+  return [...terms].join(' ');
+};
+
+// Candidates come from the text index; every token then has to match at
+// least one field as a word prefix
+const buildSearchMatch = (analysis) => {
+  const { tokens } = analysis;
+  if (tokens.length === 0) return { _id: null };
+
+  return {
+    $text: { $search: textSearch(analysis) },
+    $and: tokens.map(token => {
+      const regex = new RegExp(tokenPattern(token), 'i');
+      return { $or: Object.keys(SEARCH_FIELDS).map(field => ({ [field]: regex })) };
+    })
+  };
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  tokenize,
+  stem,
+  editDistance,
+  vocabularyWords,
+  analyzeSearchTerm,
+  buildSearchMatch
+};
@@ -0,0 +1,16 @@
+// Who is browsing: the signed-in user (set by optionalAuth/auth), or the
+// guest's storefront session from the X-Session-Id header.
+
+const MAX_SESSION_ID_LENGTH = 100;
+
+const getShopper = (req) => {
+  const sessionId = req.get('X-Session-Id');
+  return {
+    user: req.user?._id || null,
+    sessionId: sessionId && sessionId.length <= MAX_SESSION_ID_LENGTH ? sessionId : null
+  };
+};
+
+module.exports = {
+  getShopper
+};
@@ -0,0 +1,115 @@
+// Machine-readable product data for search engines: schema.org JSON-LD for
+// product pages, plus the URL and availability helpers the sitemap and the
+// shopping feed share with it.
+
+const SCHEMA_AVAILABILITY = {
+  in_stock: 'https://schema.org/InStock',
+  out_of_stock: 'https://schema.org/OutOfStock',
+  preorder: 'https://schema.org/PreOrder',
+  discontinued: 'https://schema.org/Discontinued'
+};
+
+// Absolute URL of a storefront page
+const siteUrl = (path = '/') => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+const productUrl = (product) => siteUrl(`/products/${product._id}`);
+
+// Stock entries a product is sold by: color x size variants, or sizes
+const getStockEntries = (product) => (product.hasVariants ? product.variants : product.sizes) || [];
+
+// Availability of a stock entry, or of the product as a whole when no entry
+// is given: in_stock, out_of_stock, preorder or discontinued
+const getAvailability = (product, entry = null) => {
+  const status = product.availability?.status;
+  if (status === 'discontinued') return 'discontinued';
+  if (status === 'out-of-stock') return 'out_of_stock';
+
+  const entries = entry ? [entry] : getStockEntries(product);
+  const sellable = entries.some(stockEntry => product.getSellableQuantity(stockEntry) > 0);
+  if (!sellable) return 'out_of_stock';
+  return product.isPreOrder ? 'preorder' : 'in_stock';
+};
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+// schema.org Offer, or AggregateOffer when variant prices differ
+const buildOffers = (product) => {
+  const currency = product.currency || 'INR';
+  const prices = product.hasVariants
+    ? product.variants.map(variant => product.getPriceFor(variant.size, variant.color))
+    : [product.currentPrice];
+  const lowPrice = Math.min(...prices);
+  const highPrice = Math.max(...prices);
+  const sale = product.activePriceEvent;
+
+  const common = {
+    priceCurrency: currency,
+    availability: SCHEMA_AVAILABILITY[getAvailability(product)],
+    itemCondition: 'https://schema.org/NewCondition',
+    url: productUrl(product),
+    ...(sale ? { priceValidUntil: toDateString(sale.endsAt) } : {})
+  };
+
+  if (lowPrice === highPrice) {
+    return { '@type': 'Offer', price: lowPrice.toFixed(2), ...common };
+  }
+
+  return {
+    '@type': 'AggregateOffer',
+    lowPrice: lowPrice.toFixed(2),
+    highPrice: highPrice.toFixed(2),
+    offerCount: prices.length,
+    ...common
+  };
+};
+
+/**
+ * schema.org Product JSON-LD for a product page, ready to be serialized into
+ * a <script type="application/ld+json"> tag. `product` must be a Product
+ * document so virtuals and price methods are available; `categoryPath` gives
+ * the category display names from the top level down (slugs otherwise).
+ */
+const buildProductJsonLd = (product, { categoryPath = null } = {}) => {
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    '@id': productUrl(product),
+    name: product.name,
+    description: product.seo?.metaDescription || product.shortDescription || product.description,
+    url: productUrl(product),
+    image: (product.images || []).map(image => image.url).filter(Boolean),
+    sku: product.seo?.slug || product._id.toString(),
+    brand: { '@type': 'Brand', name: product.brand },
+    category: (categoryPath || [product.category, product.subcategory].filter(Boolean)).join(' > '),
+    offers: buildOffers(product)
+  };
+
+  if (product.material) {
+    jsonLd.material = product.material;
+  }
+  if (product.colors?.length > 0) {
+    jsonLd.color = product.colors.map(color => color.name).join(', ');
+  }
+  if (product.ratings?.count > 0) {
+    jsonLd.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: product.ratings.average,
+      reviewCount: product.ratings.count,
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+
+  return jsonLd;
+};
+
+module.exports = {
+  siteUrl,
+  productUrl,
+  getStockEntries,
+  getAvailability,
+  buildProductJsonLd
+};
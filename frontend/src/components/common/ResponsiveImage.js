@@ -0,0 +1,24 @@
+import React from 'react';
+import { getImageSources } from '../../utils/images';
+
+// <picture> with a WebP source and a JPEG srcset fallback when the image has
+// generated variants; a plain <img> otherwise
+const ResponsiveImage = ({ image, alt, sizes, style, loading = 'lazy' }) => {
+  const { src, srcSet, webpSrcSet } = getImageSources(image);
+
+  return (
+    <picture style={{ display: 'contents' }}>
+      {webpSrcSet && <source type="image/webp" srcSet={webpSrcSet} sizes={sizes} />}
+      <img
+        src={src}
+        srcSet={srcSet}
+        sizes={srcSet ? sizes : undefined}
+        alt={alt ?? image?.alt ?? ''}
+        loading={loading}
+        style={style}
+      />
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
@@ -9,22 +9,38 @@ import {
   Menu,
   MenuItem,
   Box,
+  Select,
 } from '@mui/material';
 import {
   ShoppingCart,
+  FavoriteBorder,
   AccountCircle,
   Menu as MenuIcon,
 } from '@mui/icons-material';
 import { Link, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { collectionsAPI } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
 import { useCart } from '../../contexts/CartContext';
+import { useWishlist } from '../../contexts/WishlistContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 
 const Header = () => {
   const navigate = useNavigate();
   const { isAuthenticated, user, logout } = useAuth();
   const { getCartItemCount } = useCart();
+  const { count: wishlistCount } = useWishlist();
+  const { currency, currencies, setCurrency } = useCurrency();
   const [anchorEl, setAnchorEl] = useState(null);
 
+  // Live collections flagged for navigation; scheduled ones appear and disappear on their own
+  const { data: navigationData } = useQuery(
+    ['collections', 'navigation'],
+    () => collectionsAPI.getCollections({ navigation: true }),
+    { staleTime: 5 * 60 * 1000 }
+  );
+  const navigationCollections = navigationData?.data?.data?.collections || [];
+
   const handleMenu = (event) => {
     setAnchorEl(event.currentTarget);
   };
@@ -60,6 +76,45 @@ const Header = () => {
             Products
           </Button>
 
+          {navigationCollections.map((collection) => (
+            <Button
+              key={collection._id}
+              color="inherit"
+              component={Link}
+              to={`/collections/${collection.slug}`}
+            >
+              {collection.title}
+            </Button>
+          ))}
+
+          {currencies.length > 1 && (
+            <Select
+              variant="standard"
+              disableUnderline
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              inputProps={{ 'aria-label': 'display currency' }}
+              sx={{ color: 'inherit', '& .MuiSelect-icon': { color: 'inherit' } }}
+            >
+              {currencies.map((entry) => (
+                <MenuItem key={entry.code} value={entry.code}>
+                  {entry.symbol} {entry.code}
+                </MenuItem>
+              ))}
+            </Select>
+          )}
+
+          <IconButton
+            color="inherit"
+            component={Link}
+            to="/wishlist"
+            aria-label="wishlist"
+          >
+            <Badge badgeContent={wishlistCount} color="secondary">
+              <FavoriteBorder />
+            </Badge>
+          </IconButton>
+
           <IconButton
             color="inherit"
             component={Link}
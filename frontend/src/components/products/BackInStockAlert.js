@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { NotificationsActive } from '@mui/icons-material';
+import { productsAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+// "Notify me" for sold-out sizes; guests leave an email, signed-in users use their account's
+const BackInStockAlert = ({ productId, color, unavailableSizes, defaultSize = '' }) => {
+  const { isAuthenticated, user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [size, setSize] = useState('');
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+
+  useEffect(() => {
+    setConfirmation('');
+  }, [productId, color]);
+
+  if (unavailableSizes.length === 0) {
+    return null;
+  }
+
+  const handleOpen = () => {
+    setSize(unavailableSizes.includes(defaultSize) ? defaultSize : unavailableSizes[0]);
+    setError('');
+    setOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await productsAPI.subscribeStockAlert(productId, {
+        size,
+        ...(color ? { color } : {}),
+        ...(isAuthenticated ? {} : { email }),
+      });
+      setConfirmation(response.data.message);
+      setOpen(false);
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Could not save your alert. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      {confirmation ? (
+        <Alert severity="success" onClose={() => setConfirmation('')}>
+          {confirmation}
+        </Alert>
+      ) : (
+        <Button
+          size="small"
+          startIcon={<NotificationsActive />}
+          onClick={handleOpen}
+          sx={{ textTransform: 'none' }}
+        >
+          Size sold out? Notify me when it's back
+        </Button>
+      )}
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Back-in-stock alert</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            We'll send one message as soon as this size is available again{color ? ` in ${color}` : ''}.
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <FormControl fullWidth sx={{ mb: 2, mt: 1 }}>
+            <InputLabel>Size</InputLabel>
+            <Select value={size} label="Size" onChange={(e) => setSize(e.target.value)}>
+              {unavailableSizes.map((option) => (
+                <MenuItem key={option} value={option}>
+                  {option}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {isAuthenticated ? (
+            <Typography variant="body2">
+              Alerts go to <strong>{user?.email}</strong>.
+            </Typography>
+          ) : (
+            <TextField
+              fullWidth
+              type="email"
+              label="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSubmit}
+            disabled={submitting || !size || (!isAuthenticated && !email)}
+          >
+            {submitting ? 'Saving...' : 'Notify me'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default BackInStockAlert;
@@ -0,0 +1,91 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Divider,
+  Chip,
+} from '@mui/material';
+import { Add, Remove, Delete } from '@mui/icons-material';
+import { useCurrency } from '../../contexts/CurrencyContext';
+
+// Bundles in the cart, one line per set, with the sizes picked for each component
+const BundleCartLines = ({ bundles, onQuantityChange, onRemove }) => {
+  const { formatPrice } = useCurrency();
+
+  return (
+    <List>
+      {bundles.map((line, index) => (
+        <React.Fragment key={line._id}>
+          <ListItem sx={{ py: 2, px: 3, alignItems: 'flex-start' }}>
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="h6" component="div">
+                    {line.name}
+                  </Typography>
+                  <Chip label="Bundle" size="small" color="secondary" />
+                </Box>
+              }
+              secondary={
+                <Box component="span" sx={{ display: 'block' }}>
+                  {line.components.map(component => (
+                    <Typography key={component.component} variant="body2" color="text.secondary" component="span" sx={{ display: 'block' }}>
+                      {component.quantity > 1 ? `${component.quantity} × ` : ''}
+                      {component.product?.name || 'Product'} • Size: {component.size}
+                      {component.color ? ` • Color: ${component.color}` : ''}
+                    </Typography>
+                  ))}
+                  <Box component="span" sx={{ display: 'flex', alignItems: 'baseline', gap: 1, mt: 1 }}>
+                    <Typography variant="h6" component="span">
+                      {formatPrice(line.price)}
+                    </Typography>
+                    {line.regularPrice > line.price && (
+                      <Typography variant="body2" component="span" color="text.secondary" sx={{ textDecoration: 'line-through' }}>
+                        {formatPrice(line.regularPrice)}
+                      </Typography>
+                    )}
+                  </Box>
+                </Box>
+              }
+            />
+
+            <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <IconButton
+                  size="small"
+                  onClick={() => onQuantityChange(line._id, line.quantity - 1)}
+                  disabled={line.quantity <= 1}
+                >
+                  <Remove />
+                </IconButton>
+                <Typography sx={{ width: 40, textAlign: 'center' }}>{line.quantity}</Typography>
+                <IconButton
+                  size="small"
+                  onClick={() => onQuantityChange(line._id, line.quantity + 1)}
+                  disabled={line.quantity >= 10}
+                >
+                  <Add />
+                </IconButton>
+              </Box>
+
+              <IconButton color="error" onClick={() => onRemove(line._id)}>
+                <Delete />
+              </IconButton>
+
+              <Typography variant="h6" fontWeight="bold">
+                {formatPrice(line.price * line.quantity)}
+              </Typography>
+            </Box>
+          </ListItem>
+          {index < bundles.length - 1 && <Divider />}
+        </React.Fragment>
+      ))}
+    </List>
+  );
+};
+
+export default BundleCartLines;
@@ -26,23 +26,58 @@ import {
   FilterList
 } from '@mui/icons-material';
 
+const AVAILABILITY_LABELS = {
+  'in-stock': 'In stock',
+  'out-of-stock': 'Out of stock',
+  'pre-order': 'Pre-order',
+  'discontinued': 'Discontinued'
+};
+
+const formatPriceBucket = ({ min, max }) => {
+  if (!min) return `Under ₹${max}`;
+  if (max === null) return `Over ₹${min}`;
+  return `₹${min} - ₹${max}`;
+};
+
+// Facets come from GET /api/products and already reflect the applied filters,
+// so options that would lead to an empty result are not listed
 const CategoryFilter = ({
   categories = [],
   brands = [],
+  facets = null,
   priceRange = { min: 0, max: 10000 },
   selectedCategories = [],
   selectedBrands = [],
   selectedPriceRange = [0, 10000],
   selectedSizes = [],
+  selectedColors = [],
+  selectedAvailability = [],
+  selectedDiscount = null,
   onCategoryChange,
   onBrandChange,
   onPriceRangeChange,
   onSizeChange,
+  onColorChange,
+  onAvailabilityChange,
+  onDiscountChange,
   onClearFilters,
   availableSizes = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '28', '30', '32', '34', '36', '38', '40', '42']
 }) => {
   const [priceInput, setPriceInput] = useState(selectedPriceRange);
 
+  // `categories` is the top level of the category tree; filters use slugs
+  const categoryNames = Object.fromEntries(categories.map(node => [node.slug, node.name]));
+  const categoryLabel = (slug) => categoryNames[slug] || slug.charAt(0).toUpperCase() + slug.slice(1);
+  const categoryOptions = facets
+    ? facets.category.map(option => ({ name: option.value, count: option.count }))
+    : categories.map(node => ({ name: node.slug, count: node.productCount }));
+  const brandOptions = facets
+    ? facets.brand.map(option => ({ name: option.value, count: option.count }))
+    : brands;
+  const sizeOptions = facets
+    ? facets.size.map(option => ({ size: option.value, count: option.count }))
+    : availableSizes.map(size => ({ size }));
+
   const handleCategoryChange = (categoryName) => {
     if (onCategoryChange) {
       onCategoryChange(categoryName);
@@ -79,6 +114,7 @@ const CategoryFilter = ({
   };
 
   const activeFiltersCount = selectedCategories.length + selectedBrands.length + selectedSizes.length + 
+    selectedColors.length + selectedAvailability.length + (selectedDiscount ? 1 : 0) +
     (selectedPriceRange[0] !== priceRange.min || selectedPriceRange[1] !== priceRange.max ? 1 : 0);
 
   return (
@@ -114,7 +150,7 @@ const CategoryFilter = ({
             {selectedCategories.map((category) => (
               <Chip
                 key={category}
-                label={category}
+                label={categoryLabel(category)}
                 onDelete={() => handleCategoryChange(category)}
                 size="small"
                 color="primary"
@@ -141,6 +177,35 @@ const CategoryFilter = ({
                 variant="outlined"
               />
             ))}
+            {selectedColors.map((color) => (
+              <Chip
+                key={color}
+                label={color}
+                onDelete={() => onColorChange && onColorChange(color)}
+                size="small"
+                color="primary"
+                variant="outlined"
+              />
+            ))}
+            {selectedAvailability.map((status) => (
+              <Chip
+                key={status}
+                label={AVAILABILITY_LABELS[status] || status}
+                onDelete={() => onAvailabilityChange && onAvailabilityChange(status)}
+                size="small"
+                color="primary"
+                variant="outlined"
+              />
+            ))}
+            {selectedDiscount && (
+              <Chip
+                label={`${selectedDiscount}% off or more`}
+                onDelete={() => onDiscountChange && onDiscountChange(null)}
+                size="small"
+                color="primary"
+                variant="outlined"
+              />
+            )}
             {(selectedPriceRange[0] !== priceRange.min || selectedPriceRange[1] !== priceRange.max) && (
               <Chip
                 label={`₹${selectedPriceRange[0]} - ₹${selectedPriceRange[1]}`}
@@ -165,14 +230,14 @@ const CategoryFilter = ({
         </AccordionSummary>
         <AccordionDetails>
           <List dense>
-            {categories.map((category) => (
+            {categoryOptions.map((category) => (
               <ListItem key={category.name} disablePadding>
                 <ListItemButton
                   onClick={() => handleCategoryChange(category.name)}
                   selected={selectedCategories.includes(category.name)}
                 >
                   <ListItemText 
-                    primary={category.name.charAt(0).toUpperCase() + category.name.slice(1)}
+                    primary={categoryLabel(category.name)}
                     secondary={`${category.count} items`}
                   />
                 </ListItemButton>
@@ -191,7 +256,7 @@ const CategoryFilter = ({
         </AccordionSummary>
         <AccordionDetails>
           <FormGroup>
-            {brands.map((brand) => (
+            {brandOptions.map((brand) => (
               <FormControlLabel
                 key={brand.name}
                 control={
@@ -264,6 +329,25 @@ const CategoryFilter = ({
                 InputProps={{ startAdornment: '₹' }}
               />
             </Box>
+            {facets?.price?.length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                {facets.price.map((bucket) => (
+                  <Chip
+                    key={bucket.min}
+                    label={`${formatPriceBucket(bucket)} (${bucket.count})`}
+                    onClick={() => {
+                      const range = [bucket.min, bucket.max === null ? priceRange.max : bucket.max];
+                      setPriceInput(range);
+                      onPriceRangeChange && onPriceRangeChange(range);
+                    }}
+                    color={bucket.selected ? 'primary' : 'default'}
+                    variant={bucket.selected ? 'filled' : 'outlined'}
+                    size="small"
+                    clickable
+                  />
+                ))}
+              </Box>
+            )}
           </Box>
         </AccordionDetails>
       </Accordion>
@@ -277,10 +361,10 @@ const CategoryFilter = ({
         </AccordionSummary>
         <AccordionDetails>
           <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-            {availableSizes.map((size) => (
+            {sizeOptions.map(({ size, count }) => (
               <Chip
                 key={size}
-                label={size}
+                label={count !== undefined ? `${size} (${count})` : size}
                 onClick={() => handleSizeChange(size)}
                 color={selectedSizes.includes(size) ? 'primary' : 'default'}
                 variant={selectedSizes.includes(size) ? 'filled' : 'outlined'}
@@ -291,6 +375,88 @@ const CategoryFilter = ({
           </Box>
         </AccordionDetails>
       </Accordion>
+
+      {/* Color Filter */}
+      {facets?.color?.length > 0 && (
+        <Accordion>
+          <AccordionSummary expandIcon={<ExpandMore />}>
+            <Typography variant="subtitle1" fontWeight="medium">
+              Color
+            </Typography>
+          </AccordionSummary>
+          <AccordionDetails>
+            <FormGroup>
+              {facets.color.map((option) => (
+                <FormControlLabel
+                  key={option.value}
+                  control={
+                    <Checkbox
+                      checked={selectedColors.includes(option.value)}
+                      onChange={() => onColorChange && onColorChange(option.value)}
+                      size="small"
+                    />
+                  }
+                  label={`${option.value} (${option.count})`}
+                />
+              ))}
+            </FormGroup>
+          </AccordionDetails>
+        </Accordion>
+      )}
+
+      {/* Availability Filter */}
+      {facets?.availability?.length > 0 && (
+        <Accordion>
+          <AccordionSummary expandIcon={<ExpandMore />}>
+            <Typography variant="subtitle1" fontWeight="medium">
+              Availability
+            </Typography>
+          </AccordionSummary>
+          <AccordionDetails>
+            <FormGroup>
+              {facets.availability.map((option) => (
+                <FormControlLabel
+                  key={option.value}
+                  control={
+                    <Checkbox
+                      checked={selectedAvailability.includes(option.value)}
+                      onChange={() => onAvailabilityChange && onAvailabilityChange(option.value)}
+                      size="small"
+                    />
+                  }
+                  label={`${AVAILABILITY_LABELS[option.value] || option.value} (${option.count})`}
+                />
+              ))}
+            </FormGroup>
+          </AccordionDetails>
+        </Accordion>
+      )}
+
+      {/* Discount Filter */}
+      {facets?.discount?.length > 0 && (
+        <Accordion>
+          <AccordionSummary expandIcon={<ExpandMore />}>
+            <Typography variant="subtitle1" fontWeight="medium">
+              Discount
+            </Typography>
+          </AccordionSummary>
+          <AccordionDetails>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {facets.discount.map((option) => (
+                <Chip
+                  key={option.min}
+                  label={`${option.min}% off or more (${option.count})`}
+                  onClick={() => onDiscountChange && onDiscountChange(option.selected ? null : option.min)}
+                  color={option.selected ? 'primary' : 'default'}
+                  variant={option.selected ? 'filled' : 'outlined'}
+                  size="small"
+                  clickable
+                />
+              ))}
+            </Box>
+          </AccordionDetails>
+        </Accordion>
+      )}
     </Box>
   );
 };
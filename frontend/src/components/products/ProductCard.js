@@ -18,12 +18,22 @@ import {
 import { Link, useNavigate } from 'react-router-dom';
 import { useCart } from '../../contexts/CartContext';
 import { useAuth } from '../../contexts/AuthContext';
+import { useWishlist } from '../../contexts/WishlistContext';
+import { isPreOrderProduct, formatShipDate } from '../../utils/preOrder';
+import ResponsiveImage from '../common/ResponsiveImage';
+import SaleCountdown from './SaleCountdown';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import toast from 'react-hot-toast';
 
-const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = false }) => {
+const ProductCard = ({ product, onAddToCart, onToggleFavorite, onProductClick, isFavorite }) => {
   const navigate = useNavigate();
   const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
   const { isAuthenticated } = useAuth();
+  const { isInWishlist, toggleWishlist } = useWishlist();
+
+  // Cards not given favourite props use the shared wishlist
+  const favorite = isFavorite ?? isInWishlist(product._id);
 
   const handleAddToCart = async (e) => {
     e.preventDefault();
@@ -61,16 +71,25 @@ const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = fals
     e.stopPropagation();
     if (onToggleFavorite) {
       onToggleFavorite(product._id);
+    } else {
+      toggleWishlist(product);
     }
   };
 
   const handleCardClick = () => {
+    if (onProductClick) {
+      onProductClick(product);
+    }
     navigate(`/products/${product._id}`);
   };
 
   const primaryImage = product.images?.find(img => img.isPrimary) || product.images?.[0];
-  const isOutOfStock = product.availability?.status === 'out-of-stock' || product.availableStock === 0;
-  const hasDiscount = product.price?.discounted && product.price.discounted < product.price.original;
+  const isPreOrder = isPreOrderProduct(product);
+  const isOutOfStock = isPreOrder
+    ? product.preOrderRemaining === 0
+    : product.availability?.status === 'out-of-stock' || product.availableStock === 0;
+  // Covers both the regular discounted price and running price events
+  const hasDiscount = product.discountPercentage > 0;
 
   return (
     <Card
@@ -118,7 +137,7 @@ const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = fals
           }
         }}
       >
-        {isFavorite ? (
+        {favorite ? (
           <Favorite color="error" />
         ) : (
           <FavoriteBorder />
@@ -126,16 +145,19 @@ const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = fals
       </IconButton>
 
       {/* Product Image */}
-      <CardMedia
-        component="img"
-        height="240"
-        image={primaryImage?.url || '/placeholder-image.jpg'}
-        alt={primaryImage?.alt || product.name}
-        sx={{
-          objectFit: 'cover',
-          filter: isOutOfStock ? 'grayscale(50%)' : 'none'
-        }}
-      />
+      <CardMedia sx={{ height: 240 }}>
+        <ResponsiveImage
+          image={primaryImage}
+          alt={primaryImage?.alt || product.name}
+          sizes="(max-width: 600px) 100vw, (max-width: 960px) 50vw, 300px"
+          style={{
+            width: '100%',
+            height: '100%',
+            objectFit: 'cover',
+            filter: isOutOfStock ? 'grayscale(50%)' : 'none'
+          }}
+        />
+      </CardMedia>
 
       {/* Product Content */}
       <CardContent sx={{ flexGrow: 1, pb: 1 }}>
@@ -197,7 +219,7 @@ const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = fals
         {/* Price */}
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
           <Typography variant="h6" component="span" sx={{ fontWeight: 'bold' }}>
-            ₹{product.currentPrice || product.price?.original}
+            {formatPrice(product.currentPrice || product.price?.original)}
           </Typography>
           {hasDiscount && (
             <Typography
@@ -208,20 +230,33 @@ const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = fals
                 color: 'text.secondary'
               }}
             >
-              ₹{product.price.original}
+              {formatPrice(product.price.original)}
             </Typography>
           )}
         </Box>
 
+        {/* Sale countdown */}
+        {product.activePriceEvent && (
+          <SaleCountdown priceEvent={product.activePriceEvent} sx={{ mb: 1 }} />
+        )}
+
         {/* Availability Status */}
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
           {isOutOfStock ? (
             <Chip
-              label="Out of Stock"
+              label={isPreOrder ? 'Pre-orders Full' : 'Out of Stock'}
               color="error"
               size="small"
               variant="outlined"
             />
+          ) : isPreOrder ? (
+            <Chip
+              label="Pre-order"
+              color="info"
+              size="small"
+              variant="outlined"
+              title={formatShipDate(product.availability?.restockDate)}
+            />
           ) : (
             <Chip
               label="In Stock"
@@ -231,7 +266,7 @@ const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = fals
             />
           )}
 
-          {product.availableStock <= 5 && product.availableStock > 0 && (
+          {!isPreOrder && product.availableStock <= 5 && product.availableStock > 0 && (
             <Typography variant="caption" color="warning.main">
               Only {product.availableStock} left
             </Typography>
@@ -252,7 +287,7 @@ const ProductCard = ({ product, onAddToCart, onToggleFavorite, isFavorite = fals
             flex: 1
           }}
         >
-          {isOutOfStock ? 'Out of Stock' : 'Add to Cart'}
+          {isOutOfStock ? (isPreOrder ? 'Pre-orders Full' : 'Out of Stock') : isPreOrder ? 'Pre-order' : 'Add to Cart'}
         </Button>
         <Button
           variant="outlined"
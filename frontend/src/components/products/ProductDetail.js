@@ -42,9 +42,27 @@ import {
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useCart } from '../../contexts/CartContext';
 import { useAuth } from '../../contexts/AuthContext';
+import { useWishlist } from '../../contexts/WishlistContext';
+import ProductRecommendations from './ProductRecommendations';
+import RecentlyViewedProducts from './RecentlyViewedProducts';
+import BackInStockAlert from './BackInStockAlert';
+import SizeGuide from './SizeGuide';
+import ProductQuestions from './ProductQuestions';
+import SaleCountdown from './SaleCountdown';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { isPreOrderProduct, formatShipDate } from '../../utils/preOrder';
+import { getImageUrlForWidth } from '../../utils/images';
+import ResponsiveImage from '../common/ResponsiveImage';
+
+// Colors with their own photos replace the default gallery when selected
+const getDisplayImages = (product, colorName) => {
+  const colorImages = product?.colors?.find(c => c.name === colorName)?.images;
+  return colorImages?.length > 0 ? colorImages : product?.images || [];
+};
 
-const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite = false }) => {
+const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite }) => {
   const [selectedSize, setSelectedSize] = useState('');
+  const [selectedColor, setSelectedColor] = useState('');
   const [quantity, setQuantity] = useState(1);
   const [selectedImageIndex, setSelectedImageIndex] = useState(0);
   const [addingToCart, setAddingToCart] = useState(false);
@@ -54,20 +72,58 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
   const navigate = useNavigate();
   const location = useLocation();
   const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
   const { isAuthenticated } = useAuth();
+  const { isInWishlist, toggleWishlist } = useWishlist();
+
+  const favorite = isFavorite ?? (product ? isInWishlist(product._id) : false);
+
+  // Without a handler from the parent, save to the shared wishlist along
+  // with whatever size and color are currently selected
+  const handleToggleFavorite = () => {
+    if (onToggleFavorite) {
+      onToggleFavorite(product._id);
+    } else {
+      toggleWishlist(product, { size: selectedSize || null, color: selectedColor || null });
+    }
+  };
+
+  const hasVariants = product?.variants?.length > 0;
+  const displayImages = getDisplayImages(product, selectedColor);
 
   useEffect(() => {
-    if (product?.images?.length > 0) {
-      const primaryIndex = product.images.findIndex(img => img.isPrimary);
-      setSelectedImageIndex(primaryIndex >= 0 ? primaryIndex : 0);
+    if (product?.variants?.length > 0 && product.colors?.length > 0) {
+      const firstInStock = product.variantAvailability?.find(v => v.available);
+      setSelectedColor(firstInStock?.color || product.colors[0].name);
     }
   }, [product]);
 
+  useEffect(() => {
+    const images = getDisplayImages(product, selectedColor);
+    if (images.length > 0) {
+      const primaryIndex = images.findIndex(img => img.isPrimary);
+      setSelectedImageIndex(primaryIndex >= 0 ? primaryIndex : 0);
+    }
+  }, [product, selectedColor]);
+
   const handleSizeChange = (event) => {
     setSelectedSize(event.target.value);
     setError('');
   };
 
+  const handleColorChange = (colorName) => {
+    setSelectedColor(colorName);
+    setError('');
+
+    // Keep the chosen size only if it is still available in the new color
+    const variant = product.variantAvailability?.find(
+      v => v.color === colorName && v.size === selectedSize
+    );
+    if (!variant?.available) {
+      setSelectedSize('');
+    }
+  };
+
   const handleQuantityChange = (newQuantity) => {
     if (newQuantity >= 1 && newQuantity <= 10) {
       setQuantity(newQuantity);
@@ -75,6 +131,11 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
   };
 
   const handleAddToCart = async () => {
+    if (hasVariants && !selectedColor) {
+      setError('Please select a color');
+      return;
+    }
+
     if (!selectedSize) {
       setError('Please select a size');
       return;
@@ -87,7 +148,13 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
     setError('');
 
     try {
-      await addToCart(product._id, selectedSize, quantity, product.currentPrice);
+      await addToCart(
+        product._id,
+        selectedSize,
+        quantity,
+        displayPrice,
+        hasVariants ? selectedColor : null
+      );
       setShowSuccess(true);
     } catch (error) {
       setError(error.response?.data?.error?.message || 'Failed to add item to cart');
@@ -115,12 +182,26 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
   };
 
   const getSizeAvailability = (size) => {
+    if (hasVariants) {
+      const variant = product.variantAvailability?.find(
+        v => v.color === selectedColor && v.size === size
+      );
+      return variant || { available: false, stock: 0 };
+    }
     const sizeInfo = product?.sizeAvailability?.find(s => s.size === size);
     return sizeInfo || { available: false, stock: 0 };
   };
 
-  const isOutOfStock = product?.availability?.status === 'out-of-stock' || product?.availableStock === 0;
-  const hasDiscount = product?.price?.discounted && product.price.discounted < product.price.original;
+  const selectedVariant = hasVariants && selectedSize
+    ? product.variantAvailability?.find(v => v.color === selectedColor && v.size === selectedSize)
+    : null;
+  const displayPrice = selectedVariant?.price ?? product?.currentPrice ?? product?.price?.original;
+
+  const isPreOrder = isPreOrderProduct(product);
+  const isOutOfStock = isPreOrder
+    ? product.preOrderRemaining === 0
+    : product?.availability?.status === 'out-of-stock' || product?.availableStock === 0;
+  const hasDiscount = product?.discountPercentage > 0 && displayPrice === product.currentPrice;
 
   if (loading) {
     return (
@@ -188,9 +269,11 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
                   }}
                 />
               )}
-              <img
-                src={product.images?.[selectedImageIndex]?.url || '/placeholder-image.jpg'}
-                alt={product.images?.[selectedImageIndex]?.alt || product.name}
+              <ResponsiveImage
+                image={displayImages[selectedImageIndex]}
+                alt={displayImages[selectedImageIndex]?.alt || product.name}
+                sizes="(max-width: 900px) 100vw, 50vw"
+                loading="eager"
                 style={{
                   width: '100%',
                   height: '100%',
@@ -200,9 +283,9 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
             </Box>
 
             {/* Thumbnail Images */}
-            {product.images?.length > 1 && (
+            {displayImages.length > 1 && (
               <Box sx={{ display: 'flex', gap: 1, overflowX: 'auto' }}>
-                {product.images.map((image, index) => (
+                {displayImages.map((image, index) => (
                   <Box
                     key={index}
                     onClick={() => setSelectedImageIndex(index)}
@@ -221,8 +304,9 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
                     }}
                   >
                     <img
-                      src={image.url}
+                      src={getImageUrlForWidth(image, 160)}
                       alt={image.alt}
+                      loading="lazy"
                       style={{
                         width: '100%',
                         height: '100%',
@@ -262,7 +346,7 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
             {/* Price */}
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
               <Typography variant="h5" component="span" sx={{ fontWeight: 'bold' }}>
-                ₹{product.currentPrice || product.price?.original}
+                {formatPrice(displayPrice)}
               </Typography>
               {hasDiscount && (
                 <>
@@ -274,7 +358,7 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
                       color: 'text.secondary'
                     }}
                   >
-                    ₹{product.price.original}
+                    {formatPrice(product.price.original)}
                   </Typography>
                   <Chip 
                     label={`${product.discountPercentage}% OFF`} 
@@ -284,24 +368,82 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
                 </>
               )}
             </Box>
+            {((hasDiscount && product.lowestPrice30Days) || product.activePriceEvent) && (
+              <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: 1, mt: -2, mb: 3 }}>
+                {hasDiscount && product.lowestPrice30Days && (
+                  <Typography variant="body2" color="text.secondary">
+                    Lowest price in the {product.lowestPrice30Days.days} days before this offer: {formatPrice(product.lowestPrice30Days.price)}
+                  </Typography>
+                )}
+                {product.activePriceEvent && (
+                  <SaleCountdown priceEvent={product.activePriceEvent} size="medium" />
+                )}
+              </Box>
+            )}
 
             {/* Availability */}
             <Box sx={{ mb: 3 }}>
               {isOutOfStock ? (
-                <Chip label="Out of Stock" color="error" icon={<Remove />} />
+                <Chip label={isPreOrder ? 'Pre-orders Full' : 'Out of Stock'} color="error" icon={<Remove />} />
+              ) : isPreOrder ? (
+                <Chip label="Pre-order" color="info" icon={<CheckCircle />} />
               ) : (
                 <Chip label="In Stock" color="success" icon={<CheckCircle />} />
               )}
-              {product.availableStock <= 5 && product.availableStock > 0 && (
+              {isPreOrder && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                  {formatShipDate(product.availability?.restockDate)}. Pre-ordered items are
+                  shipped separately from the rest of your order.
+                </Typography>
+              )}
+              {!isPreOrder && product.availableStock <= 5 && product.availableStock > 0 && (
                 <Typography variant="caption" color="warning.main" sx={{ ml: 2 }}>
                   Only {product.availableStock} left in stock
                 </Typography>
               )}
             </Box>
 
+            {/* Color Selection */}
+            {hasVariants && product.colors?.length > 0 && (
+              <Box sx={{ mb: 3 }}>
+                <Typography variant="body1" sx={{ mb: 1 }}>
+                  Color: <strong>{selectedColor}</strong>
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                  {product.colors.map((color) => {
+                    const inStock = product.variantAvailability?.some(
+                      v => v.color === color.name && v.available
+                    );
+                    return (
+                      <Box
+                        key={color.name}
+                        onClick={() => handleColorChange(color.name)}
+                        title={inStock ? color.name : `${color.name} (Out of Stock)`}
+                        sx={{
+                          width: 36,
+                          height: 36,
+                          borderRadius: '50%',
+                          backgroundColor: color.hexCode || 'grey.300',
+                          border: '2px solid',
+                          borderColor: selectedColor === color.name ? 'primary.main' : 'divider',
+                          cursor: 'pointer',
+                          opacity: inStock ? 1 : 0.4
+                        }}
+                      />
+                    );
+                  })}
+                </Box>
+              </Box>
+            )}
+
             {/* Size Selection */}
             {product.sizes?.length > 0 && (
               <Box sx={{ mb: 3 }}>
+                <SizeGuide
+                  productId={product._id}
+                  color={hasVariants ? selectedColor : null}
+                  onSelectSize={setSelectedSize}
+                />
                 <FormControl fullWidth>
                   <InputLabel>Size</InputLabel>
                   <Select
@@ -332,6 +474,18 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
               </Box>
             )}
 
+            {/* Back-in-stock alert for sold-out sizes */}
+            {!isPreOrder && product.availability?.status !== 'discontinued' && (!hasVariants || selectedColor) && (
+              <BackInStockAlert
+                productId={product._id}
+                color={hasVariants ? selectedColor : null}
+                unavailableSizes={(product.sizes || [])
+                  .map(sizeInfo => sizeInfo.size)
+                  .filter(size => !getSizeAvailability(size).available)}
+                defaultSize={selectedSize}
+              />
+            )}
+
             {/* Quantity Selection */}
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
               <Typography variant="body1">Quantity:</Typography>
@@ -382,15 +536,19 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
                 disabled={isOutOfStock || addingToCart}
                 sx={{ flex: 1, textTransform: 'none', fontWeight: 'medium' }}
               >
-                {addingToCart ? 'Adding...' : isOutOfStock ? 'Out of Stock' : 'Add to Cart'}
+                {addingToCart
+                  ? 'Adding...'
+                  : isOutOfStock
+                    ? (isPreOrder ? 'Pre-orders Full' : 'Out of Stock')
+                    : isPreOrder ? 'Pre-order' : 'Add to Cart'}
               </Button>
               
               <IconButton
-                onClick={() => onToggleFavorite && onToggleFavorite(product._id)}
-                color={isFavorite ? 'error' : 'default'}
+                onClick={handleToggleFavorite}
+                color={favorite ? 'error' : 'default'}
                 sx={{ border: '1px solid', borderColor: 'divider' }}
               >
-                {isFavorite ? <Favorite /> : <FavoriteBorder />}
+                {favorite ? <Favorite /> : <FavoriteBorder />}
               </IconButton>
               
               <IconButton
@@ -406,7 +564,7 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
                 <LocalShipping color="primary" />
                 <Typography variant="body2" fontWeight="medium">
-                  Free shipping on orders above ₹999
+                  Free shipping on orders above {formatPrice(999)}
                 </Typography>
               </Box>
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
@@ -515,6 +673,10 @@ const ProductDetail = ({ product, loading = false, onToggleFavorite, isFavorite
         </Grid>
       </Grid>
 
+      <ProductQuestions productId={product._id} />
+      <ProductRecommendations productId={product._id} />
+      <RecentlyViewedProducts excludeProductId={product._id} />
+
       {/* Success Snackbar */}
       <Snackbar
         open={showSuccess}
@@ -10,7 +10,8 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  Stack
+  Stack,
+  Button
 } from '@mui/material';
 import ProductCard from './ProductCard';
 
@@ -20,11 +21,15 @@ const ProductGrid = ({
   error = null,
   pagination = null,
   onPageChange,
+  onLoadMore,
+  loadingMore = false,
   onSortChange,
+  showSort = true,
   sortBy = 'createdAt',
   sortOrder = 'desc',
   onAddToCart,
   onToggleFavorite,
+  onProductClick,
   favoriteProducts = []
 }) => {
 
@@ -41,6 +46,9 @@ const ProductGrid = ({
     }
   };
 
+  // Cursor pagination (from ?pagination=cursor) has no page numbers or totals
+  const isCursorPagination = Boolean(pagination) && pagination.nextCursor !== undefined;
+
   if (loading) {
     return (
       <Box 
@@ -82,25 +90,30 @@ const ProductGrid = ({
       {/* Sort Controls */}
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
         <Typography variant="body2" color="text.secondary">
-          {pagination ? `Showing ${products.length} of ${pagination.totalProducts} products` : `${products.length} products`}
+          {pagination && !isCursorPagination
+            ? `Showing ${products.length} of ${pagination.totalProducts} products`
+            : `${products.length} products`}
         </Typography>
         
-        <FormControl size="small" sx={{ minWidth: 200 }}>
-          <InputLabel>Sort By</InputLabel>
-          <Select
-            value={`${sortBy}-${sortOrder}`}
-            label="Sort By"
-            onChange={handleSortChange}
-          >
-            <MenuItem value="createdAt-desc">Newest First</MenuItem>
-            <MenuItem value="createdAt-asc">Oldest First</MenuItem>
-            <MenuItem value="price.original-asc">Price: Low to High</MenuItem>
-            <MenuItem value="price.original-desc">Price: High to Low</MenuItem>
-            <MenuItem value="name-asc">Name: A to Z</MenuItem>
-            <MenuItem value="name-desc">Name: Z to A</MenuItem>
-            <MenuItem value="ratings.average-desc">Highest Rated</MenuItem>
-          </Select>
-        </FormControl>
+        {showSort && (
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Sort By</InputLabel>
+            <Select
+              value={`${sortBy}-${sortOrder}`}
+              label="Sort By"
+              onChange={handleSortChange}
+            >
+              <MenuItem value="createdAt-desc">Newest First</MenuItem>
+              <MenuItem value="createdAt-asc">Oldest First</MenuItem>
+              <MenuItem value="price-asc">Price: Low to High</MenuItem>
+              <MenuItem value="price-desc">Price: High to Low</MenuItem>
+              <MenuItem value="discount-desc">Biggest Discount</MenuItem>
+              <MenuItem value="name-asc">Name: A to Z</MenuItem>
+              <MenuItem value="name-desc">Name: Z to A</MenuItem>
+              <MenuItem value="ratings.average-desc">Highest Rated</MenuItem>
+            </Select>
+          </FormControl>
+        )}
       </Box>
 
       {/* Product Grid */}
@@ -111,14 +124,30 @@ const ProductGrid = ({
               product={product}
               onAddToCart={onAddToCart}
               onToggleFavorite={onToggleFavorite}
+              onProductClick={onProductClick}
               isFavorite={favoriteProducts.includes(product._id)}
             />
           </Grid>
         ))}
       </Grid>
 
+      {/* Load more */}
+      {isCursorPagination && pagination.hasNextPage && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <Button
+            variant="outlined"
+            size="large"
+            onClick={onLoadMore}
+            disabled={loadingMore}
+            startIcon={loadingMore ? <CircularProgress size={20} /> : null}
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </Button>
+        </Box>
+      )}
+
       {/* Pagination */}
-      {pagination && pagination.totalPages > 1 && (
+      {pagination && !isCursorPagination && pagination.totalPages > 1 && (
         <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
           <Stack spacing={2} alignItems="center">
             <Pagination
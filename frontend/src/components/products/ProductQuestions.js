@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Divider,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import { ThumbUpOutlined, ThumbUp, Verified } from '@mui/icons-material';
+import { useQuery, useQueryClient } from 'react-query';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { productsAPI, questionsAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const PAGE_SIZE = 5;
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+const Answer = ({ questionId, answer, onUpvote }) => (
+  <Box sx={{ pl: 2, borderLeft: 2, borderColor: answer.isStaff ? 'primary.main' : 'divider', mb: 1.5 }}>
+    <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+      {answer.body}
+    </Typography>
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5, flexWrap: 'wrap' }}>
+      <Typography variant="caption" color="text.secondary">
+        {answer.answeredBy} · {formatDate(answer.createdAt)}
+      </Typography>
+      {answer.isStaff && <Chip size="small" color="primary" label="Store team" />}
+      {!answer.isStaff && answer.isVerifiedBuyer && (
+        <Chip size="small" variant="outlined" icon={<Verified />} label="Verified buyer" />
+      )}
+      <Button
+        size="small"
+        startIcon={answer.upvoted ? <ThumbUp /> : <ThumbUpOutlined />}
+        onClick={() => onUpvote(questionId, answer._id)}
+        sx={{ textTransform: 'none' }}
+      >
+        Helpful ({answer.upvoteCount})
+      </Button>
+    </Box>
+  </Box>
+);
+
+// Customer questions with answers from staff and verified buyers
+const ProductQuestions = ({ productId }) => {
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [question, setQuestion] = useState('');
+  const [answerDrafts, setAnswerDrafts] = useState({});
+  const [answeringId, setAnsweringId] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const queryKey = ['productQuestions', productId, limit];
+  const { data, isLoading } = useQuery(
+    queryKey,
+    () => productsAPI.getProductQuestions(productId, { limit }),
+    { enabled: Boolean(productId), keepPreviousData: true }
+  );
+
+  const questions = data?.data?.data?.questions || [];
+  const pagination = data?.data?.data?.pagination;
+
+  const requireLogin = () => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: location } });
+      return true;
+    }
+    return false;
+  };
+
+  const refresh = () => queryClient.invalidateQueries(['productQuestions', productId]);
+
+  const handleAsk = async () => {
+    if (requireLogin()) return;
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await productsAPI.askQuestion(productId, question.trim());
+      setQuestion('');
+      setNotice(response.data.message);
+      refresh();
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Could not post your question');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAnswer = async (questionId) => {
+    if (requireLogin()) return;
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await questionsAPI.answerQuestion(questionId, (answerDrafts[questionId] || '').trim());
+      setAnswerDrafts(prev => ({ ...prev, [questionId]: '' }));
+      setAnsweringId(null);
+      setNotice(response.data.message);
+      refresh();
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Could not post your answer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUpvote = async (questionId, answerId) => {
+    if (requireLogin()) return;
+
+    try {
+      setError('');
+      await questionsAPI.toggleAnswerUpvote(questionId, answerId);
+      refresh();
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Could not record your vote');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 6 }}>
+      <Typography variant="h5" component="h2" gutterBottom>
+        Questions & Answers
+      </Typography>
+
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+          {notice}
+        </Alert>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Ask about fabric, fit, care..."
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          inputProps={{ maxLength: 500 }}
+        />
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+          <Button
+            variant="contained"
+            onClick={handleAsk}
+            disabled={submitting || (isAuthenticated && question.trim().length < 10)}
+          >
+            {isAuthenticated ? 'Ask question' : 'Sign in to ask'}
+          </Button>
+        </Box>
+      </Paper>
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : questions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No questions yet. Be the first to ask.
+        </Typography>
+      ) : (
+        questions.map((item, index) => {
+          const answers = expanded[item._id] ? item.answers : item.answers.slice(0, 1);
+
+          return (
+            <Box key={item._id}>
+              {index > 0 && <Divider sx={{ my: 2 }} />}
+              <Typography variant="subtitle1">Q: {item.body}</Typography>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+                Asked by {item.askedBy} · {formatDate(item.createdAt)}
+              </Typography>
+
+              {answers.map(answer => (
+                <Answer key={answer._id} questionId={item._id} answer={answer} onUpvote={handleUpvote} />
+              ))}
+
+              {item.answers.length > 1 && (
+                <Button
+                  size="small"
+                  onClick={() => setExpanded(prev => ({ ...prev, [item._id]: !prev[item._id] }))}
+                  sx={{ textTransform: 'none' }}
+                >
+                  {expanded[item._id] ? 'Show fewer answers' : `See all ${item.answers.length} answers`}
+                </Button>
+              )}
+
+              {answeringId === item._id ? (
+                <Box sx={{ mt: 1 }}>
+                  <TextField
+                    fullWidth
+                    multiline
+                    minRows={2}
+                    size="small"
+                    label="Your answer"
+                    value={answerDrafts[item._id] || ''}
+                    onChange={(e) => setAnswerDrafts(prev => ({ ...prev, [item._id]: e.target.value }))}
+                    inputProps={{ maxLength: 1000 }}
+                  />
+                  <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+                    <Button size="small" onClick={() => setAnsweringId(null)}>Cancel</Button>
+                    <Button
+                      size="small"
+                      variant="contained"
+                      onClick={() => handleAnswer(item._id)}
+                      disabled={submitting || !(answerDrafts[item._id] || '').trim()}
+                    >
+                      Post answer
+                    </Button>
+                  </Box>
+                </Box>
+              ) : (
+                <Button
+                  size="small"
+                  onClick={() => (requireLogin() ? null : setAnsweringId(item._id))}
+                  sx={{ textTransform: 'none' }}
+                >
+                  {item.answerCount === 0 ? 'Own this? Answer it' : 'Add an answer'}
+                </Button>
+              )}
+            </Box>
+          );
+        })
+      )}
+
+      {pagination?.hasNextPage && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <Button variant="outlined" onClick={() => setLimit(prev => prev + PAGE_SIZE)}>
+            More questions
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ProductQuestions;
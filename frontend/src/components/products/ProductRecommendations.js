@@ -0,0 +1,55 @@
+import React from 'react';
+import { Box, Typography, Grid } from '@mui/material';
+import { useQuery } from 'react-query';
+import { productsAPI } from '../../services/api';
+import ProductCard from './ProductCard';
+
+const RecommendationRow = ({ title, products }) => (
+  <Box sx={{ mt: 6 }}>
+    <Typography variant="h5" component="h2" gutterBottom>
+      {title}
+    </Typography>
+    <Grid container spacing={3}>
+      {products.map((product) => (
+        <Grid item xs={12} sm={6} md={3} key={product._id}>
+          <ProductCard product={product} />
+        </Grid>
+      ))}
+    </Grid>
+  </Box>
+);
+
+// "Frequently bought together" from order history, topped up with similar products
+const ProductRecommendations = ({ productId, limit = 4 }) => {
+  const { data } = useQuery(
+    ['recommendations', productId, limit],
+    async () => {
+      const response = await productsAPI.getRecommendations(productId, { limit });
+      return response.data;
+    },
+    {
+      enabled: Boolean(productId),
+      staleTime: 10 * 60 * 1000
+    }
+  );
+
+  const boughtTogether = data?.data?.boughtTogether || [];
+  const similar = data?.data?.similar || [];
+
+  if (boughtTogether.length === 0 && similar.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      {boughtTogether.length > 0 && (
+        <RecommendationRow title="Frequently bought together" products={boughtTogether} />
+      )}
+      {similar.length > 0 && (
+        <RecommendationRow title="You may also like" products={similar} />
+      )}
+    </>
+  );
+};
+
+export default ProductRecommendations;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Box, Typography, Grid } from '@mui/material';
+import { useQuery } from 'react-query';
+import { productsAPI } from '../../services/api';
+import ProductCard from './ProductCard';
+
+// Products the shopper (signed in or guest) looked at recently
+const RecentlyViewedProducts = ({ excludeProductId, limit = 4 }) => {
+  const { data } = useQuery(
+    ['recently-viewed', excludeProductId, limit],
+    async () => {
+      const params = { limit };
+      if (excludeProductId) {
+        params.exclude = excludeProductId;
+      }
+      const response = await productsAPI.getRecentlyViewed(params);
+      return response.data;
+    },
+    { staleTime: 60 * 1000 }
+  );
+
+  const products = data?.data?.products || [];
+
+  if (products.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mt: 6 }}>
+      <Typography variant="h5" component="h2" gutterBottom>
+        Recently viewed
+      </Typography>
+      <Grid container spacing={3}>
+        {products.map((product) => (
+          <Grid item xs={12} sm={6} md={3} key={product._id}>
+            <ProductCard product={product} />
+          </Grid>
+        ))}
+      </Grid>
+    </Box>
+  );
+};
+
+export default RecentlyViewedProducts;
@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+import { Chip } from '@mui/material';
+import { Timer } from '@mui/icons-material';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+};
+
+// Time left in a running price event (product.activePriceEvent), ticking every second
+const SaleCountdown = ({ priceEvent, size = 'small', sx }) => {
+  const endsAt = priceEvent ? new Date(priceEvent.endsAt).getTime() : null;
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!endsAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [endsAt]);
+
+  if (!endsAt) return null;
+
+  const remaining = endsAt - now;
+  const label = priceEvent.type === 'flash-sale' ? 'Flash sale' : priceEvent.name || 'Sale';
+
+  return (
+    <Chip
+      icon={<Timer />}
+      size={size}
+      color={remaining > 0 ? 'warning' : 'default'}
+      label={remaining > 0 ? `${label} ends in ${formatRemaining(remaining)}` : `${label} has ended`}
+      sx={sx}
+    />
+  );
+};
+
+export default SaleCountdown;
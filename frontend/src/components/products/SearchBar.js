@@ -46,7 +46,7 @@ const SearchBar = ({
   useEffect(() => {
     const fetchPopularTerms = async () => {
       try {
-        const response = await productsAPI.searchProducts('popular');
+        const response = await productsAPI.getPopularSearchTerms();
         if (response.data.success) {
           setPopularTerms(response.data.data.popularTerms || []);
         }
@@ -68,7 +68,7 @@ const SearchBar = ({
       debounceRef.current = setTimeout(async () => {
         setLoading(true);
         try {
-          const response = await productsAPI.searchProducts(`suggestions?q=${encodeURIComponent(searchTerm)}`);
+          const response = await productsAPI.getSearchSuggestions(searchTerm);
           if (response.data.success) {
             setSuggestions(response.data.data.suggestions || []);
           }
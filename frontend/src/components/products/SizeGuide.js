@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { Straighten } from '@mui/icons-material';
+import { useQuery } from 'react-query';
+import { productsAPI, authAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const formatRange = (range) => {
+  if (!range || range.min == null || range.max == null) return '-';
+  return range.min === range.max ? `${range.min}` : `${range.min}-${range.max}`;
+};
+
+const FIT_LABELS = {
+  'within-range': 'fits your measurements',
+  closest: 'closest match to your measurements',
+};
+
+// "Size guide" link with the product's chart and a measurement-based size
+// suggestion. Signed-in shoppers with saved measurements see a suggestion
+// straight away and can save new ones from the dialog.
+const SizeGuide = ({ productId, color, onSelectSize }) => {
+  const { isAuthenticated, user, updateUser } = useAuth();
+  const saved = user?.measurements || {};
+  const hasSavedMeasurements = saved.chest != null || saved.waist != null;
+
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ chest: '', waist: '', fit: 'regular' });
+  const [saveToProfile, setSaveToProfile] = useState(true);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  const { data: guideData } = useQuery(
+    ['sizeGuide', productId],
+    () => productsAPI.getSizeGuide(productId),
+    { enabled: Boolean(productId), staleTime: 10 * 60 * 1000 }
+  );
+  const sizeChart = guideData?.data?.data?.sizeChart;
+
+  const { data: savedRecommendation } = useQuery(
+    ['sizeRecommendation', productId, color, saved.chest, saved.waist, saved.fitPreference],
+    () => productsAPI.getSizeRecommendation(productId, color ? { color } : {}),
+    { enabled: Boolean(sizeChart) && isAuthenticated && hasSavedMeasurements, retry: false }
+  );
+  const suggestion = savedRecommendation?.data?.data?.recommendation;
+
+  if (!sizeChart || sizeChart.sizes.length === 0) {
+    return null;
+  }
+
+  const handleOpen = () => {
+    setForm({
+      chest: saved.chest ?? '',
+      waist: saved.waist ?? '',
+      fit: saved.fitPreference || 'regular',
+    });
+    setResult(null);
+    setError('');
+    setOpen(true);
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleFindSize = async () => {
+    const measurements = {
+      chest: form.chest === '' ? null : Number(form.chest),
+      waist: form.waist === '' ? null : Number(form.waist),
+    };
+
+    try {
+      setChecking(true);
+      setError('');
+      const response = await productsAPI.getSizeRecommendation(productId, {
+        ...(measurements.chest != null ? { chest: measurements.chest } : {}),
+        ...(measurements.waist != null ? { waist: measurements.waist } : {}),
+        fit: form.fit,
+        ...(color ? { color } : {}),
+      });
+      setResult(response.data.data.recommendation);
+
+      if (isAuthenticated && saveToProfile) {
+        const profileResponse = await authAPI.updateProfile({
+          measurements: { ...measurements, fitPreference: form.fit },
+        });
+        updateUser(profileResponse.data.data.user);
+      }
+    } catch (error) {
+      setResult(null);
+      setError(error.response?.data?.error?.message || 'Could not suggest a size. Please check your measurements.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleUseSize = (size) => {
+    onSelectSize(size);
+    setOpen(false);
+  };
+
+  const unit = sizeChart.unit;
+  const showChest = sizeChart.sizes.some(row => row.chest?.min != null);
+  const showWaist = sizeChart.sizes.some(row => row.waist?.min != null);
+  const showLength = sizeChart.sizes.some(row => row.length != null);
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+      <Button
+        size="small"
+        startIcon={<Straighten />}
+        onClick={handleOpen}
+        sx={{ textTransform: 'none' }}
+      >
+        Size guide
+      </Button>
+
+      {suggestion && (
+        <Chip
+          size="small"
+          color={suggestion.available ? 'primary' : 'default'}
+          label={`Recommended for you: ${suggestion.size}${suggestion.available ? '' : ' (out of stock)'}`}
+          onClick={suggestion.available ? () => onSelectSize(suggestion.size) : undefined}
+        />
+      )}
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Size guide</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Body measurements in {unit}{showLength ? '; length is the garment length' : ''}.
+          </Typography>
+
+          <Table size="small" sx={{ mb: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Size</TableCell>
+                {showChest && <TableCell>Chest</TableCell>}
+                {showWaist && <TableCell>Waist</TableCell>}
+                {showLength && <TableCell>Length</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sizeChart.sizes.map(row => (
+                <TableRow key={row.size} selected={result?.size === row.size}>
+                  <TableCell>{row.size}</TableCell>
+                  {showChest && <TableCell>{formatRange(row.chest)}</TableCell>}
+                  {showWaist && <TableCell>{formatRange(row.waist)}</TableCell>}
+                  {showLength && <TableCell>{row.length ?? '-'}</TableCell>}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {sizeChart.notes && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {sizeChart.notes}
+            </Typography>
+          )}
+
+          <Typography variant="subtitle2" gutterBottom>
+            Find your size
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+            {showChest && (
+              <TextField
+                size="small"
+                type="number"
+                label="Chest (cm)"
+                name="chest"
+                value={form.chest}
+                onChange={handleChange}
+                sx={{ width: 140 }}
+              />
+            )}
+            {showWaist && (
+              <TextField
+                size="small"
+                type="number"
+                label="Waist (cm)"
+                name="waist"
+                value={form.waist}
+                onChange={handleChange}
+                sx={{ width: 140 }}
+              />
+            )}
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>Fit</InputLabel>
+              <Select name="fit" value={form.fit} label="Fit" onChange={handleChange}>
+                <MenuItem value="slim">Slim</MenuItem>
+                <MenuItem value="regular">Regular</MenuItem>
+                <MenuItem value="relaxed">Relaxed</MenuItem>
+              </Select>
+            </FormControl>
+          </Box>
+
+          {isAuthenticated && (
+            <FormControlLabel
+              control={
+                <Checkbox
+                  size="small"
+                  checked={saveToProfile}
+                  onChange={(e) => setSaveToProfile(e.target.checked)}
+                />
+              }
+              label="Save to my profile"
+            />
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ mt: 1 }}>
+              {error}
+            </Alert>
+          )}
+
+          {result && (
+            <Alert
+              severity={result.available ? 'success' : 'warning'}
+              sx={{ mt: 1 }}
+              action={result.available && (
+                <Button color="inherit" size="small" onClick={() => handleUseSize(result.size)}>
+                  Select {result.size}
+                </Button>
+              )}
+            >
+              Size {result.size} {FIT_LABELS[result.fit]}
+              {result.adjustedFor && ` (adjusted for a ${result.adjustedFor} fit)`}
+              {!result.available && ', but it is currently out of stock'}.
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>Close</Button>
+          <Button
+            variant="contained"
+            onClick={handleFindSize}
+            disabled={checking || (form.chest === '' && form.waist === '')}
+          >
+            {checking ? 'Checking...' : 'Find my size'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default SizeGuide;
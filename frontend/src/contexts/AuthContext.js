@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, productsAPI } from '../services/api';
 import axios from 'axios';
 
 const AuthContext = createContext();
@@ -38,6 +38,11 @@ const authReducer = (state, action) => {
         token: null,
         error: null,
       };
+    case 'UPDATE_USER':
+      return {
+        ...state,
+        user: action.payload,
+      };
     case 'CLEAR_ERROR':
       return {
         ...state,
@@ -85,6 +90,9 @@ export const AuthProvider = ({ children }) => {
         // This will be handled by CartContext when it detects authentication change
         localStorage.setItem('pendingCartMigration', JSON.stringify(guestCart));
       }
+
+      // Carry the guest's recently viewed products over to the account
+      productsAPI.mergeRecentlyViewed().catch(() => {});
       
       return { success: true };
     } catch (error) {
@@ -111,6 +119,9 @@ export const AuthProvider = ({ children }) => {
         // This will be handled by CartContext when it detects authentication change
         localStorage.setItem('pendingCartMigration', JSON.stringify(guestCart));
       }
+
+      // Carry the guest's recently viewed products over to the account
+      productsAPI.mergeRecentlyViewed().catch(() => {});
       
       return { success: true };
     } catch (error) {
@@ -129,6 +140,11 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
 
+  // Keep the signed-in user in sync after profile changes
+  const updateUser = (user) => {
+    dispatch({ type: 'UPDATE_USER', payload: user });
+  };
+
   return (
     <AuthContext.Provider value={{
       ...state,
@@ -136,6 +152,7 @@ export const AuthProvider = ({ children }) => {
       register,
       logout,
       clearError,
+      updateUser,
     }}>
       {children}
     </AuthContext.Provider>
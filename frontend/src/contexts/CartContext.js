@@ -17,7 +17,8 @@ import {
   SyncState,
   validateCartItems,
   calculateCartTotals,
-  compareCartStates
+  compareCartStates,
+  isSameCartItem
 } from '../utils/cartSync';
 import { 
   offlineQueueManager, 
@@ -44,8 +45,7 @@ const cartReducer = (state, action) => {
       };
     case 'ADD_ITEM':
       const existingItemIndex = state.items.findIndex(
-        item => item.productId === action.payload.productId && 
-                item.size === action.payload.size
+        item => isSameCartItem(item, action.payload)
       );
       
       if (existingItemIndex >= 0) {
@@ -65,8 +65,7 @@ const cartReducer = (state, action) => {
       return {
         ...state,
         items: state.items.map(item =>
-          item.productId === action.payload.productId && 
-          item.size === action.payload.size
+          isSameCartItem(item, action.payload)
             ? { ...item, quantity: action.payload.quantity }
             : item
         ),
@@ -75,8 +74,7 @@ const cartReducer = (state, action) => {
       return {
         ...state,
         items: state.items.filter(
-          item => !(item.productId === action.payload.productId && 
-                   item.size === action.payload.size)
+          item => !isSameCartItem(item, action.payload)
         ),
       };
     case 'CLEAR_CART':
@@ -314,10 +312,10 @@ export const CartProvider = ({ children }) => {
     }
   }, [isAuthenticated, handleCartMigration]);
 
-  const addToCart = async (productId, size, quantity = 1, price) => {
-    const item = { productId, size, quantity, price };
+  const addToCart = async (productId, size, quantity = 1, price, color = null) => {
+    const item = { productId, size, quantity, price, color };
     
-    console.log('🛒 Adding to cart:', { productId, size, quantity, price, isAuthenticated });
+    console.log('🛒 Adding to cart:', { productId, size, quantity, price, color, isAuthenticated });
     
     // Clear any previous errors
     dispatch({ type: 'CLEAR_ERROR' });
@@ -336,7 +334,7 @@ export const CartProvider = ({ children }) => {
         }
 
         // Try to add to server cart
-        await cartAPI.addToCartWithRetry(item, { productId, size, quantity });
+        await cartAPI.addToCartWithRetry(item, { productId, size, color, quantity });
         
         // Reload cart from server to get updated state
         await loadCartFromServer();
@@ -357,12 +355,12 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const updateCartItem = async (productId, size, quantity) => {
+  const updateCartItem = async (productId, size, quantity, color = null) => {
     dispatch({ type: 'CLEAR_ERROR' });
     
     if (isAuthenticated) {
       // Apply optimistic update immediately
-      const operation = { type: CartOperationType.UPDATE_ITEM, payload: { productId, size, quantity } };
+      const operation = { type: CartOperationType.UPDATE_ITEM, payload: { productId, size, color, quantity } };
       const optimisticItems = cartSyncManager.applyOptimisticUpdate(state.items, operation);
       
       dispatch({ 
@@ -374,14 +372,14 @@ export const CartProvider = ({ children }) => {
         const validToken = await TokenManager.getValidToken();
         if (!validToken) {
           console.warn('No valid token, adding to pending operations');
-          cartSyncManager.addPendingOperation(CartOperationType.UPDATE_ITEM, { productId, size, quantity });
+          cartSyncManager.addPendingOperation(CartOperationType.UPDATE_ITEM, { productId, size, color, quantity });
           dispatch({ type: 'SET_OFFLINE_MODE', payload: true });
           showWarningToast('Working offline. Changes will sync when online.');
           return;
         }
 
         dispatch({ type: 'SET_SYNC_STATE', payload: SyncState.SYNCING });
-        await cartAPI.updateCartItemWithRetry({ productId, size, quantity }, { productId, size, quantity });
+        await cartAPI.updateCartItemWithRetry({ productId, size, color, quantity }, { productId, size, color, quantity });
         
         await reconcileWithServer();
         showSuccessToast('Cart updated!');
@@ -389,7 +387,7 @@ export const CartProvider = ({ children }) => {
       } catch (error) {
         console.error('Update cart item failed:', error);
         
-        const errorObj = createErrorObject(error, { operation: 'updateCartItem', productId, size, quantity });
+        const errorObj = createErrorObject(error, { operation: 'updateCartItem', productId, size, color, quantity });
         
         if (error.type === ErrorTypes.NETWORK_ERROR || error.type === ErrorTypes.AUTH_ERROR) {
           console.warn('Network/Auth error, adding to offline queue');
@@ -397,9 +395,9 @@ export const CartProvider = ({ children }) => {
           // Create normal priority operation for cart updates
           const queueOperation = createCartOperation(
             CartOperationType.UPDATE_ITEM, 
-            { productId, size, quantity },
+            { productId, size, color, quantity },
             { 
-              metadata: { productId, size, quantity, timestamp: Date.now() }
+              metadata: { productId, size, color, quantity, timestamp: Date.now() }
             }
           );
           
@@ -417,17 +415,17 @@ export const CartProvider = ({ children }) => {
           dispatch({ type: 'SET_SYNC_STATE', payload: SyncState.ERROR });
           
           showCartError('UPDATE_FAILED', errorObj, {
-            onRetry: () => updateCartItem(productId, size, quantity)
+            onRetry: () => updateCartItem(productId, size, quantity, color)
           });
         }
       }
     } else {
-      dispatch({ type: 'UPDATE_ITEM', payload: { productId, size, quantity } });
+      dispatch({ type: 'UPDATE_ITEM', payload: { productId, size, color, quantity } });
       showSuccessToast('Cart updated!');
     }
   };
 
-  const removeFromCart = async (productId, size) => {
+  const removeFromCart = async (productId, size, color = null) => {
     dispatch({ type: 'CLEAR_ERROR' });
     
     if (isAuthenticated) {
@@ -435,40 +433,40 @@ export const CartProvider = ({ children }) => {
         const validToken = await TokenManager.getValidToken();
         if (!validToken) {
           console.warn('No valid token, falling back to guest cart');
-          dispatch({ type: 'REMOVE_ITEM', payload: { productId, size } });
+          dispatch({ type: 'REMOVE_ITEM', payload: { productId, size, color } });
           showWarningToast('Working offline. Item removed from local cart.');
           return;
         }
 
-        await cartAPI.removeFromCartWithRetry(productId, size, { productId, size });
+        await cartAPI.removeFromCartWithRetry(productId, size, color, { productId, size, color });
         await loadCartFromServer();
         showSuccessToast('Item removed from cart!');
       } catch (error) {
         console.error('Remove from cart failed:', error);
         
-        const errorObj = createErrorObject(error, { operation: 'removeFromCart', productId, size });
+        const errorObj = createErrorObject(error, { operation: 'removeFromCart', productId, size, color });
         
         if (error.type === ErrorTypes.NETWORK_ERROR || error.type === ErrorTypes.AUTH_ERROR) {
-          dispatch({ type: 'REMOVE_ITEM', payload: { productId, size } });
+          dispatch({ type: 'REMOVE_ITEM', payload: { productId, size, color } });
           dispatch({ type: 'SET_OFFLINE_MODE', payload: true });
           
           const updatedItems = state.items.filter(
-            item => !(item.productId === productId && item.size === size)
+            item => !isSameCartItem(item, { productId, size, color })
           );
           localStorage.setItem('pendingCartMigration', JSON.stringify(updatedItems));
           
           showCartError('NETWORK_ERROR', errorObj, {
-            onRetry: () => removeFromCart(productId, size)
+            onRetry: () => removeFromCart(productId, size, color)
           });
         } else {
           dispatch({ type: 'SET_ERROR', payload: errorObj });
           showCartError('REMOVE_FAILED', errorObj, {
-            onRetry: () => removeFromCart(productId, size)
+            onRetry: () => removeFromCart(productId, size, color)
           });
         }
       }
     } else {
-      dispatch({ type: 'REMOVE_ITEM', payload: { productId, size } });
+      dispatch({ type: 'REMOVE_ITEM', payload: { productId, size, color } });
       showSuccessToast('Item removed from cart!');
     }
   };
@@ -528,10 +526,8 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const isItemInCart = (productId, size) => {
-    return state.items.some(item => 
-      item.productId === productId && item.size === size
-    );
+  const isItemInCart = (productId, size, color = null) => {
+    return state.items.some(item => isSameCartItem(item, { productId, size, color }));
   };
 
   // Reconcile local state with server state
@@ -0,0 +1,72 @@
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { currenciesAPI, getDisplayCurrency, DISPLAY_CURRENCY_KEY } from '../services/api';
+
+const CurrencyContext = createContext();
+
+const BASE_CURRENCY = 'INR';
+
+// Prices come from the API in rupees (the base currency, which orders are
+// charged in). The shopper can browse in another currency from the
+// exchange-rate table; the choice is sent to the API as X-Currency so cart
+// and order totals come back converted as well.
+export const CurrencyProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+  const [currency, setCurrencyState] = useState(getDisplayCurrency);
+
+  const { data } = useQuery('currencies', () => currenciesAPI.getCurrencies(), {
+    staleTime: 10 * 60 * 1000,
+  });
+  const currencies = useMemo(() => data?.data?.data?.currencies || [], [data]);
+
+  // A currency that lost its rate falls back to rupees
+  const active = currencies.find(entry => entry.code === currency) ||
+    { code: BASE_CURRENCY, rate: 1 };
+
+  const setCurrency = useCallback((code) => {
+    localStorage.setItem(DISPLAY_CURRENCY_KEY, code);
+    setCurrencyState(code);
+    // Converted figures from the API (cart, order totals) need refetching
+    queryClient.invalidateQueries();
+  }, [queryClient]);
+
+  const convertPrice = useCallback((amount) => {
+    if (amount === null || amount === undefined || amount === '') return null;
+    return Math.round(Number(amount) * active.rate * 100) / 100;
+  }, [active.rate]);
+
+  // Format a rupee amount in the display currency, e.g. formatPrice(1299) -> "$15.59"
+  const formatPrice = useCallback((amount) => {
+    const converted = convertPrice(amount);
+    if (converted === null) return '';
+    return new Intl.NumberFormat(active.code === BASE_CURRENCY ? 'en-IN' : undefined, {
+      style: 'currency',
+      currency: active.code,
+      minimumFractionDigits: Number.isInteger(converted) ? 0 : 2,
+      maximumFractionDigits: 2,
+    }).format(converted);
+  }, [active.code, convertPrice]);
+
+  const value = {
+    currency: active.code,
+    baseCurrency: BASE_CURRENCY,
+    currencies,
+    setCurrency,
+    convertPrice,
+    formatPrice,
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
@@ -0,0 +1,174 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { wishlistAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+import { useCart } from './CartContext';
+import { showSuccessToast, showWarningToast } from '../components/common/ErrorNotification';
+
+const WishlistContext = createContext();
+
+const GUEST_WISHLIST_KEY = 'guestWishlist';
+
+// Guests keep a small product snapshot so the wishlist page can render
+// without a request per product; the server takes over after sign in.
+const getGuestWishlist = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GUEST_WISHLIST_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveGuestWishlist = (items) => {
+  localStorage.setItem(GUEST_WISHLIST_KEY, JSON.stringify(items));
+};
+
+const toGuestItem = (product, { size, color } = {}) => ({
+  productId: product._id,
+  size: size || null,
+  color: color || null,
+  addedAt: new Date().toISOString(),
+  product: {
+    _id: product._id,
+    name: product.name,
+    brand: product.brand,
+    images: product.images,
+    price: product.price,
+    currentPrice: product.currentPrice,
+  },
+});
+
+// Same shape as the server's wishlist items, minus live stock
+const fromGuestItem = (item) => ({
+  _id: item.productId,
+  product: item.product,
+  size: item.size,
+  color: item.color,
+  addedAt: item.addedAt,
+  currentPrice: item.product?.currentPrice ?? item.product?.price?.effective ?? item.product?.price?.original,
+  priceDrop: 0,
+});
+
+const getErrorMessage = (error, fallback) => error.response?.data?.error?.message || fallback;
+
+export const WishlistProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const { reconcileWithServer } = useCart();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const setServerWishlist = (response) => {
+    setItems(response.data.data.wishlist.items);
+  };
+
+  const loadWishlist = useCallback(async () => {
+    if (!isAuthenticated) {
+      setItems(getGuestWishlist().map(fromGuestItem));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      // Anything saved while signed out is merged in once, then forgotten
+      const guestItems = getGuestWishlist();
+      if (guestItems.length > 0) {
+        const response = await wishlistAPI.mergeWishlist(
+          guestItems.map(({ productId, size, color }) => ({ productId, size, color }))
+        );
+        localStorage.removeItem(GUEST_WISHLIST_KEY);
+        setServerWishlist(response);
+      } else {
+        setServerWishlist(await wishlistAPI.getWishlist());
+      }
+    } catch (error) {
+      console.error('Failed to load wishlist:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    loadWishlist();
+  }, [loadWishlist]);
+
+  const productIds = useMemo(
+    () => new Set(items.map(item => item.product?._id).filter(Boolean)),
+    [items]
+  );
+
+  const isInWishlist = useCallback((productId) => productIds.has(productId), [productIds]);
+
+  const addToWishlist = async (product, options = {}) => {
+    if (!isAuthenticated) {
+      const guestItems = getGuestWishlist().filter(item => item.productId !== product._id);
+      const updated = [toGuestItem(product, options), ...guestItems];
+      saveGuestWishlist(updated);
+      setItems(updated.map(fromGuestItem));
+      showSuccessToast(`${product.name} saved to your wishlist`);
+      return;
+    }
+
+    try {
+      const response = await wishlistAPI.addToWishlist(product._id, options);
+      setServerWishlist(response);
+      showSuccessToast(`${product.name} saved to your wishlist`);
+    } catch (error) {
+      showWarningToast(getErrorMessage(error, 'Failed to update wishlist'));
+    }
+  };
+
+  const removeFromWishlist = async (productId) => {
+    if (!isAuthenticated) {
+      const updated = getGuestWishlist().filter(item => item.productId !== productId);
+      saveGuestWishlist(updated);
+      setItems(updated.map(fromGuestItem));
+      return;
+    }
+
+    try {
+      const response = await wishlistAPI.removeFromWishlist(productId);
+      setServerWishlist(response);
+    } catch (error) {
+      showWarningToast(getErrorMessage(error, 'Failed to update wishlist'));
+    }
+  };
+
+  // Accepts a product object so guests can keep a snapshot of it
+  const toggleWishlist = (product, options = {}) => {
+    return isInWishlist(product._id)
+      ? removeFromWishlist(product._id)
+      : addToWishlist(product, options);
+  };
+
+  // Signed-in only; errors are rethrown so the page can show the message
+  const moveToCart = async (productId, options = {}) => {
+    const response = await wishlistAPI.moveToCart(productId, options);
+    setItems(response.data.data.wishlist.items);
+    await reconcileWithServer();
+    showSuccessToast('Moved to cart');
+  };
+
+  return (
+    <WishlistContext.Provider value={{
+      items,
+      loading,
+      count: items.length,
+      isInWishlist,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      moveToCart,
+      refreshWishlist: loadWishlist,
+    }}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
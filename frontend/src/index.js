@@ -9,6 +9,8 @@ import { Toaster } from 'react-hot-toast';
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
 import { CartProvider } from './contexts/CartContext';
+import { WishlistProvider } from './contexts/WishlistContext';
+import { CurrencyProvider } from './contexts/CurrencyContext';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -39,12 +41,16 @@ root.render(
       <ThemeProvider theme={theme}>
         <CssBaseline />
         <BrowserRouter>
-          <AuthProvider>
-            <CartProvider>
-              <App />
-              <Toaster position="top-right" />
-            </CartProvider>
-          </AuthProvider>
+          <CurrencyProvider>
+            <AuthProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <App />
+                  <Toaster position="top-right" />
+                </WishlistProvider>
+              </CartProvider>
+            </AuthProvider>
+          </CurrencyProvider>
         </BrowserRouter>
       </ThemeProvider>
     </QueryClientProvider>
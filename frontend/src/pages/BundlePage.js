@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Breadcrumbs,
+  Link,
+  Alert,
+  Button,
+  Chip,
+  Grid,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import { ShoppingCart } from '@mui/icons-material';
+import { useParams, useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { bundlesAPI, cartAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+const uniqueColors = (options) => [...new Set(options.map(option => option.color).filter(Boolean))];
+
+// One component of the bundle with its size (and color) picker
+const BundleComponent = ({ component, selection, onSelect }) => {
+  const { product, options } = component;
+  const colors = component.color ? [] : uniqueColors(options);
+  const sizes = options.filter(option => !option.color || !colors.length || option.color === selection.color);
+
+  if (!product) {
+    return (
+      <Alert severity="warning">One of the items in this bundle is no longer available.</Alert>
+    );
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, display: 'flex', gap: 2 }}>
+      <Box
+        component="img"
+        src={product.images?.[0]?.url || '/placeholder-image.jpg'}
+        alt={product.images?.[0]?.alt || product.name}
+        sx={{ width: 96, height: 96, objectFit: 'cover', borderRadius: 1 }}
+      />
+      <Box sx={{ flex: 1 }}>
+        <Link component={RouterLink} to={`/products/${product._id}`} underline="hover" color="inherit">
+          <Typography variant="subtitle1">
+            {component.quantity > 1 ? `${component.quantity} × ` : ''}{product.name}
+          </Typography>
+        </Link>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {product.brand}
+        </Typography>
+
+        {colors.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+            {colors.map(color => (
+              <Chip
+                key={color}
+                label={color}
+                size="small"
+                color={selection.color === color ? 'primary' : 'default'}
+                variant={selection.color === color ? 'filled' : 'outlined'}
+                onClick={() => onSelect({ color, size: null })}
+              />
+            ))}
+          </Box>
+        )}
+
+        {component.size ? (
+          <Typography variant="body2">
+            Size: {component.size}{component.color ? ` • Color: ${component.color}` : ''}
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {sizes.map(option => (
+              <Chip
+                key={`${option.color || ''}-${option.size}`}
+                label={option.size}
+                size="small"
+                disabled={!option.available || (colors.length > 0 && !selection.color)}
+                color={selection.size === option.size ? 'primary' : 'default'}
+                variant={selection.size === option.size ? 'filled' : 'outlined'}
+                onClick={() => onSelect({ ...selection, size: option.size })}
+              />
+            ))}
+          </Box>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+const BundlePage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const { isAuthenticated } = useAuth();
+  const { formatPrice } = useCurrency();
+  const [selections, setSelections] = useState({});
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const { data, isLoading, error: loadError } = useQuery(
+    ['bundle', slug],
+    () => bundlesAPI.getBundle(slug),
+    { retry: (failureCount, error) => error.response?.status !== 404 && failureCount < 2 }
+  );
+
+  const bundle = data?.data?.data?.bundle;
+
+  const handleSelect = (componentId, selection) => {
+    setSelections(prev => ({ ...prev, [componentId]: selection }));
+  };
+
+  // Every component without a fixed size needs one picked
+  const isComplete = bundle?.components.every(component =>
+    component.size || selections[component._id]?.size
+  );
+
+  const handleAddToCart = async () => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+
+    try {
+      setAdding(true);
+      setError('');
+      const response = await cartAPI.addBundle({
+        bundleId: bundle._id,
+        quantity: 1,
+        selections: bundle.components.map(component => ({
+          component: component._id,
+          size: component.size || selections[component._id]?.size,
+          color: component.color || selections[component._id]?.color || undefined,
+        })),
+      });
+      setNotice(response.data.message);
+      queryClient.invalidateQueries('cart');
+      queryClient.invalidateQueries(['bundle', slug]);
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Could not add the bundle to your cart');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (loadError || !bundle) {
+    return (
+      <Box sx={{ textAlign: 'center', py: 8 }}>
+        <Typography variant="h5" gutterBottom>
+          This bundle isn't available
+        </Typography>
+        <Button variant="contained" component={RouterLink} to="/products">
+          Browse Products
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Breadcrumbs sx={{ mb: 3 }}>
+        <Link component={RouterLink} to="/" underline="hover" color="inherit">
+          Home
+        </Link>
+        <Typography color="text.primary">{bundle.name}</Typography>
+      </Breadcrumbs>
+
+      <Grid container spacing={4}>
+        <Grid item xs={12} md={5}>
+          {bundle.images?.[0]?.url && (
+            <Box
+              component="img"
+              src={bundle.images[0].url}
+              alt={bundle.images[0].alt || bundle.name}
+              sx={{ width: '100%', borderRadius: 1 }}
+            />
+          )}
+        </Grid>
+
+        <Grid item xs={12} md={7}>
+          <Typography variant="h4" gutterBottom>
+            {bundle.name}
+          </Typography>
+
+          <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 2, mb: 1 }}>
+            <Typography variant="h5" color="primary">
+              {formatPrice(bundle.price)}
+            </Typography>
+            {bundle.savings > 0 && (
+              <>
+                <Typography variant="body1" color="text.secondary" sx={{ textDecoration: 'line-through' }}>
+                  {formatPrice(bundle.regularPrice)}
+                </Typography>
+                <Chip label={`Save ${formatPrice(bundle.savings)}`} color="error" size="small" />
+              </>
+            )}
+          </Box>
+          <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 2 }}>
+            Price for the set; may vary slightly with the sizes and colors chosen.
+          </Typography>
+
+          {bundle.description && (
+            <Typography variant="body1" color="text.secondary" sx={{ mb: 3, whiteSpace: 'pre-line' }}>
+              {bundle.description}
+            </Typography>
+          )}
+
+          {notice && (
+            <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+              {notice}
+            </Alert>
+          )}
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+              {error}
+            </Alert>
+          )}
+
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mb: 3 }}>
+            {bundle.components.map(component => (
+              <BundleComponent
+                key={component._id}
+                component={component}
+                selection={selections[component._id] || {}}
+                onSelect={(selection) => handleSelect(component._id, selection)}
+              />
+            ))}
+          </Box>
+
+          <Button
+            variant="contained"
+            size="large"
+            startIcon={<ShoppingCart />}
+            onClick={handleAddToCart}
+            disabled={adding || !bundle.available || (isAuthenticated && !isComplete)}
+          >
+            {!bundle.available ? 'Out of stock' : isAuthenticated ? 'Add set to cart' : 'Sign in to buy'}
+          </Button>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default BundlePage;
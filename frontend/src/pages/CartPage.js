@@ -34,8 +34,13 @@ import {
   Discount
 } from '@mui/icons-material';
 import { Link, useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from 'react-query';
+import { cartAPI } from '../services/api';
+import BundleCartLines from '../components/products/BundleCartLines';
 import { useCart } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { isPreOrderItem, getExpectedShipDate, formatShipDate } from '../utils/preOrder';
 
 const CartPage = () => {
   const [couponCode, setCouponCode] = useState('');
@@ -57,21 +62,47 @@ const CartPage = () => {
   } = useCart();
 
   const { isAuthenticated } = useAuth();
+  const { formatPrice } = useCurrency();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
 
-  const handleQuantityChange = async (productId, size, newQuantity) => {
+  // Bundles live in the server cart only
+  const { data: serverCart } = useQuery('cart', () => cartAPI.getCart(), { enabled: isAuthenticated });
+  const bundles = serverCart?.data?.data?.cart?.bundles || [];
+
+  const handleBundleQuantityChange = async (lineId, quantity) => {
     try {
       setError('');
-      await updateCartItem(productId, size, newQuantity);
+      await cartAPI.updateBundle(lineId, quantity);
+      queryClient.invalidateQueries('cart');
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to update bundle');
+    }
+  };
+
+  const handleRemoveBundle = async (lineId) => {
+    try {
+      setError('');
+      await cartAPI.removeBundle(lineId);
+      queryClient.invalidateQueries('cart');
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to remove bundle');
+    }
+  };
+
+  const handleQuantityChange = async (productId, size, newQuantity, color) => {
+    try {
+      setError('');
+      await updateCartItem(productId, size, newQuantity, color);
     } catch (error) {
       setError(error.response?.data?.error?.message || 'Failed to update item');
     }
   };
 
-  const handleRemoveItem = async (productId, size) => {
+  const handleRemoveItem = async (productId, size, color) => {
     try {
       setError('');
-      await removeFromCart(productId, size);
+      await removeFromCart(productId, size, color);
       setRemoveDialog(false);
       setItemToRemove(null);
     } catch (error) {
@@ -112,8 +143,8 @@ const CartPage = () => {
     navigate('/checkout');
   };
 
-  const cartTotal = getCartTotal();
-  const itemCount = getCartItemCount();
+  const cartTotal = getCartTotal() + bundles.reduce((total, line) => total + line.price * line.quantity, 0);
+  const itemCount = getCartItemCount() + bundles.reduce((total, line) => total + line.quantity, 0);
 
   if (loading) {
     return (
@@ -123,7 +154,7 @@ const CartPage = () => {
     );
   }
 
-  if (!items || items.length === 0) {
+  if ((!items || items.length === 0) && bundles.length === 0) {
     return (
       <Box sx={{ maxWidth: 600, mx: 'auto', py: 8, textAlign: 'center' }}>
         <ShoppingCart sx={{ fontSize: 80, color: 'text.secondary', mb: 3 }} />
@@ -158,13 +189,20 @@ const CartPage = () => {
         </Alert>
       )}
 
+      {items.some(isPreOrderItem) && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Your cart includes pre-order items. They are shipped separately, once stock arrives;
+          everything else ships right away.
+        </Alert>
+      )}
+
       <Grid container spacing={3}>
         {/* Cart Items */}
         <Grid item xs={12} md={8}>
           <Paper sx={{ p: 0 }}>
             <List>
               {items.map((item, index) => (
-                <React.Fragment key={`${item.productId}-${item.size}`}>
+                <React.Fragment key={`${item.productId}-${item.size}-${item.color || ''}`}>
                   <ListItem sx={{ py: 2, px: 3 }}>
                     <ListItemAvatar>
                       <Avatar
@@ -185,10 +223,18 @@ const CartPage = () => {
                       secondary={
                         <Box>
                           <Typography variant="body2" color="text.secondary">
-                            {item.product?.brand} • Size: {item.size}
+                            {item.product?.brand} • Size: {item.size}{item.color ? ` • Color: ${item.color}` : ''}
                           </Typography>
+                          {isPreOrderItem(item) && (
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+                              <Chip label="Pre-order" color="info" size="small" />
+                              <Typography variant="caption" color="text.secondary">
+                                {formatShipDate(getExpectedShipDate(item))}
+                              </Typography>
+                            </Box>
+                          )}
                           <Typography variant="h6" sx={{ mt: 1 }}>
-                            ₹{item.price}
+                            {formatPrice(item.price)}
                           </Typography>
                         </Box>
                       }
@@ -199,7 +245,7 @@ const CartPage = () => {
                       <Box sx={{ display: 'flex', alignItems: 'center', border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
                         <IconButton
                           size="small"
-                          onClick={() => handleQuantityChange(item.productId, item.size, item.quantity - 1)}
+                          onClick={() => handleQuantityChange(item.productId, item.size, item.quantity - 1, item.color)}
                           disabled={item.quantity <= 1}
                         >
                           <Remove />
@@ -209,7 +255,7 @@ const CartPage = () => {
                           onChange={(e) => {
                             const newQuantity = parseInt(e.target.value) || 1;
                             if (newQuantity >= 1 && newQuantity <= 10) {
-                              handleQuantityChange(item.productId, item.size, newQuantity);
+                              handleQuantityChange(item.productId, item.size, newQuantity, item.color);
                             }
                           }}
                           inputProps={{ 
@@ -222,7 +268,7 @@ const CartPage = () => {
                         />
                         <IconButton
                           size="small"
-                          onClick={() => handleQuantityChange(item.productId, item.size, item.quantity + 1)}
+                          onClick={() => handleQuantityChange(item.productId, item.size, item.quantity + 1, item.color)}
                           disabled={item.quantity >= 10}
                         >
                           <Add />
@@ -233,7 +279,7 @@ const CartPage = () => {
                       <IconButton
                         color="error"
                         onClick={() => {
-                          setItemToRemove({ productId: item.productId, size: item.size, name: item.product?.name });
+                          setItemToRemove({ productId: item.productId, size: item.size, color: item.color, name: item.product?.name });
                           setRemoveDialog(true);
                         }}
                       >
@@ -242,7 +288,7 @@ const CartPage = () => {
 
                       {/* Item Subtotal */}
                       <Typography variant="h6" fontWeight="bold">
-                        ₹{item.price * item.quantity}
+                        {formatPrice(item.price * item.quantity)}
                       </Typography>
                     </Box>
                   </ListItem>
@@ -251,12 +297,26 @@ const CartPage = () => {
               ))}
             </List>
 
+            {bundles.length > 0 && (
+              <>
+                {items.length > 0 && <Divider />}
+                <BundleCartLines
+                  bundles={bundles}
+                  onQuantityChange={handleBundleQuantityChange}
+                  onRemove={handleRemoveBundle}
+                />
+              </>
+            )}
+
             {/* Clear Cart Button */}
             <Box sx={{ p: 2, borderTop: '1px solid', borderColor: 'divider' }}>
               <Button
                 variant="outlined"
                 color="error"
-                onClick={() => clearCart()}
+                onClick={async () => {
+                  await clearCart();
+                  queryClient.invalidateQueries('cart');
+                }}
                 startIcon={<Delete />}
               >
                 Clear Cart
@@ -275,19 +335,19 @@ const CartPage = () => {
             <Box sx={{ mb: 3 }}>
               <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                 <Typography>Subtotal ({itemCount} items)</Typography>
-                <Typography>₹{cartTotal}</Typography>
+                <Typography>{formatPrice(cartTotal)}</Typography>
               </Box>
               
               <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                 <Typography>Shipping</Typography>
                 <Typography color={cartTotal >= 999 ? 'success.main' : 'text.primary'}>
-                  {cartTotal >= 999 ? 'FREE' : '₹99'}
+                  {cartTotal >= 999 ? 'FREE' : formatPrice(99)}
                 </Typography>
               </Box>
 
               <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                 <Typography>Tax (18% GST)</Typography>
-                <Typography>₹{Math.round(cartTotal * 0.18)}</Typography>
+                <Typography>{formatPrice(Math.round(cartTotal * 0.18))}</Typography>
               </Box>
 
               <Divider sx={{ my: 2 }} />
@@ -295,7 +355,7 @@ const CartPage = () => {
               <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
                 <Typography variant="h6">Total</Typography>
                 <Typography variant="h6">
-                  ₹{cartTotal + (cartTotal >= 999 ? 0 : 99) + Math.round(cartTotal * 0.18)}
+                  {formatPrice(cartTotal + (cartTotal >= 999 ? 0 : 99) + Math.round(cartTotal * 0.18))}
                 </Typography>
               </Box>
             </Box>
@@ -328,7 +388,7 @@ const CartPage = () => {
                 {/* Available Coupons */}
                 <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
                   <Chip
-                    label="WELCOME10 - ₹100 off"
+                    label={`WELCOME10 - ${formatPrice(100)} off`}
                     size="small"
                     variant="outlined"
                     onClick={() => setCouponCode('WELCOME10')}
@@ -350,7 +410,7 @@ const CartPage = () => {
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
                 <LocalShipping color="primary" fontSize="small" />
                 <Typography variant="body2">
-                  {cartTotal >= 999 ? 'Free shipping applied!' : `Add ₹${999 - cartTotal} more for free shipping`}
+                  {cartTotal >= 999 ? 'Free shipping applied!' : `Add ${formatPrice(999 - cartTotal)} more for free shipping`}
                 </Typography>
               </Box>
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
@@ -395,7 +455,7 @@ const CartPage = () => {
         <DialogActions>
           <Button onClick={() => setRemoveDialog(false)}>Cancel</Button>
           <Button
-            onClick={() => handleRemoveItem(itemToRemove?.productId, itemToRemove?.size)}
+            onClick={() => handleRemoveItem(itemToRemove?.productId, itemToRemove?.size, itemToRemove?.color)}
             color="error"
             variant="contained"
           >
@@ -41,7 +41,9 @@ import {
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 import { ordersAPI, paymentAPI } from '../services/api';
+import { isPreOrderItem, getExpectedShipDate, formatShipDate } from '../utils/preOrder';
 
 const steps = ['Shipping Information', 'Payment Method', 'Review Order'];
 
@@ -84,6 +86,7 @@ const CheckoutPage = () => {
 
   const { items, getCartTotal, getCartItemCount, clearCart } = useCart();
   const { user } = useAuth();
+  const { formatPrice } = useCurrency();
   const navigate = useNavigate();
 
   // Pre-fill user data
@@ -506,6 +509,13 @@ const CheckoutPage = () => {
                   <CheckCircle /> Review Your Order
                 </Typography>
 
+                {items.some(isPreOrderItem) && (
+                  <Alert severity="info" sx={{ mb: 3 }}>
+                    Pre-order items are charged now and shipped separately once stock arrives.
+                    The rest of your order ships right away.
+                  </Alert>
+                )}
+
                 {/* Order Items */}
                 <Card variant="outlined" sx={{ mb: 3 }}>
                   <CardContent>
@@ -524,10 +534,12 @@ const CheckoutPage = () => {
                           </ListItemAvatar>
                           <ListItemText
                             primary={item.product?.name}
-                            secondary={`Size: ${item.size} • Qty: ${item.quantity}`}
+                            secondary={isPreOrderItem(item)
+                              ? `Size: ${item.size} • Qty: ${item.quantity} • Pre-order, ${formatShipDate(getExpectedShipDate(item)).toLowerCase()}`
+                              : `Size: ${item.size} • Qty: ${item.quantity}`}
                           />
                           <Typography variant="body2">
-                            ₹{item.price * item.quantity}
+                            {formatPrice(item.price * item.quantity)}
                           </Typography>
                         </ListItem>
                       ))}
@@ -605,23 +617,23 @@ const CheckoutPage = () => {
                 <Box>
                   <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                     <Typography>Subtotal</Typography>
-                    <Typography>₹{orderTotal.subtotal}</Typography>
+                    <Typography>{formatPrice(orderTotal.subtotal)}</Typography>
                   </Box>
                   
                   <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                     <Typography>Shipping</Typography>
-                    <Typography>₹{orderTotal.shipping}</Typography>
+                    <Typography>{formatPrice(orderTotal.shipping)}</Typography>
                   </Box>
 
                   <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                     <Typography>Tax</Typography>
-                    <Typography>₹{orderTotal.tax}</Typography>
+                    <Typography>{formatPrice(orderTotal.tax)}</Typography>
                   </Box>
 
                   {orderTotal.discount > 0 && (
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                       <Typography color="success.main">Discount</Typography>
-                      <Typography color="success.main">-₹{orderTotal.discount}</Typography>
+                      <Typography color="success.main">-{formatPrice(orderTotal.discount)}</Typography>
                     </Box>
                   )}
 
@@ -629,7 +641,7 @@ const CheckoutPage = () => {
 
                   <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
                     <Typography variant="h6">Total</Typography>
-                    <Typography variant="h6">₹{orderTotal.total}</Typography>
+                    <Typography variant="h6">{formatPrice(orderTotal.total)}</Typography>
                   </Box>
                 </Box>
               ) : (
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Breadcrumbs,
+  Link,
+  Alert,
+  Button,
+  CircularProgress,
+} from '@mui/material';
+import { useParams, useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { collectionsAPI } from '../services/api';
+
+import ProductGrid from '../components/products/ProductGrid';
+import { useCart } from '../contexts/CartContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useWishlist } from '../contexts/WishlistContext';
+
+const PAGE_SIZE = 12;
+
+const CollectionPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { addToCart } = useCart();
+  const { isAuthenticated } = useAuth();
+  const { items: wishlistItems, toggleWishlist } = useWishlist();
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    setPage(1);
+  }, [slug]);
+
+  const { data, isLoading, error } = useQuery(
+    ['collection', slug, page],
+    () => collectionsAPI.getCollection(slug, { page, limit: PAGE_SIZE }),
+    {
+      keepPreviousData: true,
+      retry: (failureCount, error) => error.response?.status !== 404 && failureCount < 2,
+    }
+  );
+
+  const collection = data?.data?.data?.collection;
+  const products = data?.data?.data?.products || [];
+  const pagination = data?.data?.data?.pagination;
+
+  const handleAddToCart = async (product) => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+
+    // For quick add, use the first available size
+    const availableSize = product.sizes?.find(s => s.stock > s.reserved);
+    if (availableSize) {
+      try {
+        await addToCart(product._id, availableSize.size, 1, product.currentPrice);
+      } catch (error) {
+        console.error('Error adding to cart:', error);
+      }
+    } else {
+      navigate(`/products/${product._id}`);
+    }
+  };
+
+  const handlePageChange = (newPage) => {
+    setPage(newPage);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Scheduled collections that have not started or have ended also come back as 404
+  if (error || !collection) {
+    return (
+      <Box sx={{ textAlign: 'center', py: 8 }}>
+        <Typography variant="h5" gutterBottom>
+          This collection isn't available
+        </Typography>
+        <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+          It may have ended or not started yet.
+        </Typography>
+        <Button variant="contained" component={RouterLink} to="/products">
+          Browse Products
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {/* Breadcrumbs */}
+      <Breadcrumbs sx={{ mb: 3 }}>
+        <Link component={RouterLink} to="/" underline="hover" color="inherit">
+          Home
+        </Link>
+        <Typography color="text.primary">{collection.title}</Typography>
+      </Breadcrumbs>
+
+      {/* Hero */}
+      {collection.heroImage?.url && (
+        <Box
+          component="img"
+          src={collection.heroImage.url}
+          alt={collection.heroImage.alt || collection.title}
+          sx={{
+            width: '100%',
+            maxHeight: 360,
+            objectFit: 'cover',
+            borderRadius: 1,
+            mb: 3,
+          }}
+        />
+      )}
+
+      <Typography variant="h4" gutterBottom>
+        {collection.title}
+      </Typography>
+
+      {collection.endsAt && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Available until {new Date(collection.endsAt).toLocaleDateString()}
+        </Alert>
+      )}
+
+      {collection.description && (
+        <Typography variant="body1" color="text.secondary" sx={{ mb: 4, whiteSpace: 'pre-line' }}>
+          {collection.description}
+        </Typography>
+      )}
+
+      <ProductGrid
+        products={products}
+        pagination={pagination}
+        onPageChange={handlePageChange}
+        showSort={false}
+        onAddToCart={handleAddToCart}
+        onToggleFavorite={(productId) => {
+          const product = products.find(p => p._id === productId);
+          if (product) toggleWishlist(product);
+        }}
+        favoriteProducts={wishlistItems.map(item => item.product?._id)}
+      />
+    </Box>
+  );
+};
+
+export default CollectionPage;
@@ -31,6 +31,7 @@ import {
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { ordersAPI } from '../services/api';
+import { formatShipDate } from '../utils/preOrder';
 
 const OrderHistoryPage = () => {
   const [orders, setOrders] = useState([]);
@@ -324,7 +325,9 @@ const OrderHistoryPage = () => {
                   <ListItem key={index}>
                     <ListItemText
                       primary={item.productSnapshot?.name || 'Product'}
-                      secondary={`Size: ${item.size} | Quantity: ${item.quantity} | Price: ₹${item.price}`}
+                      secondary={item.isPreOrder
+                        ? `Size: ${item.size} | Quantity: ${item.quantity} | Price: ₹${item.price} | Pre-order: ${formatShipDate(item.expectedShipDate).toLowerCase()}`
+                        : `Size: ${item.size} | Quantity: ${item.quantity} | Price: ₹${item.price}`}
                     />
                   </ListItem>
                 ))}
@@ -17,7 +17,7 @@ import {
   Close
 } from '@mui/icons-material';
 import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
-import { useQuery } from 'react-query';
+import { useQuery, useInfiniteQuery } from 'react-query';
 import { productsAPI } from '../services/api';
 
 import ProductGrid from '../components/products/ProductGrid';
@@ -25,6 +25,9 @@ import CategoryFilter from '../components/products/CategoryFilter';
 import SearchBar from '../components/products/SearchBar';
 import { useCart } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useWishlist } from '../contexts/WishlistContext';
+
+const PAGE_SIZE = 12;
 
 const ProductsPage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -33,21 +36,21 @@ const ProductsPage = () => {
     categories: [],
     brands: [],
     priceRange: [0, 10000],
-    sizes: []
+    sizes: [],
+    colors: [],
+    availability: [],
+    minDiscount: null
   });
   const [sorting, setSorting] = useState({
     sortBy: searchParams.get('sort') || 'createdAt',
     sortOrder: searchParams.get('order') || 'desc'
   });
-  const [pagination, setPagination] = useState({
-    page: parseInt(searchParams.get('page')) || 1,
-    limit: 12
-  });
 
   const navigate = useNavigate();
   const location = useLocation();
   const { addToCart } = useCart();
   const { isAuthenticated } = useAuth();
+  const { items: wishlistItems, toggleWishlist } = useWishlist();
 
   // Get initial filters from URL
   useEffect(() => {
@@ -70,54 +73,33 @@ const ProductsPage = () => {
     }));
   }, [searchParams]);
 
-  // Build query parameters for API
-  const buildQueryParams = () => {
-    const params = new URLSearchParams();
-    
-    params.set('page', pagination.page.toString());
-    params.set('limit', pagination.limit.toString());
-    params.set('sort', sorting.sortBy);
-    params.set('order', sorting.sortOrder);
-
-    if (filters.categories.length > 0) {
-      params.set('category', filters.categories[0]);
-    }
-    if (filters.brands.length > 0) {
-      params.set('brand', filters.brands[0]);
-    }
-    if (filters.priceRange[0] > 0) {
-      params.set('minPrice', filters.priceRange[0].toString());
-    }
-    if (filters.priceRange[1] < 10000) {
-      params.set('maxPrice', filters.priceRange[1].toString());
-    }
-    if (filters.sizes.length > 0) {
-      params.set('size', filters.sizes[0]);
-    }
-
-    const searchTerm = searchParams.get('search');
-    if (searchTerm) {
-      params.set('q', searchTerm);
-      return `/api/products/search?${params.toString()}`;
-    }
-
-    return `/api/products?${params.toString()}`;
-  };
-
-  // Fetch products
-  const { data: productsData, isLoading, error } = useQuery(
-    ['products', pagination, sorting, filters, searchParams.get('search')],
-    async () => {
+  // Fetch products a page at a time; cursors keep "load more" stable while
+  // the catalogue changes
+  const {
+    data: productPages,
+    isLoading,
+    error,
+    fetchNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['products', sorting, filters, searchParams.get('search')],
+    async ({ pageParam }) => {
       const params = new URLSearchParams();
       
       // Add pagination
-      params.append('page', pagination.page);
-      params.append('limit', pagination.limit);
+      params.append('limit', PAGE_SIZE);
+      if (pageParam) {
+        params.append('cursor', pageParam);
+      } else {
+        params.append('pagination', 'cursor');
+      }
       
-      // Add sorting
-      if (sorting.sortBy) {
-        params.append('sortBy', sorting.sortBy);
-        params.append('sortOrder', sorting.sortOrder);
+      // Add sorting; searches stay in relevance order until another sort is picked
+      const search = searchParams.get('search');
+      const isDefaultSort = sorting.sortBy === 'createdAt' && sorting.sortOrder === 'desc';
+      if (sorting.sortBy && !(search && isDefaultSort)) {
+        params.append('sort', sorting.sortBy);
+        params.append('order', sorting.sortOrder);
       }
       
       // Add filters
@@ -127,36 +109,51 @@ const ProductsPage = () => {
       if (filters.brands.length > 0) {
         params.append('brand', filters.brands.join(','));
       }
-      if (filters.minPrice) {
-        params.append('minPrice', filters.minPrice);
+      if (filters.priceRange[0] > 0) {
+        params.append('minPrice', filters.priceRange[0]);
       }
-      if (filters.maxPrice) {
-        params.append('maxPrice', filters.maxPrice);
+      if (filters.priceRange[1] < 10000) {
+        params.append('maxPrice', filters.priceRange[1]);
       }
       if (filters.sizes.length > 0) {
         params.append('size', filters.sizes.join(','));
       }
+      if (filters.colors.length > 0) {
+        params.append('color', filters.colors.join(','));
+      }
+      if (filters.availability.length > 0) {
+        params.append('availability', filters.availability.join(','));
+      }
+      if (filters.minDiscount) {
+        params.append('minDiscount', filters.minDiscount);
+      }
       
-      // Add search
-      const search = searchParams.get('search');
+      // Search terms go through the search endpoint so they are ranked and recorded
       if (search) {
-        params.append('search', search);
+        const response = await productsAPI.searchProducts(search, Object.fromEntries(params));
+        return response.data;
       }
       
       const response = await productsAPI.getProducts(Object.fromEntries(params));
       return response.data;
     },
     {
+      getNextPageParam: (lastPage) => lastPage.data?.pagination?.nextCursor || undefined,
       keepPreviousData: true,
       staleTime: 5 * 60 * 1000, // 5 minutes
     }
   );
 
+  // Facets, search corrections and the search id come with the first page
+  const productsData = productPages?.pages[0];
+  const products = productPages?.pages.flatMap(page => page.data?.products || []) || [];
+  const lastPagination = productPages?.pages[productPages.pages.length - 1]?.data?.pagination;
+
   // Fetch filter options
   const { data: categoriesData } = useQuery(
     'categories',
     async () => {
-      const response = await productsAPI.getProducts({ type: 'categories' });
+      const response = await productsAPI.getCategories();
       return response.data;
     },
     { staleTime: 10 * 60 * 1000 }
@@ -178,9 +175,7 @@ const ProductsPage = () => {
     } else {
       newParams.delete('search');
     }
-    newParams.set('page', '1'); // Reset to first page
     setSearchParams(newParams);
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
   const handleCategoryChange = (categoryName) => {
@@ -190,7 +185,6 @@ const ProductsPage = () => {
         ? prev.categories.filter(c => c !== categoryName)
         : [categoryName] // Single category selection for now
     }));
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
   const handleBrandChange = (brandName) => {
@@ -200,7 +194,6 @@ const ProductsPage = () => {
         ? prev.brands.filter(b => b !== brandName)
         : [...prev.brands, brandName]
     }));
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
   const handlePriceRangeChange = (newRange) => {
@@ -208,7 +201,6 @@ const ProductsPage = () => {
       ...prev,
       priceRange: newRange
     }));
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
   const handleSizeChange = (size) => {
@@ -218,17 +210,35 @@ const ProductsPage = () => {
         ? prev.sizes.filter(s => s !== size)
         : [...prev.sizes, size]
     }));
-    setPagination(prev => ({ ...prev, page: 1 }));
   };
 
-  const handleSortChange = (sortBy, sortOrder) => {
-    setSorting({ sortBy, sortOrder });
-    setPagination(prev => ({ ...prev, page: 1 }));
+  const handleColorChange = (color) => {
+    setFilters(prev => ({
+      ...prev,
+      colors: prev.colors.includes(color)
+        ? prev.colors.filter(c => c !== color)
+        : [...prev.colors, color]
+    }));
+  };
+
+  const handleAvailabilityChange = (status) => {
+    setFilters(prev => ({
+      ...prev,
+      availability: prev.availability.includes(status)
+        ? prev.availability.filter(a => a !== status)
+        : [...prev.availability, status]
+    }));
   };
 
-  const handlePageChange = (page) => {
-    setPagination(prev => ({ ...prev, page }));
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+  const handleDiscountChange = (minDiscount) => {
+    setFilters(prev => ({
+      ...prev,
+      minDiscount
+    }));
+  };
+
+  const handleSortChange = (sortBy, sortOrder) => {
+    setSorting({ sortBy, sortOrder });
   };
 
   const handleClearFilters = () => {
@@ -236,9 +246,11 @@ const ProductsPage = () => {
       categories: [],
       brands: [],
       priceRange: [0, 10000],
-      sizes: []
+      sizes: [],
+      colors: [],
+      availability: [],
+      minDiscount: null
     });
-    setPagination(prev => ({ ...prev, page: 1 }));
     setSearchParams({});
   };
 
@@ -262,8 +274,19 @@ const ProductsPage = () => {
     }
   };
 
+  // Tell search analytics which result the shopper opened
+  const handleProductClick = (product) => {
+    const searchId = productsData?.data?.searchId;
+    if (searchId) {
+      productsAPI.recordSearchClick(searchId, product._id).catch(() => {});
+    }
+  };
+
   const searchTerm = searchParams.get('search');
   const currentCategory = filters.categories[0];
+  const currentCategoryName = categoriesData?.data?.categories
+    ?.find(node => node.slug === currentCategory)?.name
+    || (currentCategory && currentCategory.charAt(0).toUpperCase() + currentCategory.slice(1));
 
   return (
     <Box>
@@ -275,7 +298,7 @@ const ProductsPage = () => {
         <Typography color="text.primary">Products</Typography>
         {currentCategory && (
           <Typography color="text.primary">
-            {currentCategory.charAt(0).toUpperCase() + currentCategory.slice(1)}
+            {currentCategoryName}
           </Typography>
         )}
       </Breadcrumbs>
@@ -284,9 +307,28 @@ const ProductsPage = () => {
       <Box sx={{ mb: 4 }}>
         <Typography variant="h4" component="h1" gutterBottom>
           {searchTerm ? `Search Results for "${searchTerm}"` : 
-           currentCategory ? `${currentCategory.charAt(0).toUpperCase() + currentCategory.slice(1)}` : 
+           currentCategory ? currentCategoryName : 
            'All Products'}
         </Typography>
+
+        {searchTerm && productsData?.data?.correctedTerm && (
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Showing results for "{productsData.data.correctedTerm}"
+          </Typography>
+        )}
+        {searchTerm && productsData?.data?.didYouMean && (
+          <Typography variant="body1" gutterBottom>
+            Did you mean{' '}
+            <Link
+              component="button"
+              variant="body1"
+              onClick={() => handleSearch(productsData.data.didYouMean)}
+            >
+              {productsData.data.didYouMean}
+            </Link>
+            ?
+          </Typography>
+        )}
         
         {/* Search Bar */}
         <Box sx={{ maxWidth: 600, mb: 3 }}>
@@ -307,15 +349,22 @@ const ProductsPage = () => {
             <CategoryFilter
               categories={categoriesData?.data?.categories || []}
               brands={brandsData?.data?.brands || []}
+              facets={productsData?.data?.facets}
               priceRange={{ min: 0, max: 10000 }}
               selectedCategories={filters.categories}
               selectedBrands={filters.brands}
               selectedPriceRange={filters.priceRange}
               selectedSizes={filters.sizes}
+              selectedColors={filters.colors}
+              selectedAvailability={filters.availability}
+              selectedDiscount={filters.minDiscount}
               onCategoryChange={handleCategoryChange}
               onBrandChange={handleBrandChange}
               onPriceRangeChange={handlePriceRangeChange}
               onSizeChange={handleSizeChange}
+              onColorChange={handleColorChange}
+              onAvailabilityChange={handleAvailabilityChange}
+              onDiscountChange={handleDiscountChange}
               onClearFilters={handleClearFilters}
             />
           </Paper>
@@ -350,16 +399,22 @@ const ProductsPage = () => {
             </Grid>
           ) : (
             <ProductGrid
-              products={productsData?.data?.products || []}
+              products={products}
               loading={isLoading}
               error={error?.message}
-              pagination={productsData?.data?.pagination}
-              onPageChange={handlePageChange}
+              pagination={lastPagination}
+              onLoadMore={() => fetchNextPage()}
+              loadingMore={isFetchingNextPage}
               onSortChange={handleSortChange}
               sortBy={sorting.sortBy}
               sortOrder={sorting.sortOrder}
               onAddToCart={handleAddToCart}
-              favoriteProducts={[]} // TODO: Implement favorites
+              onProductClick={handleProductClick}
+              onToggleFavorite={(productId) => {
+                const product = products.find(p => p._id === productId);
+                if (product) toggleWishlist(product);
+              }}
+              favoriteProducts={wishlistItems.map(item => item.product?._id)}
             />
           )}
         </Grid>
@@ -383,15 +438,22 @@ const ProductsPage = () => {
           <CategoryFilter
             categories={categoriesData?.data?.categories || []}
             brands={brandsData?.data?.brands || []}
+            facets={productsData?.data?.facets}
             priceRange={{ min: 0, max: 10000 }}
             selectedCategories={filters.categories}
             selectedBrands={filters.brands}
             selectedPriceRange={filters.priceRange}
             selectedSizes={filters.sizes}
+            selectedColors={filters.colors}
+            selectedAvailability={filters.availability}
+            selectedDiscount={filters.minDiscount}
             onCategoryChange={handleCategoryChange}
             onBrandChange={handleBrandChange}
             onPriceRangeChange={handlePriceRangeChange}
             onSizeChange={handleSizeChange}
+            onColorChange={handleColorChange}
+            onAvailabilityChange={handleAvailabilityChange}
+            onDiscountChange={handleDiscountChange}
             onClearFilters={handleClearFilters}
           />
         </Box>
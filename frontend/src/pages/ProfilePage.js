@@ -27,7 +27,8 @@ import {
   Delete,
   Add,
   LocationOn,
-  Person
+  Person,
+  Straighten
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { authAPI } from '../services/api';
@@ -43,6 +44,11 @@ const ProfilePage = () => {
     phone: '',
     dateOfBirth: ''
   });
+  const [measurements, setMeasurements] = useState({
+    chest: '',
+    waist: '',
+    fitPreference: 'regular'
+  });
   const [addresses, setAddresses] = useState([]);
   const [addressDialog, setAddressDialog] = useState(false);
   const [editingAddress, setEditingAddress] = useState(null);
@@ -56,7 +62,7 @@ const ProfilePage = () => {
     isDefault: false
   });
 
-  const { user, isAuthenticated } = useAuth();
+  const { user, isAuthenticated, updateUser } = useAuth();
 
   useEffect(() => {
     if (user) {
@@ -66,6 +72,11 @@ const ProfilePage = () => {
         phone: user.profile?.phone || '',
         dateOfBirth: user.profile?.dateOfBirth ? user.profile.dateOfBirth.split('T')[0] : ''
       });
+      setMeasurements({
+        chest: user.measurements?.chest ?? '',
+        waist: user.measurements?.waist ?? '',
+        fitPreference: user.measurements?.fitPreference || 'regular'
+      });
       setAddresses(user.addresses || []);
     }
   }, [user]);
@@ -103,6 +114,41 @@ const ProfilePage = () => {
     }
   };
 
+  const handleMeasurementsChange = (e) => {
+    const { name, value } = e.target;
+    setMeasurements(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleMeasurementsSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      // Empty fields clear the saved value
+      const response = await authAPI.updateProfile({
+        measurements: {
+          chest: measurements.chest === '' ? null : Number(measurements.chest),
+          waist: measurements.waist === '' ? null : Number(measurements.waist),
+          fitPreference: measurements.fitPreference
+        }
+      });
+
+      if (response.data.success) {
+        updateUser(response.data.data.user);
+        setSuccess('Measurements saved');
+      }
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to save measurements');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleAddressChange = (e) => {
     const { name, value, type, checked } = e.target;
     setAddressForm(prev => ({
@@ -206,6 +252,7 @@ const ProfilePage = () => {
         <Tabs value={tabValue} onChange={handleTabChange} sx={{ borderBottom: 1, borderColor: 'divider' }}>
           <Tab label="Personal Information" />
           <Tab label="Addresses" />
+          <Tab label="Fit & Sizes" />
         </Tabs>
 
         {/* Personal Information Tab */}
@@ -359,6 +406,76 @@ const ProfilePage = () => {
             )}
           </Box>
         )}
+
+        {/* Fit & Sizes Tab */}
+        {tabValue === 2 && (
+          <Box sx={{ p: 3 }}>
+            <Box component="form" onSubmit={handleMeasurementsSubmit}>
+              <Grid container spacing={3}>
+                <Grid item xs={12}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+                    <Straighten color="primary" />
+                    <Typography variant="h6">Fit & Sizes</Typography>
+                  </Box>
+                  <Typography variant="body2" color="text.secondary">
+                    We use these to recommend a size on product pages. Measure around the fullest part of your chest and your natural waist.
+                  </Typography>
+                </Grid>
+
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    label="Chest (cm)"
+                    name="chest"
+                    type="number"
+                    value={measurements.chest}
+                    onChange={handleMeasurementsChange}
+                    inputProps={{ min: 50, max: 200, step: 0.5 }}
+                  />
+                </Grid>
+
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    label="Waist (cm)"
+                    name="waist"
+                    type="number"
+                    value={measurements.waist}
+                    onChange={handleMeasurementsChange}
+                    inputProps={{ min: 40, max: 200, step: 0.5 }}
+                  />
+                </Grid>
+
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    select
+                    fullWidth
+                    label="Preferred Fit"
+                    name="fitPreference"
+                    value={measurements.fitPreference}
+                    onChange={handleMeasurementsChange}
+                    SelectProps={{ native: true }}
+                  >
+                    <option value="slim">Slim</option>
+                    <option value="regular">Regular</option>
+                    <option value="relaxed">Relaxed</option>
+                  </TextField>
+                </Grid>
+
+                <Grid item xs={12}>
+                  <Button
+                    type="submit"
+                    variant="contained"
+                    disabled={loading}
+                    sx={{ minWidth: 120 }}
+                  >
+                    {loading ? <CircularProgress size={24} /> : 'Save Measurements'}
+                  </Button>
+                </Grid>
+              </Grid>
+            </Box>
+          </Box>
+        )}
       </Paper>
 
       {/* Address Dialog */}
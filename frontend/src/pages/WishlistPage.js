@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Alert,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  IconButton,
+  Chip,
+  Divider,
+} from '@mui/material';
+import { Delete, FavoriteBorder, ShoppingCart } from '@mui/icons-material';
+import { Link, useNavigate } from 'react-router-dom';
+import { useWishlist } from '../contexts/WishlistContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+const WishlistPage = () => {
+  const { items, loading, removeFromWishlist, moveToCart } = useWishlist();
+  const { isAuthenticated } = useAuth();
+  const { formatPrice } = useCurrency();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const [movingId, setMovingId] = useState(null);
+
+  // Size (and colour for variant products) must be known before moving to the cart
+  const needsOptions = (item) => !item.size || (item.product?.hasVariants && !item.color);
+
+  const handleMoveToCart = async (item) => {
+    if (!isAuthenticated || needsOptions(item)) {
+      navigate(`/products/${item.product._id}`);
+      return;
+    }
+
+    try {
+      setError('');
+      setMovingId(item.product._id);
+      await moveToCart(item.product._id);
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to move item to cart');
+    } finally {
+      setMovingId(null);
+    }
+  };
+
+  if (loading && items.length === 0) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (items.length === 0) {
+    return (
+      <Box sx={{ textAlign: 'center', py: 8 }}>
+        <FavoriteBorder sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+        <Typography variant="h5" gutterBottom>
+          Your wishlist is empty
+        </Typography>
+        <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+          Tap the heart on any product to save it for later.
+        </Typography>
+        <Button variant="contained" component={Link} to="/products">
+          Browse Products
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Wishlist ({items.length})
+      </Typography>
+
+      {!isAuthenticated && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          <Link to="/login">Sign in</Link> to keep your wishlist across devices and see live prices and stock.
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper>
+        <List>
+          {items.map((item, index) => {
+            const product = item.product;
+            const image = product.images?.find(img => img.isPrimary) || product.images?.[0];
+
+            return (
+              <React.Fragment key={product._id}>
+                {index > 0 && <Divider component="li" />}
+                <ListItem
+                  alignItems="flex-start"
+                  secondaryAction={
+                    <IconButton
+                      edge="end"
+                      aria-label="remove from wishlist"
+                      onClick={() => removeFromWishlist(product._id)}
+                    >
+                      <Delete />
+                    </IconButton>
+                  }
+                >
+                  <ListItemAvatar>
+                    <Avatar
+                      variant="rounded"
+                      src={image?.url}
+                      alt={image?.alt || product.name}
+                      sx={{ width: 80, height: 80, mr: 2, cursor: 'pointer' }}
+                      onClick={() => navigate(`/products/${product._id}`)}
+                    />
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={
+                      <Typography
+                        variant="subtitle1"
+                        component={Link}
+                        to={`/products/${product._id}`}
+                        sx={{ color: 'inherit', textDecoration: 'none' }}
+                      >
+                        {product.name}
+                      </Typography>
+                    }
+                    secondaryTypographyProps={{ component: 'div' }}
+                    secondary={
+                      <Box sx={{ mt: 0.5 }}>
+                        <Typography variant="body2" color="text.secondary">
+                          {product.brand}
+                          {item.size && ` · Size ${item.size}`}
+                          {item.color && ` · ${item.color}`}
+                        </Typography>
+
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+                          <Typography variant="subtitle1" color="primary">
+                            {formatPrice(item.currentPrice)}
+                          </Typography>
+                          {item.priceDrop > 0 && (
+                            <Chip
+                              size="small"
+                              color="success"
+                              label={`Price dropped ${formatPrice(item.priceDrop)} since you saved it`}
+                            />
+                          )}
+                          {isAuthenticated && (
+                            <Chip
+                              size="small"
+                              variant="outlined"
+                              color={item.inStock ? (item.isPreOrder ? 'info' : 'success') : 'default'}
+                              label={item.inStock ? (item.isPreOrder ? 'Pre-order' : 'In stock') : 'Out of stock'}
+                            />
+                          )}
+                        </Box>
+
+                        <Button
+                          size="small"
+                          variant="contained"
+                          startIcon={<ShoppingCart />}
+                          sx={{ mt: 1.5 }}
+                          disabled={(isAuthenticated && !item.inStock) || movingId === product._id}
+                          onClick={() => handleMoveToCart(item)}
+                        >
+                          {isAuthenticated && !needsOptions(item) ? 'Move to Cart' : 'Choose Options'}
+                        </Button>
+                      </Box>
+                    }
+                  />
+                </ListItem>
+              </React.Fragment>
+            );
+          })}
+        </List>
+      </Paper>
+    </Box>
+  );
+};
+
+export default WishlistPage;
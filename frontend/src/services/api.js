@@ -67,6 +67,20 @@ class TokenManager {
   }
 }
 
+// Anonymous id that lets the API tell guest sessions apart (e.g. for search analytics)
+const getSessionId = () => {
+  let sessionId = localStorage.getItem('sessionId');
+  if (!sessionId) {
+    sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem('sessionId', sessionId);
+  }
+  return sessionId;
+};
+
+// Currency the shopper browses in; prices are converted by the API
+export const DISPLAY_CURRENCY_KEY = 'displayCurrency';
+export const getDisplayCurrency = () => localStorage.getItem(DISPLAY_CURRENCY_KEY) || 'INR';
+
 // Create axios instance with base configuration
 const api = axios.create({
   baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
@@ -79,6 +93,9 @@ const api = axios.create({
 // Request interceptor to add auth token with validation
 api.interceptors.request.use(
   async (config) => {
+    config.headers['X-Session-Id'] = getSessionId();
+    config.headers['X-Currency'] = getDisplayCurrency();
+
     // Skip token validation for auth endpoints
     if (config.url?.includes('/auth/login') || 
         config.url?.includes('/auth/register') ||
@@ -215,8 +232,64 @@ export const authAPI = {
 export const productsAPI = {
   getProducts: (params = {}) => api.get('/products', { params }),
   getProduct: (id) => api.get(`/products/${id}`),
-  searchProducts: (query) => api.get(`/products/search?q=${encodeURIComponent(query)}`),
+  searchProducts: (query, params = {}) => api.get('/products/search', { params: { ...params, q: query } }),
+  getSearchSuggestions: (query) => api.get('/products/search/suggestions', { params: { q: query } }),
+  getPopularSearchTerms: (params = {}) => api.get('/products/search/popular', { params }),
+  recordSearchClick: (searchId, productId) => api.post('/products/search/click', { searchId, productId }),
+  getCategories: () => api.get('/products/categories'),
   getProductsByCategory: (category) => api.get(`/products/category/${category}`),
+  getProductReviews: (id, params = {}) => api.get(`/products/${id}/reviews`, { params }),
+  createReview: (id, review) => api.post(`/products/${id}/reviews`, review),
+  getRecommendations: (id, params = {}) => api.get(`/products/${id}/recommendations`, { params }),
+  subscribeStockAlert: (id, alert) => api.post(`/products/${id}/stock-alerts`, alert),
+  getSizeGuide: (id) => api.get(`/products/${id}/size-guide`),
+  getSizeRecommendation: (id, params = {}) => api.get(`/products/${id}/size-recommendation`, { params }),
+  getPriceHistory: (id, params = {}) => api.get(`/products/${id}/price-history`, { params }),
+  getProductQuestions: (id, params = {}) => api.get(`/products/${id}/questions`, { params }),
+  askQuestion: (id, body) => api.post(`/products/${id}/questions`, { body }),
+  getRecentlyViewed: (params = {}) => api.get('/products/recently-viewed', { params }),
+  clearRecentlyViewed: () => api.delete('/products/recently-viewed'),
+  mergeRecentlyViewed: () => api.post('/products/recently-viewed/merge'),
+};
+
+export const wishlistAPI = {
+  getWishlist: () => api.get('/wishlist'),
+  addToWishlist: (productId, options = {}) => api.post('/wishlist', { productId, ...options }),
+  removeFromWishlist: (productId) => api.delete(`/wishlist/${productId}`),
+  moveToCart: (productId, options = {}) => api.post(`/wishlist/${productId}/move-to-cart`, options),
+  mergeWishlist: (guestItems) => api.post('/wishlist/merge', { items: guestItems }),
+};
+
+export const stockAlertsAPI = {
+  getStockAlerts: () => api.get('/stock-alerts'),
+  cancelStockAlert: (id) => api.delete(`/stock-alerts/${id}`),
+};
+
+export const collectionsAPI = {
+  getCollections: (params = {}) => api.get('/collections', { params }),
+  getCollection: (slug, params = {}) => api.get(`/collections/${slug}`, { params }),
+};
+
+export const bundlesAPI = {
+  getBundles: () => api.get('/bundles'),
+  getBundle: (slug) => api.get(`/bundles/${slug}`),
+};
+
+export const currenciesAPI = {
+  getCurrencies: () => api.get('/currencies'),
+};
+
+export const questionsAPI = {
+  answerQuestion: (id, body) => api.post(`/questions/${id}/answers`, { body }),
+  toggleAnswerUpvote: (id, answerId) => api.post(`/questions/${id}/answers/${answerId}/upvote`),
+  reportQuestion: (id, report) => api.post(`/questions/${id}/report`, report),
+  deleteQuestion: (id) => api.delete(`/questions/${id}`),
+};
+
+export const reviewsAPI = {
+  updateReview: (id, review) => api.put(`/reviews/${id}`, review),
+  deleteReview: (id) => api.delete(`/reviews/${id}`),
+  toggleHelpful: (id) => api.post(`/reviews/${id}/helpful`),
 };
 
 // Enhanced Cart API calls with retry logic
@@ -224,8 +297,11 @@ export const cartAPI = {
   getCart: () => api.get('/cart'),
   addToCart: (item) => api.post('/cart/add', item),
   updateCartItem: (item) => api.put('/cart/update', item),
-  removeFromCart: (productId, size) => api.delete(`/cart/remove/${productId}/${size}`),
+  removeFromCart: (productId, size, color) => api.delete(`/cart/remove/${productId}/${size}`, { params: color ? { color } : {} }),
   clearCart: () => api.delete('/cart/clear'),
+  addBundle: (bundle) => api.post('/cart/bundles', bundle),
+  updateBundle: (lineId, quantity) => api.put(`/cart/bundles/${lineId}`, { quantity }),
+  removeBundle: (lineId) => api.delete(`/cart/bundles/${lineId}`),
   getCartTotal: () => api.get('/cart/total'),
   migrateCart: (guestCartItems) => api.post('/cart/merge', { items: guestCartItems }),
   
@@ -245,12 +321,14 @@ export const cartAPI = {
     return retryCartOperation(() => api.put('/cart/update', item), { operation: 'updateCartItem', item, ...context });
   },
   
-  removeFromCartWithRetry: async (productId, size, context = {}) => {
+  removeFromCartWithRetry: async (productId, size, color, context = {}) => {
     const { retryCartOperation } = await import('../utils/retryHandler');
-    return retryCartOperation(() => api.delete(`/cart/remove/${productId}/${size}`), { 
+    const params = color ? { color } : {};
+    return retryCartOperation(() => api.delete(`/cart/remove/${productId}/${size}`, { params }), { 
       operation: 'removeFromCart', 
       productId, 
       size, 
+      color, 
       ...context 
     });
   },
@@ -4,7 +4,7 @@
  */
 
 import { createErrorObject, ErrorTypes } from './errorHandler';
-import { validateCartItems, calculateCartTotals } from './cartSync';
+import { validateCartItems, calculateCartTotals, isSameCartItem, getCartItemKey } from './cartSync';
 
 // Migration status constants
 export const MigrationStatus = {
@@ -259,7 +259,7 @@ export class CartMigrationManager {
 
     guestItems.forEach(guestItem => {
       const serverItem = serverItems.find(
-        item => item.productId === guestItem.productId && item.size === guestItem.size
+        item => isSameCartItem(item, guestItem)
       );
 
       if (serverItem) {
@@ -267,6 +267,7 @@ export class CartMigrationManager {
           type: 'item_exists',
           productId: guestItem.productId,
           size: guestItem.size,
+          color: guestItem.color || null,
           guestItem,
           serverItem,
           differences: []
@@ -387,19 +388,19 @@ export class CartMigrationManager {
 
     // Create map of conflicts for quick lookup
     conflicts.forEach(conflict => {
-      const key = `${conflict.productId}_${conflict.size}`;
+      const key = getCartItemKey(conflict);
       conflictMap.set(key, conflict);
     });
 
     // Process guest items
     guestItems.forEach(guestItem => {
-      const key = `${guestItem.productId}_${guestItem.size}`;
+      const key = getCartItemKey(guestItem);
       const conflict = conflictMap.get(key);
 
       if (conflict && conflict.resolvedItem) {
         // Replace server item with resolved item
         const serverIndex = mergedItems.findIndex(
-          item => item.productId === guestItem.productId && item.size === guestItem.size
+          item => isSameCartItem(item, guestItem)
         );
         if (serverIndex !== -1) {
           mergedItems[serverIndex] = conflict.resolvedItem;
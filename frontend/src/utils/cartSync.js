@@ -20,6 +20,20 @@ export const CartOperationType = {
   CLEAR_CART: 'CLEAR_CART'
 };
 
+// Cart lines are keyed by product, size and (for variant products) color
+export const isSameCartItem = (a, b) => {
+  return (
+    a.productId === b.productId &&
+    a.size === b.size &&
+    (a.color || '').toLowerCase() === (b.color || '').toLowerCase()
+  );
+};
+
+// Lookup key for a cart line
+export const getCartItemKey = (item) => {
+  return `${item.productId}_${item.size}_${(item.color || '').toLowerCase()}`;
+};
+
 // Pending operation structure
 export class PendingOperation {
   constructor(type, payload, timestamp = Date.now()) {
@@ -79,10 +93,8 @@ export class CartSyncManager {
     
     switch (type) {
       case CartOperationType.ADD_ITEM: {
-        const { productId, size, quantity } = payload;
-        const existingIndex = currentItems.findIndex(
-          item => item.productId === productId && item.size === size
-        );
+        const { quantity } = payload;
+        const existingIndex = currentItems.findIndex(item => isSameCartItem(item, payload));
         
         if (existingIndex >= 0) {
           const updatedItems = [...currentItems];
@@ -97,19 +109,16 @@ export class CartSyncManager {
       }
       
       case CartOperationType.UPDATE_ITEM: {
-        const { productId, size, quantity } = payload;
+        const { quantity } = payload;
         return currentItems.map(item =>
-          item.productId === productId && item.size === size
+          isSameCartItem(item, payload)
             ? { ...item, quantity }
             : item
         );
       }
       
       case CartOperationType.REMOVE_ITEM: {
-        const { productId, size } = payload;
-        return currentItems.filter(
-          item => !(item.productId === productId && item.size === size)
-        );
+        return currentItems.filter(item => !isSameCartItem(item, payload));
       }
       
       case CartOperationType.CLEAR_CART: {
@@ -130,7 +139,7 @@ export class CartSyncManager {
     // Check for conflicts between local and server state
     localItems.forEach(localItem => {
       const serverItem = serverItems.find(
-        item => item.productId === localItem.productId && item.size === localItem.size
+        item => isSameCartItem(item, localItem)
       );
       
       if (serverItem) {
@@ -254,7 +263,7 @@ export class CartSyncManager {
         return await cartAPI.updateCartItem(payload);
         
       case CartOperationType.REMOVE_ITEM:
-        return await cartAPI.removeFromCart(payload.productId, payload.size);
+        return await cartAPI.removeFromCart(payload.productId, payload.size, payload.color);
         
       case CartOperationType.CLEAR_CART:
         return await cartAPI.clearCart();
@@ -359,7 +368,7 @@ export const compareCartStates = (oldItems, newItems) => {
   for (let i = 0; i < oldItems.length; i++) {
     const oldItem = oldItems[i];
     const newItem = newItems.find(
-      item => item.productId === oldItem.productId && item.size === oldItem.size
+      item => isSameCartItem(item, oldItem)
     );
     
     if (!newItem) {
@@ -0,0 +1,23 @@
+// Responsive image helpers for product photos. Uploaded images come with
+// resized JPEG and WebP variants; images added by URL only have `url`.
+
+const buildSrcSet = (variants = [], format) => variants
+  .filter(variant => variant.format === format)
+  .sort((a, b) => a.width - b.width)
+  .map(variant => `${variant.url} ${variant.width}w`)
+  .join(', ');
+
+export const getImageSources = (image, fallback = '/placeholder-image.jpg') => ({
+  src: image?.url || fallback,
+  srcSet: image?.srcSet || buildSrcSet(image?.variants, 'jpeg') || undefined,
+  webpSrcSet: image?.webpSrcSet || buildSrcSet(image?.variants, 'webp') || undefined,
+});
+
+// Smallest variant at least `minWidth` wide, for thumbnails
+export const getImageUrlForWidth = (image, minWidth) => {
+  const variants = (image?.variants || [])
+    .filter(variant => variant.format === 'jpeg')
+    .sort((a, b) => a.width - b.width);
+  const match = variants.find(variant => variant.width >= minWidth) || variants[variants.length - 1];
+  return match?.url || image?.url;
+};
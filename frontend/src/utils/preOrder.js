@@ -0,0 +1,17 @@
+// Pre-order helpers shared by product, cart and checkout views
+
+export const isPreOrderProduct = (product) => product?.availability?.status === 'pre-order';
+
+// Cart and order lines carry their own flag; guest cart lines fall back to the product
+export const isPreOrderItem = (item) => Boolean(item?.isPreOrder) || isPreOrderProduct(item?.product);
+
+export const getExpectedShipDate = (item) => item?.expectedShipDate || item?.product?.availability?.restockDate || null;
+
+export const formatShipDate = (date) => {
+  if (!date) return 'Ships when stock arrives';
+  return `Expected to ship ${new Date(date).toLocaleDateString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  })}`;
+};